@@ -0,0 +1,8 @@
+-- Elevation correction columns for routes (fresh schema)
+-- When an upload's elevations are replaced with terrain data, elevation_gain_m
+-- and elevation_loss_m hold the corrected values and these keep the recorded ones.
+-- The recorded per-point elevations are in raw_track.
+
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS elevation_corrected BOOLEAN DEFAULT FALSE;
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS original_elevation_gain_m INTEGER;
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS original_elevation_loss_m INTEGER;
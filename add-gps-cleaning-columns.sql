@@ -0,0 +1,6 @@
+-- GPS cleanup columns for routes (fresh schema)
+-- track_points hold the cleaned track; the unfiltered recording is kept here as
+-- [lat, lng, elevation, time] tuples, with the before/after cleanup report.
+
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS raw_track JSONB;
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS cleaning_report JSONB;
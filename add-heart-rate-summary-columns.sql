@@ -0,0 +1,5 @@
+-- Heart rate summary columns for routes (fresh schema)
+-- Filled in on upload; used for hrTSS in the training load model when a ride has no power data.
+
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS avg_heart_rate INTEGER;
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS max_heart_rate INTEGER;
@@ -0,0 +1,6 @@
+-- Export archive metadata for routes (fresh schema)
+-- Filled in when importing a Strava/Garmin account export from its activities.csv manifest.
+
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS external_id TEXT;
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS activity_type TEXT;
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS gear TEXT;
@@ -0,0 +1,7 @@
+-- Moving time columns for routes (fresh schema)
+-- duration_seconds is elapsed time; these hold time spent moving, the average
+-- speed while moving and the stops made (location, duration, coffee stop flag).
+
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS moving_time_seconds INTEGER;
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS avg_moving_speed_kmh DECIMAL(5,2);
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS stops JSONB;
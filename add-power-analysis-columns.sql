@@ -0,0 +1,8 @@
+-- Power analysis columns for routes (fresh schema)
+-- Filled in on upload (and backfilled from Ride Analysis) for rides with power data.
+
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS avg_power_w INTEGER;
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS normalized_power_w INTEGER;
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS intensity_factor DECIMAL(4,3);
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS tss DECIMAL(6,1);
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS power_curve JSONB; -- [{ "duration": seconds, "watts": best average }]
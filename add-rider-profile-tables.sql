@@ -0,0 +1,32 @@
+-- Rider profile tables (fresh schema)
+-- Physiological data used for power/heart rate analysis and training zones.
+
+CREATE TABLE IF NOT EXISTS rider_profiles (
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE PRIMARY KEY,
+    ftp_watts INTEGER CHECK (ftp_watts > 0),
+    weight_kg DECIMAL(5,1) CHECK (weight_kg > 0),
+    max_hr INTEGER CHECK (max_hr > 0),
+    resting_hr INTEGER CHECK (resting_hr > 0),
+    power_zones JSONB, -- [{ "name": "Endurance", "max": 0.75 }], fractions of FTP; NULL = defaults
+    hr_zones JSONB, -- [{ "name": "Tempo", "max": 0.80 }], fractions of max HR; NULL = defaults
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- FTP changes over time, so older rides are analyzed with the FTP of their day
+CREATE TABLE IF NOT EXISTS ftp_history (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    ftp_watts INTEGER NOT NULL CHECK (ftp_watts > 0),
+    effective_date DATE NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (user_id, effective_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ftp_history_user_date ON ftp_history(user_id, effective_date DESC);
+
+ALTER TABLE rider_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ftp_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users manage own rider profile" ON rider_profiles FOR ALL USING (user_id = auth.uid());
+CREATE POLICY "Users manage own FTP history" ON ftp_history FOR ALL USING (user_id = auth.uid());
@@ -0,0 +1,9 @@
+-- Sensor channel columns for track_points (fresh schema)
+-- Run once on databases created before speed/temperature were stored.
+-- heart_rate, power_watts and cadence already exist in fresh-schema.sql.
+
+ALTER TABLE track_points ADD COLUMN IF NOT EXISTS heart_rate INTEGER;
+ALTER TABLE track_points ADD COLUMN IF NOT EXISTS power_watts INTEGER;
+ALTER TABLE track_points ADD COLUMN IF NOT EXISTS cadence INTEGER;
+ALTER TABLE track_points ADD COLUMN IF NOT EXISTS speed_kmh DECIMAL(5,2);
+ALTER TABLE track_points ADD COLUMN IF NOT EXISTS temperature_c DECIMAL(4,1);
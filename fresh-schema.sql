@@ -17,8 +17,36 @@ CREATE TABLE routes (
     distance_km DECIMAL(8,3) DEFAULT 0,
     elevation_gain_m INTEGER DEFAULT 0,
     elevation_loss_m INTEGER DEFAULT 0,
+    elevation_corrected BOOLEAN DEFAULT FALSE, -- gain/loss from terrain data; recorded values below
+    original_elevation_gain_m INTEGER,
+    original_elevation_loss_m INTEGER,
     duration_seconds INTEGER DEFAULT 0,
     
+    -- Moving time and stops (location, duration, coffee stop flag)
+    moving_time_seconds INTEGER,
+    avg_moving_speed_kmh DECIMAL(5,2),
+    stops JSONB,
+    
+    -- Power analysis (rides with power meter data)
+    avg_power_w INTEGER,
+    normalized_power_w INTEGER,
+    intensity_factor DECIMAL(4,3),
+    tss DECIMAL(6,1),
+    power_curve JSONB, -- [{ "duration": seconds, "watts": best average }]
+    
+    -- Heart rate summary (hrTSS for the training load model)
+    avg_heart_rate INTEGER,
+    max_heart_rate INTEGER,
+    
+    -- Account export import (activities.csv manifest)
+    external_id TEXT,
+    activity_type TEXT,
+    gear TEXT,
+    
+    -- GPS cleanup: unfiltered recording as [lat, lng, elevation, time] and the report
+    raw_track JSONB,
+    cleaning_report JSONB,
+    
     -- GPS bounds (for map queries)
     north DECIMAL(10,7),
     south DECIMAL(10,7),
@@ -49,6 +77,8 @@ CREATE TABLE track_points (
     heart_rate INTEGER,
     power_watts INTEGER,
     cadence INTEGER,
+    speed_kmh DECIMAL(5,2),
+    temperature_c DECIMAL(4,1),
     
     -- Constraints
     CHECK (lat >= -90 AND lat <= 90),
@@ -67,6 +97,30 @@ CREATE TABLE elevation_profiles (
     sequence_num INTEGER NOT NULL
 );
 
+-- ====================
+-- RIDER PROFILE (FTP, weight, heart rate, training zones)
+-- ====================
+CREATE TABLE rider_profiles (
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE PRIMARY KEY,
+    ftp_watts INTEGER CHECK (ftp_watts > 0),
+    weight_kg DECIMAL(5,1) CHECK (weight_kg > 0),
+    max_hr INTEGER CHECK (max_hr > 0),
+    resting_hr INTEGER CHECK (resting_hr > 0),
+    power_zones JSONB, -- [{ "name": "Endurance", "max": 0.75 }], fractions of FTP; NULL = defaults
+    hr_zones JSONB, -- [{ "name": "Tempo", "max": 0.80 }], fractions of max HR; NULL = defaults
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE ftp_history (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    ftp_watts INTEGER NOT NULL CHECK (ftp_watts > 0),
+    effective_date DATE NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (user_id, effective_date)
+);
+
 -- ====================
 -- PERFORMANCE INDEXES
 -- ====================
@@ -83,6 +137,9 @@ CREATE INDEX idx_track_points_location ON track_points(lat, lng);
 -- Elevation profiles index
 CREATE INDEX idx_elevation_profiles_route ON elevation_profiles(route_id, sequence_num);
 
+-- FTP history index
+CREATE INDEX idx_ftp_history_user_date ON ftp_history(user_id, effective_date DESC);
+
 -- ====================
 -- ROW LEVEL SECURITY
 -- ====================
@@ -90,6 +147,8 @@ CREATE INDEX idx_elevation_profiles_route ON elevation_profiles(route_id, sequen
 ALTER TABLE routes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE track_points ENABLE ROW LEVEL SECURITY;
 ALTER TABLE elevation_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rider_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ftp_history ENABLE ROW LEVEL SECURITY;
 
 -- Users can only see their own data
 CREATE POLICY "Users see own routes" ON routes FOR ALL USING (user_id = auth.uid());
@@ -99,6 +158,8 @@ CREATE POLICY "Users see own track points" ON track_points FOR ALL USING (
 CREATE POLICY "Users see own elevation profiles" ON elevation_profiles FOR ALL USING (
     EXISTS (SELECT 1 FROM routes WHERE routes.id = elevation_profiles.route_id AND routes.user_id = auth.uid())
 );
+CREATE POLICY "Users manage own rider profile" ON rider_profiles FOR ALL USING (user_id = auth.uid());
+CREATE POLICY "Users manage own FTP history" ON ftp_history FOR ALL USING (user_id = auth.uid());
 
 -- ====================
 -- CALCULATION FUNCTIONS
@@ -10,6 +10,7 @@ import AIRouteMap from './components/AIRouteMap';
 import RideAnalysis from './components/RideAnalysis';
 import AppLayout from './components/AppLayout';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { RiderProfileProvider } from './contexts/RiderProfileContext';
 import { UnitPreferencesProvider } from './utils/units';
 import { theme } from './theme';
 import './utils/testORS'; // Import test utilities for browser console access
@@ -49,7 +50,9 @@ function App() {
       <Toaster position="top-right" />
       <AuthProvider>
         <UnitPreferencesProvider>
-          <AppContent />
+          <RiderProfileProvider>
+            <AppContent />
+          </RiderProfileProvider>
         </UnitPreferencesProvider>
       </AuthProvider>
     </MantineProvider>
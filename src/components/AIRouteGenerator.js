@@ -1,4 +1,4 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 import {
   Paper,
   Text,
@@ -14,6 +14,10 @@ import {
   Alert,
   Loader,
   Center,
+  SegmentedControl,
+  Switch,
+  NumberInput,
+  TextInput,
 } from '@mantine/core';
 import {
   Brain,
@@ -24,23 +28,49 @@ import {
   Play,
   RotateCcw,
   Navigation,
+  Flag,
+  Mountain,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
+import dayjs from 'dayjs';
 import { useAuth } from '../contexts/AuthContext';
-import { useUnits } from '../utils/units';
+import { useRiderProfile } from '../contexts/RiderProfileContext';
+import { useUnits, convertDistance } from '../utils/units';
 import { getWeatherData, getMockWeatherData } from '../utils/weather';
 import { generateAIRoutes } from '../utils/aiRouteGenerator';
 import { testORSIntegration } from '../utils/testORS';
+import WindLegBreakdown from './WindLegBreakdown';
+import DeparturePlanner from './DeparturePlanner';
+import RouteExportMenu from './RouteExportMenu';
+import { fromGeneratedRoute } from '../utils/routeExport';
 
-const AIRouteGenerator = ({ mapRef, onRouteGenerated, onStartLocationSet }) => {
+// Next quarter hour, formatted for a datetime-local input
+const getDefaultDeparture = () => {
+  const now = dayjs();
+  return now.add(15 - (now.minute() % 15), 'minute').format('YYYY-MM-DDTHH:mm');
+};
+
+const AIRouteGenerator = ({ mapRef, onRouteGenerated, onStartLocationSet, onEndLocationSet, onViaLocationSet }) => {
   const { user } = useAuth();
-  const { formatDistance, formatElevation, formatTemperature, formatSpeed } = useUnits();
+  const { profile: riderProfile } = useRiderProfile();
+  const { formatDistance, formatElevation, formatTemperature, formatSpeed, useImperial, distanceUnit, elevationUnit } = useUnits();
   
   // User inputs
   const [timeAvailable, setTimeAvailable] = useState(60); // minutes
+  const [departureInput, setDepartureInput] = useState(getDefaultDeparture);
   const [trainingGoal, setTrainingGoal] = useState('endurance');
   const [routeType, setRouteType] = useState('loop');
   const [startLocation, setStartLocation] = useState(null);
+  const [endLocation, setEndLocation] = useState(null);
+  const [viaLocation, setViaLocation] = useState(null);
+  const [useViaPoint, setUseViaPoint] = useState(false);
+  // Which point the next map click sets (point-to-point only)
+  const [clickTarget, setClickTarget] = useState('start');
+  const clickTargetRef = useRef('start');
+  // Elevation target mode (loops only), entered in display units
+  const [useElevationTarget, setUseElevationTarget] = useState(false);
+  const [targetGainInput, setTargetGainInput] = useState(1000);
+  const [targetDistanceInput, setTargetDistanceInput] = useState('');
   
   // Generation state
   const [generating, setGenerating] = useState(false);
@@ -116,7 +146,36 @@ const AIRouteGenerator = ({ mapRef, onRouteGenerated, onStartLocationSet }) => {
     );
   }, [mapRef]);
 
-  // Handle map click for start location
+  const selectClickTarget = (target) => {
+    clickTargetRef.current = target;
+    setClickTarget(target);
+  };
+
+  // Clicks only set the start outside point-to-point mode
+  useEffect(() => {
+    if (routeType !== 'point_to_point') selectClickTarget('start');
+  }, [routeType]);
+
+  // Turning the via point on arms the next map click; turning it off drops it
+  const toggleViaPoint = (enabled) => {
+    setUseViaPoint(enabled);
+    if (enabled) {
+      selectClickTarget('via');
+      return;
+    }
+    setViaLocation(null);
+    onViaLocationSet && onViaLocationSet(null);
+    if (clickTargetRef.current === 'via') selectClickTarget('destination');
+  };
+
+  // The map click handler stays subscribed for the life of the map, so it
+  // reads the latest callbacks from here instead of closing over them
+  const clickHandlersRef = useRef({});
+  useEffect(() => {
+    clickHandlersRef.current = { onStartLocationSet, onEndLocationSet, onViaLocationSet, fetchWeatherData };
+  });
+
+  // Handle map click for start, destination and via locations
   useEffect(() => {
     if (!mapRef?.current) return;
 
@@ -125,6 +184,22 @@ const AIRouteGenerator = ({ mapRef, onRouteGenerated, onStartLocationSet }) => {
     const handleMapClick = async (e) => {
       const { lng, lat } = e.lngLat;
       const location = [lng, lat];
+      const { onStartLocationSet, onEndLocationSet, onViaLocationSet, fetchWeatherData } = clickHandlersRef.current;
+
+      if (clickTargetRef.current === 'destination') {
+        setEndLocation(location);
+        onEndLocationSet && onEndLocationSet(location);
+        toast.success('Destination set');
+        return;
+      }
+
+      if (clickTargetRef.current === 'via') {
+        setViaLocation(location);
+        onViaLocationSet && onViaLocationSet(location);
+        toast.success('Via point set');
+        return;
+      }
+
       setStartLocation(location);
       onStartLocationSet && onStartLocationSet(location);
       toast.success('Start location set');
@@ -144,6 +219,16 @@ const AIRouteGenerator = ({ mapRef, onRouteGenerated, onStartLocationSet }) => {
       return;
     }
 
+    if (routeType === 'point_to_point' && !endLocation) {
+      toast.error('Please set a destination on the map');
+      return;
+    }
+
+    if (routeType === 'point_to_point' && useViaPoint && !viaLocation) {
+      toast.error('Please set the via point on the map or turn it off');
+      return;
+    }
+
     setGenerating(true);
     setError(null);
     setGeneratedRoutes([]);
@@ -161,13 +246,22 @@ const AIRouteGenerator = ({ mapRef, onRouteGenerated, onStartLocationSet }) => {
         toast.error('OpenRouteService not available. Using fallback routing.');
       }
       
+      const elevationTargetActive = routeType === 'loop' && useElevationTarget && targetGainInput > 0;
       const routes = await generateAIRoutes({
         startLocation,
+        endLocation: routeType === 'point_to_point' ? endLocation : null,
+        viaLocation: routeType === 'point_to_point' && useViaPoint ? viaLocation : null,
+        targetElevationGain: elevationTargetActive ?
+          (useImperial ? convertDistance.ftToM(targetGainInput) : targetGainInput) : null,
+        targetDistance: elevationTargetActive && targetDistanceInput ?
+          (useImperial ? convertDistance.milesToKm(targetDistanceInput) : targetDistanceInput) : null,
         timeAvailable,
         trainingGoal,
         routeType,
         weatherData,
+        departureTime: departureInput && dayjs(departureInput).isValid() ? dayjs(departureInput).valueOf() : null,
         userId: user?.id,
+        riderProfile,
       });
       
       console.log('🎯 Generated routes:', routes);
@@ -299,6 +393,16 @@ const AIRouteGenerator = ({ mapRef, onRouteGenerated, onStartLocationSet }) => {
           />
         </div>
 
+        {/* Departure Time */}
+        <TextInput
+          type="datetime-local"
+          label="Departure"
+          description="Wind is forecast for where you'll be through the ride"
+          size="sm"
+          value={departureInput}
+          onChange={(e) => setDepartureInput(e.currentTarget.value)}
+        />
+
         {/* Training Goal */}
         <div>
           <Text size="sm" fw={500} mb="sm">Training Goal</Text>
@@ -363,13 +467,89 @@ const AIRouteGenerator = ({ mapRef, onRouteGenerated, onStartLocationSet }) => {
           </Radio.Group>
         </div>
 
+        {/* Elevation target */}
+        {routeType === 'loop' && (
+          <div>
+            <Switch
+              size="sm"
+              label={
+                <Group gap={4}>
+                  <Mountain size={14} />
+                  <Text size="sm" fw={500}>Target climbing</Text>
+                </Group>
+              }
+              checked={useElevationTarget}
+              onChange={(e) => setUseElevationTarget(e.currentTarget.checked)}
+            />
+            {useElevationTarget && (
+              <Group grow mt="xs">
+                <NumberInput
+                  label={`Climbing (${elevationUnit})`}
+                  size="xs"
+                  value={targetGainInput}
+                  onChange={(value) => setTargetGainInput(Number(value) || 0)}
+                  min={0}
+                  step={useImperial ? 250 : 100}
+                />
+                <NumberInput
+                  label={`Distance (${distanceUnit})`}
+                  size="xs"
+                  placeholder="From time"
+                  value={targetDistanceInput}
+                  onChange={(value) => setTargetDistanceInput(value === '' ? '' : Number(value))}
+                  min={1}
+                  step={5}
+                />
+              </Group>
+            )}
+          </div>
+        )}
+
+        {/* Destination and via point */}
+        {routeType === 'point_to_point' && (
+          <div>
+            <Group justify="space-between" mb="xs">
+              <Text size="sm" fw={500}>Destination</Text>
+              <Group gap="xs">
+                {endLocation && (
+                  <Badge color="red" variant="light" leftSection={<Flag size={12} />}>
+                    Destination Set
+                  </Badge>
+                )}
+                {useViaPoint && viaLocation && (
+                  <Badge color="violet" variant="light">Via Set</Badge>
+                )}
+              </Group>
+            </Group>
+            <Text size="xs" c="dimmed" mb="xs">Map clicks set the:</Text>
+            <SegmentedControl
+              value={clickTarget}
+              onChange={selectClickTarget}
+              size="xs"
+              fullWidth
+              data={[
+                { value: 'start', label: 'Start' },
+                { value: 'destination', label: 'Destination' },
+                { value: 'via', label: 'Via Point', disabled: !useViaPoint }
+              ]}
+            />
+            <Switch
+              mt="sm"
+              size="sm"
+              label="Route through a mandatory via point"
+              checked={useViaPoint}
+              onChange={(e) => toggleViaPoint(e.currentTarget.checked)}
+            />
+          </div>
+        )}
+
         {/* Generate Button */}
         <Button
           size="lg"
           leftSection={generating ? <Loader size={20} /> : <Brain size={20} />}
           onClick={generateRoutes}
           loading={generating}
-          disabled={!startLocation || generating}
+          disabled={!startLocation || (routeType === 'point_to_point' && !endLocation) || generating}
           fullWidth
         >
           {generating ? 'Generating Smart Routes...' : 'Generate AI Routes'}
@@ -406,35 +586,79 @@ const AIRouteGenerator = ({ mapRef, onRouteGenerated, onStartLocationSet }) => {
                         <Badge size="sm" color={route.difficulty === 'easy' ? 'green' : route.difficulty === 'hard' ? 'red' : 'yellow'}>
                           {route.difficulty}
                         </Badge>
+                        {route.elevationTargetFit !== null && route.elevationTargetFit !== undefined && (
+                          <Badge size="sm" variant="light" color="grape">
+                            {Math.round(route.elevationTargetFit * 100)}% target match
+                          </Badge>
+                        )}
+                        {route.daylight?.startsBeforeDawn && (
+                          <Badge size="sm" variant="light" color="dark" leftSection={<Moon size={10} />}>
+                            Starts before dawn{route.daylight.civilDawn ? ` (${dayjs(route.daylight.civilDawn).format('HH:mm')})` : ''}
+                          </Badge>
+                        )}
+                        {route.daylight?.endsAfterDusk && (
+                          <Badge size="sm" variant="light" color="dark" leftSection={<Moon size={10} />}>
+                            Finishes after dusk{route.daylight.civilDusk ? ` (${dayjs(route.daylight.civilDusk).format('HH:mm')})` : ''}
+                          </Badge>
+                        )}
                       </Group>
                       
                       <Grid gutter="xs">
-                        <Grid.Col span={6}>
+                        <Grid.Col span={4}>
                           <Text size="xs" c="dimmed">Distance</Text>
                           <Text size="sm" fw={500}>{formatDistance(route.distance)}</Text>
                         </Grid.Col>
-                        <Grid.Col span={6}>
+                        <Grid.Col span={4}>
                           <Text size="xs" c="dimmed">Elevation</Text>
                           <Text size="sm" fw={500}>+{formatElevation(route.elevationGain)}</Text>
                         </Grid.Col>
+                        {route.estimatedTime && (
+                          <Grid.Col span={4}>
+                            <Text size="xs" c="dimmed">Est. Time</Text>
+                            <Text size="sm" fw={500}>{formatTime(route.estimatedTime)}</Text>
+                          </Grid.Col>
+                        )}
                       </Grid>
                       
                       <Text size="xs" c="dimmed" mt="xs">
                         {route.description}
                       </Text>
+
+                      <WindLegBreakdown windAnalysis={route.windAnalysis} />
                     </div>
                     
-                    <Button
-                      size="sm"
-                      leftSection={<Play size={14} />}
-                      onClick={() => onRouteGenerated && onRouteGenerated(route)}
-                    >
-                      Use Route
-                    </Button>
+                    <Stack gap="xs">
+                      <Button
+                        size="sm"
+                        leftSection={<Play size={14} />}
+                        onClick={() => onRouteGenerated && onRouteGenerated(route)}
+                      >
+                        Use Route
+                      </Button>
+                      <RouteExportMenu
+                        getRoute={() => ({
+                          ...fromGeneratedRoute(route),
+                          departureTime: departureInput && dayjs(departureInput).isValid() ?
+                            dayjs(departureInput).toISOString() : undefined
+                        })}
+                        fullWidth
+                      />
+                    </Stack>
                   </Group>
                 </Card>
               ))}
             </Stack>
+
+            <div style={{ marginTop: 'var(--mantine-spacing-sm)' }}>
+              <DeparturePlanner
+                routes={generatedRoutes}
+                trainingGoal={trainingGoal}
+                onSelectDeparture={(time) => {
+                  setDepartureInput(dayjs(time).format('YYYY-MM-DDTHH:mm'));
+                  toast.success(`Departure set to ${dayjs(time).format('ddd HH:mm')} - regenerate to re-plan for the wind`);
+                }}
+              />
+            </div>
           </div>
         )}
 
@@ -2,6 +2,7 @@ import React, { useState, useRef } from 'react';
 import { Map, Source, Layer, Marker, NavigationControl } from 'react-map-gl';
 import { buildLineString } from '../utils/geo';
 import AIRouteGenerator from './AIRouteGenerator';
+import ElevationProfileBar from './ElevationProfileBar';
 import 'mapbox-gl/dist/mapbox-gl.css';
 
 const AIRouteMap = () => {
@@ -15,6 +16,8 @@ const AIRouteMap = () => {
   
   const [selectedRoute, setSelectedRoute] = useState(null);
   const [startLocation, setStartLocation] = useState(null);
+  const [endLocation, setEndLocation] = useState(null);
+  const [viaLocation, setViaLocation] = useState(null);
   const mapRef = useRef(null);
 
   const handleRouteGenerated = (route) => {
@@ -61,6 +64,8 @@ const AIRouteMap = () => {
           mapRef={mapRef}
           onRouteGenerated={handleRouteGenerated}
           onStartLocationSet={handleStartLocationSet}
+          onEndLocationSet={setEndLocation}
+          onViaLocationSet={setViaLocation}
         />
       </div>
 
@@ -114,6 +119,40 @@ const AIRouteMap = () => {
             </Marker>
           )}
           
+          {/* Display point-to-point destination and via markers */}
+          {endLocation && (
+            <Marker
+              longitude={endLocation[0]}
+              latitude={endLocation[1]}
+              anchor="center"
+            >
+              <div style={{
+                width: 20,
+                height: 20,
+                borderRadius: '50%',
+                backgroundColor: '#fa5252',
+                border: '3px solid white',
+                boxShadow: '0 2px 4px rgba(0,0,0,0.3)'
+              }} />
+            </Marker>
+          )}
+          {viaLocation && (
+            <Marker
+              longitude={viaLocation[0]}
+              latitude={viaLocation[1]}
+              anchor="center"
+            >
+              <div style={{
+                width: 16,
+                height: 16,
+                borderRadius: 4,
+                backgroundColor: '#7950f2',
+                border: '3px solid white',
+                boxShadow: '0 2px 4px rgba(0,0,0,0.3)'
+              }} />
+            </Marker>
+          )}
+          
           {/* Display route start/end markers if route exists */}
           {selectedRoute && selectedRoute.coordinates && selectedRoute.coordinates.length > 0 && (
             <>
@@ -154,6 +193,20 @@ const AIRouteMap = () => {
           )}
         </Map>
       </div>
+
+      {selectedRoute?.elevationProfile?.length > 0 && (
+        <ElevationProfileBar
+          elevationProfile={selectedRoute.elevationProfile}
+          elevationStats={{ gain: selectedRoute.elevationGain, loss: selectedRoute.elevationLoss }}
+          routeStats={{
+            distance: selectedRoute.distance,
+            confidence: selectedRoute.confidence,
+            duration: selectedRoute.estimatedTime ? selectedRoute.estimatedTime * 60 : null
+          }}
+          routePoints={selectedRoute.coordinates}
+          departureTime={selectedRoute.windAnalysis?.departureTime}
+        />
+      )}
     </div>
   );
 };
@@ -15,6 +15,7 @@ import { useDisclosure } from '@mantine/hooks';
 import { Map, Upload, User, LogOut, Route, Brain, BarChart3 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import UnitSettings from './UnitSettings';
+import RiderProfileSettings from './RiderProfileSettings';
 
 const AppLayout = ({ children, activePage, setActivePage }) => {
   const { user, signOut } = useAuth();
@@ -51,6 +52,7 @@ const AppLayout = ({ children, activePage, setActivePage }) => {
           </Group>
 
           <Group gap="sm">
+            <RiderProfileSettings />
             <UnitSettings />
             <Menu shadow="md" width={200}>
               <Menu.Target>
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Marker } from 'react-map-gl';
+
+// Category flags at the summit of each detected climb
+const ClimbMarkers = ({ climbs }) => {
+  if (!climbs?.length) return null;
+
+  return climbs
+    .filter(climb => climb.summitCoordinate)
+    .map(climb => (
+      <Marker
+        key={`climb-${climb.startIndex}-${climb.endIndex}`}
+        longitude={climb.summitCoordinate[0]}
+        latitude={climb.summitCoordinate[1]}
+        anchor="bottom"
+      >
+        <div
+          title={`${climb.label}: ${(climb.length / 1000).toFixed(1)} km at ${climb.avgGradient}%`}
+          style={{
+            background: climb.color,
+            color: 'white',
+            fontSize: 11,
+            fontWeight: 700,
+            padding: '2px 6px',
+            borderRadius: 4,
+            border: '2px solid white',
+            boxShadow: '0 1px 3px rgba(0,0,0,0.3)',
+            whiteSpace: 'nowrap'
+          }}
+        >
+          ⛰ {climb.label}
+        </div>
+      </Marker>
+    ));
+};
+
+export default ClimbMarkers;
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { Button, Collapse, ScrollArea, Stack, Group, Text } from '@mantine/core';
+import {
+  ListOrdered,
+  ChevronDown,
+  ChevronUp,
+  ArrowUp,
+  ArrowUpLeft,
+  ArrowUpRight,
+  CornerUpLeft,
+  CornerUpRight,
+  MoveDownLeft,
+  MoveDownRight,
+  Undo2,
+  RotateCw
+} from 'lucide-react';
+import { useUnits } from '../utils/units';
+import { getProviderLabel } from '../utils/routingProviders';
+
+const CUE_ICONS = {
+  left: CornerUpLeft,
+  right: CornerUpRight,
+  'slight-left': ArrowUpLeft,
+  'slight-right': ArrowUpRight,
+  'keep-left': ArrowUpLeft,
+  'keep-right': ArrowUpRight,
+  'sharp-left': MoveDownLeft,
+  'sharp-right': MoveDownRight,
+  'u-turn': Undo2,
+  roundabout: RotateCw,
+  straight: ArrowUp
+};
+
+// Collapsible turn-by-turn list for a route's cues (see cueSheet.js)
+const CueSheet = ({ cues = [] }) => {
+  const { formatDistance } = useUnits();
+  const [open, setOpen] = useState(false);
+
+  if (cues.length === 0) return null;
+
+  const source = cues[0].source;
+
+  return (
+    <Stack gap={4}>
+      <Button
+        variant="subtle"
+        size="xs"
+        leftSection={<ListOrdered size={14} />}
+        rightSection={open ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+        onClick={() => setOpen(o => !o)}
+        justify="space-between"
+        fullWidth
+      >
+        Cue sheet ({cues.length} {cues.length === 1 ? 'turn' : 'turns'})
+      </Button>
+      <Collapse in={open}>
+        <ScrollArea.Autosize mah={240}>
+          <Stack gap={2}>
+            {cues.map((cue, i) => {
+              const Icon = CUE_ICONS[cue.type] || ArrowUp;
+              return (
+                <Group key={`${cue.index}-${i}`} gap="xs" wrap="nowrap" align="flex-start">
+                  <Text size="xs" c="dimmed" w={56} ta="right" style={{ flexShrink: 0 }}>
+                    {formatDistance(cue.distanceKm, 2)}
+                  </Text>
+                  <Icon size={14} style={{ flexShrink: 0, marginTop: 2 }} />
+                  <Text size="xs">{cue.instruction}</Text>
+                </Group>
+              );
+            })}
+          </Stack>
+        </ScrollArea.Autosize>
+        <Text size="xs" c="dimmed" mt={4}>
+          {source === 'geometry' ?
+            'Turns derived from the route shape' :
+            `Directions from ${getProviderLabel(source)}`}
+        </Text>
+      </Collapse>
+    </Stack>
+  );
+};
+
+export default CueSheet;
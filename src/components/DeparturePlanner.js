@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { Card, Text, Group, Stack, Button, Select, TextInput, Badge, List } from '@mantine/core';
+import { Clock, CalendarClock } from 'lucide-react';
+import toast from 'react-hot-toast';
+import dayjs from 'dayjs';
+import { useUnits } from '../utils/units';
+import { useRiderProfile } from '../contexts/RiderProfileContext';
+import { fetchForecast } from '../utils/weather';
+import { getRiderPhysics } from '../utils/rideTime';
+import { planDepartures } from '../utils/departurePlanner';
+
+// Recommends the best start times for a generated route within a time window
+const DeparturePlanner = ({ routes, trainingGoal, onSelectDeparture }) => {
+  const { formatTemperature } = useUnits();
+  const { profile: riderProfile } = useRiderProfile();
+  const [routeIndex, setRouteIndex] = useState('0');
+  const [date, setDate] = useState(() => dayjs().format('YYYY-MM-DD'));
+  const [fromTime, setFromTime] = useState('06:00');
+  const [toTime, setToTime] = useState('14:00');
+  const [planning, setPlanning] = useState(false);
+  const [recommendations, setRecommendations] = useState(null);
+
+  if (!routes?.length) return null;
+
+  const route = routes[Number(routeIndex)] || routes[0];
+
+  const findDepartures = async () => {
+    const windowStart = dayjs(`${date}T${fromTime}`);
+    const windowEnd = dayjs(`${date}T${toTime}`);
+    if (!windowStart.isValid() || !windowEnd.isValid() || windowEnd.isBefore(windowStart)) {
+      toast.error('Choose a valid time window');
+      return;
+    }
+
+    const start = route.coordinates?.[0];
+    if (!start) {
+      toast.error('This route has no coordinates to plan with');
+      return;
+    }
+
+    setPlanning(true);
+    try {
+      const { forecast } = await fetchForecast(start[1], start[0], { startTime: windowStart.valueOf() });
+      const results = planDepartures(route.coordinates, forecast, {
+        windowStart: windowStart.valueOf(),
+        windowEnd: windowEnd.valueOf(),
+        stepMinutes: 30,
+        trainingGoal,
+        riderPhysics: getRiderPhysics(riderProfile, trainingGoal),
+        totalSeconds: route.estimatedTime ? route.estimatedTime * 60 : null
+      });
+
+      setRecommendations(results);
+      if (results.length === 0) {
+        toast.error('No forecast covers that window yet');
+      }
+    } catch (error) {
+      console.error('Departure planning failed:', error);
+      toast.error('Failed to plan departure times');
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  return (
+    <Card withBorder p="sm">
+      <Group gap="xs" mb="xs">
+        <CalendarClock size={16} />
+        <Text size="sm" fw={500}>Best Departure Time</Text>
+      </Group>
+
+      <Stack gap="xs">
+        <Select
+          size="xs"
+          label="Route"
+          value={routeIndex}
+          onChange={(value) => {
+            setRouteIndex(value || '0');
+            setRecommendations(null);
+          }}
+          data={routes.map((r, index) => ({ value: String(index), label: r.name }))}
+        />
+        <Group grow>
+          <TextInput
+            type="date"
+            size="xs"
+            label="Day"
+            value={date}
+            onChange={(e) => setDate(e.currentTarget.value)}
+          />
+          <TextInput
+            type="time"
+            size="xs"
+            label="From"
+            value={fromTime}
+            onChange={(e) => setFromTime(e.currentTarget.value)}
+          />
+          <TextInput
+            type="time"
+            size="xs"
+            label="To"
+            value={toTime}
+            onChange={(e) => setToTime(e.currentTarget.value)}
+          />
+        </Group>
+        <Button
+          size="xs"
+          variant="light"
+          leftSection={<Clock size={14} />}
+          onClick={findDepartures}
+          loading={planning}
+        >
+          Find Best Times
+        </Button>
+
+        {recommendations?.map((recommendation, index) => (
+          <Card key={recommendation.departureTime} withBorder p="xs">
+            <Group justify="space-between" align="flex-start">
+              <div style={{ flex: 1 }}>
+                <Group gap="xs">
+                  <Text size="sm" fw={600}>
+                    {dayjs(recommendation.departureTime).format('ddd HH:mm')}–{dayjs(recommendation.finishTime).format('HH:mm')}
+                  </Text>
+                  <Badge size="xs" color={index === 0 ? 'green' : 'blue'} variant="light">
+                    {Math.round(recommendation.score * 100)}
+                  </Badge>
+                </Group>
+                {recommendation.minTemperature !== null && (
+                  <Text size="xs" c="dimmed">
+                    {formatTemperature(recommendation.minTemperature)}–{formatTemperature(recommendation.maxTemperature)}
+                  </Text>
+                )}
+                <List size="xs" spacing={0} mt={2}>
+                  {recommendation.reasons.slice(0, 4).map(reason => (
+                    <List.Item key={reason}>{reason}</List.Item>
+                  ))}
+                </List>
+              </div>
+              {onSelectDeparture && (
+                <Button size="compact-xs" variant="subtle" onClick={() => onSelectDeparture(recommendation.departureTime)}>
+                  Use
+                </Button>
+              )}
+            </Group>
+          </Card>
+        ))}
+      </Stack>
+    </Card>
+  );
+};
+
+export default DeparturePlanner;
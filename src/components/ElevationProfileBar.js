@@ -1,14 +1,61 @@
-import React from 'react';
-import { Paper, Group, Text, Badge, Stack } from '@mantine/core';
+import React, { useState, useMemo } from 'react';
+import { Paper, Group, Text, Badge, Stack, ActionIcon, Tooltip } from '@mantine/core';
+import { CloudSun } from 'lucide-react';
+import dayjs from 'dayjs';
 import { useUnits } from '../utils/units';
+import { detectClimbs } from '../utils/climbs';
+import { estimateRideTime, getRiderPhysics } from '../utils/rideTime';
+import { useRiderProfile } from '../contexts/RiderProfileContext';
+import { getDarkStretches } from '../utils/solar';
+import RouteWeatherTimeline from './RouteWeatherTimeline';
 
 const ElevationProfileBar = ({ 
   elevationProfile = [], 
   elevationStats = null, 
   routeStats = null,
-  isRouteBuilder = false 
+  isRouteBuilder = false,
+  routePoints = null, // full-resolution route for the weather timeline
+  departureTime = null
 }) => {
   const { formatDistance, formatElevation } = useUnits();
+  const { profile: riderProfile } = useRiderProfile();
+  const [showWeather, setShowWeather] = useState(false);
+  const [plannedDeparture, setPlannedDeparture] = useState(null);
+
+  // Categorized climbs, shaded behind the profile
+  const climbs = useMemo(() => detectClimbs(elevationProfile), [elevationProfile]);
+
+  // Ride time: the caller's estimate when given, otherwise the physics model over this profile
+  const profileEstimate = useMemo(
+    () => estimateRideTime(elevationProfile, getRiderPhysics(riderProfile)),
+    [elevationProfile, riderProfile]
+  );
+  const estimatedDuration = routeStats?.duration || profileEstimate?.totalSeconds;
+
+  // Daylight band: when the rider reaches each profile point, for the departure
+  // picked in the weather timeline or the one the caller planned
+  const shownDeparture = (showWeather && plannedDeparture) || departureTime;
+  const darkStretches = useMemo(() => {
+    const startPoint = elevationProfile?.[0]?.coordinate || routePoints?.[0];
+    const startLat = Array.isArray(startPoint) ? startPoint[1] : startPoint?.lat ?? startPoint?.latitude;
+    const startLon = Array.isArray(startPoint) ? startPoint[0] : startPoint?.lng ?? startPoint?.longitude;
+    if (!shownDeparture || !profileEstimate || startLat === undefined || startLon === undefined) return [];
+
+    const scale = estimatedDuration / profileEstimate.totalSeconds;
+    const arrivalTimes = elevationProfile.map(() => null);
+    let elapsed = 0;
+    arrivalTimes[0] = shownDeparture;
+    profileEstimate.segments.forEach(segment => {
+      elapsed += segment.seconds * scale;
+      arrivalTimes[segment.endIndex] = shownDeparture + elapsed * 1000;
+    });
+    // Points the model skipped (no distance) share the previous arrival time
+    arrivalTimes.forEach((time, index) => {
+      if (time === null && index > 0) arrivalTimes[index] = arrivalTimes[index - 1];
+    });
+    return getDarkStretches(arrivalTimes, startLat, startLon)
+      .map(stretch => ({ ...stretch, from: arrivalTimes[stretch.startIndex], to: arrivalTimes[stretch.endIndex] }));
+  }, [elevationProfile, routePoints, shownDeparture, profileEstimate, estimatedDuration]);
 
   // Don't render if no data
   if (!elevationProfile || elevationProfile.length === 0) {
@@ -40,6 +87,8 @@ const ElevationProfileBar = ({
   const chartMaxElevation = maxElevation + elevationPadding;
   const chartElevationRange = chartMaxElevation - chartMinElevation;
 
+  const indexToX = (index, width) => padding + (index / (elevationProfile.length - 1)) * (width - 2 * padding);
+
   // Smooth the elevation data using a simple moving average
   const smoothElevationProfile = elevationProfile.map((point, index) => {
     if (!point || typeof point.elevation !== 'number') {
@@ -107,7 +156,7 @@ const ElevationProfileBar = ({
         right: 0,
         zIndex: 5,
         borderRadius: '12px 12px 0 0',
-        maxHeight: '200px'
+        maxHeight: showWeather ? '330px' : '200px'
       }}
     >
       <Stack gap="sm">
@@ -131,11 +180,30 @@ const ElevationProfileBar = ({
                 ↘ {formatElevation(elevationStats.loss)}
               </Badge>
             )}
+            {climbs.length > 0 && (
+              <Badge variant="light" color="grape">
+                {climbs.length} {climbs.length === 1 ? 'climb' : 'climbs'}
+              </Badge>
+            )}
             {routeStats?.confidence && (
               <Badge variant="light" color="orange">
                 {Math.round(routeStats.confidence * 100)}% confidence
               </Badge>
             )}
+            {darkStretches.length > 0 && (
+              <Badge variant="light" color="dark">
+                Lights from {dayjs(darkStretches[0].from).format('HH:mm')}
+              </Badge>
+            )}
+            <Tooltip label={showWeather ? 'Hide weather timeline' : 'Weather along route'}>
+              <ActionIcon
+                variant={showWeather ? 'filled' : 'light'}
+                size="sm"
+                onClick={() => setShowWeather(value => !value)}
+              >
+                <CloudSun size={14} />
+              </ActionIcon>
+            </Tooltip>
           </Group>
         </Group>
 
@@ -164,6 +232,59 @@ const ElevationProfileBar = ({
                 </linearGradient>
               </defs>
               <rect width="100%" height="100%" fill="url(#grid)" />
+
+              {/* Daylight band: stretches ridden between civil dusk and dawn */}
+              {darkStretches.map(stretch => {
+                const x1 = indexToX(stretch.startIndex, 800);
+                const x2 = indexToX(stretch.endIndex, 800);
+                return (
+                  <rect
+                    key={`dark-${stretch.startIndex}`}
+                    x={x1}
+                    y={0}
+                    width={Math.max(x2 - x1, 2)}
+                    height={chartHeight}
+                    fill="#1e293b"
+                    opacity="0.15"
+                  >
+                    <title>
+                      {`In the dark ${dayjs(stretch.from).format('HH:mm')}–${dayjs(stretch.to).format('HH:mm')}: lights needed`}
+                    </title>
+                  </rect>
+                );
+              })}
+
+              {/* Climb bands */}
+              {climbs.map(climb => {
+                const x1 = indexToX(climb.startIndex, 800);
+                const x2 = indexToX(climb.endIndex, 800);
+                return (
+                  <g key={`${climb.startIndex}-${climb.endIndex}`}>
+                    <rect
+                      x={x1}
+                      y={padding}
+                      width={Math.max(x2 - x1, 2)}
+                      height={chartHeight - 2 * padding}
+                      fill={climb.color}
+                      opacity="0.18"
+                    >
+                      <title>
+                        {`${climb.label}: ${formatDistance(climb.length / 1000)} at ${climb.avgGradient}% (max ${climb.maxGradient}%)`}
+                      </title>
+                    </rect>
+                    <text
+                      x={(x1 + x2) / 2}
+                      y={padding + 10}
+                      fontSize="10"
+                      fontWeight="600"
+                      fill={climb.color}
+                      textAnchor="middle"
+                    >
+                      {climb.label}
+                    </text>
+                  </g>
+                );
+              })}
               
               {(() => {
                 const svgWidth = 800;
@@ -265,15 +386,24 @@ const ElevationProfileBar = ({
                   <Text size="xs">{formatElevation(elevationStats.max)}</Text>
                 </Group>
               )}
-              {routeStats?.duration && (
+              {estimatedDuration && (
                 <Group justify="space-between">
                   <Text size="xs" c="dimmed">Est. Time:</Text>
-                  <Text size="xs">{Math.round(routeStats.duration / 60)}min</Text>
+                  <Text size="xs">{Math.round(estimatedDuration / 60)}min</Text>
                 </Group>
               )}
             </Stack>
           </div>
         </div>
+
+        {showWeather && (
+          <RouteWeatherTimeline
+            points={routePoints?.length >= 2 ? routePoints : elevationProfile}
+            departureTime={departureTime}
+            totalSeconds={estimatedDuration || null}
+            onDepartureChange={setPlannedDeparture}
+          />
+        )}
       </Stack>
     </Paper>
   );
@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useRef } from 'react';
 import {
   Container,
   Paper,
@@ -14,7 +14,9 @@ import {
   Center,
   Loader,
   ActionIcon,
-  ScrollArea
+  ScrollArea,
+  SegmentedControl,
+  Switch
 } from '@mantine/core';
 import {
   Upload,
@@ -24,32 +26,105 @@ import {
   Trash2,
   Mountain,
   MapPin,
-  Clock
+  Clock,
+  Archive,
+  SkipForward,
+  Copy
 } from 'lucide-react';
 import { Dropzone } from '@mantine/dropzone';
 import toast from 'react-hot-toast';
-import { parseGPX } from '../utils/gpx';
-import { parseFIT } from '../utils/fit';
+import { getActivityFileType } from '../utils/activityParsing';
+import { parseActivityFile } from '../utils/parserWorkers';
+import { isActivityArchive, readActivityArchive, isCyclingActivity } from '../utils/archiveImport';
+import { findDuplicateRoute, mergeRideStreams, createImportBatch, claimBatchRide } from '../utils/duplicates';
+import { cleanTrack, DEFAULT_CLEANING_OPTIONS } from '../utils/gpsCleaning';
+import GpsCleaningSettings from './GpsCleaningSettings';
+import { correctTrackElevations } from '../utils/elevationCorrection';
+import { analyzePower, toRoutePowerColumns } from '../utils/powerAnalysis';
+import { summarizeHeartRate } from '../utils/trainingLoad';
+import { analyzeMovement, toRouteMovementColumns } from '../utils/movement';
+import { useRiderProfile } from '../contexts/RiderProfileContext';
 import { supabase } from '../supabase';
 import { useAuth } from '../contexts/AuthContext';
 import { useUnits } from '../utils/units';
 
+// Files imported at once; exports can hold thousands of activities
+const IMPORT_CONCURRENCY = 2;
+
+// Run the worker over every item, a few at a time
+async function runQueue(items, worker, concurrency) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
 const FileUpload = () => {
   const { user } = useAuth();
+  const { getFtpForDate } = useRiderProfile();
   const { formatDistance, formatElevation } = useUnits();
   const [files, setFiles] = useState([]);
   const [uploading, setUploading] = useState(false);
   const [status, setStatus] = useState({});
-
-  // Handle file selection
-  const handleFiles = useCallback((newFiles) => {
-    const fileData = newFiles.map(file => ({
+  const [archives, setArchives] = useState([]);
+  const [readingArchive, setReadingArchive] = useState(false);
+  // What to do when an upload matches an existing ride: ask, skip, replace or merge
+  const [duplicatePolicy, setDuplicatePolicy] = useState('ask');
+  const duplicateResolvers = useRef({});
+  // Rides parsed in the current upload run (see claimBatchRide)
+  const importBatch = useRef(createImportBatch());
+  const [cleaningOptions, setCleaningOptions] = useState(DEFAULT_CLEANING_OPTIONS);
+  // Replace recorded elevations with terrain elevations (phone GPS altitude is unreliable)
+  const [correctElevation, setCorrectElevation] = useState(false);
+
+  // Handle file selection. Export archives are listed as their activity
+  // files, each carrying its activities.csv entry; an archive file is only
+  // unzipped (loadFile) when its turn in the upload queue comes.
+  const handleFiles = useCallback(async (newFiles) => {
+    const toFileData = (file, extra = {}) => ({
       file,
+      name: file?.name,
       id: Math.random().toString(36),
       status: 'selected',
-      progress: 0
-    }));
-    setFiles(prev => [...prev, ...fileData]);
+      progress: 0,
+      ...extra
+    });
+
+    const plainFiles = newFiles.filter(file => !isActivityArchive(file));
+    setFiles(prev => [...prev, ...plainFiles.map(file => toFileData(file))]);
+
+    const archiveFiles = newFiles.filter(isActivityArchive);
+    if (archiveFiles.length === 0) return;
+
+    setReadingArchive(true);
+    try {
+      for (const archiveFile of archiveFiles) {
+        try {
+          const { activities, ignored, hasManifest } = await readActivityArchive(archiveFile);
+          setFiles(prev => [
+            ...prev,
+            ...activities.map(activity => toFileData(null, {
+              name: activity.name,
+              loadFile: activity.load,
+              archive: archiveFile.name,
+              path: activity.path,
+              manifest: activity.manifest
+            }))
+          ]);
+          setArchives(prev => [...prev, { name: archiveFile.name, activities: activities.length, ignored, hasManifest }]);
+          toast.success(`${archiveFile.name}: ${activities.length} activities found`);
+        } catch (error) {
+          console.error('Failed to read archive:', error);
+          toast.error(`Could not read ${archiveFile.name}: ${error.message}`);
+        }
+      }
+    } finally {
+      setReadingArchive(false);
+    }
   }, []);
 
   // Calculate simple stats for preview (improved haversine)
@@ -87,32 +162,31 @@ const FileUpload = () => {
     };
   };
 
-  // Upload single file
+  // Upload single file; resolves to its final status (completed, skipped or error)
   const uploadFile = async (fileData) => {
     const updateStatus = (updates) => {
       setStatus(prev => ({ ...prev, [fileData.id]: { ...prev[fileData.id], ...updates } }));
     };
+    let batchRide = null;
 
     try {
-      updateStatus({ status: 'parsing', progress: 20 });
-
-      // Detect file type and parse accordingly
-      const fileName = fileData.file.name.toLowerCase();
-      const isFitFile = fileName.endsWith('.fit') || fileName.endsWith('.fit.gz');
-      const isCompressed = fileName.endsWith('.fit.gz') || fileName.endsWith('.gz');
-      
-      let routeData;
-      if (isFitFile) {
-        // Parse FIT file (compressed or uncompressed)
-        const fitBuffer = await fileData.file.arrayBuffer();
-        routeData = await parseFIT(fitBuffer, isCompressed);
-      } else {
-        // Parse GPX file
-        const gpxText = await fileData.file.text();
-        routeData = parseGPX(gpxText);
+      // Skip runs, swims and other non-cycling activities listed in the export manifest
+      if (fileData.manifest && !isCyclingActivity(fileData.manifest.type)) {
+        updateStatus({ status: 'skipped', reason: `${fileData.manifest.type} activity` });
+        return 'skipped';
       }
+
+      updateStatus({ status: 'parsing', progress: 5 });
+
+      // Parse in a worker (GPX, TCX, FIT, compressed FIT, GeoJSON or KML/KMZ); the bar follows
+      // the parser's progress up to 30%
+      const fileType = getActivityFileType(fileData.name).label;
+      const file = fileData.file || await fileData.loadFile();
+      const routeData = await parseActivityFile(file, {
+        onProgress: (share) => updateStatus({ progress: 5 + share * 25 })
+      });
       
-      console.log(`${isFitFile ? (isCompressed ? 'Compressed FIT' : 'FIT') : 'GPX'} parsed:`, {
+      console.log(`${fileType} parsed:`, {
         trackPoints: routeData?.trackPoints?.length,
         metadata: routeData?.metadata,
         firstPoint: routeData?.trackPoints?.[0],
@@ -120,15 +194,83 @@ const FileUpload = () => {
       });
       
       if (!routeData?.trackPoints?.length) {
+        // Indoor and manual activities in an export have no GPS track
+        if (fileData.archive) {
+          updateStatus({ status: 'skipped', reason: 'No GPS track (indoor or manual activity)' });
+          return 'skipped';
+        }
         throw new Error('No GPS track found in file');
       }
 
-      const points = routeData.trackPoints;
+      // GPS cleanup before anything is stored. The full unfiltered recording,
+      // before the parser's 5000-point simplification, is kept alongside as
+      // raw_track, and sensor metrics (power, heart rate) come from it.
+      const rawPoints = routeData.trackPoints;
+      const recording = routeData.sensorPoints || rawPoints;
+      const cleaning = cleanTrack(rawPoints, cleaningOptions);
+      let points = cleaning.points;
+      let sensorPoints = recording;
+
+      // Same ride already uploaded (re-upload, or recorded on a second device)?
+      // A file of the same ride earlier in this batch is waited for first, so
+      // the database check below finds it once it is stored.
+      updateStatus({ status: 'checking', progress: 35 });
+      batchRide = claimBatchRide(importBatch.current, points);
+      if (batchRide.earlier) {
+        await batchRide.earlier.done;
+      }
+      const duplicate = await findDuplicateRoute(user.id, points);
+      let duplicateAction = null;
+      if (duplicate) {
+        duplicateAction = duplicatePolicy;
+        if (duplicateAction === 'ask') {
+          updateStatus({
+            status: 'duplicate',
+            duplicate: {
+              name: duplicate.route.name,
+              date: duplicate.route.created_at,
+              similarity: duplicate.similarity
+            }
+          });
+          duplicateAction = await new Promise(resolve => {
+            duplicateResolvers.current[fileData.id] = resolve;
+          });
+        }
+
+        if (duplicateAction === 'skip') {
+          updateStatus({ status: 'skipped', reason: `Duplicate of "${duplicate.route.name}"` });
+          return 'skipped';
+        }
+        if (duplicateAction === 'merge') {
+          const merged = mergeRideStreams(duplicate.points, points);
+          points = merged.points;
+          sensorPoints = mergeRideStreams(duplicate.points, sensorPoints).points;
+          console.log('Merged sensor streams:', merged.sources);
+        }
+      }
+
+      // Optional elevation correction from the terrain source. The recorded
+      // elevations stay in raw_track and their gain/loss is stored alongside.
+      let elevationCorrection = null;
+      if (correctElevation) {
+        updateStatus({ status: 'correcting', progress: 40 });
+        elevationCorrection = await correctTrackElevations(points, process.env.REACT_APP_MAPBOX_TOKEN, {
+          onProgress: (share) => updateStatus({ progress: 40 + share * 10 }),
+          recordedPoints: recording
+        });
+        if (elevationCorrection) {
+          points = elevationCorrection.points;
+        } else {
+          console.warn('No terrain data for this track, keeping recorded elevations');
+        }
+      }
+
       updateStatus({ status: 'uploading', progress: 50 });
 
       // Extract activity date from metadata or first track point
       const activityDate = routeData.metadata?.time || 
                           routeData.trackPoints?.[0]?.time || 
+                          fileData.manifest?.date ||
                           new Date().toISOString();
 
       console.log('Activity date extracted:', activityDate);
@@ -138,10 +280,17 @@ const FileUpload = () => {
         .from('routes')
         .insert({
           user_id: user.id,
-          name: routeData.metadata?.name || fileData.file.name.replace(/\.(gpx|fit|fit\.gz)$/i, ''),
-          filename: fileData.file.name,
+          name: (duplicateAction === 'merge' && duplicate.route.name) ||
+            fileData.manifest?.name || routeData.metadata?.name || fileData.name.replace(/\.(gpx|tcx|fit|fit\.gz|geojson|json|kml|kmz)$/i, ''),
+          filename: fileData.name,
           source: 'upload',
-          created_at: activityDate
+          created_at: activityDate,
+          // Export manifest details (migration: add-import-metadata-columns.sql)
+          ...(fileData.manifest ? {
+            external_id: fileData.manifest.activityId,
+            activity_type: fileData.manifest.type,
+            gear: fileData.manifest.gear
+          } : {})
         })
         .select()
         .single();
@@ -150,13 +299,23 @@ const FileUpload = () => {
 
       updateStatus({ progress: 70 });
 
-      // Insert track points in chunks - try minimal columns first
+      // Insert track points in chunks with every sensor channel the parser produced
+      const roundOrNull = (value) => (value === null || value === undefined || isNaN(value)) ? null : Math.round(value);
+      const decimalOrNull = (value, places) => (value === null || value === undefined || isNaN(value)) ?
+        null : Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+
       const trackPoints = points.map((point, index) => ({
         route_id: route.id,
         lat: point.latitude,
         lng: point.longitude,
         elevation: point.elevation ? Math.round(point.elevation) : null,
-        sequence_num: index
+        timestamp_utc: point.time || null,
+        sequence_num: index,
+        heart_rate: roundOrNull(point.heartRate),
+        power_watts: roundOrNull(point.power),
+        cadence: roundOrNull(point.cadence),
+        speed_kmh: decimalOrNull(point.speed, 2),
+        temperature_c: decimalOrNull(point.temperature, 1)
       }));
 
       console.log('Inserting track points:', {
@@ -188,6 +347,27 @@ const FileUpload = () => {
       
       console.log('Track points inserted:', insertedPoints?.length);
 
+      // Keep the raw recording and what the cleanup changed (migration: add-gps-cleaning-columns.sql),
+      // and the recorded gain/loss when elevations were corrected (migration: add-elevation-correction-columns.sql)
+      if (cleaningOptions.enabled || elevationCorrection) {
+        const { error: rawTrackError } = await supabase
+          .from('routes')
+          .update({
+            raw_track: recording.map(point => [point.latitude, point.longitude, point.elevation ?? null, point.time ?? null]),
+            ...(cleaningOptions.enabled ? { cleaning_report: cleaning.report } : {}),
+            ...(elevationCorrection ? {
+              elevation_corrected: true,
+              original_elevation_gain_m: elevationCorrection.original.gain,
+              original_elevation_loss_m: elevationCorrection.original.loss
+            } : {})
+          })
+          .eq('id', route.id);
+
+        if (rawTrackError) {
+          console.warn('Failed to store the raw track:', rawTrackError);
+        }
+      }
+
       updateStatus({ status: 'calculating', progress: 90 });
 
       // Calculate route statistics using fresh schema functions
@@ -217,6 +397,28 @@ const FileUpload = () => {
         console.warn('Elevation profile generation failed:', profileError);
       }
 
+      // Store power analysis (NP, IF, TSS, power curve) and heart rate summary
+      // used by the training load model, plus moving time and stops from the
+      // cleaned track (stop jitter removed)
+      const powerAnalysis = analyzePower(sensorPoints, { ftp: getFtpForDate(activityDate) });
+      const heartRateSummary = summarizeHeartRate(sensorPoints);
+      const movement = analyzeMovement(points);
+      if (powerAnalysis || heartRateSummary || movement) {
+        const { error: metricsError } = await supabase
+          .from('routes')
+          .update({
+            ...(powerAnalysis ? toRoutePowerColumns(powerAnalysis) : {}),
+            ...(heartRateSummary || {}),
+            // migration: add-moving-time-columns.sql
+            ...(movement ? toRouteMovementColumns(movement) : {})
+          })
+          .eq('id', route.id);
+
+        if (metricsError) {
+          console.warn('Failed to store ride metrics:', metricsError);
+        }
+      }
+
       // Check what the database calculated
       const { data: updatedRoute, error: fetchError } = await supabase
         .from('routes')
@@ -238,6 +440,19 @@ const FileUpload = () => {
         fullRoute: updatedRoute
       });
 
+      // Replaced or merged: the new route supersedes the old one (track points cascade)
+      if (duplicate && (duplicateAction === 'replace' || duplicateAction === 'merge')) {
+        const { error: deleteError } = await supabase
+          .from('routes')
+          .delete()
+          .eq('id', duplicate.route.id);
+
+        if (deleteError) {
+          console.warn('Failed to remove the duplicate route:', deleteError);
+          toast.error(`Uploaded, but could not remove the old copy of "${duplicate.route.name}"`);
+        }
+      }
+
       const stats = calculateStats(points);
       console.log('Client-side calculated stats:', stats);
       
@@ -251,10 +466,19 @@ const FileUpload = () => {
         status: 'completed', 
         progress: 100,
         stats,
-        route
+        route,
+        duplicateAction,
+        cleaningReport: cleaningOptions.enabled ? cleaning.report : null,
+        warnings: routeData.warnings || [],
+        elevationCorrection: elevationCorrection ?
+          { original: elevationCorrection.original, corrected: elevationCorrection.corrected } : null
       });
 
-      toast.success(`Uploaded ${fileData.file.name}`);
+      // Archive imports report once at the end instead of per file
+      if (!fileData.archive) {
+        toast.success(`Uploaded ${fileData.name}`);
+      }
+      return 'completed';
 
     } catch (error) {
       console.error('Upload failed:', error);
@@ -262,22 +486,42 @@ const FileUpload = () => {
         status: 'error', 
         error: error.message 
       });
-      toast.error(`Failed: ${error.message}`);
+      if (!fileData.archive) {
+        toast.error(`Failed: ${error.message}`);
+      }
+      return 'error';
+    } finally {
+      if (batchRide) batchRide.finish();
     }
   };
 
-  // Upload all files
+  // Upload everything not yet imported, through the queue
   const uploadAll = async () => {
+    const pending = files.filter(f => !['completed', 'skipped'].includes(status[f.id]?.status));
     setUploading(true);
+    importBatch.current = createImportBatch();
     try {
-      await Promise.all(files.map(uploadFile));
-      toast.success('All files uploaded!');
+      const results = { completed: 0, skipped: 0, error: 0 };
+      await runQueue(pending, async (fileData) => {
+        results[await uploadFile(fileData)]++;
+      }, IMPORT_CONCURRENCY);
+      toast.success(`Imported ${results.completed}, skipped ${results.skipped}, failed ${results.error}`);
     } finally {
       setUploading(false);
     }
   };
 
+  // Answer a duplicate prompt for one file
+  const resolveDuplicate = (id, action) => {
+    const resolve = duplicateResolvers.current[id];
+    if (resolve) {
+      delete duplicateResolvers.current[id];
+      resolve(action);
+    }
+  };
+
   const removeFile = (id) => {
+    resolveDuplicate(id, 'skip');
     setFiles(prev => prev.filter(f => f.id !== id));
     setStatus(prev => {
       const newStatus = { ...prev };
@@ -288,13 +532,14 @@ const FileUpload = () => {
 
   const completed = files.filter(f => status[f.id]?.status === 'completed').length;
   const failed = files.filter(f => status[f.id]?.status === 'error').length;
+  const skipped = files.filter(f => status[f.id]?.status === 'skipped').length;
 
   return (
     <Container size="lg">
       <Stack gap="lg">
         <div>
           <Title order={2}>Upload Cycling Routes</Title>
-          <Text c="dimmed">Upload GPX or FIT files for instant analysis with advanced Garmin device data</Text>
+          <Text c="dimmed">Upload GPX, TCX or FIT files, GeoJSON or KML/KMZ routes, or a full Strava/Garmin export archive, for instant analysis with advanced Garmin device data</Text>
         </div>
 
         {/* Drop Zone */}
@@ -303,32 +548,80 @@ const FileUpload = () => {
             onDrop={handleFiles}
             accept={{
               'application/gpx+xml': ['.gpx'],
-              'text/xml': ['.gpx'],
-              'application/xml': ['.gpx'],
+              'application/vnd.garmin.tcx+xml': ['.tcx'],
+              'text/xml': ['.gpx', '.tcx'],
+              'application/xml': ['.gpx', '.tcx'],
               'application/octet-stream': ['.fit', '.fit.gz'],
               'application/x-garmin-fit': ['.fit'],
-              'application/gzip': ['.fit.gz', '.gz']
+              'application/gzip': ['.fit.gz', '.gz'],
+              'application/zip': ['.zip'],
+              'application/x-zip-compressed': ['.zip'],
+              'application/geo+json': ['.geojson'],
+              'application/json': ['.geojson', '.json'],
+              'application/vnd.google-earth.kml+xml': ['.kml'],
+              'application/vnd.google-earth.kmz': ['.kmz']
             }}
-            disabled={uploading}
+            disabled={uploading || readingArchive}
             multiple
           >
             <Center style={{ minHeight: 100 }}>
               <Stack align="center" gap="sm">
-                <Upload size={48} color="gray" />
+                {readingArchive ? <Loader size={48} /> : <Upload size={48} color="gray" />}
                 <div>
-                  <Text size="lg" fw={500}>Drop GPX or FIT files here</Text>
-                  <Text size="sm" c="dimmed">Supports Garmin FIT and GPX files</Text>
+                  <Text size="lg" fw={500}>Drop GPX, TCX or FIT files here</Text>
+                  <Text size="sm" c="dimmed">Supports Garmin FIT, TCX (Garmin, Polar, Wahoo) and GPX files</Text>
+                  <Text size="sm" c="dimmed">Planned routes from Google My Maps (KML/KMZ) and GIS tools (GeoJSON)</Text>
+                  <Text size="sm" c="dimmed">or a Strava/Garmin account export (.zip) to import every ride</Text>
                 </div>
               </Stack>
             </Center>
           </Dropzone>
         </Paper>
 
+        <GpsCleaningSettings
+          options={cleaningOptions}
+          onChange={setCleaningOptions}
+          disabled={uploading}
+        />
+
+        <Paper withBorder p="md">
+          <Group justify="space-between">
+            <Group gap="xs">
+              <Mountain size={16} />
+              <div>
+                <Text size="sm" fw={500}>Correct elevation</Text>
+                <Text size="xs" c="dimmed">Replaces recorded elevations with terrain data and recalculates climbing. Use for phone recordings.</Text>
+              </div>
+            </Group>
+            <Switch
+              checked={correctElevation}
+              onChange={(e) => setCorrectElevation(e.currentTarget.checked)}
+              disabled={uploading}
+              aria-label="Correct elevation"
+            />
+          </Group>
+        </Paper>
+
         {/* File List */}
         {files.length > 0 && (
           <Paper withBorder p="md">
             <Group justify="space-between" mb="md">
               <Title order={4}>Files ({files.length})</Title>
+              <Group gap="xs">
+                <Text size="xs" c="dimmed">Duplicates:</Text>
+                <SegmentedControl
+                  size="xs"
+                  value={duplicatePolicy}
+                  onChange={setDuplicatePolicy}
+                  disabled={uploading}
+                  data={[
+                    { value: 'ask', label: 'Ask' },
+                    { value: 'skip', label: 'Skip' },
+                    { value: 'replace', label: 'Replace' },
+                    { value: 'merge', label: 'Merge' }
+                  ]}
+                />
+              </Group>
               <Button
                 onClick={uploadAll}
                 disabled={uploading || files.length === 0}
@@ -338,10 +631,22 @@ const FileUpload = () => {
               </Button>
             </Group>
 
+            {/* Export archives */}
+            {archives.map(archive => (
+              <Group key={archive.name} gap="xs" mb="xs">
+                <Archive size={14} />
+                <Text size="sm">
+                  {archive.name}: {archive.activities} activities
+                  {archive.hasManifest ? ' matched to activities.csv' : ' (no activities.csv found)'}
+                  {archive.ignored > 0 ? `, ${archive.ignored} other files ignored` : ''}
+                </Text>
+              </Group>
+            ))}
+
             {/* Summary */}
-            {(completed > 0 || failed > 0) && (
+            {(completed > 0 || failed > 0 || skipped > 0) && (
               <Alert mb="md" color={failed > 0 ? 'orange' : 'green'}>
-                {completed} completed, {failed} failed, {files.length - completed - failed} pending
+                {completed} imported, {skipped} skipped, {failed} failed, {files.length - completed - failed - skipped} pending
               </Alert>
             )}
 
@@ -358,18 +663,30 @@ const FileUpload = () => {
                             <Badge
                               color={
                                 fileStatus.status === 'completed' ? 'green' :
-                                fileStatus.status === 'error' ? 'red' : 'blue'
+                                fileStatus.status === 'error' ? 'red' :
+                                fileStatus.status === 'skipped' ? 'gray' :
+                                fileStatus.status === 'duplicate' ? 'yellow' : 'blue'
                               }
                               leftSection={
                                 fileStatus.status === 'completed' ? <CheckCircle size={14} /> :
                                 fileStatus.status === 'error' ? <XCircle size={14} /> :
-                                ['parsing', 'uploading', 'calculating'].includes(fileStatus.status) ? 
+                                fileStatus.status === 'skipped' ? <SkipForward size={14} /> :
+                                fileStatus.status === 'duplicate' ? <Copy size={14} /> :
+                                ['parsing', 'checking', 'correcting', 'uploading', 'calculating'].includes(fileStatus.status) ? 
                                 <Loader size={14} /> : <FileText size={14} />
                               }
                             >
                               {fileStatus.status}
                             </Badge>
-                            <Text fw={500} size="sm">{fileData.file.name}</Text>
+                            <div>
+                              <Text fw={500} size="sm">{fileData.manifest?.name || fileData.name}</Text>
+                              {fileData.archive && (
+                                <Text size="xs" c="dimmed">
+                                  {fileData.path}
+                                  {fileData.manifest?.gear ? ` · ${fileData.manifest.gear}` : ''}
+                                </Text>
+                              )}
+                            </div>
                           </Group>
                           <ActionIcon
                             variant="subtle"
@@ -382,10 +699,37 @@ const FileUpload = () => {
                         </Group>
 
                         {/* Progress */}
-                        {['parsing', 'uploading', 'calculating'].includes(fileStatus.status) && (
+                        {['parsing', 'checking', 'correcting', 'uploading', 'calculating'].includes(fileStatus.status) && (
                           <Progress value={fileStatus.progress} size="sm" animated />
                         )}
 
+                        {/* Duplicate prompt */}
+                        {fileStatus.status === 'duplicate' && fileStatus.duplicate && (
+                          <Alert color="yellow" p="xs">
+                            <Text size="xs" mb={6}>
+                              Looks like "{fileStatus.duplicate.name}" from {new Date(fileStatus.duplicate.date).toLocaleString()}
+                              {' '}({Math.round(fileStatus.duplicate.similarity * 100)}% of the track matches).
+                              Merge takes each sensor stream (HR, power, cadence) from whichever file recorded more of it.
+                            </Text>
+                            <Group gap="xs">
+                              <Button size="compact-xs" variant="default" onClick={() => resolveDuplicate(fileData.id, 'skip')}>
+                                Skip
+                              </Button>
+                              <Button size="compact-xs" variant="light" color="orange" onClick={() => resolveDuplicate(fileData.id, 'replace')}>
+                                Replace
+                              </Button>
+                              <Button size="compact-xs" variant="light" onClick={() => resolveDuplicate(fileData.id, 'merge')}>
+                                Merge streams
+                              </Button>
+                            </Group>
+                          </Alert>
+                        )}
+
+                        {/* Skipped */}
+                        {fileStatus.status === 'skipped' && fileStatus.reason && (
+                          <Text size="xs" c="dimmed">{fileStatus.reason}</Text>
+                        )}
+
                         {/* Error */}
                         {fileStatus.status === 'error' && (
                           <Alert color="red" size="sm">
@@ -396,6 +740,12 @@ const FileUpload = () => {
                         {/* Success Stats */}
                         {fileStatus.status === 'completed' && fileStatus.stats && (
                           <Group gap="md">
+                            {fileStatus.duplicateAction === 'replace' && (
+                              <Badge size="xs" variant="light" color="orange">Replaced existing</Badge>
+                            )}
+                            {fileStatus.duplicateAction === 'merge' && (
+                              <Badge size="xs" variant="light">Merged with existing</Badge>
+                            )}
                             <Group gap="xs">
                               <MapPin size={12} />
                               <Text size="xs">{formatDistance(fileStatus.stats.distance)}</Text>
@@ -406,6 +756,35 @@ const FileUpload = () => {
                             </Group>
                           </Group>
                         )}
+
+                        {/* Parts of the file the parser left out */}
+                        {fileStatus.status === 'completed' && fileStatus.warnings?.length > 0 && (
+                          <Alert color="yellow" size="sm">
+                            {fileStatus.warnings.join(' ')}
+                          </Alert>
+                        )}
+
+                        {/* GPS cleanup before/after */}
+                        {fileStatus.status === 'completed' && fileStatus.cleaningReport && (() => {
+                          const { before, after, steps } = fileStatus.cleaningReport;
+                          const changes = steps.filter(step => step.id !== 'smoothing' && step.count > 0);
+                          return (
+                            <Text size="xs" c="dimmed">
+                              GPS cleanup: {before.pointCount} → {after.pointCount} points,
+                              {' '}{formatDistance(before.distanceKm)} → {formatDistance(after.distanceKm)},
+                              {' '}↗ {formatElevation(before.elevationGainM)} → {formatElevation(after.elevationGainM)}
+                              {changes.length > 0 && ` (${changes.map(step => `${step.count} ${step.label}`).join(', ')})`}
+                            </Text>
+                          );
+                        })()}
+
+                        {/* Elevation correction before/after */}
+                        {fileStatus.status === 'completed' && fileStatus.elevationCorrection && (
+                          <Text size="xs" c="dimmed">
+                            Elevation corrected: ↗ {formatElevation(fileStatus.elevationCorrection.original.gain)} → {formatElevation(fileStatus.elevationCorrection.corrected.gain)},
+                            {' '}↘ {formatElevation(fileStatus.elevationCorrection.original.loss)} → {formatElevation(fileStatus.elevationCorrection.corrected.loss)}
+                          </Text>
+                        )}
                       </Stack>
                     </Card>
                   );
@@ -0,0 +1,86 @@
+import React from 'react';
+import { Paper, Group, Text, Switch, Select, NumberInput, Collapse } from '@mantine/core';
+import { Sparkles } from 'lucide-react';
+import { useUnits, convertSpeed } from '../utils/units';
+
+// Options for the GPS cleanup run on uploaded tracks before they're stored
+const GpsCleaningSettings = ({ options, onChange, disabled = false }) => {
+  const { useImperial, speedUnit } = useUnits();
+
+  const update = (changes) => onChange({ ...options, ...changes });
+  const displaySpeed = useImperial ? Math.round(convertSpeed.kmhToMph(options.maxSpeedKmh)) : options.maxSpeedKmh;
+
+  return (
+    <Paper withBorder p="md">
+      <Group justify="space-between">
+        <Group gap="xs">
+          <Sparkles size={16} />
+          <div>
+            <Text size="sm" fw={500}>GPS cleanup</Text>
+            <Text size="xs" c="dimmed">Removes spikes, stop jitter and elevation glitches before saving. The raw track is kept.</Text>
+          </div>
+        </Group>
+        <Switch
+          checked={options.enabled}
+          onChange={(e) => update({ enabled: e.currentTarget.checked })}
+          disabled={disabled}
+          aria-label="GPS cleanup"
+        />
+      </Group>
+
+      <Collapse in={options.enabled}>
+        <Group mt="sm" gap="lg" align="flex-end">
+          <Switch
+            size="xs"
+            label="Reject GPS spikes"
+            checked={options.rejectOutliers}
+            onChange={(e) => update({ rejectOutliers: e.currentTarget.checked })}
+            disabled={disabled}
+          />
+          <Switch
+            size="xs"
+            label="Collapse stops"
+            checked={options.collapseStationary}
+            onChange={(e) => update({ collapseStationary: e.currentTarget.checked })}
+            disabled={disabled}
+          />
+          <Switch
+            size="xs"
+            label="Fix elevation spikes"
+            checked={options.removeElevationSpikes}
+            onChange={(e) => update({ removeElevationSpikes: e.currentTarget.checked })}
+            disabled={disabled}
+          />
+          <NumberInput
+            size="xs"
+            w={130}
+            label={`Max speed (${speedUnit})`}
+            value={displaySpeed}
+            min={10}
+            max={250}
+            onChange={(value) => {
+              if (typeof value !== 'number') return;
+              update({ maxSpeedKmh: useImperial ? convertSpeed.mphToKmh(value) : value });
+            }}
+            disabled={disabled || !options.rejectOutliers}
+          />
+          <Select
+            size="xs"
+            w={160}
+            label="Smoothing"
+            value={options.smoothing}
+            onChange={(value) => update({ smoothing: value || 'none' })}
+            data={[
+              { value: 'kalman', label: 'Kalman filter' },
+              { value: 'window', label: 'Moving average' },
+              { value: 'none', label: 'None' }
+            ]}
+            disabled={disabled}
+          />
+        </Group>
+      </Collapse>
+    </Paper>
+  );
+};
+
+export default GpsCleaningSettings;
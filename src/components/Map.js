@@ -23,6 +23,8 @@ import './Map.css';
 import RouteBuilder from './RouteBuilder';
 import RouteProfile from './RouteProfile';
 import ElevationProfileBar from './ElevationProfileBar';
+import RouteExportMenu from './RouteExportMenu';
+import { fromSavedRoute } from '../utils/routeExport';
 
 const MapComponent = () => {
   const { user } = useAuth();
@@ -182,9 +184,17 @@ const MapComponent = () => {
                         <Text fw={500} size="sm">
                           {route.metadata?.name || `Route ${index + 1}`}
                         </Text>
-                        <ActionIcon size="xs" variant="subtle">
-                          <MapPin size={12} />
-                        </ActionIcon>
+                        <Group gap={4}>
+                          <RouteExportMenu
+                            getRoute={() => fromSavedRoute(route)}
+                            disabled={!route.track_points?.length}
+                            compact
+                            size="xs"
+                          />
+                          <ActionIcon size="xs" variant="subtle">
+                            <MapPin size={12} />
+                          </ActionIcon>
+                        </Group>
                       </Group>
                       
                       <Group gap="xs">
@@ -320,6 +330,7 @@ const MapComponent = () => {
             }
           }
           isRouteBuilder={!!routeBuilderData}
+          routePoints={routeBuilderData ? null : selectedRouteData?.track_points}
         />
       )}
     </div>
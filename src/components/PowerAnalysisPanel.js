@@ -0,0 +1,64 @@
+import React from 'react';
+import { Paper, Title, Text, Group, SimpleGrid, Badge } from '@mantine/core';
+import { Zap } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { formatCurveDuration } from '../utils/powerAnalysis';
+
+// Ride detail power metrics: NP, IF, TSS, VI and the ride's power curve
+const PowerAnalysisPanel = ({ analysis }) => {
+  if (!analysis) return null;
+
+  const metrics = [
+    { label: 'Avg Power', value: analysis.avgPower !== null ? `${analysis.avgPower} W` : '—' },
+    { label: 'Normalized', value: analysis.normalizedPower ? `${analysis.normalizedPower} W` : '—' },
+    { label: 'Max Power', value: analysis.maxPower !== null ? `${analysis.maxPower} W` : '—' },
+    { label: 'Variability', value: analysis.variabilityIndex ?? '—' },
+    { label: 'Intensity', value: analysis.intensityFactor ? analysis.intensityFactor.toFixed(2) : '—' },
+    { label: 'TSS', value: analysis.tss !== null ? Math.round(analysis.tss) : '—' }
+  ];
+
+  const curveData = analysis.powerCurve.map(point => ({
+    ...point,
+    label: formatCurveDuration(point.duration)
+  }));
+
+  return (
+    <Paper p="md" withBorder>
+      <Group justify="space-between" mb="sm">
+        <Title order={5}>
+          <Group gap="xs">
+            <Zap size={18} />
+            Power Analysis
+          </Group>
+        </Title>
+        <Badge variant="light" color="yellow">FTP {analysis.ftp} W</Badge>
+      </Group>
+
+      <SimpleGrid cols={{ base: 3, sm: 6 }} spacing="xs" mb="md">
+        {metrics.map(metric => (
+          <div key={metric.label}>
+            <Text size="xs" c="dimmed" tt="uppercase" fw={700}>{metric.label}</Text>
+            <Text fw={600}>{metric.value}</Text>
+          </div>
+        ))}
+      </SimpleGrid>
+
+      {curveData.length > 1 && (
+        <ResponsiveContainer width="100%" height={180}>
+          <LineChart data={curveData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" fontSize={12} />
+            <YAxis fontSize={12} tickFormatter={(value) => `${value}W`} />
+            <Tooltip
+              formatter={(value) => [`${value} W`, 'Best average']}
+              labelFormatter={(label) => `Duration: ${label}`}
+            />
+            <Line type="monotone" dataKey="watts" stroke="#fab005" strokeWidth={2} dot={{ r: 3 }} />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </Paper>
+  );
+};
+
+export default PowerAnalysisPanel;
@@ -25,20 +25,31 @@ import {
   TrendingUp,
   Filter,
   Map as MapIcon,
-  Eye
+  Eye,
+  Coffee,
+  Gauge
 } from 'lucide-react';
 import dayjs from 'dayjs';
 import { useAuth } from '../contexts/AuthContext';
 import { useUnits } from '../utils/units';
+import { useRiderProfile } from '../contexts/RiderProfileContext';
 import { supabase } from '../supabase';
 import { LineChart, Line, XAxis, YAxis, ResponsiveContainer, BarChart, Bar, ComposedChart, Tooltip, Legend } from 'recharts';
 import toast from 'react-hot-toast';
 import RouteMap from './RouteMap';
 import ActivityHeatmap from './ActivityHeatmap';
+import PowerAnalysisPanel from './PowerAnalysisPanel';
+import SeasonPowerCurves from './SeasonPowerCurves';
+import TrainingLoadChart from './TrainingLoadChart';
+import { summarizeHeartRate } from '../utils/trainingLoad';
+import { detectClimbs } from '../utils/climbs';
+import { analyzePower, fromRoutePowerColumns } from '../utils/powerAnalysis';
+import { analyzeMovement, toRouteMovementColumns } from '../utils/movement';
 
 const RideAnalysis = () => {
   const { user } = useAuth();
-  const { formatDistance, formatElevation } = useUnits();
+  const { formatDistance, formatElevation, formatSpeed } = useUnits();
+  const { profile, getFtpForDate, heartRateOptions } = useRiderProfile();
   const [routes, setRoutes] = useState([]);
   const [monthlyData, setMonthlyData] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -117,7 +128,7 @@ const RideAnalysis = () => {
       while (hasMoreData && allTrackPoints.length < 50000) { // Safety limit
         const { data: batch, error } = await supabase
           .from('track_points')
-          .select('lat, lng, elevation, sequence_num')
+          .select('lat, lng, elevation, sequence_num, timestamp_utc, power_watts, heart_rate, cadence')
           .eq('route_id', routeId)
           .order('sequence_num')
           .range(offset, offset + batchSize - 1);
@@ -157,9 +168,56 @@ const RideAnalysis = () => {
     }
   };
 
+  // Power analysis for the ride shown in the detail modal. The values stored at
+  // upload come from the full recording; the stored track points are
+  // simplified, so they are only analyzed (for display) when nothing is stored.
+  const powerAnalysis = useMemo(() => {
+    const ftp = selectedRoute ? getFtpForDate(selectedRoute.created_at) : profile.ftp_watts;
+    const stored = fromRoutePowerColumns(selectedRoute, { ftp });
+    if (stored) return stored;
+    if (!routeTrackPoints.length) return null;
+    return analyzePower(
+      routeTrackPoints.map(point => ({ time: point.timestamp_utc, power: point.power_watts })),
+      { ftp }
+    );
+  }, [routeTrackPoints, selectedRoute, getFtpForDate, profile.ftp_watts]);
+
+  // Categorized climbs for the ride shown in the detail modal
+  const climbs = useMemo(() => detectClimbs(routeTrackPoints), [routeTrackPoints]);
+
+  // Moving time and stops for the ride shown in the detail modal
+  const movement = useMemo(() => analyzeMovement(routeTrackPoints), [routeTrackPoints]);
+
+  // Backfill stored heart rate and moving time results for rides uploaded
+  // before they existed. Power is not backfilled: it needs the full recording.
+  useEffect(() => {
+    if (!selectedRoute || !routeTrackPoints.length) return;
+
+    const columns = {
+      ...(selectedRoute.avg_heart_rate === null || selectedRoute.avg_heart_rate === undefined ?
+        summarizeHeartRate(routeTrackPoints) || {} : {}),
+      ...(movement && (selectedRoute.moving_time_seconds === null || selectedRoute.moving_time_seconds === undefined) ?
+        toRouteMovementColumns(movement) : {})
+    };
+    if (Object.keys(columns).length === 0) return;
+
+    supabase
+      .from('routes')
+      .update(columns)
+      .eq('id', selectedRoute.id)
+      .then(({ error }) => {
+        if (error) {
+          console.warn('Failed to store ride metrics:', error);
+          return;
+        }
+        setRoutes(prev => prev.map(r => r.id === selectedRoute.id ? { ...r, ...columns } : r));
+      });
+  }, [movement, selectedRoute, routeTrackPoints]);
+
   // Open map modal for a route
   const viewRouteOnMap = async (route) => {
     setSelectedRoute(route);
+    setRouteTrackPoints([]);
     setMapModalOpen(true);
     await loadRouteTrackPoints(route.id);
   };
@@ -200,7 +258,8 @@ const RideAnalysis = () => {
     totalRoutes: filteredRoutes.length,
     totalDistance: filteredRoutes.reduce((sum, r) => sum + (r.distance_km || 0), 0),
     totalElevation: filteredRoutes.reduce((sum, r) => sum + (r.elevation_gain_m || 0), 0),
-    totalTime: filteredRoutes.reduce((sum, r) => sum + (r.duration_seconds || 0), 0),
+    // Moving time where known, elapsed time for older rides
+    totalTime: filteredRoutes.reduce((sum, r) => sum + (r.moving_time_seconds || r.duration_seconds || 0), 0),
     avgDistance: filteredRoutes.length > 0 ? 
       filteredRoutes.reduce((sum, r) => sum + (r.distance_km || 0), 0) / filteredRoutes.length : 0,
     longestRide: Math.max(...filteredRoutes.map(r => r.distance_km || 0), 0)
@@ -363,6 +422,12 @@ const RideAnalysis = () => {
         </Paper>
       )}
 
+      {/* Training load (uses full history regardless of the time filter) */}
+      <TrainingLoadChart routes={routes} heartRateOptions={heartRateOptions} />
+
+      {/* Season-best power curves */}
+      <SeasonPowerCurves routes={filteredRoutes} />
+
       {/* Activity Heatmap */}
       <ActivityHeatmap routes={routes} formatDistance={formatDistance} />
 
@@ -387,8 +452,8 @@ const RideAnalysis = () => {
                   <Group gap="md">
                     <Text size="xs">{formatDistance(route.distance_km || 0)}</Text>
                     <Text size="xs">↗ {formatElevation(route.elevation_gain_m || 0)}</Text>
-                    {route.duration_seconds && (
-                      <Text size="xs">{formatDuration(route.duration_seconds)}</Text>
+                    {(route.moving_time_seconds || route.duration_seconds) && (
+                      <Text size="xs">{formatDuration(route.moving_time_seconds || route.duration_seconds)}</Text>
                     )}
                     <Button
                       size="xs"
@@ -446,17 +511,72 @@ const RideAnalysis = () => {
               <Group gap="xs">
                 <Mountain size={16} />
                 <Text size="sm">↗ {formatElevation(selectedRoute.elevation_gain_m || 0)}</Text>
+                {selectedRoute.elevation_corrected && selectedRoute.original_elevation_gain_m !== null && (
+                  <Text size="xs" c="dimmed">(terrain corrected, recorded ↗ {formatElevation(selectedRoute.original_elevation_gain_m)})</Text>
+                )}
               </Group>
               {selectedRoute.duration_seconds && (
                 <Group gap="xs">
                   <Clock size={16} />
-                  <Text size="sm">{formatDuration(selectedRoute.duration_seconds)}</Text>
+                  <Text size="sm">
+                    {movement ?
+                      `${formatDuration(movement.movingSeconds)} moving (${formatDuration(movement.elapsedSeconds)} elapsed)` :
+                      formatDuration(selectedRoute.duration_seconds)}
+                  </Text>
+                </Group>
+              )}
+              {movement?.avgMovingSpeedKmh > 0 && (
+                <Group gap="xs">
+                  <Gauge size={16} />
+                  <Text size="sm">{formatSpeed(movement.avgMovingSpeedKmh, 1)} avg moving</Text>
                 </Group>
               )}
             </Group>
             
             {/* Map */}
-            <RouteMap trackPoints={routeTrackPoints} mapHeight={500} />
+            <RouteMap trackPoints={routeTrackPoints} climbs={climbs} stops={movement?.stops} mapHeight={500} />
+
+            {/* Stops */}
+            {movement?.stops.length > 0 && (
+              <Stack gap={4}>
+                <Text size="sm" fw={500}>
+                  Stops ({formatDuration(movement.stoppedSeconds)} stopped{movement.coffeeStops > 0 ? `, ${movement.coffeeStops} coffee` : ''})
+                </Text>
+                {movement.stops.map(stop => (
+                  <Group key={stop.startTime} gap="xs">
+                    {stop.isCoffeeStop ? <Coffee size={14} /> : <Clock size={14} />}
+                    <Text size="sm">
+                      {formatDuration(stop.durationSeconds)} at {formatDistance(stop.distanceKm)}
+                    </Text>
+                    <Text size="sm" c="dimmed">{dayjs(stop.startTime).format('HH:mm')}</Text>
+                    {stop.isCoffeeStop && <Badge size="sm" variant="light" color="orange">Coffee stop</Badge>}
+                    {stop.autoPaused && <Badge size="sm" variant="light" color="gray">Auto-paused</Badge>}
+                  </Group>
+                ))}
+              </Stack>
+            )}
+
+            {/* Climbs */}
+            {climbs.length > 0 && (
+              <Stack gap={4}>
+                {climbs.map(climb => (
+                  <Group key={`${climb.startIndex}-${climb.endIndex}`} gap="xs">
+                    <Badge size="sm" variant="filled" color={climb.color}>{climb.label}</Badge>
+                    <Text size="sm">
+                      {formatDistance(climb.length / 1000)} at {climb.avgGradient}% (max {climb.maxGradient}%), ↗ {formatElevation(climb.elevationGain)}
+                    </Text>
+                    {climb.duration && (
+                      <Text size="sm" c="dimmed">
+                        {formatDuration(climb.duration)}{climb.vam ? ` • VAM ${climb.vam} m/h` : ''}
+                      </Text>
+                    )}
+                  </Group>
+                ))}
+              </Stack>
+            )}
+
+            {/* Power */}
+            <PowerAnalysisPanel analysis={powerAnalysis} />
           </Stack>
         )}
       </Modal>
@@ -0,0 +1,303 @@
+import { useState } from 'react';
+import {
+  Modal,
+  Text,
+  Button,
+  Group,
+  Stack,
+  Card,
+  Divider,
+  ActionIcon,
+  Tooltip,
+  NumberInput,
+  TextInput,
+  SimpleGrid,
+  Table,
+  Tabs
+} from '@mantine/core';
+import { HeartPulse, Zap, Trash2, Scale } from 'lucide-react';
+import dayjs from 'dayjs';
+import toast from 'react-hot-toast';
+import { useRiderProfile } from '../contexts/RiderProfileContext';
+import { useUnits } from '../utils/units';
+import {
+  DEFAULT_POWER_ZONES,
+  DEFAULT_HR_ZONES,
+  getPowerZones,
+  getHeartRateZones,
+  validateZones
+} from '../utils/trainingZones';
+
+const KG_TO_LB = 2.20462;
+
+// Editable zone table: upper bounds as a percentage of the reference value
+const ZoneEditor = ({ zones, onChange, reference, unit, buildZones }) => {
+  const computed = buildZones(reference, zones);
+
+  const updateBound = (index, percent) => {
+    onChange(zones.map((zone, i) => i === index ? { ...zone, max: Number(percent) / 100 } : zone));
+  };
+
+  return (
+    <Table fz="xs" verticalSpacing={4}>
+      <Table.Thead>
+        <Table.Tr>
+          <Table.Th>Zone</Table.Th>
+          <Table.Th>Upper bound</Table.Th>
+          <Table.Th>Range</Table.Th>
+        </Table.Tr>
+      </Table.Thead>
+      <Table.Tbody>
+        {zones.map((zone, index) => (
+          <Table.Tr key={zone.name}>
+            <Table.Td>Z{index + 1} {zone.name}</Table.Td>
+            <Table.Td>
+              {zone.max !== null ? (
+                <NumberInput
+                  size="xs"
+                  w={80}
+                  value={Math.round(zone.max * 100)}
+                  onChange={(value) => updateBound(index, value)}
+                  min={1}
+                  max={300}
+                  suffix="%"
+                />
+              ) : (
+                <Text size="xs" c="dimmed">open</Text>
+              )}
+            </Table.Td>
+            <Table.Td>
+              {computed[index]?.max !== null && computed[index]?.max !== undefined
+                ? `${computed[index].min}–${computed[index].max} ${unit}`
+                : `${computed[index]?.min ?? 0}+ ${unit}`}
+            </Table.Td>
+          </Table.Tr>
+        ))}
+      </Table.Tbody>
+    </Table>
+  );
+};
+
+const RiderProfileSettings = () => {
+  const [opened, setOpened] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(null);
+  const { profile, ftpHistory, saveProfile, deleteFtpEntry } = useRiderProfile();
+  const { useImperial } = useUnits();
+
+  const openSettings = () => {
+    setForm({
+      ftp_watts: profile.ftp_watts,
+      ftpEffectiveDate: dayjs().format('YYYY-MM-DD'),
+      weight: useImperial ? Math.round(profile.weight_kg * KG_TO_LB) : profile.weight_kg,
+      max_hr: profile.max_hr,
+      resting_hr: profile.resting_hr,
+      power_zones: profile.power_zones || DEFAULT_POWER_ZONES,
+      hr_zones: profile.hr_zones || DEFAULT_HR_ZONES
+    });
+    setOpened(true);
+  };
+
+  const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleSave = async () => {
+    if (!validateZones(form.power_zones) || !validateZones(form.hr_zones)) {
+      toast.error('Zone upper bounds must increase from one zone to the next');
+      return;
+    }
+    if (form.resting_hr >= form.max_hr) {
+      toast.error('Resting heart rate must be below max heart rate');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const weightKg = useImperial ? form.weight / KG_TO_LB : form.weight;
+      await saveProfile({
+        ftp_watts: Math.round(form.ftp_watts),
+        weight_kg: Math.round(weightKg * 10) / 10,
+        max_hr: Math.round(form.max_hr),
+        resting_hr: Math.round(form.resting_hr),
+        // Store null when the defaults are in use so future default changes apply
+        power_zones: JSON.stringify(form.power_zones) === JSON.stringify(DEFAULT_POWER_ZONES) ? null : form.power_zones,
+        hr_zones: JSON.stringify(form.hr_zones) === JSON.stringify(DEFAULT_HR_ZONES) ? null : form.hr_zones
+      }, { ftpEffectiveDate: form.ftpEffectiveDate });
+
+      toast.success('Rider profile saved');
+      setOpened(false);
+    } catch (error) {
+      console.error('Failed to save rider profile:', error);
+      toast.error('Failed to save rider profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteEntry = async (entry) => {
+    try {
+      await deleteFtpEntry(entry.id);
+    } catch (error) {
+      console.error('Failed to delete FTP entry:', error);
+      toast.error('Failed to delete FTP entry');
+    }
+  };
+
+  return (
+    <>
+      <Tooltip label="Rider Profile">
+        <ActionIcon
+          variant="subtle"
+          onClick={openSettings}
+          size="lg"
+        >
+          <HeartPulse size={20} />
+        </ActionIcon>
+      </Tooltip>
+
+      <Modal
+        opened={opened}
+        onClose={() => setOpened(false)}
+        title="Rider Profile"
+        centered
+        size="lg"
+      >
+        {form && (
+          <Stack gap="lg">
+            <Card withBorder p="md">
+              <Group gap="sm" mb="sm">
+                <Zap size={20} color="#fab005" />
+                <div>
+                  <Text size="sm" fw={500}>Functional Threshold Power</Text>
+                  <Text size="xs" c="dimmed">
+                    Used for intensity factor, TSS and power zones
+                  </Text>
+                </div>
+              </Group>
+              <SimpleGrid cols={2}>
+                <NumberInput
+                  label="FTP"
+                  value={form.ftp_watts}
+                  onChange={(value) => updateForm('ftp_watts', Number(value) || 0)}
+                  min={50}
+                  max={600}
+                  suffix=" W"
+                />
+                <TextInput
+                  label="Effective from"
+                  type="date"
+                  value={form.ftpEffectiveDate}
+                  onChange={(event) => updateForm('ftpEffectiveDate', event.currentTarget.value)}
+                  disabled={form.ftp_watts === profile.ftp_watts}
+                />
+              </SimpleGrid>
+            </Card>
+
+            <Card withBorder p="md">
+              <Group gap="sm" mb="sm">
+                <Scale size={20} color="#228be6" />
+                <Text size="sm" fw={500}>Body & Heart Rate</Text>
+              </Group>
+              <SimpleGrid cols={3}>
+                <NumberInput
+                  label="Weight"
+                  value={form.weight}
+                  onChange={(value) => updateForm('weight', Number(value) || 0)}
+                  min={30}
+                  max={useImperial ? 440 : 200}
+                  decimalScale={1}
+                  suffix={useImperial ? ' lb' : ' kg'}
+                />
+                <NumberInput
+                  label="Max HR"
+                  value={form.max_hr}
+                  onChange={(value) => updateForm('max_hr', Number(value) || 0)}
+                  min={100}
+                  max={230}
+                  suffix=" bpm"
+                />
+                <NumberInput
+                  label="Resting HR"
+                  value={form.resting_hr}
+                  onChange={(value) => updateForm('resting_hr', Number(value) || 0)}
+                  min={30}
+                  max={120}
+                  suffix=" bpm"
+                />
+              </SimpleGrid>
+            </Card>
+
+            <Card withBorder p="md">
+              <Tabs defaultValue="power">
+                <Tabs.List mb="sm">
+                  <Tabs.Tab value="power">Power Zones</Tabs.Tab>
+                  <Tabs.Tab value="hr">Heart Rate Zones</Tabs.Tab>
+                </Tabs.List>
+                <Tabs.Panel value="power">
+                  <ZoneEditor
+                    zones={form.power_zones}
+                    onChange={(zones) => updateForm('power_zones', zones)}
+                    reference={form.ftp_watts}
+                    unit="W"
+                    buildZones={getPowerZones}
+                  />
+                  <Button variant="subtle" size="xs" mt="xs" onClick={() => updateForm('power_zones', DEFAULT_POWER_ZONES)}>
+                    Reset to defaults
+                  </Button>
+                </Tabs.Panel>
+                <Tabs.Panel value="hr">
+                  <ZoneEditor
+                    zones={form.hr_zones}
+                    onChange={(zones) => updateForm('hr_zones', zones)}
+                    reference={form.max_hr}
+                    unit="bpm"
+                    buildZones={getHeartRateZones}
+                  />
+                  <Button variant="subtle" size="xs" mt="xs" onClick={() => updateForm('hr_zones', DEFAULT_HR_ZONES)}>
+                    Reset to defaults
+                  </Button>
+                </Tabs.Panel>
+              </Tabs>
+            </Card>
+
+            {ftpHistory.length > 0 && (
+              <Card withBorder p="md">
+                <Text size="sm" fw={500} mb="xs">FTP History</Text>
+                <Stack gap={4}>
+                  {ftpHistory.map(entry => (
+                    <Group key={entry.id} justify="space-between">
+                      <Text size="sm">{dayjs(entry.effective_date).format('MMM D, YYYY')}</Text>
+                      <Group gap="xs">
+                        <Text size="sm" fw={500}>{entry.ftp_watts} W</Text>
+                        <ActionIcon
+                          variant="subtle"
+                          color="red"
+                          size="sm"
+                          onClick={() => handleDeleteEntry(entry)}
+                        >
+                          <Trash2 size={14} />
+                        </ActionIcon>
+                      </Group>
+                    </Group>
+                  ))}
+                </Stack>
+              </Card>
+            )}
+
+            <Divider />
+
+            <Group justify="flex-end">
+              <Button variant="default" onClick={() => setOpened(false)}>
+                Cancel
+              </Button>
+              <Button onClick={handleSave} loading={saving}>
+                Save Profile
+              </Button>
+            </Group>
+          </Stack>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+export default RiderProfileSettings;
@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useMemo } from 'react';
+import React, { useState, useCallback, useMemo, useRef } from 'react';
 import { Source, Layer, Marker, Popup } from 'react-map-gl';
 import {
   Paper,
@@ -11,29 +11,51 @@ import {
   Checkbox,
   ActionIcon,
   Alert,
+  Tooltip,
 } from '@mantine/core';
 import { 
   Undo2, 
+  Redo2,
   RotateCcw, 
   Trash2, 
   Save, 
-  Download, 
   X, 
   AlertCircle,
   FileText
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { buildLineString, polylineDistance } from '../utils/geo';
-import { mapMatchRoute, fetchElevationProfile, calculateElevationStats } from '../utils/directions';
-import { pointsToGPX } from '../utils/gpx';
+import { fetchElevationProfile, calculateElevationStats } from '../utils/directions';
+import { matchWithFallback, hasRoutingProvider, getProviderLabel } from '../utils/routingProviders';
+import { detectClimbs } from '../utils/climbs';
+import { estimateRideTime, getRiderPhysics } from '../utils/rideTime';
+import { buildCueSheet } from '../utils/cueSheet';
+import {
+  createHistory,
+  executeCommand,
+  undo as undoCommand,
+  redo as redoCommand,
+  describeCommand,
+  lastCommand,
+  nextCommand,
+  waypointLabel
+} from '../utils/waypointHistory';
 import { supabase } from '../supabase';
 import { useAuth } from '../contexts/AuthContext';
+import { useRiderProfile } from '../contexts/RiderProfileContext';
 import { useUnits } from '../utils/units';
+import ClimbMarkers from './ClimbMarkers';
+import RouteExportMenu from './RouteExportMenu';
+import CueSheet from './CueSheet';
+import WaypointList from './WaypointList';
 
 const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapElementsChange, onRouteDataChange }) => {
   const { user } = useAuth();
   const { formatDistance, formatElevation } = useUnits();
-  const [points, setPoints] = useState([]); // array of [lon, lat]
+  const { profile: riderProfile } = useRiderProfile();
+  const [history, setHistory] = useState(() => createHistory()); // waypoint edits, see waypointHistory.js
+  const [dragPosition, setDragPosition] = useState(null); // { index, coordinate } while a marker is dragged
+  const dragPositionRef = useRef(null);
   const [name, setName] = useState('');
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
@@ -47,29 +69,65 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
   const [elevationProfile, setElevationProfile] = useState([]);
   const [elevationStats, setElevationStats] = useState(null);
 
-  const addPoint = useCallback((lngLat) => {
-    console.log(`🔧 Adding waypoint: ${lngLat.lng}, ${lngLat.lat}`);
-    setPoints(prev => {
-      const newPoints = [...prev, [lngLat.lng, lngLat.lat]];
-      console.log(`🔧 Total waypoints now: ${newPoints.length}`);
-      return newPoints;
-    });
+  const waypoints = history.present;
+
+  // [lon, lat] of each waypoint, the dragged one following the pointer.
+  // Memoized on the coordinate values so renames keep the same array and
+  // don't re-snap the route.
+  const pointsKey = waypoints.map((waypoint, i) =>
+    (dragPosition?.index === i ? dragPosition.coordinate : waypoint.coordinate).join(',')
+  ).join(';');
+  const points = useMemo(() => (
+    pointsKey ? pointsKey.split(';').map(point => point.split(',').map(Number)) : []
+  ), [pointsKey]);
+
+  const runCommand = useCallback((command) => {
+    setHistory(h => executeCommand(h, command));
   }, []);
 
-  const undo = () => setPoints(p => p.slice(0, -1));
-  const clearAll = () => setPoints([]);
-  const reverseRoute = () => setPoints(p => [...p].reverse());
-  const removePoint = (idx) => setPoints(p => p.filter((_, i) => i !== idx));
+  // Shift+click inserts into the nearest leg instead of extending the route
+  const addPoint = useCallback((lngLat, insert = false) => {
+    console.log(`🔧 ${insert ? 'Inserting' : 'Adding'} waypoint: ${lngLat.lng}, ${lngLat.lat}`);
+    runCommand({ type: insert ? 'insert' : 'add', coordinate: [lngLat.lng, lngLat.lat] });
+  }, [runCommand]);
+
+  const formatRideTime = (seconds) => {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.round((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+  };
+
+  const undo = () => setHistory(undoCommand);
+  const redo = () => setHistory(redoCommand);
+  const clearAll = () => runCommand({ type: 'clear' });
+  const reverseRoute = () => runCommand({ type: 'reverse' });
+  const removePoint = useCallback((idx) => runCommand({ type: 'delete', index: idx }), [runCommand]);
+  const renamePoint = (idx, newName) => runCommand({ type: 'rename', index: idx, name: newName });
+  const reorderPoint = (from, to) => runCommand({ type: 'reorder', from, to });
 
   const workingCoords = useSnap && snappedCoords.length ? snappedCoords : points;
   const distanceKm = useMemo(() => polylineDistance(workingCoords), [workingCoords]);
   const geojson = useMemo(() => buildLineString(workingCoords), [workingCoords]);
+  const climbs = useMemo(() => detectClimbs(elevationProfile), [elevationProfile]);
+  // Provider turn instructions for the snapped line, geometric cues otherwise
+  const cues = useMemo(
+    () => buildCueSheet(workingCoords, useSnap ? routeMetadata?.cues : null),
+    [workingCoords, useSnap, routeMetadata]
+  );
+
+  // Physics-based ride time over the elevation profile (flat when there is none yet)
+  const rideEstimate = useMemo(() => {
+    const profilePoints = elevationProfile.length >= 2 ?
+      elevationProfile :
+      workingCoords.map(coordinate => ({ coordinate }));
+    return estimateRideTime(profilePoints, getRiderPhysics(riderProfile));
+  }, [elevationProfile, workingCoords, riderProfile]);
 
   const canSave = points.length >= 2 && name.trim().length > 0 && !saving;
 
   const handleMapClick = useCallback((e) => {
     if (!active) return;
-    addPoint(e.lngLat);
+    addPoint(e.lngLat, e.originalEvent?.shiftKey);
   }, [active, addPoint]);
 
   // Attach temporary event listener to map if active
@@ -129,7 +187,7 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
       
       toast.success(`Route "${name}" saved successfully!`);
       onSaved && onSaved(data[0]);
-      clearAll();
+      setHistory(createHistory());
       setName('');
     } catch (err) {
       console.error(err);
@@ -140,17 +198,19 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
     }
   };
 
-  const exportGPX = () => {
-    const gpx = pointsToGPX(points, { name: name || 'Route' });
-    const blob = new Blob([gpx], { type: 'application/gpx+xml' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${(name || 'route').replace(/\s+/g,'_')}.gpx`;
-    a.click();
-    URL.revokeObjectURL(url);
-    toast.success('GPX file downloaded!');
-  };
+  // Export input: the snapped line with its elevation profile, and the
+  // clicked points between start and finish as named waypoints
+  const getExportRoute = () => ({
+    name: name.trim() || 'Route',
+    coordinates: workingCoords,
+    elevationProfile,
+    cues,
+    waypoints: waypoints.slice(1, -1).map((waypoint, i) => ({
+      coordinate: waypoint.coordinate,
+      name: waypointLabel(waypoint, i + 1, waypoints.length),
+      type: 'poi'
+    }))
+  });
 
   // Rebuild snapped path when points change and snapping enabled
   React.useEffect(() => {
@@ -171,8 +231,8 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
       }
       
       const token = process.env.REACT_APP_MAPBOX_TOKEN;
-      if (!token) {
-        console.warn('Mapbox token missing; disabling snapping');
+      if (!hasRoutingProvider()) {
+        console.warn('No routing provider configured; disabling snapping');
         setSnappedCoords([]);
         setRouteMetadata(null);
         setElevationProfile([]);
@@ -186,11 +246,19 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
       
       try {
         console.log(`🔧 Starting map matching for ${points.length} points...`);
-        // Use Map Matching API for better route snapping
-        const matchResult = await mapMatchRoute(points, token);
+        // Map matching where the provider supports it, directions otherwise
+        const matchResult = await matchWithFallback(points);
         console.log(`🔧 Map matching result:`, matchResult);
         setSnapProgress(0.6);
         
+        if (!cancelled && !matchResult) {
+          toast.error('No routing provider could snap this route');
+          setSnappedCoords([]);
+          setRouteMetadata(null);
+          setElevationProfile([]);
+          setElevationStats(null);
+        }
+        
         if (!cancelled && matchResult && matchResult.coordinates) {
           // Use snapped route - let users decide based on UI feedback
           setSnappedCoords(matchResult.coordinates);
@@ -198,7 +266,9 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
             distance: matchResult.distance,
             duration: matchResult.duration,
             confidence: matchResult.confidence,
-            profile: matchResult.profile
+            profile: matchResult.profile,
+            source: matchResult.source,
+            cues: matchResult.cues || null
           });
           
           // Fetch elevation profile for the matched route
@@ -213,7 +283,7 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
             // Show success toast with confidence info
             const confidencePercent = Math.round(matchResult.confidence * 100);
             const profileText = matchResult.profile !== 'cycling' ? ` (${matchResult.profile})` : '';
-            toast.success(`Route snapped with ${confidencePercent}% confidence${profileText}`);
+            toast.success(`Route snapped via ${getProviderLabel(matchResult.source)} with ${confidencePercent}% confidence${profileText}`);
           }
         }
       } catch (error) {
@@ -252,9 +322,18 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
     function onMove(e) {
       if (dragIndex == null) return;
       const { lng, lat } = e.lngLat;
-      setPoints(p => p.map((pt, i) => i === dragIndex ? [lng, lat] : pt));
+      dragPositionRef.current = { index: dragIndex, coordinate: [lng, lat] };
+      setDragPosition(dragPositionRef.current);
+    }
+    // The whole drag is one move in the history
+    function onUp() {
+      if (dragIndex == null) return;
+      const position = dragPositionRef.current;
+      dragPositionRef.current = null;
+      setDragPosition(null);
+      setDragIndex(null);
+      if (position) runCommand({ type: 'move', ...position });
     }
-    function onUp() { if (dragIndex != null) setDragIndex(null); }
     map.on('mousemove', onMove);
     map.on('mouseup', onUp);
     map.on('touchmove', onMove);
@@ -265,7 +344,32 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
       map.off('touchmove', onMove);
       map.off('touchend', onUp);
     };
-  }, [active, dragIndex, mapRef]);
+  }, [active, dragIndex, mapRef, runCommand]);
+
+  // Keyboard shortcuts: Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo,
+  // Delete removes the selected waypoint
+  React.useEffect(() => {
+    if (!active) return;
+    function onKeyDown(e) {
+      const target = e.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+
+      const key = e.key.toLowerCase();
+      if ((e.ctrlKey || e.metaKey) && key === 'z') {
+        e.preventDefault();
+        setHistory(e.shiftKey ? redoCommand : undoCommand);
+      } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+        e.preventDefault();
+        setHistory(redoCommand);
+      } else if ((e.key === 'Delete' || e.key === 'Backspace') && showWaypointPopup != null) {
+        e.preventDefault();
+        runCommand({ type: 'delete', index: showWaypointPopup });
+        setShowWaypointPopup(null);
+      }
+    }
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [active, showWaypointPopup, runCommand]);
 
   // Update map elements when inline mode (must be before early return)
   React.useEffect(() => {
@@ -303,6 +407,8 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
             </Marker>
           ))}
 
+          <ClimbMarkers climbs={climbs} />
+
           {dragIndex != null && (
             <div style={{ display:'none' }}>{dragIndex}</div>
           )}
@@ -316,7 +422,7 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
               anchor="top"
             >
               <div style={{ minWidth: 120 }}>
-                <strong>Waypoint {showWaypointPopup + 1}</strong>
+                <strong>{waypointLabel(waypoints[showWaypointPopup], showWaypointPopup, waypoints.length)}</strong>
                 <div style={{ display:'flex', gap:4, marginTop:6 }}>
                   <button style={{ flex:1 }} onClick={() => { removePoint(showWaypointPopup); setShowWaypointPopup(null); }}>Remove</button>
                 </div>
@@ -337,7 +443,7 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
         routeStats: {
           distance: distanceKm,
           confidence: routeMetadata?.confidence || 0,
-          duration: routeMetadata?.duration || null
+          duration: rideEstimate?.totalSeconds || routeMetadata?.duration || null
         }
       };
       onRouteDataChange(routeData);
@@ -351,7 +457,7 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
         onRouteDataChange(null);
       }
     };
-  }, [active, inline, onMapElementsChange, onRouteDataChange, workingCoords, points, useSnap, geojson, dragIndex, showWaypointPopup, elevationProfile, elevationStats, distanceKm, routeMetadata]);
+  }, [active, inline, onMapElementsChange, onRouteDataChange, workingCoords, points, waypoints, removePoint, useSnap, geojson, dragIndex, showWaypointPopup, elevationProfile, elevationStats, distanceKm, routeMetadata, climbs, rideEstimate]);
 
   if (!active) return null;
 
@@ -396,6 +502,7 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
         <Group justify="space-between">
           <Text size="sm" c="dimmed">
             {formatDistance(distanceKm)} • {points.length} waypoints
+            {rideEstimate && ` • ~${formatRideTime(rideEstimate.totalSeconds)}`}
           </Text>
           {elevationStats && (
             <Text size="xs" c="dimmed">
@@ -410,7 +517,7 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
               <Text size="sm">Snap to cycling network</Text>
               {routeMetadata?.confidence && (
                 <Text size="xs" c="dimmed">
-                  ({Math.round(routeMetadata.confidence * 100)}% confidence
+                  ({getProviderLabel(routeMetadata.source)}, {Math.round(routeMetadata.confidence * 100)}% confidence
                   {routeMetadata.profile && routeMetadata.profile !== 'cycling' && 
                     `, ${routeMetadata.profile}`})
                 </Text>
@@ -426,17 +533,42 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
           <Progress value={snapProgress * 100} size="sm" animated />
         )}
 
+        {!snapping && <CueSheet cues={cues} />}
+
+        <WaypointList
+          waypoints={waypoints}
+          selectedIndex={showWaypointPopup}
+          onSelect={setShowWaypointPopup}
+          onRename={renamePoint}
+          onReorder={reorderPoint}
+          onDelete={(idx) => { removePoint(idx); setShowWaypointPopup(null); }}
+        />
+
         <Stack gap="xs">
-          <Button
-            variant="light"
-            leftSection={<Undo2 size={16} />}
-            onClick={undo}
-            disabled={points.length === 0}
-            size="sm"
-            fullWidth
-          >
-            Undo Last Point
-          </Button>
+          <Group grow gap="xs">
+            <Tooltip label={`Undo ${describeCommand(lastCommand(history))} (Ctrl+Z)`} disabled={history.past.length === 0}>
+              <Button
+                variant="light"
+                leftSection={<Undo2 size={16} />}
+                onClick={undo}
+                disabled={history.past.length === 0}
+                size="sm"
+              >
+                Undo
+              </Button>
+            </Tooltip>
+            <Tooltip label={`Redo ${describeCommand(nextCommand(history))} (Ctrl+Shift+Z)`} disabled={history.future.length === 0}>
+              <Button
+                variant="light"
+                leftSection={<Redo2 size={16} />}
+                onClick={redo}
+                disabled={history.future.length === 0}
+                size="sm"
+              >
+                Redo
+              </Button>
+            </Tooltip>
+          </Group>
           <Button
             variant="light"
             leftSection={<RotateCcw size={16} />}
@@ -471,16 +603,11 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
           >
             Save Route
           </Button>
-          <Button
-            variant="light"
-            leftSection={<Download size={16} />}
-            onClick={exportGPX}
+          <RouteExportMenu
+            getRoute={getExportRoute}
             disabled={points.length < 2}
-            size="sm"
             fullWidth
-          >
-            Export GPX
-          </Button>
+          />
         </Stack>
 
         {error && (
@@ -490,7 +617,7 @@ const RouteBuilder = ({ active, onExit, onSaved, mapRef, inline = false, onMapEl
         )}
 
         <Text size="xs" c="dimmed">
-          Click on map to add waypoints. Drag markers to reposition. Click markers to remove.
+          Click on map to add waypoints, Shift+click to insert one into the route. Drag markers to reposition. Click markers to remove. Ctrl+Z / Ctrl+Shift+Z undo and redo.
         </Text>
       </Stack>
     </Paper>
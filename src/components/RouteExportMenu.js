@@ -0,0 +1,143 @@
+import React from 'react';
+import { Menu, Button, ActionIcon } from '@mantine/core';
+import { Download, Route as RouteIcon, Navigation, Bike, Map as MapIcon, Clock, Globe, Braces, FileSpreadsheet, Printer } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useRiderProfile } from '../contexts/RiderProfileContext';
+import { getRiderPhysics } from '../utils/rideTime';
+import { useUnits } from '../utils/units';
+import { buildExportRoute, downloadFile, exportFileName } from '../utils/routeExport';
+import { routeToGPX } from '../utils/gpx';
+import { routeToFITCourse } from '../utils/fitCourse';
+import { routeToGeoJSON } from '../utils/geojson';
+import { routeToKML, routeToKMZ } from '../utils/kml';
+import { cueSheetToCSV, cueSheetToHTML } from '../utils/cueSheet';
+
+// Export menu for a route. getRoute returns the export input (see
+// buildExportRoute); it's only called when a format is picked.
+const RouteExportMenu = ({ getRoute, disabled = false, compact = false, fullWidth = false, size = 'sm' }) => {
+  const { profile } = useRiderProfile();
+  const { useImperial } = useUnits();
+
+  // Build the export model and download it in one format
+  const exportAs = async (label, write) => {
+    try {
+      const route = buildExportRoute({ physics: getRiderPhysics(profile), ...getRoute() });
+      if (route.points.length < 2) {
+        toast.error('Route has no track to export');
+        return;
+      }
+      await write(route);
+      toast.success(`${label} file downloaded!`);
+    } catch (error) {
+      console.error(`${label} export failed:`, error);
+      toast.error(`Failed to export ${label}`);
+    }
+  };
+
+  const exportGPX = (type) => exportAs('GPX', route =>
+    downloadFile(routeToGPX(route, { type }), exportFileName(route.name, 'gpx'), 'application/gpx+xml')
+  );
+
+  const exportFIT = () => exportAs('FIT', route =>
+    downloadFile(routeToFITCourse(route), exportFileName(route.name, 'fit'), 'application/vnd.ant.fit')
+  );
+
+  const exportGeoJSON = () => exportAs('GeoJSON', route =>
+    downloadFile(JSON.stringify(routeToGeoJSON(route), null, 2), exportFileName(route.name, 'geojson'), 'application/geo+json')
+  );
+
+  const exportKML = (withTimes = false) => exportAs('KML', route =>
+    downloadFile(routeToKML(route, { withTimes }), exportFileName(route.name, 'kml'), 'application/vnd.google-earth.kml+xml')
+  );
+
+  const exportKMZ = () => exportAs('KMZ', async route =>
+    downloadFile(await routeToKMZ(route), exportFileName(route.name, 'kmz'), 'application/vnd.google-earth.kmz')
+  );
+
+  const exportCueSheetCSV = () => exportAs('Cue sheet', route =>
+    downloadFile(cueSheetToCSV(route, { useImperial }), exportFileName(`${route.name} cues`, 'csv'), 'text/csv')
+  );
+
+  // Printable cue sheet in a new window, with the browser's print dialog
+  const printCueSheet = () => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      toast.error('Allow pop-ups to print the cue sheet');
+      return;
+    }
+    try {
+      const route = buildExportRoute({ physics: getRiderPhysics(profile), ...getRoute() });
+      printWindow.document.write(cueSheetToHTML(route, { useImperial }));
+      printWindow.document.close();
+      printWindow.focus();
+      printWindow.print();
+    } catch (error) {
+      console.error('Cue sheet print failed:', error);
+      printWindow.close();
+      toast.error('Failed to print cue sheet');
+    }
+  };
+
+  return (
+    <Menu shadow="md" position="bottom-end" withinPortal>
+      <Menu.Target>
+        {compact ? (
+          <ActionIcon
+            size={size}
+            variant="subtle"
+            disabled={disabled}
+            aria-label="Export route"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <Download size={12} />
+          </ActionIcon>
+        ) : (
+          <Button
+            variant="light"
+            leftSection={<Download size={16} />}
+            disabled={disabled}
+            size={size}
+            fullWidth={fullWidth}
+          >
+            Export
+          </Button>
+        )}
+      </Menu.Target>
+      <Menu.Dropdown onClick={(e) => e.stopPropagation()}>
+        <Menu.Label>GPX</Menu.Label>
+        <Menu.Item leftSection={<RouteIcon size={14} />} onClick={() => exportGPX('trk')}>
+          GPX track
+        </Menu.Item>
+        <Menu.Item leftSection={<Navigation size={14} />} onClick={() => exportGPX('rte')}>
+          GPX route (turn points)
+        </Menu.Item>
+        <Menu.Label>Head unit</Menu.Label>
+        <Menu.Item leftSection={<Bike size={14} />} onClick={exportFIT}>
+          FIT course (Garmin, Wahoo, Hammerhead)
+        </Menu.Item>
+        <Menu.Label>Maps & GIS</Menu.Label>
+        <Menu.Item leftSection={<MapIcon size={14} />} onClick={() => exportKML()}>
+          KML (Google My Maps)
+        </Menu.Item>
+        <Menu.Item leftSection={<Clock size={14} />} onClick={() => exportKML(true)}>
+          KML with planned times (Google Earth)
+        </Menu.Item>
+        <Menu.Item leftSection={<Globe size={14} />} onClick={exportKMZ}>
+          KMZ (Google Earth)
+        </Menu.Item>
+        <Menu.Item leftSection={<Braces size={14} />} onClick={exportGeoJSON}>
+          GeoJSON
+        </Menu.Item>
+        <Menu.Label>Cue sheet</Menu.Label>
+        <Menu.Item leftSection={<FileSpreadsheet size={14} />} onClick={exportCueSheetCSV}>
+          Cue sheet (CSV)
+        </Menu.Item>
+        <Menu.Item leftSection={<Printer size={14} />} onClick={printCueSheet}>
+          Print cue sheet
+        </Menu.Item>
+      </Menu.Dropdown>
+    </Menu>
+  );
+};
+
+export default RouteExportMenu;
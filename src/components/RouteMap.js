@@ -2,8 +2,10 @@ import React, { useMemo } from 'react';
 import { Map, Source, Layer, Marker } from 'react-map-gl';
 import { Text, Center, Loader, Stack } from '@mantine/core';
 import 'mapbox-gl/dist/mapbox-gl.css';
+import ClimbMarkers from './ClimbMarkers';
+import StopMarkers from './StopMarkers';
 
-const RouteMap = ({ trackPoints, mapHeight = 400 }) => {
+const RouteMap = ({ trackPoints, climbs = [], stops = [], mapHeight = 400 }) => {
   // Calculate bounds from track points
   const { bounds, routeGeoJSON } = useMemo(() => {
     if (!trackPoints?.length) return { bounds: null, routeGeoJSON: null };
@@ -86,6 +88,12 @@ const RouteMap = ({ trackPoints, mapHeight = 400 }) => {
             color="#ef4444"
           />
         )}
+
+        {/* Climb summits */}
+        <ClimbMarkers climbs={climbs} />
+
+        {/* Stops */}
+        <StopMarkers stops={stops} />
       </Map>
     </div>
   );
@@ -16,13 +16,16 @@ import {
   ResponsiveContainer,
   Area,
   AreaChart,
+  ReferenceArea,
 } from 'recharts';
 import { TrendingUp, TrendingDown, Mountain, MapPin } from 'lucide-react';
+import { detectClimbs } from '../utils/climbs';
 
 const RouteProfile = ({ route, elevationProfile, elevationStats }) => {
   if (!route) return null;
 
   const hasElevation = elevationProfile && elevationProfile.length > 0;
+  const climbs = hasElevation ? detectClimbs(elevationProfile) : [];
 
   return (
     <Paper shadow="sm" p="md" style={{ marginTop: 16 }}>
@@ -104,6 +107,16 @@ const RouteProfile = ({ route, elevationProfile, elevationStats }) => {
                   ]}
                   labelFormatter={(value) => `Distance: ${(value / 1000).toFixed(2)}km`}
                 />
+                {climbs.map(climb => (
+                  <ReferenceArea
+                    key={`${climb.startIndex}-${climb.endIndex}`}
+                    x1={elevationProfile[climb.startIndex]?.distance}
+                    x2={elevationProfile[climb.endIndex]?.distance}
+                    fill={climb.color}
+                    fillOpacity={0.15}
+                    label={{ value: climb.label, position: 'insideTop', fontSize: 11, fill: climb.color }}
+                  />
+                ))}
                 <Area
                   type="monotone"
                   dataKey="elevation"
@@ -126,6 +139,20 @@ const RouteProfile = ({ route, elevationProfile, elevationStats }) => {
           </Paper>
         )}
 
+        {climbs.length > 0 && (
+          <Stack gap={4}>
+            {climbs.map(climb => (
+              <Group key={`${climb.startIndex}-${climb.endIndex}`} gap="xs">
+                <Badge size="sm" variant="filled" color={climb.color}>{climb.label}</Badge>
+                <Text size="xs">
+                  {(climb.length / 1000).toFixed(1)}km at {climb.avgGradient}% (max {climb.maxGradient}%), +{climb.elevationGain}m
+                  {climb.vam && ` • VAM ${climb.vam} m/h`}
+                </Text>
+              </Group>
+            ))}
+          </Stack>
+        )}
+
         {route.summary?.snapped && (
           <Group gap="xs">
             <Badge color="blue" variant="light">
@@ -0,0 +1,173 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Group, Text, Select, TextInput, Badge, Loader, Tooltip, ScrollArea } from '@mantine/core';
+import { Navigation2, Droplets, Moon } from 'lucide-react';
+import dayjs from 'dayjs';
+import { useUnits } from '../utils/units';
+import { useRiderProfile } from '../contexts/RiderProfileContext';
+import { fetchForecast, getForecastProvider } from '../utils/weather';
+import { getRiderPhysics } from '../utils/rideTime';
+import { buildWeatherTimeline, DEFAULT_TIMELINE_INTERVAL } from '../utils/routeWeather';
+
+const RELATIVE_WIND_COLORS = {
+  headwind: '#fa5252',
+  tailwind: '#40c057',
+  crosswind: '#fab005',
+  neutral: '#adb5bd'
+};
+
+// Forecast along a route: one cell per sample of the rider's estimated position
+const RouteWeatherTimeline = ({ points, departureTime = null, totalSeconds = null, onDepartureChange }) => {
+  const { formatTemperature, formatSpeed, formatDistance } = useUnits();
+  const { profile: riderProfile } = useRiderProfile();
+  const [departureInput, setDepartureInput] = useState(() =>
+    dayjs(departureTime || undefined).format('YYYY-MM-DDTHH:mm')
+  );
+  const [intervalMinutes, setIntervalMinutes] = useState(String(DEFAULT_TIMELINE_INTERVAL));
+  const [forecast, setForecast] = useState(null);
+  const [source, setSource] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // Keep in step with the caller's departure (e.g. a generated route's plan)
+  useEffect(() => {
+    if (departureTime) setDepartureInput(dayjs(departureTime).format('YYYY-MM-DDTHH:mm'));
+  }, [departureTime]);
+
+  const start = useMemo(() => {
+    const first = points?.find(point => point && (Array.isArray(point) || point.coordinate || point.lat !== undefined || point.latitude !== undefined));
+    if (!first) return null;
+    if (Array.isArray(first)) return first;
+    if (first.coordinate) return first.coordinate;
+    return [first.lng ?? first.longitude, first.lat ?? first.latitude];
+  }, [points]);
+
+  const startLon = start?.[0];
+  const startLat = start?.[1];
+
+  // One forecast per start location; the timeline is sampled from it locally
+  useEffect(() => {
+    if (startLat === undefined || startLon === undefined) return;
+    let cancelled = false;
+
+    setLoading(true);
+    fetchForecast(startLat, startLon, { startTime: Date.now() })
+      .then(result => {
+        if (cancelled) return;
+        setForecast(result.forecast);
+        setSource(result.source);
+      })
+      .catch(error => console.warn('Route forecast failed:', error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [startLat, startLon]);
+
+  // Let the caller follow the departure, e.g. to shade the dark part of a profile
+  useEffect(() => {
+    const departure = dayjs(departureInput);
+    if (onDepartureChange && departure.isValid()) onDepartureChange(departure.valueOf());
+  }, [departureInput, onDepartureChange]);
+
+  const timeline = useMemo(() => {
+    const departure = dayjs(departureInput);
+    return buildWeatherTimeline(points, forecast, {
+      departureTime: departure.isValid() ? departure.valueOf() : Date.now(),
+      intervalMinutes: Number(intervalMinutes),
+      riderPhysics: getRiderPhysics(riderProfile),
+      totalSeconds
+    });
+  }, [points, forecast, departureInput, intervalMinutes, riderProfile, totalSeconds]);
+
+  if (!start) return null;
+
+  return (
+    <div>
+      <Group gap="xs" mb={4} wrap="nowrap">
+        <Text size="xs" fw={600}>Weather along route</Text>
+        <TextInput
+          type="datetime-local"
+          size="xs"
+          value={departureInput}
+          onChange={(e) => setDepartureInput(e.currentTarget.value)}
+          aria-label="Departure time"
+        />
+        <Select
+          size="xs"
+          w={90}
+          value={intervalMinutes}
+          onChange={(value) => setIntervalMinutes(value || String(DEFAULT_TIMELINE_INTERVAL))}
+          data={[
+            { value: '10', label: '10 min' },
+            { value: '15', label: '15 min' },
+            { value: '30', label: '30 min' },
+            { value: '60', label: '1 h' }
+          ]}
+          aria-label="Sample interval"
+        />
+        {source === 'mock' && (
+          <Badge size="xs" variant="light" color="gray">Mock forecast</Badge>
+        )}
+        {source && source !== 'mock' && (
+          <Text size="xs" c="dimmed">{getForecastProvider().label}</Text>
+        )}
+        {loading && <Loader size="xs" />}
+      </Group>
+
+      <ScrollArea type="auto" offsetScrollbars>
+        <Group gap={4} wrap="nowrap">
+          {timeline.map(sample => (
+            <Tooltip
+              key={sample.minutes}
+              label={
+                `${formatDistance(sample.distanceKm)} in: ${sample.description || 'no description'}, ` +
+                `wind ${formatSpeed(sample.windSpeed)} ${sample.windDirection || ''} ` +
+                `(${sample.headwindKmh >= 0 ? 'head' : 'tail'} ${formatSpeed(Math.abs(sample.headwindKmh))}, ` +
+                `cross ${formatSpeed(sample.crosswindKmh)})` +
+                (sample.isDaylight ? '' : ' - after dark')
+              }
+            >
+              <div
+                style={{
+                  minWidth: 64,
+                  padding: '2px 6px',
+                  borderRadius: 6,
+                  border: '1px solid #e5e7eb',
+                  borderBottom: `3px solid ${RELATIVE_WIND_COLORS[sample.relativeWind] || RELATIVE_WIND_COLORS.neutral}`,
+                  background: sample.isDaylight ? 'rgba(255,255,255,0.8)' : '#dee2e6',
+                  textAlign: 'center'
+                }}
+              >
+                <Group gap={2} justify="center" wrap="nowrap">
+                  {!sample.isDaylight && <Moon size={10} />}
+                  <Text size="xs" fw={600}>{dayjs(sample.time).format('HH:mm')}</Text>
+                </Group>
+                <Text size="xs">
+                  {sample.temperature !== null ? formatTemperature(sample.temperature) : '–'}
+                </Text>
+                <Group gap={2} justify="center" wrap="nowrap">
+                  {/* Arrow shows where the wind pushes, relative to the direction of travel (up) */}
+                  <Navigation2
+                    size={12}
+                    style={{ transform: `rotate(${(sample.windDegrees ?? 0) - sample.bearing + 180}deg)` }}
+                  />
+                  <Text size="xs">{formatSpeed(sample.windSpeed)}</Text>
+                </Group>
+                {sample.precipitationChance !== null && (
+                  <Group gap={2} justify="center" wrap="nowrap">
+                    <Droplets size={10} />
+                    <Text size="xs" c={sample.precipitationChance >= 0.5 ? 'blue' : 'dimmed'}>
+                      {Math.round(sample.precipitationChance * 100)}%
+                    </Text>
+                  </Group>
+                )}
+              </div>
+            </Tooltip>
+          ))}
+        </Group>
+      </ScrollArea>
+    </div>
+  );
+};
+
+export default RouteWeatherTimeline;
@@ -0,0 +1,86 @@
+import React, { useMemo } from 'react';
+import { Paper, Title, Text, Group } from '@mantine/core';
+import { Zap } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import dayjs from 'dayjs';
+import { mergeBestPowerCurves, formatCurveDuration, POWER_CURVE_DURATIONS } from '../utils/powerAnalysis';
+
+const SEASON_COLORS = ['#fab005', '#228be6', '#868e96'];
+
+// Season-best mean-maximal power curves built from stored per-ride curves
+const SeasonPowerCurves = ({ routes }) => {
+  const { chartData, seasons } = useMemo(() => {
+    const curvesBySeason = {};
+    routes.forEach(route => {
+      if (!Array.isArray(route.power_curve) || route.power_curve.length === 0) return;
+      const season = dayjs(route.created_at).year();
+      if (!curvesBySeason[season]) curvesBySeason[season] = [];
+      curvesBySeason[season].push(route.power_curve);
+    });
+
+    // Show the three most recent seasons
+    const seasons = Object.keys(curvesBySeason)
+      .sort((a, b) => b - a)
+      .slice(0, 3);
+
+    const bestBySeason = {};
+    seasons.forEach(season => {
+      bestBySeason[season] = mergeBestPowerCurves(curvesBySeason[season]);
+    });
+
+    const chartData = POWER_CURVE_DURATIONS
+      .map(duration => {
+        const row = { duration, label: formatCurveDuration(duration) };
+        seasons.forEach(season => {
+          const point = bestBySeason[season].find(p => p.duration === duration);
+          if (point) row[season] = point.watts;
+        });
+        return row;
+      })
+      .filter(row => seasons.some(season => row[season] !== undefined));
+
+    return { chartData, seasons };
+  }, [routes]);
+
+  if (seasons.length === 0) return null;
+
+  return (
+    <Paper p="md" withBorder>
+      <Group justify="space-between" mb="md">
+        <Title order={4}>
+          <Group gap="xs">
+            <Zap size={20} />
+            Season Best Power Curves
+          </Group>
+        </Title>
+        <Text size="xs" c="dimmed">Best average power by duration</Text>
+      </Group>
+      <ResponsiveContainer width="100%" height={280}>
+        <LineChart data={chartData}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="label" fontSize={12} />
+          <YAxis fontSize={12} tickFormatter={(value) => `${value}W`} />
+          <Tooltip
+            formatter={(value, name) => [`${value} W`, name]}
+            labelFormatter={(label) => `Duration: ${label}`}
+          />
+          <Legend />
+          {seasons.map((season, index) => (
+            <Line
+              key={season}
+              type="monotone"
+              dataKey={season}
+              name={season}
+              stroke={SEASON_COLORS[index]}
+              strokeWidth={index === 0 ? 3 : 2}
+              dot={{ r: 3 }}
+              connectNulls
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </Paper>
+  );
+};
+
+export default SeasonPowerCurves;
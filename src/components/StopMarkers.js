@@ -0,0 +1,41 @@
+import React from 'react';
+import { Marker } from 'react-map-gl';
+
+const formatStopDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+// Markers where the rider stopped; coffee stops get a cup
+const StopMarkers = ({ stops }) => {
+  if (!stops?.length) return null;
+
+  return stops.map(stop => (
+    <Marker
+      key={`stop-${stop.startTime}`}
+      longitude={stop.longitude}
+      latitude={stop.latitude}
+      anchor="center"
+    >
+      <div
+        title={`${stop.isCoffeeStop ? 'Coffee stop' : 'Stop'}: ${formatStopDuration(stop.durationSeconds)} at ${stop.distanceKm.toFixed(1)} km`}
+        style={{
+          background: stop.isCoffeeStop ? '#92400e' : '#6b7280',
+          color: 'white',
+          fontSize: 11,
+          fontWeight: 700,
+          padding: '2px 6px',
+          borderRadius: 10,
+          border: '2px solid white',
+          boxShadow: '0 1px 3px rgba(0,0,0,0.3)',
+          whiteSpace: 'nowrap'
+        }}
+      >
+        {stop.isCoffeeStop ? '☕' : '⏸'} {formatStopDuration(stop.durationSeconds)}
+      </div>
+    </Marker>
+  ));
+};
+
+export default StopMarkers;
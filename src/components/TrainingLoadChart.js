@@ -0,0 +1,139 @@
+import React, { useMemo, useState } from 'react';
+import { Paper, Title, Text, Group, Badge, Select, MultiSelect, NumberInput } from '@mantine/core';
+import { Activity } from 'lucide-react';
+import { ComposedChart, Line, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import dayjs from 'dayjs';
+import { buildDailyStress, buildTrainingLoadSeries, schedulePlannedRoutes, isPlannedRoute } from '../utils/trainingLoad';
+
+// Days of history shown before today
+const HISTORY_DAYS = 90;
+
+// Fitness (CTL), fatigue (ATL) and form (TSB) over time, with an optional
+// projection from the rider's saved builder/AI routes
+const TrainingLoadChart = ({ routes, heartRateOptions }) => {
+  const [projectionWeeks, setProjectionWeeks] = useState('0');
+  const [plannedRouteIds, setPlannedRouteIds] = useState([]);
+  const [ridesPerWeek, setRidesPerWeek] = useState(3);
+
+  const plannedRoutes = useMemo(() => (routes || []).filter(isPlannedRoute), [routes]);
+
+  const { chartData, current } = useMemo(() => {
+    const dailyStress = buildDailyStress(routes, heartRateOptions);
+    const selectedRoutes = plannedRouteIds
+      .map(id => plannedRoutes.find(route => route.id === id))
+      .filter(Boolean);
+    const plannedRides = schedulePlannedRoutes(selectedRoutes, {
+      ridesPerWeek,
+      weeks: Number(projectionWeeks),
+      heartRateOptions
+    });
+    const series = buildTrainingLoadSeries(dailyStress, { plannedRides });
+
+    const today = dayjs().format('YYYY-MM-DD');
+    const current = series.find(day => day.date === today) || null;
+    const cutoff = dayjs().subtract(HISTORY_DAYS, 'day').format('YYYY-MM-DD');
+
+    const chartData = series
+      .filter(day => day.date >= cutoff)
+      .map(day => ({
+        ...day,
+        label: dayjs(day.date).format('MMM D'),
+        // Separate keys so projected values render dashed
+        ctlProjected: day.projected || day.date === today ? day.ctl : undefined,
+        atlProjected: day.projected || day.date === today ? day.atl : undefined,
+        ctl: day.projected ? undefined : day.ctl,
+        atl: day.projected ? undefined : day.atl
+      }));
+
+    return { chartData, current };
+  }, [routes, heartRateOptions, projectionWeeks, plannedRoutes, plannedRouteIds, ridesPerWeek]);
+
+  if (chartData.length === 0) return null;
+
+  return (
+    <Paper p="md" withBorder>
+      <Group justify="space-between" mb="md">
+        <Title order={4}>
+          <Group gap="xs">
+            <Activity size={20} />
+            Fitness & Fatigue
+          </Group>
+        </Title>
+        {current && (
+          <Group gap="xs">
+            <Badge variant="light" color="blue">Fitness {Math.round(current.ctl)}</Badge>
+            <Badge variant="light" color="pink">Fatigue {Math.round(current.atl)}</Badge>
+            <Badge variant="light" color={current.tsb >= 0 ? 'green' : 'orange'}>
+              Form {current.tsb > 0 ? '+' : ''}{Math.round(current.tsb)}
+            </Badge>
+          </Group>
+        )}
+      </Group>
+
+      <Group gap="sm" mb="md" align="flex-end">
+        <Select
+          label="Projection"
+          size="xs"
+          value={projectionWeeks}
+          onChange={(value) => setProjectionWeeks(value || '0')}
+          data={[
+            { value: '0', label: 'None' },
+            { value: '1', label: '1 week' },
+            { value: '2', label: '2 weeks' },
+            { value: '4', label: '4 weeks' }
+          ]}
+          w={120}
+        />
+        <MultiSelect
+          label="Planned routes"
+          size="xs"
+          placeholder={plannedRoutes.length ? 'Pick saved routes' : 'No saved routes'}
+          value={plannedRouteIds}
+          onChange={setPlannedRouteIds}
+          data={plannedRoutes.map(route => ({ value: route.id, label: route.name || 'Untitled route' }))}
+          disabled={projectionWeeks === '0' || plannedRoutes.length === 0}
+          searchable
+          w={260}
+        />
+        <NumberInput
+          label="Rides / week"
+          size="xs"
+          value={ridesPerWeek}
+          onChange={(value) => setRidesPerWeek(Number(value) || 1)}
+          min={1}
+          max={7}
+          disabled={projectionWeeks === '0'}
+          w={100}
+        />
+        <Text size="xs" c="dimmed">
+          TSS from power when available, otherwise heart rate or a distance/climbing estimate
+        </Text>
+      </Group>
+
+      <ResponsiveContainer width="100%" height={300}>
+        <ComposedChart data={chartData}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="label" fontSize={12} minTickGap={20} />
+          <YAxis yAxisId="load" fontSize={12} />
+          <YAxis yAxisId="tss" orientation="right" fontSize={12} />
+          <Tooltip
+            formatter={(value, name) => [Math.round(value), name]}
+            labelFormatter={(label, payload) =>
+              payload?.[0]?.payload?.projected ? `${label} (planned)` : label
+            }
+          />
+          <Legend />
+          <ReferenceLine yAxisId="load" y={0} stroke="#adb5bd" />
+          <Bar yAxisId="tss" dataKey="tss" name="Daily TSS" fill="#dee2e6" />
+          <Line yAxisId="load" type="monotone" dataKey="ctl" name="Fitness (CTL)" stroke="#228be6" strokeWidth={2} dot={false} />
+          <Line yAxisId="load" type="monotone" dataKey="atl" name="Fatigue (ATL)" stroke="#e64980" strokeWidth={2} dot={false} />
+          <Line yAxisId="load" type="monotone" dataKey="tsb" name="Form (TSB)" stroke="#40c057" strokeWidth={2} dot={false} />
+          <Line yAxisId="load" type="monotone" dataKey="ctlProjected" name="Projected CTL" stroke="#228be6" strokeDasharray="5 5" dot={false} legendType="none" />
+          <Line yAxisId="load" type="monotone" dataKey="atlProjected" name="Projected ATL" stroke="#e64980" strokeDasharray="5 5" dot={false} legendType="none" />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </Paper>
+  );
+};
+
+export default TrainingLoadChart;
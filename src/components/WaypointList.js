@@ -0,0 +1,81 @@
+import React from 'react';
+import { Stack, Group, TextInput, ActionIcon, Badge, Text, ScrollArea } from '@mantine/core';
+import { ChevronUp, ChevronDown, Trash2 } from 'lucide-react';
+import { waypointLabel } from '../utils/waypointHistory';
+
+// Editable list of the route builder's waypoints: rename, move up/down and
+// delete. Names are committed on blur or Enter so each rename is one undo step.
+const WaypointList = ({ waypoints, selectedIndex, onSelect, onRename, onReorder, onDelete }) => {
+  if (waypoints.length === 0) return null;
+
+  const badgeColor = (index) =>
+    index === 0 ? 'green' : index === waypoints.length - 1 ? 'red' : 'blue';
+
+  return (
+    <Stack gap={4}>
+      <Text size="sm" fw={500}>Waypoints</Text>
+      <ScrollArea.Autosize mah={220}>
+        <Stack gap={4}>
+          {waypoints.map((waypoint, index) => (
+            <Group
+              key={waypoint.id}
+              gap={4}
+              wrap="nowrap"
+              onClick={() => onSelect && onSelect(index)}
+              style={{
+                borderRadius: 4,
+                background: index === selectedIndex ? 'var(--mantine-color-blue-light)' : undefined
+              }}
+            >
+              <Badge size="sm" variant="light" color={badgeColor(index)} w={28} px={0}>
+                {index + 1}
+              </Badge>
+              <TextInput
+                // Remount when the name changes elsewhere (undo/redo)
+                key={`${waypoint.id}-${waypoint.name || ''}`}
+                size="xs"
+                style={{ flex: 1 }}
+                defaultValue={waypoint.name || ''}
+                placeholder={waypointLabel(null, index, waypoints.length)}
+                aria-label={`Name of waypoint ${index + 1}`}
+                onBlur={(e) => onRename(index, e.currentTarget.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') e.currentTarget.blur();
+                }}
+              />
+              <ActionIcon
+                size="sm"
+                variant="subtle"
+                disabled={index === 0}
+                aria-label="Move waypoint up"
+                onClick={(e) => { e.stopPropagation(); onReorder(index, index - 1); }}
+              >
+                <ChevronUp size={14} />
+              </ActionIcon>
+              <ActionIcon
+                size="sm"
+                variant="subtle"
+                disabled={index === waypoints.length - 1}
+                aria-label="Move waypoint down"
+                onClick={(e) => { e.stopPropagation(); onReorder(index, index + 1); }}
+              >
+                <ChevronDown size={14} />
+              </ActionIcon>
+              <ActionIcon
+                size="sm"
+                variant="subtle"
+                color="red"
+                aria-label="Delete waypoint"
+                onClick={(e) => { e.stopPropagation(); onDelete(index); }}
+              >
+                <Trash2 size={14} />
+              </ActionIcon>
+            </Group>
+          ))}
+        </Stack>
+      </ScrollArea.Autosize>
+    </Stack>
+  );
+};
+
+export default WaypointList;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { Group, Badge, Text, Tooltip } from '@mantine/core';
+import { Wind } from 'lucide-react';
+import dayjs from 'dayjs';
+import { useUnits } from '../utils/units';
+
+const WIND_COLORS = {
+  headwind: 'red',
+  tailwind: 'green',
+  crosswind: 'yellow',
+  calm: 'gray'
+};
+
+const WIND_LABELS = {
+  headwind: 'Head',
+  tailwind: 'Tail',
+  crosswind: 'Cross',
+  calm: 'Calm'
+};
+
+// Per-leg head/tail/crosswind summary for a route's forecast wind analysis
+const WindLegBreakdown = ({ windAnalysis }) => {
+  const { formatSpeed, formatDistance } = useUnits();
+
+  if (!windAnalysis?.legs?.length) return null;
+
+  const percent = (share) => `${Math.round(share * 100)}%`;
+
+  return (
+    <div>
+      <Group gap={4} mt="xs" wrap="wrap">
+        <Wind size={12} />
+        {windAnalysis.legs.map(leg => (
+          <Tooltip
+            key={leg.index}
+            multiline
+            w={220}
+            label={
+              `${dayjs(leg.startTime).format('HH:mm')}–${dayjs(leg.endTime).format('HH:mm')}, ` +
+              `${formatDistance(leg.startKm)}–${formatDistance(leg.endKm)}. ` +
+              `Wind ${formatSpeed(leg.windSpeed)} ${leg.windDirection || ''}: ` +
+              `head ${percent(leg.headwindShare)}, tail ${percent(leg.tailwindShare)}, cross ${percent(leg.crosswindShare)}`
+            }
+          >
+            <Badge size="xs" variant="light" color={WIND_COLORS[leg.dominant]}>
+              {leg.index + 1}: {WIND_LABELS[leg.dominant]}
+            </Badge>
+          </Tooltip>
+        ))}
+      </Group>
+      {windAnalysis.strategyScore >= 0.65 && (
+        <Text size="xs" c="green" mt={2}>Into the wind early, tailwind home</Text>
+      )}
+      {windAnalysis.strategyScore <= 0.35 && (
+        <Text size="xs" c="orange" mt={2}>Headwind on the way home</Text>
+      )}
+    </div>
+  );
+};
+
+export default WindLegBreakdown;
@@ -0,0 +1,157 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import dayjs from 'dayjs';
+import { supabase } from '../supabase';
+import { useAuth } from './AuthContext';
+import {
+  DEFAULT_RIDER_PROFILE,
+  getPowerZones,
+  getHeartRateZones,
+  getFtpOnDate,
+  estimateThresholdHr
+} from '../utils/trainingZones';
+
+const RiderProfileContext = createContext(null);
+
+// Profile columns stored in rider_profiles
+const PROFILE_FIELDS = ['ftp_watts', 'weight_kg', 'max_hr', 'resting_hr', 'power_zones', 'hr_zones'];
+
+export const RiderProfileProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [storedProfile, setStoredProfile] = useState(null);
+  const [ftpHistory, setFtpHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!user) {
+      setStoredProfile(null);
+      setFtpHistory([]);
+      return;
+    }
+
+    const loadProfile = async () => {
+      setLoading(true);
+      try {
+        const { data: profileData, error: profileError } = await supabase
+          .from('rider_profiles')
+          .select('*')
+          .eq('user_id', user.id)
+          .maybeSingle();
+
+        if (profileError) throw profileError;
+
+        const { data: historyData, error: historyError } = await supabase
+          .from('ftp_history')
+          .select('*')
+          .eq('user_id', user.id)
+          .order('effective_date', { ascending: false });
+
+        if (historyError) throw historyError;
+
+        setStoredProfile(profileData);
+        setFtpHistory(historyData || []);
+      } catch (error) {
+        // Fall back to defaults so analysis keeps working without a profile
+        console.warn('Failed to load rider profile:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadProfile();
+  }, [user]);
+
+  // Save profile changes. An FTP change is also recorded in the FTP history
+  // from the given effective date (default today).
+  const saveProfile = useCallback(async (updates, { ftpEffectiveDate } = {}) => {
+    if (!user) return;
+
+    const row = { user_id: user.id, updated_at: new Date().toISOString() };
+    PROFILE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) row[field] = updates[field];
+    });
+
+    const { data: savedProfile, error: profileError } = await supabase
+      .from('rider_profiles')
+      .upsert(row, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (profileError) throw profileError;
+    setStoredProfile(savedProfile);
+
+    const previousFtp = storedProfile?.ftp_watts ?? null;
+    if (updates.ftp_watts && updates.ftp_watts !== previousFtp) {
+      const entry = {
+        user_id: user.id,
+        ftp_watts: updates.ftp_watts,
+        effective_date: dayjs(ftpEffectiveDate || undefined).format('YYYY-MM-DD')
+      };
+
+      const { data: savedEntry, error: historyError } = await supabase
+        .from('ftp_history')
+        .upsert(entry, { onConflict: 'user_id,effective_date' })
+        .select()
+        .single();
+
+      if (historyError) throw historyError;
+
+      setFtpHistory(prev => [
+        savedEntry,
+        ...prev.filter(e => e.effective_date !== savedEntry.effective_date)
+      ].sort((a, b) => (a.effective_date < b.effective_date ? 1 : -1)));
+    }
+
+    return savedProfile;
+  }, [user, storedProfile]);
+
+  const deleteFtpEntry = useCallback(async (entryId) => {
+    const { error } = await supabase
+      .from('ftp_history')
+      .delete()
+      .eq('id', entryId);
+
+    if (error) throw error;
+    setFtpHistory(prev => prev.filter(e => e.id !== entryId));
+  }, []);
+
+  const value = useMemo(() => {
+    const profile = { ...DEFAULT_RIDER_PROFILE };
+    PROFILE_FIELDS.forEach(field => {
+      if (storedProfile?.[field] !== null && storedProfile?.[field] !== undefined) {
+        profile[field] = storedProfile[field];
+      }
+    });
+
+    return {
+      profile,
+      hasProfile: !!storedProfile,
+      ftpHistory,
+      loading,
+      saveProfile,
+      deleteFtpEntry,
+      powerZones: getPowerZones(profile.ftp_watts, profile.power_zones),
+      heartRateZones: getHeartRateZones(profile.max_hr, profile.hr_zones),
+      // FTP that applied when a ride happened, for historical TSS/IF
+      getFtpForDate: (date) => getFtpOnDate(ftpHistory, date, profile.ftp_watts),
+      // Options for hrTSS in the training load model
+      heartRateOptions: {
+        thresholdHr: estimateThresholdHr(profile.max_hr),
+        restingHr: profile.resting_hr
+      }
+    };
+  }, [storedProfile, ftpHistory, loading, saveProfile, deleteFtpEntry]);
+
+  return (
+    <RiderProfileContext.Provider value={value}>
+      {children}
+    </RiderProfileContext.Provider>
+  );
+};
+
+export const useRiderProfile = () => {
+  const context = useContext(RiderProfileContext);
+  if (!context) {
+    throw new Error('useRiderProfile must be used within a RiderProfileProvider');
+  }
+  return context;
+};
@@ -0,0 +1,40 @@
+// Activity file parsing by type (GPX, TCX, FIT and gzipped FIT, plus
+// GeoJSON and KML/KMZ planned routes)
+// Shared by the parser worker and the main-thread fallback
+
+import { parseGPX } from './gpx';
+import { parseFIT } from './fit';
+import { parseTCX } from './tcx';
+import { parseGeoJSON } from './geojson';
+import { parseKML, parseKMZ } from './kml';
+
+// Detect the file type from its name
+export function getActivityFileType(fileName) {
+  const name = fileName.toLowerCase();
+  const isCompressed = name.endsWith('.fit.gz') || name.endsWith('.gz');
+  if (name.endsWith('.fit') || name.endsWith('.fit.gz')) {
+    return { format: 'fit', isCompressed, label: isCompressed ? 'Compressed FIT' : 'FIT' };
+  }
+  if (name.endsWith('.tcx')) return { format: 'tcx', isCompressed: false, label: 'TCX' };
+  if (name.endsWith('.geojson') || name.endsWith('.json')) return { format: 'geojson', isCompressed: false, label: 'GeoJSON' };
+  if (name.endsWith('.kml')) return { format: 'kml', isCompressed: false, label: 'KML' };
+  if (name.endsWith('.kmz')) return { format: 'kmz', isCompressed: true, label: 'KMZ' };
+  return { format: 'gpx', isCompressed: false, label: 'GPX' };
+}
+
+// Parse a file's contents; onProgress receives the share of the work done (0-1)
+export async function parseActivityBuffer(fileName, buffer, { onProgress } = {}) {
+  const { format, isCompressed } = getActivityFileType(fileName);
+
+  if (format === 'fit') {
+    return parseFIT(buffer, isCompressed, { onProgress });
+  }
+  if (format === 'kmz') {
+    return parseKMZ(buffer, { onProgress });
+  }
+
+  const text = new TextDecoder('utf-8').decode(buffer);
+  if (format === 'geojson') return parseGeoJSON(text);
+  if (format === 'kml') return parseKML(text, { onProgress });
+  return format === 'tcx' ? parseTCX(text, { onProgress }) : parseGPX(text, { onProgress });
+}
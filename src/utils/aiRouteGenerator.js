@@ -1,22 +1,33 @@
 // AI Route Generation Engine
 // Smart route generation considering training goals, weather, and conditions
 
-import { mapMatchRoute, fetchElevationProfile, calculateElevationStats, getCyclingDirections } from './directions';
-import { getWeatherData, getWindFactor, getOptimalTrainingConditions } from './weather';
+import { fetchElevationProfile, calculateElevationStats } from './directions';
+import { getWeatherData, getWindFactor, getOptimalTrainingConditions, getForecastProvider, forecastFromObservation, getForecastAt } from './weather';
+import { analyzeRouteWind, getUpwindLoopBearing } from './windAnalysis';
+import { assessRideDaylight } from './solar';
 import { calculateBearing } from './routeUtils';
 import { fetchPastRides, analyzeRidingPatterns, generateRouteFromPatterns, buildRouteFromSegments } from './rideAnalysis';
-import { getORSCyclingDirections, generateORSAreaRoutes, selectCyclingProfile, CYCLING_PROFILES, validateORSService } from './openRouteService';
-import { getGraphHopperCyclingDirections, selectGraphHopperProfile, validateGraphHopperService, GRAPHHOPPER_PROFILES } from './graphHopper';
+import { CYCLING_PROFILES } from './openRouteService';
+import { GRAPHHOPPER_PROFILES } from './graphHopper';
+import { routeWithFallback, matchWithFallback, routeAlternativesWithFallback, hasRoutingProvider, getProviderLabel } from './routingProviders';
+import { estimateRideTime, estimateRideTimeFromStats, getRiderPhysics } from './rideTime';
 
 // Main AI route generation function
 export async function generateAIRoutes(params) {
   const {
     startLocation,
+    endLocation,
+    viaLocation,
     timeAvailable,
+    targetDistance: requestedDistance,
+    targetElevationGain,
     trainingGoal,
     routeType,
     weatherData: providedWeather,
-    userId
+    windForecast: providedForecast,
+    departureTime: requestedDeparture,
+    userId,
+    riderProfile
   } = params;
 
   console.log('Generating AI routes with params:', params);
@@ -27,6 +38,18 @@ export async function generateAIRoutes(params) {
     weatherData = await getWeatherData(startLocation[1], startLocation[0]);
   }
 
+  // Hourly forecast over the ride window; without one, assume the current
+  // conditions hold
+  const departureTime = requestedDeparture || Date.now();
+  let windForecast = providedForecast;
+  if (!windForecast?.length) {
+    windForecast = await getForecastProvider().getHourlyForecast(startLocation[1], startLocation[0], { startTime: departureTime });
+  }
+  if (!windForecast?.length) {
+    windForecast = forecastFromObservation(weatherData, departureTime);
+  }
+  const departureWeather = getForecastAt(windForecast, departureTime);
+
   // Analyze past rides for personalized recommendations
   let ridingPatterns = null;
   let patternBasedSuggestions = null;
@@ -38,7 +61,7 @@ export async function generateAIRoutes(params) {
       ridingPatterns = analyzeRidingPatterns(pastRides);
       patternBasedSuggestions = generateRouteFromPatterns(ridingPatterns, {
         startLocation,
-        targetDistance: calculateTargetDistance(timeAvailable, trainingGoal),
+        targetDistance: calculateTargetDistance(timeAvailable, trainingGoal, riderProfile),
         trainingGoal
       });
       console.log('Found riding patterns:', ridingPatterns);
@@ -48,13 +71,62 @@ export async function generateAIRoutes(params) {
     }
   }
 
-  // Calculate target distance, potentially adjusted by patterns
-  let targetDistance = calculateTargetDistance(timeAvailable, trainingGoal);
-  if (patternBasedSuggestions?.adjustedDistance) {
+  // Calculate target distance, potentially adjusted by patterns. An explicit
+  // distance always wins.
+  let targetDistance = requestedDistance || calculateTargetDistance(timeAvailable, trainingGoal, riderProfile);
+  if (!requestedDistance && patternBasedSuggestions?.adjustedDistance) {
     targetDistance = patternBasedSuggestions.adjustedDistance;
-    console.log(`Adjusted target distance from ${calculateTargetDistance(timeAvailable, trainingGoal)}km to ${targetDistance}km based on riding patterns`);
+    console.log(`Adjusted target distance from ${calculateTargetDistance(timeAvailable, trainingGoal, riderProfile)}km to ${targetDistance}km based on riding patterns`);
   }
   
+  // A-to-B routes come straight from the routing providers; the history
+  // based loop builders below don't apply
+  if (routeType === 'point_to_point') {
+    if (!endLocation) {
+      console.warn('Point-to-point generation needs a destination');
+      return [];
+    }
+
+    const pointToPointRoutes = await generatePointToPointRoutes(startLocation, endLocation, trainingGoal, {
+      viaLocation,
+      weatherData
+    });
+
+    const scoredRoutes = await scoreRoutes(pointToPointRoutes, {
+      trainingGoal,
+      weatherData,
+      timeAvailable,
+      ridingPatterns,
+      riderProfile,
+      windForecast,
+      departureTime
+    });
+    return scoredRoutes.slice(0, 4);
+  }
+
+  // Elevation target mode: search loops for the distance/climbing pair
+  if (targetElevationGain > 0 && routeType === 'loop') {
+    const elevationTarget = { distance: targetDistance, gain: targetElevationGain };
+    const elevationRoutes = await generateElevationTargetLoops(startLocation, elevationTarget, trainingGoal, weatherData);
+
+    if (elevationRoutes.length === 0) {
+      console.warn('No loop candidates for elevation target, creating fallback route');
+      return [createMockRoute('Fallback Route', targetDistance, trainingGoal, startLocation)];
+    }
+
+    const scoredRoutes = await scoreRoutes(elevationRoutes, {
+      trainingGoal,
+      weatherData,
+      timeAvailable,
+      ridingPatterns,
+      riderProfile,
+      windForecast,
+      departureTime,
+      elevationTarget
+    });
+    return scoredRoutes.slice(0, 4);
+  }
+
   // Try to build routes from actual segments first
   const routes = [];
   
@@ -88,20 +160,21 @@ export async function generateAIRoutes(params) {
     routes.push(...templateRoutes);
   }
   
-  // Priority 3: Use Mapbox-based routing (NO geometric patterns)
+  // Priority 3: Use the routing provider chain (NO geometric patterns)
   if (routes.length < 3) {
-    console.log(`Only found ${routes.length} routes from history, generating Mapbox-based routes`);
-    const mapboxRoutes = await generateMapboxBasedRoutes({
+    console.log(`Only found ${routes.length} routes from history, generating provider-routed routes`);
+    const providerRoutes = await generateProviderRoutes({
       startLocation,
       targetDistance,
       trainingGoal,
       routeType,
       weatherData,
+      departureWeather,
       ridingPatterns,
       patternBasedSuggestions
     });
     
-    routes.push(...mapboxRoutes);
+    routes.push(...providerRoutes);
   }
 
   // Filter out null/invalid routes
@@ -119,7 +192,10 @@ export async function generateAIRoutes(params) {
     trainingGoal,
     weatherData,
     timeAvailable,
-    ridingPatterns
+    ridingPatterns,
+    riderProfile,
+    windForecast,
+    departureTime
   });
 
   console.log(`Generated ${scoredRoutes.length} valid routes from ${routes.length} attempts`);
@@ -128,53 +204,53 @@ export async function generateAIRoutes(params) {
   return scoredRoutes.slice(0, 4);
 }
 
-// Calculate target distance based on time and training goal
-function calculateTargetDistance(timeMinutes, trainingGoal) {
-  // Average speeds by training type (km/h)
-  const speedMap = {
-    recovery: 20,
-    endurance: 25,
-    intervals: 22, // Lower due to rest periods
-    hills: 18      // Slower due to climbing
+// Calculate target distance based on time and training goal, using the
+// physics model's speed for the rider over typical terrain for the goal
+function calculateTargetDistance(timeMinutes, trainingGoal, riderProfile) {
+  // Typical climbing density by training type (m gained per km)
+  const climbingMap = {
+    recovery: 5,
+    endurance: 8,
+    intervals: 6,
+    hills: 20
   };
 
-  const speed = speedMap[trainingGoal] || 23;
+  const estimate = estimateRideTimeFromStats(10, 10 * (climbingMap[trainingGoal] || 8), getRiderPhysics(riderProfile, trainingGoal));
+  const speed = estimate ? estimate.averageSpeedKmh : 23;
   const hours = timeMinutes / 60;
   
   return hours * speed;
 }
 
-// Generate routes using Mapbox Directions API (NO geometric patterns)
-async function generateMapboxBasedRoutes(params) {
-  const { startLocation, targetDistance, trainingGoal, routeType, weatherData, patternBasedSuggestions } = params;
+// Generate routes through the routing provider chain (NO geometric patterns)
+async function generateProviderRoutes(params) {
+  const { startLocation, targetDistance, trainingGoal, routeType, weatherData, departureWeather, patternBasedSuggestions } = params;
   const routes = [];
   
-  console.log('Generating routes using Mapbox cycling intelligence');
+  console.log('Generating routes using the routing provider chain');
   
-  // Check for Mapbox token
-  const mapboxToken = process.env.REACT_APP_MAPBOX_TOKEN;
-  if (!mapboxToken) {
-    console.warn('Mapbox token not available for route generation');
-    return [createMockRoute('No Mapbox Token', targetDistance, trainingGoal, startLocation)];
+  if (!hasRoutingProvider()) {
+    console.warn('No routing provider configured for route generation');
+    return [createMockRoute('No Routing Provider', targetDistance, trainingGoal, startLocation)];
   }
   
   try {
-    // Generate different route types using Mapbox
+    // Generate different route types through the provider chain
     if (routeType === 'loop') {
-      const loopRoutes = await generateMapboxLoops(startLocation, targetDistance, trainingGoal, weatherData, patternBasedSuggestions);
+      const loopRoutes = await generateRoutedLoops(startLocation, targetDistance, trainingGoal, weatherData, patternBasedSuggestions, departureWeather);
       routes.push(...loopRoutes);
     } else if (routeType === 'out_back') {
-      const outBackRoutes = await generateMapboxOutAndBack(startLocation, targetDistance, trainingGoal, weatherData, patternBasedSuggestions);
+      const outBackRoutes = await generateRoutedOutAndBack(startLocation, targetDistance, trainingGoal, weatherData, patternBasedSuggestions);
       routes.push(...outBackRoutes);
     } else {
       // Generate both types
-      const loopRoutes = await generateMapboxLoops(startLocation, targetDistance, trainingGoal, weatherData, patternBasedSuggestions);
-      const outBackRoutes = await generateMapboxOutAndBack(startLocation, targetDistance, trainingGoal, weatherData, patternBasedSuggestions);
+      const loopRoutes = await generateRoutedLoops(startLocation, targetDistance, trainingGoal, weatherData, patternBasedSuggestions, departureWeather);
+      const outBackRoutes = await generateRoutedOutAndBack(startLocation, targetDistance, trainingGoal, weatherData, patternBasedSuggestions);
       routes.push(...loopRoutes.slice(0, 2), ...outBackRoutes.slice(0, 1));
     }
     
   } catch (error) {
-    console.warn('Mapbox-based route generation failed:', error);
+    console.warn('Provider-based route generation failed:', error);
     // Only as absolute last resort, generate one carefully validated route
     const lastResort = await generateSingleValidatedRoute(startLocation, targetDistance, trainingGoal);
     if (lastResort) {
@@ -220,8 +296,8 @@ async function generateSmartDestinations(startLocation, targetDistance, isochron
   });
 }
 
-// Generate Mapbox-based loop routes
-async function generateMapboxLoops(startLocation, targetDistance, trainingGoal, weatherData, patternBasedSuggestions) {
+// Generate loop routes through the routing provider chain
+async function generateRoutedLoops(startLocation, targetDistance, trainingGoal, weatherData, patternBasedSuggestions, departureWeather) {
   const routes = [];
   const mapboxToken = process.env.REACT_APP_MAPBOX_TOKEN;
   
@@ -242,12 +318,18 @@ async function generateMapboxLoops(startLocation, targetDistance, trainingGoal,
       return aDiff - bDiff;
     });
   }
+
+  // Lead with a loop that heads upwind first so the ride home has the tailwind
+  const upwindBearing = departureWeather?.windSpeed >= 10 ? getUpwindLoopBearing(departureWeather) : null;
+  if (upwindBearing !== null) {
+    loopPatterns.unshift({ name: 'Into-the-Wind Loop', bearing: upwindBearing, radius: 0.75 });
+  }
   
   for (let i = 0; i < Math.min(3, loopPatterns.length); i++) {
     const pattern = loopPatterns[i];
     
     try {
-      const route = await generateMapboxLoop(startLocation, targetDistance, pattern, trainingGoal, mapboxToken);
+      const route = await generateRoutedLoop(startLocation, targetDistance, pattern, trainingGoal, mapboxToken);
       if (route && route.coordinates && route.coordinates.length > 20) {
         routes.push(route);
         console.log(`Successfully generated ${pattern.name} with ${route.coordinates.length} points`);
@@ -260,8 +342,68 @@ async function generateMapboxLoops(startLocation, targetDistance, trainingGoal,
   return routes;
 }
 
-// Generate Mapbox-based out-and-back routes
-async function generateMapboxOutAndBack(startLocation, targetDistance, trainingGoal, weatherData, patternBasedSuggestions) {
+// Compass names for loop search bearings, every 45°
+const COMPASS_NAMES = ['North', 'Northeast', 'East', 'Southeast', 'South', 'Southwest', 'West', 'Northwest'];
+
+// Search loop candidates for a distance and climbing target. The first pass
+// tries a loop in every compass direction; the second re-aims the two best
+// fits 20° either side and rescales them to correct their distance.
+async function generateElevationTargetLoops(startLocation, elevationTarget, trainingGoal, weatherData) {
+  if (!hasRoutingProvider()) {
+    console.warn('No routing provider configured for elevation target search');
+    return [];
+  }
+
+  const mapboxToken = process.env.REACT_APP_MAPBOX_TOKEN;
+  const candidates = [];
+
+  const tryLoop = async (bearing, radius) => {
+    const name = `${COMPASS_NAMES[Math.round(bearing / 45) % 8]} Loop`;
+    try {
+      const route = await generateRoutedLoop(startLocation, elevationTarget.distance, { name, bearing, radius }, trainingGoal, mapboxToken);
+      if (route) {
+        candidates.push({
+          ...route,
+          windFactor: calculateWindFactor(route.coordinates, weatherData),
+          elevationTargetFit: getElevationTargetFit(route, elevationTarget),
+          search: { bearing, radius }
+        });
+      }
+    } catch (error) {
+      console.warn(`Failed to evaluate ${name} for elevation target:`, error);
+    }
+  };
+
+  // Sequential so a search doesn't burst the providers' rate limits
+  for (let bearing = 0; bearing < 360; bearing += 45) {
+    await tryLoop(bearing, 1);
+  }
+
+  const leaders = [...candidates]
+    .sort((a, b) => b.elevationTargetFit - a.elevationTargetFit)
+    .slice(0, 2);
+
+  for (const leader of leaders) {
+    const scale = Math.max(0.6, Math.min(1.5, elevationTarget.distance / leader.distance));
+    for (const offset of [-20, 20]) {
+      await tryLoop((leader.search.bearing + offset + 360) % 360, leader.search.radius * scale);
+    }
+  }
+
+  console.log(`Evaluated ${candidates.length} loop candidates for ${elevationTarget.gain}m in ${elevationTarget.distance}km`);
+  return candidates.map(({ search, ...route }) => route);
+}
+
+// 0..1 for how close a route lands to both targets, each miss counted as a
+// fraction of its target and weighted equally
+function getElevationTargetFit(route, elevationTarget) {
+  const distanceMiss = Math.abs(route.distance - elevationTarget.distance) / elevationTarget.distance;
+  const gainMiss = Math.abs(route.elevationGain - elevationTarget.gain) / elevationTarget.gain;
+  return Math.max(0, 1 - (distanceMiss + gainMiss) / 2);
+}
+
+// Generate out-and-back routes through the routing provider chain
+async function generateRoutedOutAndBack(startLocation, targetDistance, trainingGoal, weatherData, patternBasedSuggestions) {
   const routes = [];
   const mapboxToken = process.env.REACT_APP_MAPBOX_TOKEN;
   
@@ -287,7 +429,7 @@ async function generateMapboxOutAndBack(startLocation, targetDistance, trainingG
     const direction = directions[i];
     
     try {
-      const route = await generateMapboxOutBack(startLocation, targetDistance, direction, trainingGoal, mapboxToken, patternBasedSuggestions);
+      const route = await generateRoutedOutBack(startLocation, targetDistance, direction, trainingGoal, mapboxToken, patternBasedSuggestions);
       if (route && route.coordinates && route.coordinates.length > 10) {
         routes.push(route);
         console.log(`Successfully generated ${direction.name} with ${route.coordinates.length} points`);
@@ -300,8 +442,8 @@ async function generateMapboxOutAndBack(startLocation, targetDistance, trainingG
   return routes;
 }
 
-// Generate single Mapbox loop with strategic waypoints
-async function generateMapboxLoop(startLocation, targetDistance, pattern, trainingGoal, mapboxToken) {
+// Generate single routed loop with strategic waypoints
+async function generateRoutedLoop(startLocation, targetDistance, pattern, trainingGoal, mapboxToken) {
   const [startLon, startLat] = startLocation;
   
   // Calculate strategic waypoints for a realistic loop
@@ -329,10 +471,8 @@ async function generateMapboxLoop(startLocation, targetDistance, pattern, traini
   try {
     console.log(`Generating ${pattern.name} with ${waypoints.length} waypoints`);
     
-    // Use Mapbox Directions API for realistic cycling routes
-    const route = await getCyclingDirections(waypoints, mapboxToken, {
-      profile: getMapboxProfile(trainingGoal)
-    });
+    // Use the routing provider chain for realistic cycling routes
+    const route = await routeThroughWaypoints(waypoints, trainingGoal);
     
     // Validate the route
     if (!route.coordinates || route.coordinates.length < 20 || route.confidence < 0.5) {
@@ -358,11 +498,11 @@ async function generateMapboxLoop(startLocation, targetDistance, pattern, traini
       elevationLoss: elevationStats.loss,
       coordinates: route.coordinates,
       difficulty: calculateDifficulty(route.distance / 1000, elevationStats.gain),
-      description: `Cycling loop using Mapbox routing intelligence (${getMapboxProfile(trainingGoal)} profile)`,
+      description: `Cycling loop using ${getProviderLabel(route.source)} routing (${route.profile} profile)`,
       trainingGoal,
       pattern: 'loop',
       confidence: route.confidence,
-      source: 'mapbox',
+      source: route.source,
       elevationProfile,
       windFactor: 0.8
     };
@@ -373,8 +513,8 @@ async function generateMapboxLoop(startLocation, targetDistance, pattern, traini
   }
 }
 
-// Generate single Mapbox out-and-back route
-async function generateMapboxOutBack(startLocation, targetDistance, direction, trainingGoal, mapboxToken, patternBasedSuggestions) {
+// Generate single routed out-and-back route
+async function generateRoutedOutBack(startLocation, targetDistance, direction, trainingGoal, mapboxToken, patternBasedSuggestions) {
   const [startLon, startLat] = startLocation;
   const halfDistance = targetDistance / 2;
   
@@ -414,10 +554,8 @@ async function generateMapboxOutBack(startLocation, targetDistance, direction, t
   }
   
   try {
-    // Use Mapbox cycling directions to get realistic route
-    const outboundRoute = await getCyclingDirections([startLocation, targetPoint], mapboxToken, {
-      profile: getMapboxProfile(trainingGoal)
-    });
+    // Use the routing provider chain to get a realistic route
+    const outboundRoute = await routeThroughWaypoints([startLocation, targetPoint], trainingGoal);
     
     if (!outboundRoute.coordinates || outboundRoute.coordinates.length < 5) {
       console.warn(`Failed to generate realistic outbound route for ${direction.name}`);
@@ -440,11 +578,11 @@ async function generateMapboxOutBack(startLocation, targetDistance, direction, t
       elevationLoss: elevationStats.loss,
       coordinates: fullCoordinates,
       difficulty: calculateDifficulty((outboundRoute.distance * 2) / 1000, elevationStats.gain),
-      description: `Out-and-back route using Mapbox cycling intelligence (${getMapboxProfile(trainingGoal)} profile)`,
+      description: `Out-and-back route using ${getProviderLabel(outboundRoute.source)} routing (${outboundRoute.profile} profile)`,
       trainingGoal,
       pattern: 'out_back',
       confidence: outboundRoute.confidence,
-      source: 'mapbox',
+      source: outboundRoute.source,
       elevationProfile,
       windFactor: 0.8
     };
@@ -517,11 +655,11 @@ function getRouteTypeDisplayName(profile) {
 
 // Generate single validated route as absolute last resort
 async function generateSingleValidatedRoute(startLocation, targetDistance, trainingGoal) {
-  console.log('Generating single validated route as last resort using Mapbox');
+  console.log('Generating single validated route as last resort');
   
   const mapboxToken = process.env.REACT_APP_MAPBOX_TOKEN;
-  if (!mapboxToken) {
-    console.warn('No Mapbox token available for last resort route');
+  if (!hasRoutingProvider()) {
+    console.warn('No routing provider available for last resort route');
     return null;
   }
   
@@ -529,9 +667,7 @@ async function generateSingleValidatedRoute(startLocation, targetDistance, train
   const destination = calculateDestinationPoint(startLocation, targetDistance / 2, 45); // Northeast
   
   try {
-    const route = await getCyclingDirections([startLocation, destination], mapboxToken, {
-      profile: getMapboxProfile(trainingGoal)
-    });
+    const route = await routeThroughWaypoints([startLocation, destination], trainingGoal);
     
     if (route && route.coordinates && route.coordinates.length > 10) {
       const returnCoords = [...route.coordinates].reverse();
@@ -541,31 +677,31 @@ async function generateSingleValidatedRoute(startLocation, targetDistance, train
       const elevationStats = calculateElevationStats(elevationProfile);
       
       return {
-        name: 'Validated Mapbox Route',
+        name: 'Validated Fallback Route',
         distance: (route.distance * 2) / 1000,
         elevationGain: elevationStats.gain,
         elevationLoss: elevationStats.loss,
         coordinates: fullCoords,
         difficulty: calculateDifficulty((route.distance * 2) / 1000, elevationStats.gain),
-        description: 'Carefully validated cycling route using Mapbox Directions API',
+        description: `Carefully validated cycling route using ${getProviderLabel(route.source)} routing`,
         trainingGoal,
         pattern: 'out_back',
         confidence: route.confidence * 0.8,
-        source: 'mapbox_validated',
+        source: `${route.source}_validated`,
         elevationProfile
       };
     }
   } catch (error) {
-    console.warn('Failed to generate last resort Mapbox route:', error);
+    console.warn('Failed to generate last resort route:', error);
   }
   
   return null;
 }
 
-// Generate multiple route variations using Mapbox (DEPRECATED - use generateMapboxBasedRoutes instead)
+// Generate multiple route variations through the routing providers (DEPRECATED - use generateProviderRoutes instead)
 async function generateRouteVariations(params) {
-  console.log('DEPRECATED: generateRouteVariations called - redirecting to Mapbox-based generation');
-  return await generateMapboxBasedRoutes(params);
+  console.log('DEPRECATED: generateRouteVariations called - redirecting to provider-based generation');
+  return await generateProviderRoutes(params);
 }
 
 // Generate loop routes using real ride data
@@ -593,16 +729,16 @@ async function generateLoopRoutes(startLocation, targetDistance, trainingGoal, w
     routes.push(...frequentAreaLoops);
   }
   
-  // Priority 3: Use Mapbox cycling intelligence instead of geometric patterns
+  // Priority 3: Use the routing provider chain instead of geometric patterns
   if (routes.length === 0) {
-    console.log('No routes found from ride data, using Mapbox cycling intelligence');
+    console.log('No routes found from ride data, using the routing provider chain');
     const mapboxToken = process.env.REACT_APP_MAPBOX_TOKEN;
-    if (mapboxToken) {
-      const mapboxRoute = await generateMapboxLoop(startLocation, targetDistance, 
+    if (hasRoutingProvider()) {
+      const fallbackRoute = await generateRoutedLoop(startLocation, targetDistance, 
         { name: 'Fallback Loop', bearing: 45, radius: 0.8 }, trainingGoal, mapboxToken);
       
-      if (mapboxRoute) {
-        routes.push(mapboxRoute);
+      if (fallbackRoute) {
+        routes.push(fallbackRoute);
       }
     }
   }
@@ -701,7 +837,7 @@ async function buildLoopsFromFrequentAreas(startLocation, targetDistance, traini
 // Build a loop from two segments
 async function buildSegmentLoop(startLocation, segment1, segment2, targetDistance, trainingGoal) {
   const mapboxToken = process.env.REACT_APP_MAPBOX_TOKEN;
-  if (!mapboxToken) return null;
+  if (!hasRoutingProvider()) return null;
   
   try {
     // Determine the best order to connect segments
@@ -732,7 +868,7 @@ async function buildSegmentLoop(startLocation, segment1, segment2, targetDistanc
     waypoints.push(startLocation);
     
     // Validate and clean up the route
-    const route = await getCyclingDirections(waypoints, mapboxToken);
+    const route = await routeThroughWaypoints(waypoints, trainingGoal);
     
     if (route.coordinates && route.coordinates.length > 10) {
       const elevationProfile = await fetchElevationProfile(route.coordinates, mapboxToken);
@@ -763,13 +899,13 @@ async function buildSegmentLoop(startLocation, segment1, segment2, targetDistanc
 // Create loop through a frequent area
 async function createLoopThroughArea(startLocation, areaCenter, targetDistance, trainingGoal) {
   const mapboxToken = process.env.REACT_APP_MAPBOX_TOKEN;
-  if (!mapboxToken) return null;
+  if (!hasRoutingProvider()) return null;
   
   try {
     // Create a simple route: start -> area -> back to start
     const waypoints = [startLocation, areaCenter, startLocation];
     
-    const route = await getCyclingDirections(waypoints, mapboxToken);
+    const route = await routeThroughWaypoints(waypoints, trainingGoal);
     
     if (route.coordinates && route.coordinates.length > 10) {
       const elevationProfile = await fetchElevationProfile(route.coordinates, mapboxToken);
@@ -846,10 +982,9 @@ async function generateLoopPattern(startLocation, targetDistance, pattern, train
   // Close the loop
   waypoints.push(startLocation);
 
-  // Get Mapbox token
   const mapboxToken = process.env.REACT_APP_MAPBOX_TOKEN;
-  if (!mapboxToken) {
-    console.warn('Mapbox token not available for route generation');
+  if (!hasRoutingProvider()) {
+    console.warn('No routing provider configured for route generation');
     return createMockRoute(pattern.name, targetDistance, trainingGoal);
   }
 
@@ -857,9 +992,7 @@ async function generateLoopPattern(startLocation, targetDistance, pattern, train
     console.log(`Generating ${pattern.name} with waypoints:`, waypoints.length);
     
     // Use Directions API first for better cycling routes
-    let snappedRoute = await getCyclingDirections(waypoints, mapboxToken, {
-      profile: getMapboxProfile(trainingGoal)
-    });
+    let snappedRoute = await routeThroughWaypoints(waypoints, trainingGoal);
 
     // Validate the directions result
     const isDirectionsValid = snappedRoute.coordinates && 
@@ -871,9 +1004,7 @@ async function generateLoopPattern(startLocation, targetDistance, pattern, train
     // If directions API fails or gives poor results, try map matching
     if (!isDirectionsValid) {
       console.log('Directions API result not suitable, trying map matching for:', pattern.name);
-      snappedRoute = await mapMatchRoute(waypoints, mapboxToken, {
-        profile: getMapboxProfile(trainingGoal)
-      });
+      snappedRoute = await matchThroughWaypoints(waypoints, trainingGoal);
       
       // Validate map matching result
       const isMapMatchValid = snappedRoute.coordinates && 
@@ -956,58 +1087,80 @@ function calculateRouteComplexity(coordinates) {
   return segmentCount > 0 ? (totalBearingChange / segmentCount) / 180 : 0;
 }
 
-// Generate out-and-back routes
-async function generateOutAndBackRoutes(startLocation, targetDistance, trainingGoal, weatherData, patternBasedSuggestions) {
-  const routes = [];
-  const halfDistance = targetDistance / 2;
-  
-  // Generate different directions, prioritizing user preferences
-  let directions = [
-    { name: 'North Route', bearing: 0 },
-    { name: 'Northeast Route', bearing: 45 },
-    { name: 'East Route', bearing: 90 },
-    { name: 'Southeast Route', bearing: 135 },
-  ];
+// Fewest A-to-B options to offer before adding detour variants
+const MIN_POINT_TO_POINT_OPTIONS = 3;
 
-  // Prioritize preferred direction if available
-  if (patternBasedSuggestions?.preferredDirection?.source === 'historical') {
-    const preferredBearing = patternBasedSuggestions.preferredDirection.bearing;
-    directions = directions.sort((a, b) => {
-      const aDiff = Math.abs(a.bearing - preferredBearing);
-      const bDiff = Math.abs(b.bearing - preferredBearing);
-      return aDiff - bDiff;
-    });
+// Generate A-to-B routes: the providers' alternatives between the two points
+// (through the via point when given), topped up with detour variants
+async function generatePointToPointRoutes(startLocation, endLocation, trainingGoal, options = {}) {
+  const { viaLocation = null, weatherData = null } = options;
+
+  if (!hasRoutingProvider()) {
+    console.warn('No routing provider configured for point-to-point routes');
+    return [];
+  }
+
+  const anchors = viaLocation ? [startLocation, viaLocation, endLocation] : [startLocation, endLocation];
+  const candidates = (await routeAlternativesWithFallback(anchors, { trainingGoal }))
+    .map((route, index) => ({ route, name: index === 0 ? 'Direct' : `Alternative ${index}` }));
+
+  // Detours push the middle of every leg to one side by ~15% of its length
+  const detours = [{ name: 'Detour Left', side: -1 }, { name: 'Detour Right', side: 1 }];
+  for (const detour of detours) {
+    if (candidates.length >= MIN_POINT_TO_POINT_OPTIONS) break;
+
+    const waypoints = [anchors[0]];
+    for (let i = 1; i < anchors.length; i++) {
+      const legKm = calculateDistance(anchors[i - 1], anchors[i]);
+      const midpoint = calculateDestinationPoint(anchors[i - 1], legKm / 2, calculateBearing(anchors[i - 1], anchors[i]));
+      const bearing = calculateBearing(anchors[i - 1], anchors[i]) + detour.side * 90;
+      waypoints.push(calculateDestinationPoint(midpoint, legKm * 0.15, bearing), anchors[i]);
+    }
+
+    const route = await routeWithFallback(waypoints, { trainingGoal });
+    if (route && !candidates.some(candidate => isSameRoute(candidate.route, route))) {
+      candidates.push({ route, name: detour.name });
+    }
   }
 
-  for (const direction of directions) {
+  const mapboxToken = process.env.REACT_APP_MAPBOX_TOKEN;
+  const routes = await Promise.all(candidates.map(async ({ route, name }) => {
     try {
-      const route = await generateOutAndBackPattern(
-        startLocation,
-        halfDistance,
-        direction,
+      const elevationProfile = await fetchElevationProfile(route.coordinates, mapboxToken);
+      const elevationStats = calculateElevationStats(elevationProfile);
+      const distanceKm = route.distance / 1000;
+
+      return {
+        name: `${name} - ${getRouteNameByGoal(trainingGoal)}`,
+        distance: distanceKm,
+        elevationGain: elevationStats.gain,
+        elevationLoss: elevationStats.loss,
+        coordinates: route.coordinates,
+        difficulty: calculateDifficulty(distanceKm, elevationStats.gain),
+        description: `A-to-B route${viaLocation ? ' through your via point' : ''} using ${getProviderLabel(route.source)} routing`,
         trainingGoal,
-        weatherData,
-        patternBasedSuggestions
-      );
-      if (route && route.coordinates && route.coordinates.length > 10) {
-        routes.push(route);
-        console.log(`Successfully generated ${direction.name} with ${route.coordinates.length} points`);
-      } else {
-        console.log(`Skipped ${direction.name} - insufficient quality`);
-      }
+        pattern: 'point_to_point',
+        confidence: route.confidence,
+        source: route.source,
+        elevationProfile,
+        windFactor: calculateWindFactor(route.coordinates, weatherData)
+      };
     } catch (error) {
-      console.warn(`Failed to generate ${direction.name}:`, error);
+      console.warn(`Failed to build ${name} point-to-point route:`, error);
+      return null;
     }
-  }
+  }));
 
-  return routes;
+  return routes.filter(Boolean);
 }
 
-// Generate point-to-point routes
-async function generatePointToPointRoutes(startLocation, targetDistance, trainingGoal, weatherData, patternBasedSuggestions) {
-  // For now, convert to out-and-back since we need a return journey
-  // In future, could integrate with public transport APIs
-  return generateOutAndBackRoutes(startLocation, targetDistance, trainingGoal, weatherData, patternBasedSuggestions);
+// Providers sometimes return near-identical alternatives; treat routes within
+// 1% in length that end up at the same midpoint as duplicates
+function isSameRoute(a, b) {
+  if (Math.abs(a.distance - b.distance) > Math.max(a.distance, b.distance) * 0.01) return false;
+  const midA = a.coordinates[Math.floor(a.coordinates.length / 2)];
+  const midB = b.coordinates[Math.floor(b.coordinates.length / 2)];
+  return calculateDistance(midA, midB) < 0.2;
 }
 
 // Calculate wind factor for entire route
@@ -1027,20 +1180,17 @@ function calculateWindFactor(coordinates, weatherData) {
   return segments > 0 ? totalFactor / segments : 0.8;
 }
 
-// Get appropriate Mapbox routing profile
-function getMapboxProfile(trainingGoal) {
-  switch (trainingGoal) {
-    case 'recovery':
-      return 'cycling'; // Prefer bike-friendly routes
-    case 'endurance':
-      return 'cycling';
-    case 'intervals':
-      return 'cycling'; // Might prefer roads with less traffic
-    case 'hills':
-      return 'cycling';
-    default:
-      return 'cycling';
-  }
+// Route through waypoints with the provider chain. Returns an empty route
+// when every provider fails so callers' validity checks reject it.
+async function routeThroughWaypoints(waypoints, trainingGoal) {
+  const route = await routeWithFallback(waypoints, { trainingGoal });
+  return route || { coordinates: [], distance: 0, duration: 0, confidence: 0, source: 'none' };
+}
+
+// Snap waypoints with map matching where supported, directions otherwise
+async function matchThroughWaypoints(waypoints, trainingGoal) {
+  const route = await matchWithFallback(waypoints, { trainingGoal });
+  return route || { coordinates: [], distance: 0, duration: 0, confidence: 0, source: 'none' };
 }
 
 // Calculate route difficulty
@@ -1085,21 +1235,41 @@ function generateRouteDescription(trainingGoal, pattern, elevationStats) {
 
 // Score and rank routes
 async function scoreRoutes(routes, criteria) {
-  const { trainingGoal, weatherData, timeAvailable, ridingPatterns } = criteria;
+  const { trainingGoal, weatherData, timeAvailable, ridingPatterns, riderProfile, elevationTarget, windForecast, departureTime } = criteria;
   
-  const scoredRoutes = routes.map(route => {
+  const scoredRoutes = routes.map(unscoredRoute => {
     let score = 0.5; // Base score
+    const estimatedTime = estimateRouteTime(unscoredRoute, weatherData, riderProfile);
+
+    // Forecast wind where the rider will be through the ride
+    const windAnalysis = estimatedTime > 0 ? analyzeRouteWind(unscoredRoute.coordinates, windForecast, {
+      departureTime,
+      averageSpeedKmh: unscoredRoute.distance / (estimatedTime / 60)
+    }) : null;
+    const route = windAnalysis ? { ...unscoredRoute, windFactor: windAnalysis.windFactor, windAnalysis } : unscoredRoute;
+
+    // Starting before civil dawn or finishing after civil dusk at the start point
+    const start = unscoredRoute.coordinates?.[0];
+    const daylight = departureTime && start && estimatedTime > 0 ?
+      assessRideDaylight(departureTime, estimatedTime * 60, start[1], start[0]) : null;
     
-    // Training goal alignment
-    score += getTrainingGoalScore(route, trainingGoal);
+    // Training goal alignment. An explicit climbing target replaces the
+    // goal's own climbing preference.
+    const targetsClimbing = elevationTarget && (trainingGoal === 'hills' || trainingGoal === 'recovery');
+    score += targetsClimbing ? 0.1 : getTrainingGoalScore(route, trainingGoal);
     
     // Weather optimization
     if (weatherData) {
       score += getWeatherScore(route, weatherData);
     }
     
-    // Time efficiency
-    score += getTimeEfficiencyScore(route, timeAvailable);
+    // Time efficiency, or distance/climbing fit when targeting elevation
+    const elevationTargetFit = elevationTarget ? getElevationTargetFit(route, elevationTarget) : null;
+    if (elevationTarget) {
+      score += (elevationTargetFit - 0.5) * 0.6;
+    } else {
+      score += getTimeEfficiencyScore(estimatedTime, timeAvailable);
+    }
     
     // Route quality
     score += getRouteQualityScore(route);
@@ -1108,9 +1278,22 @@ async function scoreRoutes(routes, criteria) {
     if (ridingPatterns) {
       score += getHistoricalPatternScore(route, ridingPatterns);
     }
+
+    // Headwind early, tailwind home
+    if (windAnalysis) {
+      score += (windAnalysis.strategyScore - 0.5) * 0.3;
+    }
+
+    // Riding in the dark, scaled by how much of the ride it covers
+    if (daylight) {
+      score -= daylight.darkFraction * 0.4;
+    }
     
     return {
       ...route,
+      estimatedTime,
+      elevationTargetFit,
+      daylight,
       score: Math.max(0, Math.min(1, score))
     };
   });
@@ -1139,9 +1322,22 @@ function getWeatherScore(route, weather) {
   return conditions ? conditions.score * 0.2 : 0;
 }
 
+// Estimated riding time in minutes from the physics model, walking the
+// elevation profile when the route has one
+function estimateRouteTime(route, weatherData, riderProfile) {
+  const options = {
+    ...getRiderPhysics(riderProfile, route.trainingGoal),
+    weather: weatherData
+  };
+
+  const estimate = (route.elevationProfile?.length >= 2 && estimateRideTime(route.elevationProfile, options)) ||
+    estimateRideTimeFromStats(route.distance, route.elevationGain, options);
+
+  return estimate ? Math.round(estimate.totalSeconds / 60) : Math.round((route.distance / 23) * 60);
+}
+
 // Time efficiency scoring
-function getTimeEfficiencyScore(route, timeAvailable) {
-  const estimatedTime = (route.distance / 23) * 60; // Assume 23 km/h average
+function getTimeEfficiencyScore(estimatedTime, timeAvailable) {
   const timeDiff = Math.abs(estimatedTime - timeAvailable);
   
   if (timeDiff < 10) return 0.2; // Within 10 minutes
@@ -1295,98 +1491,6 @@ function generateMockCoordinates(startLocation, targetDistance) {
   return coordinates;
 }
 
-// Generate out-and-back pattern
-async function generateOutAndBackPattern(startLocation, halfDistance, direction, trainingGoal, weatherData, patternBasedSuggestions) {
-  const [startLon, startLat] = startLocation;
-  
-  // Calculate target point for out-and-back
-  const angle = direction.bearing * (Math.PI / 180);
-  
-  // Check for nearby frequent areas in the preferred direction
-  const nearbyAreas = patternBasedSuggestions?.nearbyFrequentAreas || [];
-  let targetPoint = null;
-  
-  // Try to use a frequent area as the turnaround point
-  for (const area of nearbyAreas) {
-    const areaBearing = calculateBearing(startLocation, area.center);
-    const bearingDiff = Math.abs(areaBearing - direction.bearing);
-    const normalizedDiff = bearingDiff > 180 ? 360 - bearingDiff : bearingDiff;
-    
-    const distanceToArea = calculateDistance(startLocation, area.center);
-    
-    // Use area if it's roughly in the right direction and distance
-    if (normalizedDiff < 45 && 
-        distanceToArea > halfDistance * 0.5 && 
-        distanceToArea < halfDistance * 1.5) {
-      targetPoint = area.center;
-      console.log(`Using frequent area as turnaround point for ${direction.name}`);
-      break;
-    }
-  }
-  
-  // If no suitable frequent area, calculate target point
-  if (!targetPoint) {
-    // Add some variation to avoid perfectly straight lines
-    const angleVariation = angle + (Math.random() - 0.5) * 0.2;
-    const distanceVariation = halfDistance * (0.8 + Math.random() * 0.4);
-    
-    const deltaLat = (distanceVariation / 111.32) * Math.cos(angleVariation);
-    const deltaLon = (distanceVariation / (111.32 * Math.cos(startLat * Math.PI / 180))) * Math.sin(angleVariation);
-    
-    targetPoint = [startLon + deltaLon, startLat + deltaLat];
-  }
-  
-  // Create simple out-and-back route
-  const waypoints = [startLocation, targetPoint];
-  
-  // Get Mapbox token and try to generate route
-  const mapboxToken = process.env.REACT_APP_MAPBOX_TOKEN;
-  if (!mapboxToken) {
-    console.warn('Mapbox token not available');
-    return null;
-  }
-
-  try {
-    // Use cycling directions to get realistic route
-    const outboundRoute = await getCyclingDirections(waypoints, mapboxToken, {
-      profile: getMapboxProfile(trainingGoal)
-    });
-    
-    if (!outboundRoute.coordinates || outboundRoute.coordinates.length < 5) {
-      console.warn(`Failed to generate realistic outbound route for ${direction.name}`);
-      return null;
-    }
-    
-    // Create the return journey (reverse the coordinates)
-    const returnCoordinates = [...outboundRoute.coordinates].reverse();
-    
-    // Combine outbound and return for full route
-    const fullCoordinates = [...outboundRoute.coordinates, ...returnCoordinates.slice(1)]; // Skip duplicate start point
-    
-    const elevationProfile = await fetchElevationProfile(fullCoordinates, mapboxToken);
-    const elevationStats = calculateElevationStats(elevationProfile);
-    
-    return {
-      name: `${direction.name} - ${getRouteNameByGoal(trainingGoal)}`,
-      distance: (outboundRoute.distance * 2) / 1000, // Convert to km and double for round trip
-      elevationGain: elevationStats.gain,
-      elevationLoss: elevationStats.loss,
-      coordinates: fullCoordinates,
-      difficulty: calculateDifficulty((outboundRoute.distance * 2) / 1000, elevationStats.gain),
-      description: generateRouteDescription(trainingGoal, 'out_back', elevationStats),
-      trainingGoal,
-      pattern: 'out_back',
-      confidence: outboundRoute.confidence,
-      elevationProfile,
-      windFactor: calculateWindFactor(fullCoordinates, weatherData),
-    };
-    
-  } catch (error) {
-    console.warn(`Failed to generate out-and-back route for ${direction.name}:`, error);
-    return null;
-  }
-}
-
 // Generate routes from past ride templates
 async function generateRoutesFromTemplates(params) {
   const { startLocation, targetDistance, trainingGoal, routeType, templates } = params;
@@ -1435,7 +1539,7 @@ async function generateRoutesFromTemplates(params) {
 // Adapt a route template to a new location
 async function adaptTemplateToLocation(template, newStartLocation, targetDistance, trainingGoal) {
   const mapboxToken = process.env.REACT_APP_MAPBOX_TOKEN;
-  if (!mapboxToken) return null;
+  if (!hasRoutingProvider()) return null;
   
   // Scale and translate the template key points to the new start location
   const templateStart = template.keyPoints[0];
@@ -1465,10 +1569,8 @@ async function adaptTemplateToLocation(template, newStartLocation, targetDistanc
   });
   
   try {
-    // Use Mapbox to create a realistic route through these adapted points
-    const snappedRoute = await getCyclingDirections(adaptedKeyPoints, mapboxToken, {
-      profile: getMapboxProfile(trainingGoal)
-    });
+    // Use the routing provider chain to create a realistic route through these adapted points
+    const snappedRoute = await routeThroughWaypoints(adaptedKeyPoints, trainingGoal);
     
     if (!snappedRoute.coordinates || snappedRoute.coordinates.length < 10) {
       return null;
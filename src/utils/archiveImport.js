@@ -0,0 +1,144 @@
+// Account export archives (Strava / Garmin)
+// Walks a .zip export for activity files and matches them to the activities.csv
+// manifest so names, dates and gear survive the migration
+
+import JSZip from 'jszip';
+import Papa from 'papaparse';
+import pako from 'pako';
+
+// Activity files we can import, optionally gzipped
+const ACTIVITY_FILE_PATTERN = /\.(gpx|tcx|fit)(\.gz)?$/i;
+
+// Garmin exports nest the original uploads in zips inside the archive
+const NESTED_ARCHIVE_PATTERN = /\.zip$/i;
+
+// Manifest columns, first match wins (Strava and Garmin name them differently)
+const MANIFEST_COLUMNS = {
+  activityId: ['Activity ID', 'activityId'],
+  name: ['Activity Name', 'Name', 'Title'],
+  date: ['Activity Date', 'Start Time', 'Date'],
+  type: ['Activity Type', 'Sport', 'Type'],
+  gear: ['Activity Gear', 'Gear', 'Bike'],
+  filename: ['Filename', 'File Name']
+};
+
+const baseName = (path) => path.split('/').pop();
+
+export function isActivityArchive(file) {
+  return NESTED_ARCHIVE_PATTERN.test(file?.name || '');
+}
+
+export function isActivityFile(name) {
+  return ACTIVITY_FILE_PATTERN.test(name || '');
+}
+
+// Strava writes dates like "Jan 5, 2024, 7:12:34 AM" in UTC
+function parseManifestDate(value) {
+  if (!value) return null;
+  const iso = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(iso)) return iso.toISOString();
+  const utc = new Date(`${value} UTC`);
+  if (!isNaN(utc)) return utc.toISOString();
+  return isNaN(iso) ? null : iso.toISOString();
+}
+
+function pickColumn(row, candidates) {
+  const key = Object.keys(row).find(column =>
+    candidates.some(candidate => candidate.toLowerCase() === column.trim().toLowerCase())
+  );
+  const value = key ? String(row[key]).trim() : '';
+  return value || null;
+}
+
+// Parse activities.csv into manifest entries keyed by activity file name
+export function parseActivityManifest(csvText) {
+  const { data } = Papa.parse(csvText, { header: true, skipEmptyLines: true });
+  const manifest = new Map();
+
+  data.forEach(row => {
+    const filename = pickColumn(row, MANIFEST_COLUMNS.filename);
+    if (!filename) return;
+
+    manifest.set(baseName(filename).toLowerCase(), {
+      activityId: pickColumn(row, MANIFEST_COLUMNS.activityId),
+      name: pickColumn(row, MANIFEST_COLUMNS.name),
+      date: parseManifestDate(pickColumn(row, MANIFEST_COLUMNS.date)),
+      type: pickColumn(row, MANIFEST_COLUMNS.type),
+      gear: pickColumn(row, MANIFEST_COLUMNS.gear)
+    });
+  });
+
+  return manifest;
+}
+
+// Whether a manifest activity type is a bike ride (rides, gravel, MTB, e-bike, "cycling")
+export function isCyclingActivity(type) {
+  if (!type) return true;
+  return /ride|cycl|bik/i.test(type);
+}
+
+// Name the imported file goes by: gzipped GPX/TCX are inflated on load,
+// gzipped FIT is left to parseFIT
+function activityFileName(entry) {
+  const name = baseName(entry.name);
+  return /\.(gpx|tcx)\.gz$/i.test(name) ? name.replace(/\.gz$/i, '') : name;
+}
+
+// Unzip an archive entry into a File the upload parsers understand
+async function toActivityFile(entry) {
+  const name = activityFileName(entry);
+  const data = await entry.async('uint8array');
+
+  if (/\.(gpx|tcx)\.gz$/i.test(entry.name)) {
+    return new File([pako.ungzip(data)], name);
+  }
+  return new File([data], name);
+}
+
+// Collect activity entries from an archive, descending into nested zips
+async function collectEntries(zip, prefix, result) {
+  const entries = Object.values(zip.files).filter(entry => !entry.dir);
+
+  for (const entry of entries) {
+    const path = `${prefix}${entry.name}`;
+    if (isActivityFile(entry.name)) {
+      result.activities.push({ entry, path });
+    } else if (NESTED_ARCHIVE_PATTERN.test(entry.name)) {
+      try {
+        const nested = await JSZip.loadAsync(await entry.async('uint8array'));
+        await collectEntries(nested, `${path}/`, result);
+      } catch (error) {
+        console.warn(`Skipping unreadable nested archive ${path}:`, error);
+        result.ignored++;
+      }
+    } else if (baseName(entry.name).toLowerCase() === 'activities.csv') {
+      result.manifestText = await entry.async('string');
+    } else {
+      result.ignored++;
+    }
+  }
+}
+
+// Read an export archive. Returns the activity entries with their manifest
+// entry (when activities.csv lists them) and a count of other files ignored.
+// Entries are only unzipped when imported: load() resolves to the File, so
+// an export of thousands of rides isn't inflated into memory up front.
+export async function readActivityArchive(file) {
+  const zip = await JSZip.loadAsync(file);
+  const result = { activities: [], ignored: 0, manifestText: null };
+  await collectEntries(zip, '', result);
+
+  const manifest = result.manifestText ? parseActivityManifest(result.manifestText) : new Map();
+  const activities = result.activities.map(({ entry, path }) => ({
+    name: activityFileName(entry),
+    path,
+    manifest: manifest.get(baseName(entry.name).toLowerCase()) || null,
+    load: () => toActivityFile(entry)
+  }));
+
+  return {
+    activities,
+    ignored: result.ignored,
+    hasManifest: manifest.size > 0
+  };
+}
@@ -0,0 +1,31 @@
+import JSZip from 'jszip';
+import pako from 'pako';
+import { readActivityArchive } from './archiveImport';
+
+const GPX = '<?xml version="1.0"?><gpx version="1.1"><trk><trkseg><trkpt lat="45" lon="7"/></trkseg></trk></gpx>';
+
+async function exportArchive() {
+  const zip = new JSZip();
+  zip.file('activities.csv', 'Activity ID,Activity Name,Activity Type,Filename\n1,Morning Ride,Ride,activities/1.gpx.gz\n');
+  zip.file('activities/1.gpx.gz', pako.gzip(GPX));
+  zip.file('profile.jpg', 'not an activity');
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+test('lists activity entries with their manifest entry and unzips them on load', async () => {
+  const { activities, ignored, hasManifest } = await readActivityArchive(await exportArchive());
+
+  expect(ignored).toBe(1);
+  expect(hasManifest).toBe(true);
+  expect(activities).toHaveLength(1);
+  expect(activities[0]).toMatchObject({
+    name: '1.gpx',
+    path: 'activities/1.gpx.gz',
+    manifest: { activityId: '1', name: 'Morning Ride', type: 'Ride' }
+  });
+  expect(activities[0].file).toBeUndefined();
+
+  const file = await activities[0].load();
+  expect(file.name).toBe('1.gpx');
+  expect(file.size).toBe(GPX.length);
+});
@@ -0,0 +1,174 @@
+// Climb detection and categorization for elevation profiles
+// Works on route builder profiles ({ coordinate, elevation, distance }) and
+// ride track points ({ lat, lng, elevation, timestamp_utc })
+
+import { haversineDistance } from './geo';
+
+// Climb categories by score = length (m) x average gradient (%), lowest first
+export const CLIMB_CATEGORIES = [
+  { category: '4', label: 'Cat 4', minScore: 8000, color: '#fab005' },
+  { category: '3', label: 'Cat 3', minScore: 16000, color: '#fd7e14' },
+  { category: '2', label: 'Cat 2', minScore: 32000, color: '#f03e3e' },
+  { category: '1', label: 'Cat 1', minScore: 64000, color: '#c2255c' },
+  { category: 'HC', label: 'HC', minScore: 80000, color: '#862e9c' }
+];
+
+// Minimum requirements for a climb to be reported
+const MIN_CLIMB_LENGTH_M = 500;
+const MIN_CLIMB_GRADIENT = 3;
+
+// A climb ends once the road drops this far below its highest point
+const MAX_DESCENT_TOLERANCE_M = 10;
+
+// Shortest stretch used for max gradient, so GPS noise doesn't produce 40% spikes
+const MAX_GRADIENT_WINDOW_M = 100;
+
+// Read [lon, lat] from the point shapes used across the app
+function getCoordinate(point) {
+  if (Array.isArray(point.coordinate)) return point.coordinate;
+  const lat = point.lat ?? point.latitude;
+  const lon = point.lng ?? point.lon ?? point.longitude;
+  return lat !== undefined && lon !== undefined ? [lon, lat] : null;
+}
+
+function getTime(point) {
+  const time = point.time ?? point.timestamp_utc ?? point.timestamp;
+  if (!time) return null;
+  const ms = new Date(time).getTime();
+  return isNaN(ms) ? null : ms;
+}
+
+// Normalize points to { index, distance (m), elevation, coordinate, time },
+// measuring distance along coordinates when available
+function buildProfile(points) {
+  const profile = [];
+  let distance = 0;
+  let previous = null;
+
+  points.forEach((point, index) => {
+    if (!point || typeof point.elevation !== 'number' || isNaN(point.elevation)) return;
+
+    const coordinate = getCoordinate(point);
+    if (previous) {
+      if (coordinate && previous.coordinate) {
+        distance += haversineDistance(previous.coordinate, coordinate) * 1000;
+      } else if (typeof point.distance === 'number') {
+        distance = point.distance;
+      }
+    }
+
+    const entry = { index, distance, elevation: point.elevation, coordinate, time: getTime(point) };
+    profile.push(entry);
+    previous = entry;
+  });
+
+  // Light smoothing so single noisy samples don't split or create climbs
+  return profile.map((entry, i) => {
+    const window = profile.slice(Math.max(0, i - 1), Math.min(profile.length, i + 2));
+    return { ...entry, elevation: window.reduce((sum, p) => sum + p.elevation, 0) / window.length };
+  });
+}
+
+export function categorizeClimb(lengthMeters, avgGradient) {
+  const score = lengthMeters * avgGradient;
+  let match = null;
+  CLIMB_CATEGORIES.forEach(category => {
+    if (score >= category.minScore) match = category;
+  });
+  return match ? { ...match, score: Math.round(score) } : null;
+}
+
+// Steepest gradient (%) over any stretch of at least MAX_GRADIENT_WINDOW_M
+function calculateMaxGradient(profile, start, end) {
+  let maxGradient = 0;
+  let windowStart = start;
+
+  for (let i = start + 1; i <= end; i++) {
+    while (windowStart < i && profile[i].distance - profile[windowStart + 1].distance >= MAX_GRADIENT_WINDOW_M) {
+      windowStart++;
+    }
+    const length = profile[i].distance - profile[windowStart].distance;
+    if (length >= MAX_GRADIENT_WINDOW_M) {
+      const gradient = (profile[i].elevation - profile[windowStart].elevation) / length * 100;
+      if (gradient > maxGradient) maxGradient = gradient;
+    }
+  }
+
+  return maxGradient;
+}
+
+function describeClimb(profile, start, end) {
+  const first = profile[start];
+  const summit = profile[end];
+  const length = summit.distance - first.distance;
+  const elevationGain = summit.elevation - first.elevation;
+  if (length < MIN_CLIMB_LENGTH_M) return null;
+
+  const avgGradient = elevationGain / length * 100;
+  if (avgGradient < MIN_CLIMB_GRADIENT) return null;
+
+  const category = categorizeClimb(length, avgGradient);
+  if (!category) return null;
+
+  const duration = first.time !== null && summit.time !== null ? (summit.time - first.time) / 1000 : null;
+
+  return {
+    startIndex: first.index,
+    endIndex: summit.index,
+    startDistance: first.distance,
+    endDistance: summit.distance,
+    length,
+    elevationGain: Math.round(elevationGain),
+    startElevation: Math.round(first.elevation),
+    summitElevation: Math.round(summit.elevation),
+    avgGradient: Math.round(avgGradient * 10) / 10,
+    maxGradient: Math.round(Math.max(avgGradient, calculateMaxGradient(profile, start, end)) * 10) / 10,
+    category: category.category,
+    label: category.label,
+    color: category.color,
+    score: category.score,
+    duration,
+    // Vertical ascent speed in m/h, only for recorded rides
+    vam: duration && duration > 0 ? Math.round(elevationGain / (duration / 3600)) : null,
+    startCoordinate: first.coordinate,
+    summitCoordinate: summit.coordinate
+  };
+}
+
+// Find categorized climbs in an elevation profile. A climb starts at a low
+// point and runs to the highest point reached before the road drops more
+// than MAX_DESCENT_TOLERANCE_M, so short dips don't split long climbs.
+export function detectClimbs(points) {
+  if (!Array.isArray(points) || points.length < 2) return [];
+
+  const profile = buildProfile(points);
+  const climbs = [];
+  let start = 0;
+  let summit = 0;
+
+  for (let i = 1; i < profile.length; i++) {
+    const elevation = profile[i].elevation;
+
+    if (elevation > profile[summit].elevation) {
+      summit = i;
+    } else if (profile[summit].elevation - elevation > MAX_DESCENT_TOLERANCE_M) {
+      const climb = summit > start ? describeClimb(profile, start, summit) : null;
+      if (climb) climbs.push(climb);
+      start = i;
+      summit = i;
+    }
+
+    // Restart from a new low point while still at or below the start
+    if (elevation <= profile[start].elevation) {
+      start = i;
+      summit = i;
+    }
+  }
+
+  if (summit > start) {
+    const climb = describeClimb(profile, start, summit);
+    if (climb) climbs.push(climb);
+  }
+
+  return climbs;
+}
@@ -0,0 +1,61 @@
+import { detectClimbs, categorizeClimb } from './climbs';
+
+// Builder-style profile sampled every 50 m from [length (m), gradient (%)] stretches
+function profile(...stretches) {
+  const points = [{ distance: 0, elevation: 100 }];
+  stretches.forEach(([length, gradient]) => {
+    for (let d = 50; d <= length; d += 50) {
+      const previous = points[points.length - 1];
+      points.push({ distance: previous.distance + 50, elevation: previous.elevation + 50 * gradient / 100 });
+    }
+  });
+  return points;
+}
+
+describe('categorizeClimb', () => {
+  test('scores length x gradient against the category thresholds', () => {
+    expect(categorizeClimb(1000, 7.9)).toBeNull();
+    expect(categorizeClimb(1000, 8)).toMatchObject({ category: '4', score: 8000 });
+    expect(categorizeClimb(2000, 8)).toMatchObject({ category: '3', score: 16000 });
+    expect(categorizeClimb(4000, 8)).toMatchObject({ category: '2', score: 32000 });
+    expect(categorizeClimb(8000, 8)).toMatchObject({ category: '1', score: 64000 });
+    expect(categorizeClimb(10000, 8)).toMatchObject({ category: 'HC', label: 'HC', score: 80000 });
+  });
+});
+
+describe('detectClimbs', () => {
+  test('finds a climb between flat stretches', () => {
+    const climbs = detectClimbs(profile([1000, 0], [2000, 6], [1000, 0]));
+
+    // Smoothing can move either end by one 50 m sample
+    expect(climbs).toHaveLength(1);
+    expect(Math.abs(climbs[0].startDistance - 1000)).toBeLessThanOrEqual(50);
+    expect(Math.abs(climbs[0].endDistance - 3000)).toBeLessThanOrEqual(50);
+    expect(climbs[0].avgGradient).toBeCloseTo(6, 0);
+    expect(climbs[0].category).toBe('4');
+  });
+
+  test('merges a short dip into the climb around it', () => {
+    // 5 m dip halfway up, inside the 10 m descent tolerance
+    const climbs = detectClimbs(profile([1500, 8], [100, -5], [1500, 8]));
+
+    expect(climbs).toHaveLength(1);
+    expect(climbs[0].length).toBeCloseTo(3100, -2);
+    expect(climbs[0].elevationGain).toBeGreaterThan(225);
+    expect(climbs[0].category).toBe('3');
+  });
+
+  test('splits climbs at a longer descent', () => {
+    // 15 m drop between the two ramps
+    const climbs = detectClimbs(profile([1500, 8], [300, -5], [1500, 8]));
+
+    expect(climbs).toHaveLength(2);
+    expect(climbs.map(climb => climb.category)).toEqual(['4', '4']);
+    expect(climbs[1].startDistance).toBeCloseTo(1800, -2);
+  });
+
+  test('ignores rises that are too short or too shallow', () => {
+    expect(detectClimbs(profile([400, 10]))).toEqual([]);
+    expect(detectClimbs(profile([5000, 2]))).toEqual([]);
+  });
+});
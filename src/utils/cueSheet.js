@@ -0,0 +1,325 @@
+// Turn cues for routes
+// Normalizes routing provider instructions (GraphHopper, OpenRouteService)
+// into one cue shape, or derives turn instructions from the route geometry:
+// the change in bearing between the road just before and just after each
+// point. Also writes cue sheets (CSV, printable HTML) for export routes.
+//
+// Cue shape:
+// { index, coordinate, distanceKm, type, instruction, street, exit?, source, degrees? }
+// where index is into the route coordinates and type is one of CUE_TYPES
+
+import Papa from 'papaparse';
+import { escapeXml } from './xml';
+import { haversineDistance, bearingBetween } from './geo';
+
+const LOOK_DISTANCE_M = 25; // road length either side used for the bearings
+const MERGE_DISTANCE_M = 40; // bends within this distance are one turn
+const MIN_TURN_DEGREES = 35;
+
+// Direction of a turn from its bearing change (positive = clockwise = right)
+const TURN_TYPES = [
+  { maxDegrees: 60, direction: 'slight' },
+  { maxDegrees: 135, direction: '' },
+  { maxDegrees: 165, direction: 'sharp' }
+];
+
+// Instruction and printable arrow for each cue type
+export const CUE_TYPES = {
+  left: { instruction: 'Turn left', arrow: '←' },
+  right: { instruction: 'Turn right', arrow: '→' },
+  'slight-left': { instruction: 'Bear left', arrow: '↖' },
+  'slight-right': { instruction: 'Bear right', arrow: '↗' },
+  'sharp-left': { instruction: 'Sharp left', arrow: '↙' },
+  'sharp-right': { instruction: 'Sharp right', arrow: '↘' },
+  'keep-left': { instruction: 'Keep left', arrow: '↖' },
+  'keep-right': { instruction: 'Keep right', arrow: '↗' },
+  'u-turn': { instruction: 'Make a U-turn', arrow: '↶' },
+  straight: { instruction: 'Continue', arrow: '↑' },
+  roundabout: { instruction: 'At the roundabout', arrow: '↻' },
+  start: { instruction: 'Start', arrow: '●' },
+  finish: { instruction: 'Finish', arrow: '■' }
+};
+
+// GraphHopper instruction signs; finish (4), via points (5) and leaving a
+// roundabout (-6) are not cues
+const GRAPHHOPPER_SIGNS = {
+  '-98': 'u-turn',
+  '-8': 'u-turn',
+  '-7': 'keep-left',
+  '-3': 'sharp-left',
+  '-2': 'left',
+  '-1': 'slight-left',
+  0: 'straight',
+  1: 'slight-right',
+  2: 'right',
+  3: 'sharp-right',
+  6: 'roundabout',
+  7: 'keep-right',
+  8: 'u-turn'
+};
+
+// OpenRouteService step types; exiting a roundabout (8), the goal (10) and
+// departure (11) are not cues
+const ORS_STEP_TYPES = {
+  0: 'left',
+  1: 'right',
+  2: 'sharp-left',
+  3: 'sharp-right',
+  4: 'slight-left',
+  5: 'slight-right',
+  6: 'straight',
+  7: 'roundabout',
+  9: 'u-turn',
+  12: 'keep-left',
+  13: 'keep-right'
+};
+
+// Distance in meters from the start to each [lon, lat] coordinate
+function cumulativeDistances(coordinates) {
+  const distances = [0];
+  for (let i = 1; i < coordinates.length; i++) {
+    distances.push(distances[i - 1] + haversineDistance(coordinates[i - 1], coordinates[i]) * 1000);
+  }
+  return distances;
+}
+
+// Turn type for a bearing change in degrees (-180..180)
+export function classifyTurn(degrees) {
+  const side = degrees < 0 ? 'left' : 'right';
+  const magnitude = Math.abs(degrees);
+  if (magnitude > TURN_TYPES[TURN_TYPES.length - 1].maxDegrees) {
+    return { type: 'u-turn', instruction: CUE_TYPES['u-turn'].instruction };
+  }
+  const turn = TURN_TYPES.find(t => magnitude <= t.maxDegrees);
+  const type = turn.direction ? `${turn.direction}-${side}` : side;
+  return { type, instruction: CUE_TYPES[type].instruction };
+}
+
+// Instruction text for a cue type, with the street and roundabout exit
+export function cueInstruction(type, street, exit) {
+  let instruction = CUE_TYPES[type]?.instruction || 'Continue';
+  if (type === 'roundabout' && exit) instruction += `, take exit ${exit}`;
+  return street ? `${instruction} onto ${street}` : instruction;
+}
+
+// Provider street names: ORS uses "-" and GraphHopper "" for unnamed roads
+const streetName = (name) => {
+  const street = (name || '').trim();
+  return street && street !== '-' ? street : null;
+};
+
+// Cues from provider instructions given as { index, type, street, exit }.
+// The start and finish are not cues, and a "continue" only is when the
+// street changes.
+function normalizeInstructions(instructions, coordinates, source) {
+  if (!coordinates || coordinates.length < 2) return [];
+  const distances = cumulativeDistances(coordinates);
+  const cues = [];
+  let street = null;
+
+  instructions.forEach(({ index, type, street: nextStreet, exit }) => {
+    const previousStreet = street;
+    if (nextStreet) street = nextStreet;
+    if (!type || index <= 0 || index >= coordinates.length - 1) return;
+    if (type === 'straight' && (!nextStreet || nextStreet === previousStreet)) return;
+
+    cues.push({
+      index,
+      coordinate: coordinates[index],
+      distanceKm: distances[index] / 1000,
+      type,
+      instruction: cueInstruction(type, nextStreet, exit),
+      street: nextStreet,
+      ...(exit ? { exit } : {}),
+      source
+    });
+  });
+
+  return cues;
+}
+
+// Cues from GraphHopper path instructions ({ sign, street_name, interval, exit_number })
+export function normalizeGraphHopperInstructions(instructions, coordinates) {
+  return normalizeInstructions((instructions || []).map(instruction => ({
+    index: instruction.interval?.[0],
+    type: GRAPHHOPPER_SIGNS[instruction.sign],
+    street: streetName(instruction.street_name),
+    exit: instruction.exit_number
+  })), coordinates, 'graphhopper');
+}
+
+// Cues from OpenRouteService segment steps ({ type, name, way_points, exit_number })
+export function normalizeORSSteps(steps, coordinates) {
+  return normalizeInstructions((steps || []).map(step => ({
+    index: step.way_points?.[0],
+    type: ORS_STEP_TYPES[step.type],
+    street: streetName(step.name),
+    exit: step.exit_number
+  })), coordinates, 'ors');
+}
+
+// Turn cues along a [lon, lat] polyline:
+// [{ index, coordinate, distanceKm, degrees, type, instruction }]
+export function deriveTurnCues(coordinates) {
+  if (!coordinates || coordinates.length < 3) return [];
+
+  const distances = cumulativeDistances(coordinates);
+
+  const candidates = [];
+  let back = 0;
+  let ahead = 0;
+  for (let i = 1; i < coordinates.length - 1; i++) {
+    // Last point at least LOOK_DISTANCE_M behind, first one that far ahead
+    while (back + 1 < i && distances[i] - distances[back + 1] >= LOOK_DISTANCE_M) back++;
+    if (ahead <= i) ahead = i + 1;
+    while (ahead < coordinates.length - 1 && distances[ahead] - distances[i] < LOOK_DISTANCE_M) ahead++;
+    if (distances[i] === distances[back] || distances[ahead] === distances[i]) continue;
+
+    const bearingIn = bearingBetween(coordinates[back], coordinates[i]);
+    const bearingOut = bearingBetween(coordinates[i], coordinates[ahead]);
+    const degrees = ((bearingOut - bearingIn + 540) % 360) - 180;
+    if (Math.abs(degrees) >= MIN_TURN_DEGREES) candidates.push({ index: i, degrees });
+  }
+
+  // One cue per bend: the sharpest point of each run of nearby candidates
+  const cues = [];
+  candidates.forEach(candidate => {
+    const last = cues[cues.length - 1];
+    if (last && distances[candidate.index] - distances[last.index] <= MERGE_DISTANCE_M &&
+        Math.sign(last.degrees) === Math.sign(candidate.degrees)) {
+      if (Math.abs(candidate.degrees) > Math.abs(last.degrees)) cues[cues.length - 1] = candidate;
+      return;
+    }
+    cues.push(candidate);
+  });
+
+  return cues.map(({ index, degrees }) => ({
+    index,
+    coordinate: coordinates[index],
+    distanceKm: distances[index] / 1000,
+    degrees: Math.round(degrees),
+    ...classifyTurn(degrees),
+    street: null,
+    source: 'geometry'
+  }));
+}
+
+// Cue sheet for a route's [lon, lat] coordinates: the provider's cues when
+// the router gave some, derived from the geometry otherwise
+export function buildCueSheet(coordinates, providerCues) {
+  return providerCues?.length ? providerCues : deriveTurnCues(coordinates);
+}
+
+// Rows of a printed cue sheet for an export route (see routeExport.js):
+// start, each cue and finish, with the distance from the start and from the
+// previous row, and the planned time since the start when points have times
+export function cueSheetRows(route) {
+  const { points = [], cues = [] } = route;
+  if (points.length < 2) return [];
+
+  const distances = cumulativeDistances(points.map(point => [point.longitude, point.latitude]));
+  const startTime = points[0].time ? new Date(points[0].time).getTime() : null;
+  const last = points.length - 1;
+
+  const entries = [
+    { index: 0, type: 'start', instruction: cueInstruction('start'), street: null },
+    ...cues.filter(cue => cue.index > 0 && cue.index < last),
+    { index: last, type: 'finish', instruction: cueInstruction('finish'), street: null }
+  ];
+
+  return entries.map((entry, i) => {
+    const time = points[entry.index].time;
+    const distanceKm = distances[entry.index] / 1000;
+    return {
+      number: i + 1,
+      distanceKm,
+      legKm: i === 0 ? 0 : distanceKm - distances[entries[i - 1].index] / 1000,
+      elapsedSeconds: startTime !== null && time ? Math.round((new Date(time).getTime() - startTime) / 1000) : null,
+      type: entry.type,
+      arrow: CUE_TYPES[entry.type]?.arrow || '',
+      instruction: entry.instruction,
+      street: entry.street || ''
+    };
+  });
+}
+
+const KM_PER_MILE = 1.60934;
+
+const formatElapsed = (seconds) => {
+  if (seconds === null) return '';
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${hours}:${String(minutes).padStart(2, '0')}`;
+};
+
+// Distance columns in the rider's units
+function sheetColumns(rows, useImperial) {
+  const unit = useImperial ? 'mi' : 'km';
+  const convert = (km) => (useImperial ? km / KM_PER_MILE : km).toFixed(2);
+  const hasTimes = rows.some(row => row.elapsedSeconds !== null);
+  return { unit, convert, hasTimes };
+}
+
+// CSV cue sheet for an export route
+export function cueSheetToCSV(route, { useImperial = false } = {}) {
+  const rows = cueSheetRows(route);
+  const { unit, convert, hasTimes } = sheetColumns(rows, useImperial);
+
+  return Papa.unparse(rows.map(row => ({
+    '#': row.number,
+    [`Distance (${unit})`]: convert(row.distanceKm),
+    [`Leg (${unit})`]: convert(row.legKm),
+    ...(hasTimes ? { Elapsed: formatElapsed(row.elapsedSeconds) } : {}),
+    Direction: row.type,
+    Instruction: row.instruction,
+    Street: row.street
+  })));
+}
+
+// Standalone HTML page with the cue sheet as a table, for printing
+export function cueSheetToHTML(route, { useImperial = false } = {}) {
+  const rows = cueSheetRows(route);
+  const { unit, convert, hasTimes } = sheetColumns(rows, useImperial);
+  const name = escapeXml(route.name || 'Route');
+  const total = rows.length ? convert(rows[rows.length - 1].distanceKm) : '0.00';
+
+  const header = ['#', unit, 'Leg', ...(hasTimes ? ['Time'] : []), '', 'Instruction']
+    .map(title => `<th>${title}</th>`).join('');
+  const body = rows.map(row => [
+    row.number,
+    convert(row.distanceKm),
+    convert(row.legKm),
+    ...(hasTimes ? [formatElapsed(row.elapsedSeconds)] : []),
+    `<span class="arrow">${row.arrow}</span>`,
+    escapeXml(row.instruction)
+  ].map(cell => `<td>${cell}</td>`).join('')).map(cells => `<tr>${cells}</tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${name} – cue sheet</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 24px; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  p { margin: 0 0 12px; color: #555; font-size: 12px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border-bottom: 1px solid #ddd; padding: 4px 6px; text-align: left; }
+  th { background: #f3f3f3; }
+  td:nth-child(-n+3) { font-variant-numeric: tabular-nums; white-space: nowrap; }
+  .arrow { font-size: 16px; }
+  tr { page-break-inside: avoid; }
+</style>
+</head>
+<body>
+<h1>${name}</h1>
+<p>${total} ${unit} • ${rows.length} cues</p>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>`;
+}
@@ -0,0 +1,91 @@
+import { classifyTurn, deriveTurnCues, cueSheetRows, normalizeGraphHopperInstructions } from './cueSheet';
+
+const METERS_PER_DEGREE_LAT = 111320;
+const metersPerDegreeLon = METERS_PER_DEGREE_LAT * Math.cos(45 * Math.PI / 180);
+
+// [lon, lat] polyline every 10 m from (45, 7) along [east, north] legs in metres
+function polyline(...legs) {
+  const coordinates = [[7, 45]];
+  let east = 0;
+  let north = 0;
+  legs.forEach(([dEast, dNorth]) => {
+    const steps = Math.round(Math.hypot(dEast, dNorth) / 10);
+    for (let s = 1; s <= steps; s++) {
+      coordinates.push([
+        7 + (east + dEast * s / steps) / metersPerDegreeLon,
+        45 + (north + dNorth * s / steps) / METERS_PER_DEGREE_LAT
+      ]);
+    }
+    east += dEast;
+    north += dNorth;
+  });
+  return coordinates;
+}
+
+describe('classifyTurn', () => {
+  test('grades turns by how far the road bends', () => {
+    expect(classifyTurn(40).type).toBe('slight-right');
+    expect(classifyTurn(-60).type).toBe('slight-left');
+    expect(classifyTurn(-90)).toEqual({ type: 'left', instruction: 'Turn left' });
+    expect(classifyTurn(135).type).toBe('right');
+    expect(classifyTurn(-150)).toEqual({ type: 'sharp-left', instruction: 'Sharp left' });
+    expect(classifyTurn(170).type).toBe('u-turn');
+  });
+});
+
+describe('deriveTurnCues', () => {
+  test('finds one cue per corner, at the corner', () => {
+    // 1 km east, 1 km north, then 1 km south-east
+    const coordinates = polyline([1000, 0], [0, 1000], [707, -707]);
+    const cues = deriveTurnCues(coordinates);
+
+    expect(cues.map(cue => cue.type)).toEqual(['left', 'sharp-right']);
+    expect(cues[0].index).toBe(100);
+    expect(cues[0].distanceKm).toBeCloseTo(1, 2);
+    expect(cues[0].degrees).toBe(-90);
+    expect(cues[1].index).toBe(200);
+    expect(cues[1].degrees).toBe(135);
+    expect(cues[1].distanceKm - cues[0].distanceKm).toBeCloseTo(1, 2);
+  });
+
+  test('ignores gentle bends', () => {
+    expect(deriveTurnCues(polyline([1000, 0], [1000, 300]))).toEqual([]);
+  });
+});
+
+describe('cueSheetRows', () => {
+  test('gives the distance from the start and from the previous cue', () => {
+    const coordinates = polyline([1000, 0], [0, 500], [1500, 0]);
+    const start = Date.UTC(2026, 5, 1, 8, 0, 0);
+    // 10 m every 2 s = 18 km/h
+    const points = coordinates.map(([longitude, latitude], i) => ({
+      latitude, longitude, time: new Date(start + i * 2000).toISOString()
+    }));
+
+    const rows = cueSheetRows({ points, cues: deriveTurnCues(coordinates) });
+
+    expect(rows.map(row => row.type)).toEqual(['start', 'left', 'right', 'finish']);
+    expect(rows.map(row => Math.round(row.distanceKm * 100) / 100)).toEqual([0, 1, 1.5, 3]);
+    expect(rows.map(row => Math.round(row.legKm * 100) / 100)).toEqual([0, 1, 0.5, 1.5]);
+    expect(rows.map(row => row.elapsedSeconds)).toEqual([0, 200, 300, 600]);
+  });
+});
+
+describe('normalizeGraphHopperInstructions', () => {
+  test('keeps turns and street changes, not the start, finish or plain continues', () => {
+    const coordinates = polyline([1000, 0], [0, 1000]);
+    const cues = normalizeGraphHopperInstructions([
+      { sign: 0, street_name: 'High Street', interval: [0, 50] },
+      { sign: 0, street_name: 'High Street', interval: [50, 100] },
+      { sign: -2, street_name: 'Mill Lane', interval: [100, 150] },
+      { sign: 0, street_name: 'Station Road', interval: [150, 200] },
+      { sign: 4, street_name: '', interval: [200, 200] }
+    ], coordinates);
+
+    expect(cues.map(cue => [cue.index, cue.type, cue.instruction])).toEqual([
+      [100, 'left', 'Turn left onto Mill Lane'],
+      [150, 'straight', 'Continue onto Station Road']
+    ]);
+    expect(cues[1].distanceKm - cues[0].distanceKm).toBeCloseTo(0.5, 2);
+  });
+});
@@ -0,0 +1,142 @@
+// Best departure time planner
+// Rides a route at every candidate start time in a window against the hourly
+// forecast, scoring training conditions, daylight and wind along the route
+
+import { getOptimalTrainingConditions, getWindFactor } from './weather';
+import { buildWeatherTimeline } from './routeWeather';
+
+// How much each part contributes to a departure's score (sums to 1)
+const DEPARTURE_WEIGHTS = {
+  conditions: 0.45,
+  daylight: 0.25,
+  wind: 0.2,
+  dryness: 0.1
+};
+
+// Evaluate one departure from its weather timeline
+function scoreDeparture(timeline, trainingGoal) {
+  let conditionsSum = 0;
+  let windSum = 0;
+  let headwindSum = 0;
+  let daylightSamples = 0;
+  let knownDaylight = 0;
+  let maxPrecipitation = 0;
+  const temperatures = [];
+  const recommendations = new Set();
+
+  timeline.forEach(sample => {
+    const conditions = getOptimalTrainingConditions({
+      temperature: sample.temperature ?? 15,
+      windSpeed: sample.windSpeed,
+      conditions: sample.conditions
+    }, trainingGoal);
+    conditionsSum += conditions.score;
+    conditions.recommendations.forEach(text => recommendations.add(text));
+
+    windSum += getWindFactor(sample.bearing, sample.windDegrees, sample.windSpeed);
+    headwindSum += sample.headwindKmh;
+    if (sample.isDaylight !== null) {
+      knownDaylight++;
+      if (sample.isDaylight) daylightSamples++;
+    }
+    maxPrecipitation = Math.max(maxPrecipitation, sample.precipitationChance || 0);
+    if (sample.temperature !== null) temperatures.push(sample.temperature);
+  });
+
+  const count = timeline.length;
+  const conditionsScore = conditionsSum / count;
+  const windFactor = windSum / count;
+  const daylightShare = knownDaylight > 0 ? daylightSamples / knownDaylight : 1;
+  const score =
+    DEPARTURE_WEIGHTS.conditions * conditionsScore +
+    DEPARTURE_WEIGHTS.daylight * daylightShare +
+    DEPARTURE_WEIGHTS.wind * windFactor +
+    DEPARTURE_WEIGHTS.dryness * (1 - maxPrecipitation);
+
+  return {
+    score,
+    conditionsScore,
+    windFactor,
+    avgHeadwindKmh: headwindSum / count,
+    daylightShare,
+    maxPrecipitation,
+    minTemperature: temperatures.length ? Math.min(...temperatures) : null,
+    maxTemperature: temperatures.length ? Math.max(...temperatures) : null,
+    recommendations: [...recommendations]
+  };
+}
+
+// Plain-language reasons for a departure, strongest first
+function describeDeparture(result) {
+  const reasons = [];
+
+  if (result.daylightShare >= 1) {
+    reasons.push('Entirely in daylight');
+  } else if (result.daylightShare > 0) {
+    reasons.push(`${Math.round((1 - result.daylightShare) * 100)}% of the ride in the dark`);
+  } else {
+    reasons.push('Ridden in the dark');
+  }
+
+  if (result.maxPrecipitation < 0.2) {
+    reasons.push('Dry: rain chance stays under 20%');
+  } else {
+    reasons.push(`Up to ${Math.round(result.maxPrecipitation * 100)}% chance of rain`);
+  }
+
+  if (result.avgHeadwindKmh <= -3) {
+    reasons.push('Tailwind for most of the ride');
+  } else if (result.avgHeadwindKmh >= 3) {
+    reasons.push('Headwind for most of the ride');
+  } else if (result.windFactor >= 0.8) {
+    reasons.push('Light or balanced wind');
+  }
+
+  return [...reasons, ...result.recommendations];
+}
+
+// Rank departures between windowStart and windowEnd (ms). Options:
+// - stepMinutes: spacing between candidate departures
+// - trainingGoal: passed to getOptimalTrainingConditions
+// - riderPhysics / totalSeconds: as for buildWeatherTimeline
+// - maxResults: how many of the best departures to return
+// Departures whose ride runs past the end of the forecast are skipped.
+export function planDepartures(points, forecast, options = {}) {
+  const {
+    windowStart,
+    windowEnd,
+    stepMinutes = 60,
+    trainingGoal = 'endurance',
+    riderPhysics,
+    totalSeconds,
+    maxResults = 3
+  } = options;
+
+  if (!forecast?.length || !(windowEnd >= windowStart)) return [];
+
+  const forecastEnd = forecast[forecast.length - 1].time;
+  const candidates = [];
+
+  for (let departureTime = windowStart; departureTime <= windowEnd; departureTime += stepMinutes * 60000) {
+    const timeline = buildWeatherTimeline(points, forecast, {
+      departureTime,
+      intervalMinutes: 15,
+      riderPhysics,
+      totalSeconds
+    });
+    if (timeline.length === 0) continue;
+    if (timeline[timeline.length - 1].time > forecastEnd) break;
+
+    const result = scoreDeparture(timeline, trainingGoal);
+    candidates.push({
+      departureTime,
+      finishTime: timeline[timeline.length - 1].time,
+      ...result,
+      reasons: describeDeparture(result)
+    });
+  }
+
+  return candidates
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxResults);
+}
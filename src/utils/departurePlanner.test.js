@@ -0,0 +1,84 @@
+import { planDepartures } from './departurePlanner';
+
+const DAY = Date.UTC(2026, 5, 1);
+const HOUR = 3600 * 1000;
+const at = (hour) => DAY + hour * HOUR;
+
+// Straight route due north from (45, 7), one point per ~1 km, ridden in an hour
+const route = Array.from({ length: 21 }, (_, i) => [7, 45 + i * 0.009]);
+
+// Hourly forecast for 1 June (UTC): cold until 09:00, a southerly (tailwind)
+// in the morning turning northerly (headwind) at noon, rain from 13:00 to 15:00
+const forecast = Array.from({ length: 19 }, (_, i) => {
+  const hour = 4 + i;
+  const raining = hour >= 13 && hour <= 15;
+  return {
+    time: at(hour),
+    temperature: hour < 9 ? 8 : 18,
+    windSpeed: 15,
+    windDegrees: hour < 12 ? 180 : 0,
+    precipitationChance: raining ? 0.8 : 0,
+    conditions: raining ? 'rain' : 'clear'
+  };
+});
+
+const plan = (options = {}) => planDepartures(route, forecast, {
+  windowStart: at(6),
+  windowEnd: at(22),
+  totalSeconds: 3600,
+  maxResults: 24,
+  ...options
+});
+const departureAt = (results, hour) => results.find(result => result.departureTime === at(hour));
+
+describe('planDepartures', () => {
+  test('ranks warm, dry, daylight departures with a tailwind first', () => {
+    const [first, second] = plan();
+
+    expect([first.departureTime, second.departureTime].sort()).toEqual([at(9), at(10)]);
+    expect(first.windFactor).toBeCloseTo(0.95, 5);
+    expect(first.avgHeadwindKmh).toBeCloseTo(-15, 0);
+    expect(first.reasons.slice(0, 3)).toEqual([
+      'Entirely in daylight',
+      'Dry: rain chance stays under 20%',
+      'Tailwind for most of the ride'
+    ]);
+  });
+
+  test('scores rain, headwind, cold and darkness down', () => {
+    const results = plan();
+    const best = results[0].score;
+
+    const rainy = departureAt(results, 13);
+    expect(rainy.maxPrecipitation).toBe(0.8);
+    expect(rainy.reasons).toContain('Up to 80% chance of rain');
+    expect(rainy.score).toBeLessThan(best - 0.2);
+
+    const headwind = departureAt(results, 17);
+    expect(headwind.reasons).toContain('Headwind for most of the ride');
+    expect(headwind.score).toBeLessThan(best);
+
+    expect(departureAt(results, 6).minTemperature).toBe(8);
+    expect(departureAt(results, 6).score).toBeLessThan(best);
+
+    // Sunset is around 19:15 UTC at 45°N 7°E in early June
+    const night = departureAt(results, 21);
+    expect(night.daylightShare).toBe(0);
+    expect(night.reasons[0]).toBe('Ridden in the dark');
+    expect(departureAt(results, 19).daylightShare).toBeGreaterThan(0);
+    expect(departureAt(results, 19).daylightShare).toBeLessThan(1);
+  });
+
+  test('skips departures that finish after the forecast ends', () => {
+    const results = plan();
+
+    // 06:00 to 21:00; the 22:00 ride would finish past the last forecast hour
+    expect(results).toHaveLength(16);
+    expect(departureAt(results, 22)).toBeUndefined();
+  });
+
+  test('returns the best few departures', () => {
+    expect(plan({ maxResults: 3 })).toHaveLength(3);
+    expect(planDepartures(route, [], { windowStart: at(6), windowEnd: at(10) })).toEqual([]);
+  });
+});
@@ -1,6 +1,8 @@
 // Advanced route generation using Mapbox Map Matching API
 // This provides more intelligent route snapping and better performance
 
+import { getTerrainElevation } from './terrain';
+
 // Map Matching API with intelligent radius fallback for better route snapping
 export async function mapMatchRoute(waypoints, accessToken, options = {}) {
   console.log(`🔧 mapMatchRoute called with ${waypoints.length} waypoints`);
@@ -100,18 +102,11 @@ export async function fetchElevationProfile(coordinates, accessToken) {
     }
 
     const elevationPromises = sampledCoords.map(async ([lon, lat], index) => {
-      // Use Mapbox Terrain-RGB API for elevation data
-      // const zoom = 14; // Good balance of accuracy and performance
-      // const scale = Math.pow(2, zoom);
-      // const x = Math.floor((lon + 180) / 360 * scale);
-      // const y = Math.floor((1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * scale);
-      
-      // const tileUrl = `https://api.mapbox.com/v4/mapbox.terrain-rgb/${zoom}/${x}/${y}@2x.pngraw?access_token=${accessToken}`;
-      
       try {
-        // This is a simplified approach - in a real app, you'd decode the RGB values to get elevation
-        // For now, we'll simulate elevation data based on coordinates
-        const elevation = await simulateElevation(lat, lon);
+        // Terrain-RGB lookup (cached), falling back to simulated elevation
+        // when no terrain data is available
+        const terrainElevation = await getTerrainElevation(lat, lon, accessToken);
+        const elevation = terrainElevation ?? await simulateElevation(lat, lon);
         
         return {
           coordinate: [lon, lat],
@@ -138,9 +133,8 @@ export async function fetchElevationProfile(coordinates, accessToken) {
 /**
  * Simulates elevation data for a given latitude and longitude.
  * 
- * This function is used as a placeholder for elevation data when actual Mapbox Terrain-RGB decoding
- * is not implemented or available (e.g., during development or testing). In production, replace this
- * function with one that fetches and decodes real elevation data from Mapbox Terrain-RGB tiles.
+ * Fallback for fetchElevationProfile when no terrain data is available (no access token,
+ * tile request failed, or no DEM loaded in development). See ./terrain.js for the real lookup.
  * 
  * @param {number} lat - Latitude of the point.
  * @param {number} lon - Longitude of the point.
@@ -148,7 +142,6 @@ export async function fetchElevationProfile(coordinates, accessToken) {
  */
 async function simulateElevation(lat, lon) {
   // Simple elevation simulation based on latitude and some randomness
-  // TODO: In production, implement decoding of actual Terrain-RGB tile data here
   const baseElevation = Math.abs(lat) * 10; // Higher latitudes = higher elevation (very rough)
   const variation = Math.sin(lon * 0.1) * Math.cos(lat * 0.1) * 50;
   const randomness = (Math.random() - 0.5) * 20;
@@ -233,7 +226,15 @@ export async function getCyclingDirections(waypoints, accessToken, options = {})
       distance: route.distance || 0,
       duration: route.duration || 0,
       confidence: 0.9, // Directions API generally has high confidence
-      profile: profile
+      profile: profile,
+      // Only returned when alternatives were requested (two waypoints only)
+      alternatives: data.routes.slice(1).map(alternative => ({
+        coordinates: alternative.geometry.coordinates,
+        distance: alternative.distance || 0,
+        duration: alternative.duration || 0,
+        confidence: 0.85,
+        profile: profile
+      }))
     };
   } catch (error) {
     console.error('Directions request failed:', error);
@@ -0,0 +1,261 @@
+// Duplicate ride detection
+// Fingerprints a ride (start time, duration, start/end, distance), confirms a
+// match by comparing the tracks' geometry, and merges sensor streams when the
+// same ride was recorded on two devices (e.g. HR on a watch, power on a head unit)
+
+import { supabase } from '../supabase';
+import { haversineDistance } from './geo';
+
+// Fingerprint tolerances between two recordings of the same ride
+const MAX_START_OFFSET_SECONDS = 5 * 60;
+const MAX_ENDPOINT_DISTANCE_M = 500;
+const MAX_DISTANCE_DIFFERENCE = 0.1; // share of the longer ride
+const MAX_DURATION_DIFFERENCE = 0.15; // share of the longer ride
+
+// Geometry check: share of one track lying within this distance of the other
+const TRACK_MATCH_DISTANCE_M = 60;
+export const DUPLICATE_SIMILARITY_THRESHOLD = 0.8;
+
+// Sensor channels that can be taken from either recording
+export const MERGE_CHANNELS = ['heartRate', 'power', 'cadence', 'temperature'];
+
+const toTime = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+};
+
+const hasPosition = (point) => typeof point?.latitude === 'number' && typeof point?.longitude === 'number';
+
+// Track points from the database in the parser's shape
+export function fromTrackPointRows(rows) {
+  return (rows || []).map(row => ({
+    latitude: Number(row.lat),
+    longitude: Number(row.lng),
+    elevation: row.elevation,
+    time: row.timestamp_utc,
+    heartRate: row.heart_rate,
+    power: row.power_watts,
+    cadence: row.cadence,
+    speed: row.speed_kmh === null || row.speed_kmh === undefined ? null : Number(row.speed_kmh),
+    temperature: row.temperature_c === null || row.temperature_c === undefined ? null : Number(row.temperature_c)
+  }));
+}
+
+// Summary used to find candidate duplicates: start time, duration,
+// start/end coordinates and distance
+export function computeRideFingerprint(points) {
+  const located = (points || []).filter(hasPosition);
+  if (located.length < 2) return null;
+
+  let distance = 0;
+  for (let i = 1; i < located.length; i++) {
+    distance += haversineDistance([located[i - 1].longitude, located[i - 1].latitude], [located[i].longitude, located[i].latitude]) * 1000;
+  }
+
+  const times = located.map(point => toTime(point.time)).filter(time => time !== null);
+  const startTime = times.length ? times[0] : null;
+  const endTime = times.length ? times[times.length - 1] : null;
+  const first = located[0];
+  const last = located[located.length - 1];
+
+  return {
+    startTime,
+    durationSeconds: startTime !== null ? Math.round((endTime - startTime) / 1000) : null,
+    start: [first.latitude, first.longitude],
+    end: [last.latitude, last.longitude],
+    distanceKm: distance / 1000
+  };
+}
+
+// Whether two fingerprints could be the same ride
+export function fingerprintsMatch(a, b) {
+  if (!a || !b) return false;
+
+  const relativeDifference = (x, y) => Math.abs(x - y) / Math.max(x, y, 1e-6);
+
+  if (a.startTime !== null && b.startTime !== null &&
+      Math.abs(a.startTime - b.startTime) > MAX_START_OFFSET_SECONDS * 1000) return false;
+  if (a.durationSeconds && b.durationSeconds &&
+      relativeDifference(a.durationSeconds, b.durationSeconds) > MAX_DURATION_DIFFERENCE) return false;
+  if (haversineDistance([a.start[1], a.start[0]], [b.start[1], b.start[0]]) * 1000 > MAX_ENDPOINT_DISTANCE_M) return false;
+  if (haversineDistance([a.end[1], a.end[0]], [b.end[1], b.end[0]]) * 1000 > MAX_ENDPOINT_DISTANCE_M) return false;
+  return relativeDifference(a.distanceKm, b.distanceKm) <= MAX_DISTANCE_DIFFERENCE;
+}
+
+// Evenly spaced (by index) positions from a track
+function samplePositions(points, count) {
+  const located = points.filter(hasPosition);
+  if (located.length <= count) return located;
+  const step = (located.length - 1) / (count - 1);
+  return Array.from({ length: count }, (_, i) => located[Math.round(i * step)]);
+}
+
+// Distance (m) from a point to segment a-b, on a local flat projection
+function distanceToSegment(point, a, b) {
+  const metersPerDegLat = 111320;
+  const metersPerDegLon = 111320 * Math.cos(point.latitude * Math.PI / 180);
+  const ax = (a.longitude - point.longitude) * metersPerDegLon;
+  const ay = (a.latitude - point.latitude) * metersPerDegLat;
+  const bx = (b.longitude - point.longitude) * metersPerDegLon;
+  const by = (b.latitude - point.latitude) * metersPerDegLat;
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+  return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+// Share of `from` samples lying within TRACK_MATCH_DISTANCE_M of the `to` line
+function shareOnTrack(from, to) {
+  if (from.length === 0 || to.length < 2) return 0;
+  let matched = 0;
+  from.forEach(point => {
+    for (let i = 1; i < to.length; i++) {
+      if (distanceToSegment(point, to[i - 1], to[i]) <= TRACK_MATCH_DISTANCE_M) {
+        matched++;
+        break;
+      }
+    }
+  });
+  return matched / from.length;
+}
+
+// Geometric similarity of two tracks (0-1): how much of each lies on the other
+export function trackSimilarity(pointsA, pointsB) {
+  const lineA = samplePositions(pointsA || [], 400);
+  const lineB = samplePositions(pointsB || [], 400);
+  return Math.min(
+    shareOnTrack(samplePositions(lineA, 64), lineB),
+    shareOnTrack(samplePositions(lineB, 64), lineA)
+  );
+}
+
+// All track points of a route, paging past the API's row limit
+async function fetchRoutePoints(routeId) {
+  const pageSize = 1000;
+  const rows = [];
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .from('track_points')
+      .select('lat, lng, elevation, timestamp_utc, heart_rate, power_watts, cadence, speed_kmh, temperature_c')
+      .eq('route_id', routeId)
+      .order('sequence_num', { ascending: true })
+      .range(from, from + pageSize - 1);
+
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) break;
+  }
+
+  return fromTrackPointRows(rows);
+}
+
+// Look for an existing route of the user's that is the same ride. Needs
+// timestamps: candidates are the routes started around the same time.
+// Resolves to { route, points, fingerprint, similarity } or null.
+export async function findDuplicateRoute(userId, points) {
+  const fingerprint = computeRideFingerprint(points);
+  if (!fingerprint || fingerprint.startTime === null) return null;
+
+  const windowMs = MAX_START_OFFSET_SECONDS * 1000;
+  const { data: candidates, error } = await supabase
+    .from('routes')
+    .select('id, name, filename, created_at, distance_km, duration_seconds')
+    .eq('user_id', userId)
+    .gte('created_at', new Date(fingerprint.startTime - windowMs).toISOString())
+    .lte('created_at', new Date(fingerprint.startTime + windowMs).toISOString())
+    .limit(5);
+
+  if (error) {
+    console.warn('Duplicate check failed:', error);
+    return null;
+  }
+
+  for (const route of candidates || []) {
+    const existingPoints = await fetchRoutePoints(route.id);
+    const existingFingerprint = computeRideFingerprint(existingPoints);
+    if (!fingerprintsMatch(fingerprint, existingFingerprint)) continue;
+
+    const similarity = trackSimilarity(points, existingPoints);
+    if (similarity >= DUPLICATE_SIMILARITY_THRESHOLD) {
+      return { route, points: existingPoints, fingerprint: existingFingerprint, similarity };
+    }
+  }
+
+  return null;
+}
+
+// Rides of one import batch. Files are checked against each other as soon
+// as they are parsed, since files imported side by side (IMPORT_CONCURRENCY)
+// can't see each other in the database yet.
+export function createImportBatch() {
+  return [];
+}
+
+// Register a parsed ride with the batch. Returns the earlier entry for the
+// same ride (or null) and a finish() to call once this file's import is done;
+// the earlier entry's `done` resolves when it finished.
+export function claimBatchRide(batch, points) {
+  const fingerprint = computeRideFingerprint(points);
+  const timed = fingerprint && fingerprint.startTime !== null;
+  const earlier = timed ? batch.find(entry =>
+    fingerprintsMatch(fingerprint, entry.fingerprint) &&
+    trackSimilarity(points, entry.points) >= DUPLICATE_SIMILARITY_THRESHOLD
+  ) || null : null;
+
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  if (timed) batch.push({ fingerprint, points, done });
+  return { earlier, finish };
+}
+
+// Share of points carrying a channel
+function channelCoverage(points, channel) {
+  if (!points.length) return 0;
+  return points.filter(point => point[channel] !== null && point[channel] !== undefined && !isNaN(point[channel])).length / points.length;
+}
+
+// Merge two recordings of the same ride. The denser GPS recording provides
+// the track; each sensor channel comes from whichever recording covers more
+// of the ride, matched to the track by timestamp. Returns the merged points
+// and which recording ('existing' or 'uploaded') each channel came from.
+export function mergeRideStreams(existingPoints, uploadedPoints, { toleranceSeconds = 5 } = {}) {
+  const recordings = { existing: existingPoints || [], uploaded: uploadedPoints || [] };
+  const baseName = recordings.uploaded.length > recordings.existing.length ? 'uploaded' : 'existing';
+  const otherName = baseName === 'uploaded' ? 'existing' : 'uploaded';
+  const base = recordings[baseName];
+  const other = recordings[otherName];
+
+  const sources = {};
+  MERGE_CHANNELS.forEach(channel => {
+    sources[channel] = channelCoverage(other, channel) > channelCoverage(base, channel) ? otherName : baseName;
+  });
+  const borrowed = MERGE_CHANNELS.filter(channel => sources[channel] === otherName);
+  if (borrowed.length === 0) return { points: base, sources };
+
+  // Walk both recordings in time order, taking the nearest sample within tolerance
+  const otherTimes = other.map(point => toTime(point.time));
+  let j = 0;
+  const points = base.map(point => {
+    const time = toTime(point.time);
+    const merged = { ...point };
+    if (time === null) {
+      borrowed.forEach(channel => { merged[channel] = null; });
+      return merged;
+    }
+
+    while (j < other.length - 1 && (otherTimes[j + 1] ?? Infinity) <= time) j++;
+    const candidates = [j, j + 1].filter(index => index < other.length && otherTimes[index] !== null);
+    const nearest = candidates.sort((a, b) => Math.abs(otherTimes[a] - time) - Math.abs(otherTimes[b] - time))[0];
+    const match = nearest !== undefined && Math.abs(otherTimes[nearest] - time) <= toleranceSeconds * 1000 ? other[nearest] : null;
+
+    borrowed.forEach(channel => {
+      merged[channel] = match ? match[channel] ?? null : null;
+    });
+    return merged;
+  });
+
+  return { points, sources };
+}
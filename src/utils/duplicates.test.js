@@ -0,0 +1,32 @@
+import { createImportBatch, claimBatchRide } from './duplicates';
+import { ridePoints } from './testRides';
+
+jest.mock('../supabase', () => ({ supabase: {} }));
+
+// Half an hour heading east at 25 km/h; offsetM and startDelay stand in for a
+// second device recording the same ride
+const ride = ({ seconds = 1800, ...options } = {}) => ridePoints(seconds, options);
+
+test('finds a file of the same ride earlier in the batch', async () => {
+  const batch = createImportBatch();
+  const head = claimBatchRide(batch, ride());
+  const watch = claimBatchRide(batch, ride({ offsetM: 8, startDelay: 20 }));
+
+  expect(head.earlier).toBeNull();
+  expect(watch.earlier).not.toBeNull();
+
+  head.finish();
+  await expect(watch.earlier.done).resolves.toBeUndefined();
+});
+
+test('does not match different rides or untimed tracks', () => {
+  const batch = createImportBatch();
+  claimBatchRide(batch, ride());
+
+  expect(claimBatchRide(batch, ride({ lat: 46 })).earlier).toBeNull();
+  expect(claimBatchRide(batch, ride({ startDelay: 3 * 3600 })).earlier).toBeNull();
+
+  const untimed = ride().map(point => ({ ...point, time: null }));
+  expect(claimBatchRide(batch, untimed).earlier).toBeNull();
+  expect(batch).toHaveLength(3);
+});
@@ -0,0 +1,86 @@
+// Elevation correction for uploaded rides
+// Replaces recorded elevations (noisy or missing in phone GPX files) with
+// terrain elevations sampled along the track, and recomputes gain/loss
+
+import { getTerrainElevation } from './terrain';
+import { haversineDistance } from './geo';
+
+const SAMPLE_SPACING_M = 30;
+const MAX_SAMPLES = 2000;
+const MIN_COVERAGE = 0.8; // share of samples the terrain source must answer
+const LOOKUP_BATCH = 50;
+
+// Gain and loss (m) the way calculate_route_stats does it: every rise and
+// drop between consecutive points with an elevation
+export function calculateGainLoss(points) {
+  let gain = 0;
+  let loss = 0;
+  let previous = null;
+
+  (points || []).forEach(point => {
+    if (typeof point.elevation !== 'number' || isNaN(point.elevation)) return;
+    if (previous !== null) {
+      const diff = point.elevation - previous;
+      if (diff > 0) gain += diff;
+      else loss -= diff;
+    }
+    previous = point.elevation;
+  });
+
+  return { gain: Math.round(gain), loss: Math.round(loss) };
+}
+
+// Resample the track's elevations from the terrain source: look up points
+// every SAMPLE_SPACING_M along the track and interpolate by distance between
+// them. Resolves to { points, original, corrected } (gain/loss before and
+// after), or null when the terrain source couldn't cover the track. The
+// original gain/loss comes from recordedPoints, the unfiltered recording,
+// when the track passed in has been cleaned.
+export async function correctTrackElevations(points, accessToken, { onProgress, recordedPoints = points } = {}) {
+  if (!points || points.length < 2) return null;
+
+  const distances = [0];
+  for (let i = 1; i < points.length; i++) {
+    distances.push(distances[i - 1] + haversineDistance(
+      [points[i - 1].longitude, points[i - 1].latitude], [points[i].longitude, points[i].latitude]
+    ) * 1000);
+  }
+
+  const spacing = Math.max(SAMPLE_SPACING_M, distances[distances.length - 1] / MAX_SAMPLES);
+  const sampleIndexes = [0];
+  for (let i = 1; i < points.length; i++) {
+    if (distances[i] - distances[sampleIndexes[sampleIndexes.length - 1]] >= spacing) sampleIndexes.push(i);
+  }
+  if (sampleIndexes[sampleIndexes.length - 1] !== points.length - 1) sampleIndexes.push(points.length - 1);
+
+  // Look up in batches so tile requests don't all start at once
+  const samples = [];
+  for (let i = 0; i < sampleIndexes.length; i += LOOKUP_BATCH) {
+    const batch = sampleIndexes.slice(i, i + LOOKUP_BATCH);
+    const elevations = await Promise.all(batch.map(index =>
+      getTerrainElevation(points[index].latitude, points[index].longitude, accessToken)
+    ));
+    batch.forEach((index, k) => {
+      if (elevations[k] !== null) samples.push({ distance: distances[index], elevation: elevations[k] });
+    });
+    if (onProgress) onProgress(Math.min(1, (i + batch.length) / sampleIndexes.length));
+  }
+
+  if (samples.length < 2 || samples.length / sampleIndexes.length < MIN_COVERAGE) return null;
+
+  let k = 0;
+  const corrected = points.map((point, i) => {
+    while (k < samples.length - 2 && samples[k + 1].distance <= distances[i]) k++;
+    const a = samples[k];
+    const b = samples[k + 1];
+    const t = b.distance > a.distance ?
+      Math.max(0, Math.min(1, (distances[i] - a.distance) / (b.distance - a.distance))) : 0;
+    return { ...point, elevation: Math.round((a.elevation + t * (b.elevation - a.elevation)) * 10) / 10 };
+  });
+
+  return {
+    points: corrected,
+    original: calculateGainLoss(recordedPoints),
+    corrected: calculateGainLoss(corrected)
+  };
+}
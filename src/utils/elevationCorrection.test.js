@@ -0,0 +1,69 @@
+import { correctTrackElevations, calculateGainLoss } from './elevationCorrection';
+import { createLocalDEM, setTerrainDEM, clearTerrainCache, getTerrainElevation } from './terrain';
+
+// 21 x 21 grid, 0.001° cells from (45.02, 7.0); the terrain rises 10 m per
+// column to the east, from 100 m to 300 m
+const dem = createLocalDEM({
+  north: 45.02,
+  west: 7.0,
+  cellSize: 0.001,
+  elevations: Array.from({ length: 21 }, () => Array.from({ length: 21 }, (_, col) => 100 + col * 10))
+});
+
+// Track heading east along 45.01 from 7.0 to 7.015 with the recorded
+// elevation noisy by ±3 m
+const track = Array.from({ length: 151 }, (_, i) => ({
+  latitude: 45.01,
+  longitude: 7 + i * 0.0001,
+  elevation: 100 + i + (i % 2 ? 3 : -3)
+}));
+
+beforeEach(() => setTerrainDEM(dem));
+
+afterEach(() => {
+  setTerrainDEM(null);
+  clearTerrainCache();
+});
+
+describe('getTerrainElevation', () => {
+  test('reads and interpolates the local DEM', async () => {
+    await expect(getTerrainElevation(45.01, 7.003)).resolves.toBeCloseTo(130, 6);
+    await expect(getTerrainElevation(45.0105, 7.0035)).resolves.toBeCloseTo(135, 6);
+  });
+
+  test('returns null outside the DEM or without any terrain source', async () => {
+    await expect(getTerrainElevation(45.5, 7.003)).resolves.toBeNull();
+
+    setTerrainDEM(null);
+    await expect(getTerrainElevation(45.01, 7.003)).resolves.toBeNull();
+  });
+});
+
+describe('correctTrackElevations', () => {
+  test('replaces the recorded elevations with the terrain', async () => {
+    const result = await correctTrackElevations(track);
+
+    expect(result.points).toHaveLength(track.length);
+    result.points.forEach((point, i) => {
+      expect(point.elevation).toBeCloseTo(100 + i, 0);
+      expect(point.longitude).toBe(track[i].longitude);
+    });
+    expect(result.corrected).toEqual({ gain: 150, loss: 0 });
+    expect(result.original).toEqual(calculateGainLoss(track));
+    expect(result.original.loss).toBe(375); // the noise: 75 drops of 5 m
+  });
+
+  test('takes the original gain/loss from the recorded points when given', async () => {
+    // Cleaning dropped every other point, which hides most of the noise
+    const cleaned = track.filter((_, i) => i % 2 === 0);
+    const result = await correctTrackElevations(cleaned, undefined, { recordedPoints: track });
+
+    expect(result.original).toEqual(calculateGainLoss(track));
+    expect(calculateGainLoss(cleaned).loss).toBe(0);
+  });
+
+  test('returns null when the terrain does not cover the track', async () => {
+    const elsewhere = track.map(point => ({ ...point, latitude: point.latitude + 1 }));
+    await expect(correctTrackElevations(elsewhere)).resolves.toBeNull();
+  });
+});
@@ -1,8 +1,13 @@
 import FitParser from 'fit-file-parser';
 import pako from 'pako';
-
-// Parse FIT file and convert to our standard format
-export function parseFIT(fitBuffer, isCompressed = false) {
+import { analyzeMovement } from './movement';
+import { haversineDistance } from './geo';
+import { createProgress } from './progress';
+
+// Parse FIT file and convert to our standard format. onProgress receives the
+// share of records read (0-1); fit-file-parser decodes the whole file in one
+// call and reports nothing itself.
+export function parseFIT(fitBuffer, isCompressed = false, { onProgress } = {}) {
   return new Promise((resolve, reject) => {
     try {
       // Decompress if needed
@@ -44,7 +49,7 @@ export function parseFIT(fitBuffer, isCompressed = false) {
           const metadata = extractFITMetadata(data);
           
           // Extract track points from records
-          const trackPoints = extractFITTrackPoints(data.records || []);
+          const trackPoints = extractFITTrackPoints(data.records || [], onProgress);
           
           // Calculate summary
           const summary = calculateFITSummary(trackPoints, data.sessions);
@@ -96,10 +101,12 @@ function extractFITMetadata(data) {
   };
 }
 
-function extractFITTrackPoints(records) {
+function extractFITTrackPoints(records, onProgress) {
   const trackPoints = [];
+  const step = createProgress(onProgress, records.length);
 
   records.forEach((record, index) => {
+    step();
     // Only include records with position data
     if (record.position_lat && record.position_long) {
       const point = {
@@ -162,9 +169,9 @@ function calculateFITSummary(trackPoints, sessions) {
     // Calculate distance using Haversine formula
     if (prev.latitude && prev.longitude && curr.latitude && curr.longitude) {
       const distance = haversineDistance(
-        prev.latitude, prev.longitude,
-        curr.latitude, curr.longitude
-      );
+        [prev.longitude, prev.latitude],
+        [curr.longitude, curr.latitude]
+      ) * 1000;
       totalDistance += distance;
     }
 
@@ -203,6 +210,8 @@ function calculateFITSummary(trackPoints, sessions) {
     duration = (new Date(lastPoint.time) - new Date(firstPoint.time)) / 1000;
   }
 
+  const movement = analyzeMovement(trackPoints);
+
   // Calculate averages
   const avgHeartRate = heartRates.length > 0 ? 
     heartRates.reduce((sum, hr) => sum + hr, 0) / heartRates.length : 0;
@@ -218,6 +227,8 @@ function calculateFITSummary(trackPoints, sessions) {
     minElevation: minElevation ? Math.round(minElevation) : null,
     maxElevation: maxElevation ? Math.round(maxElevation) : null,
     duration: Math.round(duration),
+    movingTime: movement ? movement.movingSeconds : null,
+    avgMovingSpeed: movement ? movement.avgMovingSpeedKmh : null,
     maxSpeed: Math.round(maxSpeed * 10) / 10,
     avgHeartRate: Math.round(avgHeartRate),
     maxHeartRate,
@@ -226,14 +237,3 @@ function calculateFITSummary(trackPoints, sessions) {
     pointCount: trackPoints.length
   };
 }
-
-function haversineDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371000; // Earth's radius in meters
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-            Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
\ No newline at end of file
@@ -0,0 +1,308 @@
+// FIT course encoder
+// Writes an export route (see routeExport.js) as a FIT course file for
+// Garmin/Wahoo/Hammerhead head units: file_id, course, lap, timer events,
+// records along the track and course points for turns and waypoints
+
+import { haversineDistance } from './geo';
+
+const FIT_EPOCH_OFFSET = 631065600; // seconds from 1970-01-01 to 1989-12-31
+const PROFILE_VERSION = 2132;
+const PROTOCOL_VERSION = 0x20;
+const NAME_SIZE = 16; // bytes, the length head units display
+const FALLBACK_SPEED_KMH = 20; // for points without a planned time
+
+// FIT base types: id, size in bytes, invalid value
+const BASE_TYPES = {
+  enum: { id: 0x00, size: 1, invalid: 0xFF },
+  uint8: { id: 0x02, size: 1, invalid: 0xFF },
+  uint16: { id: 0x84, size: 2, invalid: 0xFFFF },
+  sint32: { id: 0x85, size: 4, invalid: 0x7FFFFFFF },
+  uint32: { id: 0x86, size: 4, invalid: 0xFFFFFFFF },
+  uint32z: { id: 0x8C, size: 4, invalid: 0 },
+  string: { id: 0x07, size: NAME_SIZE, invalid: '' }
+};
+
+// Messages written, with their global message numbers and fields
+// [field definition number, field name, base type]
+const MESSAGES = {
+  file_id: { number: 0, fields: [[0, 'type', 'enum'], [1, 'manufacturer', 'uint16'], [2, 'product', 'uint16'], [3, 'serial_number', 'uint32z'], [4, 'time_created', 'uint32']] },
+  course: { number: 31, fields: [[4, 'sport', 'enum'], [5, 'name', 'string']] },
+  lap: {
+    number: 19,
+    fields: [
+      [253, 'timestamp', 'uint32'], [2, 'start_time', 'uint32'],
+      [3, 'start_position_lat', 'sint32'], [4, 'start_position_long', 'sint32'],
+      [5, 'end_position_lat', 'sint32'], [6, 'end_position_long', 'sint32'],
+      [7, 'total_elapsed_time', 'uint32'], [8, 'total_timer_time', 'uint32'], [9, 'total_distance', 'uint32'],
+      [21, 'total_ascent', 'uint16'], [22, 'total_descent', 'uint16'],
+      [0, 'event', 'enum'], [1, 'event_type', 'enum']
+    ]
+  },
+  event: { number: 21, fields: [[253, 'timestamp', 'uint32'], [0, 'event', 'enum'], [1, 'event_type', 'enum'], [4, 'event_group', 'uint8']] },
+  record: { number: 20, fields: [[253, 'timestamp', 'uint32'], [0, 'position_lat', 'sint32'], [1, 'position_long', 'sint32'], [2, 'altitude', 'uint16'], [5, 'distance', 'uint32']] },
+  course_point: {
+    number: 32,
+    fields: [
+      [254, 'message_index', 'uint16'], [1, 'timestamp', 'uint32'],
+      [2, 'position_lat', 'sint32'], [3, 'position_long', 'sint32'],
+      [4, 'distance', 'uint32'], [5, 'type', 'enum'], [6, 'name', 'string']
+    ]
+  }
+};
+
+const FILE_TYPE_COURSE = 6;
+const MANUFACTURER_DEVELOPMENT = 255;
+const SPORT_CYCLING = 2;
+const EVENT_TIMER = 0;
+const EVENT_LAP = 9;
+const EVENT_TYPE_START = 0;
+const EVENT_TYPE_STOP = 1;
+const EVENT_TYPE_STOP_DISABLE_ALL = 9;
+
+// course_point types for turn cues (cueSheet.js) and waypoint types
+const COURSE_POINT_TYPES = {
+  poi: 0, // generic
+  summit: 1,
+  valley: 2,
+  water: 3,
+  food: 4,
+  danger: 5,
+  left: 6,
+  right: 7,
+  straight: 8,
+  'keep-left': 16, // left_fork
+  'keep-right': 17, // right_fork
+  'slight-left': 19,
+  'sharp-left': 20,
+  'slight-right': 21,
+  'sharp-right': 22,
+  'u-turn': 23
+};
+
+const CRC_TABLE = [
+  0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+  0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+];
+
+// FIT CRC-16 over bytes, continuing from crc
+export function fitCrc(bytes, crc = 0) {
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    let tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[byte & 0xF];
+    tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xF];
+  }
+  return crc;
+}
+
+const toSemicircles = (degrees) => Math.round(degrees * (2147483648 / 180));
+const toFitTime = (time) => Math.round(new Date(time).getTime() / 1000) - FIT_EPOCH_OFFSET;
+
+// Null-padded UTF-8, cut to fit the field with its terminator
+function encodeString(value, size) {
+  const bytes = new Uint8Array(size);
+  let encoded = new TextEncoder().encode(value || '');
+  if (encoded.length > size - 1) {
+    encoded = encoded.slice(0, size - 1);
+    // Don't leave half a multi-byte character at the end
+    while (encoded.length && (encoded[encoded.length - 1] & 0xC0) === 0x80) encoded = encoded.slice(0, -1);
+    if (encoded.length && encoded[encoded.length - 1] >= 0xC0) encoded = encoded.slice(0, -1);
+  }
+  bytes.set(encoded);
+  return bytes;
+}
+
+// Collects definition and data messages; each message type gets its own
+// local message type, defined the first time it's written
+function createWriter() {
+  const chunks = [];
+  const localTypes = {};
+
+  const define = (name) => {
+    const message = MESSAGES[name];
+    const localType = Object.keys(localTypes).length;
+    const bytes = new Uint8Array(6 + message.fields.length * 3);
+    const view = new DataView(bytes.buffer);
+    bytes[0] = 0x40 | localType; // definition message header
+    bytes[2] = 0; // little endian
+    view.setUint16(3, message.number, true);
+    bytes[5] = message.fields.length;
+    message.fields.forEach(([number, , type], i) => {
+      bytes[6 + i * 3] = number;
+      bytes[7 + i * 3] = BASE_TYPES[type].size;
+      bytes[8 + i * 3] = BASE_TYPES[type].id;
+    });
+    chunks.push(bytes);
+    localTypes[name] = localType;
+  };
+
+  const write = (name, values) => {
+    if (localTypes[name] === undefined) define(name);
+    const message = MESSAGES[name];
+    const size = 1 + message.fields.reduce((sum, [, , type]) => sum + BASE_TYPES[type].size, 0);
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    bytes[0] = localTypes[name];
+
+    let offset = 1;
+    message.fields.forEach(([, field, type]) => {
+      const base = BASE_TYPES[type];
+      const raw = values[field];
+      const value = raw === null || raw === undefined || (typeof raw === 'number' && isNaN(raw)) ? base.invalid : raw;
+      if (type === 'string') bytes.set(encodeString(value, base.size), offset);
+      else if (type === 'sint32') view.setInt32(offset, value, true);
+      else if (base.size === 4) view.setUint32(offset, value, true);
+      else if (base.size === 2) view.setUint16(offset, value, true);
+      else bytes[offset] = value;
+      offset += base.size;
+    });
+    chunks.push(bytes);
+  };
+
+  const toBytes = () => {
+    const dataSize = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const file = new Uint8Array(14 + dataSize + 2);
+    const view = new DataView(file.buffer);
+    file[0] = 14;
+    file[1] = PROTOCOL_VERSION;
+    view.setUint16(2, PROFILE_VERSION, true);
+    view.setUint32(4, dataSize, true);
+    file.set([0x2E, 0x46, 0x49, 0x54], 8); // ".FIT"
+    view.setUint16(12, fitCrc(file.subarray(0, 12)), true);
+
+    let offset = 14;
+    chunks.forEach(chunk => {
+      file.set(chunk, offset);
+      offset += chunk.length;
+    });
+    view.setUint16(offset, fitCrc(file.subarray(0, offset)), true);
+    return file;
+  };
+
+  return { write, toBytes };
+}
+
+// Index of the track point nearest a position
+function nearestPointIndex(points, latitude, longitude) {
+  let best = 0;
+  let bestDistance = Infinity;
+  points.forEach((point, index) => {
+    const distance = haversineDistance([point.longitude, point.latitude], [longitude, latitude]) * 1000;
+    if (distance < bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+// Encode an export route as a FIT course. Returns the file bytes.
+export function routeToFITCourse(route) {
+  const points = (route.points || []).filter(point =>
+    typeof point.latitude === 'number' && typeof point.longitude === 'number'
+  );
+  if (points.length < 2) throw new Error('A course needs at least two points');
+
+  // Distance along the course, and a time for every point: planned times
+  // where the route has them, a steady pace otherwise
+  const distances = [0];
+  for (let i = 1; i < points.length; i++) {
+    distances.push(distances[i - 1] + haversineDistance(
+      [points[i - 1].longitude, points[i - 1].latitude], [points[i].longitude, points[i].latitude]
+    ) * 1000);
+  }
+  const startTime = points[0].time ? toFitTime(points[0].time) : toFitTime(Date.now());
+  const times = points.map((point, i) => point.time ?
+    toFitTime(point.time) :
+    startTime + Math.round(distances[i] / (FALLBACK_SPEED_KMH / 3.6)));
+  for (let i = 1; i < times.length; i++) times[i] = Math.max(times[i], times[i - 1]);
+
+  let ascent = 0;
+  let descent = 0;
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1].elevation;
+    const current = points[i].elevation;
+    if (typeof previous !== 'number' || typeof current !== 'number') continue;
+    if (current > previous) ascent += current - previous;
+    else descent += previous - current;
+  }
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const endTime = times[times.length - 1];
+  const totalDistance = distances[distances.length - 1];
+  const writer = createWriter();
+
+  writer.write('file_id', {
+    type: FILE_TYPE_COURSE,
+    manufacturer: MANUFACTURER_DEVELOPMENT,
+    product: 0,
+    serial_number: 1,
+    time_created: toFitTime(Date.now())
+  });
+  writer.write('course', { sport: SPORT_CYCLING, name: route.name || 'Route' });
+  writer.write('lap', {
+    timestamp: endTime,
+    start_time: startTime,
+    start_position_lat: toSemicircles(first.latitude),
+    start_position_long: toSemicircles(first.longitude),
+    end_position_lat: toSemicircles(last.latitude),
+    end_position_long: toSemicircles(last.longitude),
+    total_elapsed_time: (endTime - startTime) * 1000,
+    total_timer_time: (endTime - startTime) * 1000,
+    total_distance: Math.round(totalDistance * 100),
+    total_ascent: Math.round(ascent),
+    total_descent: Math.round(descent),
+    event: EVENT_LAP,
+    event_type: EVENT_TYPE_STOP
+  });
+  writer.write('event', { timestamp: startTime, event: EVENT_TIMER, event_type: EVENT_TYPE_START, event_group: 0 });
+
+  points.forEach((point, i) => {
+    writer.write('record', {
+      timestamp: times[i],
+      position_lat: toSemicircles(point.latitude),
+      position_long: toSemicircles(point.longitude),
+      altitude: typeof point.elevation === 'number' ?
+        Math.max(0, Math.min(0xFFFE, Math.round((point.elevation + 500) * 5))) : null,
+      distance: Math.round(distances[i] * 100)
+    });
+  });
+
+  writer.write('event', { timestamp: endTime, event: EVENT_TIMER, event_type: EVENT_TYPE_STOP_DISABLE_ALL, event_group: 0 });
+
+  // Turn cues and named waypoints (not start/finish, which units mark
+  // anyway) as course points, in distance order
+  const coursePoints = [
+    ...(route.cues || [])
+      .filter(cue => points[cue.index])
+      .map(cue => ({ index: cue.index, type: cue.type, name: cue.instruction })),
+    ...(route.waypoints || [])
+      .filter(waypoint => waypoint.type !== 'start' && waypoint.type !== 'finish')
+      .map(waypoint => ({
+        index: nearestPointIndex(points, waypoint.latitude, waypoint.longitude),
+        type: waypoint.type,
+        name: waypoint.name,
+        latitude: waypoint.latitude,
+        longitude: waypoint.longitude
+      }))
+  ].sort((a, b) => a.index - b.index);
+
+  coursePoints.forEach((coursePoint, messageIndex) => {
+    const point = points[coursePoint.index];
+    writer.write('course_point', {
+      message_index: messageIndex,
+      timestamp: times[coursePoint.index],
+      position_lat: toSemicircles(coursePoint.latitude ?? point.latitude),
+      position_long: toSemicircles(coursePoint.longitude ?? point.longitude),
+      distance: Math.round(distances[coursePoint.index] * 100),
+      type: COURSE_POINT_TYPES[coursePoint.type] ?? COURSE_POINT_TYPES.poi,
+      name: coursePoint.name
+    });
+  });
+
+  return writer.toBytes();
+}
@@ -0,0 +1,64 @@
+/**
+ * @jest-environment node
+ */
+
+import FitParser from 'fit-file-parser';
+import { fitCrc, routeToFITCourse } from './fitCourse';
+
+// 5 points heading north, 1 minute apart, with a right turn on point 2 and
+// a summit waypoint near point 3
+const route = {
+  name: 'Col loop',
+  points: Array.from({ length: 5 }, (_, i) => ({
+    latitude: 45 + i * 0.002,
+    longitude: 7,
+    elevation: 240 + i * 10,
+    time: new Date(Date.UTC(2024, 5, 1, 8, i)).toISOString()
+  })),
+  waypoints: [
+    { latitude: 45, longitude: 7, name: 'Start', type: 'start' },
+    { latitude: 45.0061, longitude: 7, name: 'Col', type: 'summit' }
+  ],
+  cues: [{ index: 2, type: 'right', instruction: 'Turn right' }]
+};
+
+// Decode with the FIT SDK's CRC checks on (force: false)
+function decode(bytes) {
+  const parser = new FitParser({ force: false, mode: 'list', lengthUnit: 'm' });
+  return new Promise((resolve, reject) => {
+    parser.parse(bytes.buffer, (error, data) => (error ? reject(error) : resolve(data)));
+  });
+}
+
+test('fitCrc matches the CRC-16 check value', () => {
+  // CRC-16/ARC, which FIT uses, of "123456789" is 0xBB3D
+  expect(fitCrc(new TextEncoder().encode('123456789'))).toBe(0xBB3D);
+});
+
+test('writes the header and file CRCs', () => {
+  const bytes = routeToFITCourse(route);
+  const view = new DataView(bytes.buffer);
+
+  expect(bytes[0]).toBe(14);
+  expect(String.fromCharCode(...bytes.subarray(8, 12))).toBe('.FIT');
+  expect(view.getUint32(4, true)).toBe(bytes.length - 16);
+  expect(view.getUint16(12, true)).toBe(fitCrc(bytes.subarray(0, 12)));
+  expect(view.getUint16(bytes.length - 2, true)).toBe(fitCrc(bytes.subarray(0, bytes.length - 2)));
+  // The CRC over the whole file including its own CRC is 0
+  expect(fitCrc(bytes)).toBe(0);
+});
+
+test('decodes as a course with records, a lap and course points', async () => {
+  const data = await decode(routeToFITCourse(route));
+
+  expect(data.file_ids[0].type).toBe('course');
+  expect(data.course.sport).toBe('cycling');
+  expect(data.records).toHaveLength(5);
+  expect(data.records[4].position_lat).toBeCloseTo(45.008, 5);
+  expect(data.laps).toHaveLength(1);
+  expect(data.laps[0].total_distance).toBeCloseTo(890, -1);
+  expect(data.course_points.map(point => [point.type, point.name])).toEqual([
+    ['right', 'Turn right'],
+    ['summit', 'Col']
+  ]);
+});
@@ -13,6 +13,16 @@ export function haversineDistance([lon1, lat1], [lon2, lat2]) {
   return R * c;
 }
 
+// Initial bearing (degrees) from [lon, lat] a to b
+export function bearingBetween(a, b) {
+  const φ1 = a[1] * Math.PI / 180;
+  const φ2 = b[1] * Math.PI / 180;
+  const Δλ = (b[0] - a[0]) * Math.PI / 180;
+  const y = Math.sin(Δλ) * Math.cos(φ2);
+  const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
 export function polylineDistance(coords) {
   if (!coords || coords.length < 2) return 0;
   let total = 0;
@@ -0,0 +1,155 @@
+// GeoJSON import and export
+// Reads LineString/MultiLineString tracks (bare geometries, Features or
+// FeatureCollections) with Point features as waypoints, and writes export
+// routes (see routeExport.js) as a FeatureCollection
+
+import { buildLineString } from './geo';
+import { calculateSummary, simplifyTrackPoints } from './gpx';
+
+// Per-coordinate timestamps: coordinateProperties.times (togeojson) or the
+// older coordTimes property, either flat or one array per line
+function coordinateTimes(properties) {
+  return properties?.coordinateProperties?.times || properties?.coordTimes || null;
+}
+
+// Track lines of a geometry: [[lon, lat, ele?], ...] arrays with their times
+function geometryLines(geometry, times) {
+  if (!geometry) return [];
+  if (geometry.type === 'LineString') {
+    return [{ coordinates: geometry.coordinates || [], times: Array.isArray(times?.[0]) ? times[0] : times }];
+  }
+  if (geometry.type === 'MultiLineString') {
+    return (geometry.coordinates || []).map((coordinates, i) => ({
+      coordinates,
+      times: Array.isArray(times?.[i]) ? times[i] : null
+    }));
+  }
+  if (geometry.type === 'GeometryCollection') {
+    return (geometry.geometries || []).flatMap(child => geometryLines(child, null));
+  }
+  return [];
+}
+
+// Parse GeoJSON text into the parsers' route data shape
+export function parseGeoJSON(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Invalid GeoJSON file');
+  }
+
+  const features = json.type === 'FeatureCollection' ? json.features || [] :
+    json.type === 'Feature' ? [json] :
+    [{ type: 'Feature', properties: {}, geometry: json }];
+
+  const trackPoints = [];
+  const waypoints = [];
+  let trackName = null;
+  let description = null;
+
+  features.forEach(feature => {
+    const { geometry, properties = {} } = feature || {};
+    if (!geometry) return;
+
+    if (geometry.type === 'Point') {
+      // Turn cues written by routeToGeoJSON are derived, not waypoints
+      if (properties?.cue) return;
+      const [longitude, latitude, elevation] = geometry.coordinates || [];
+      if (typeof latitude !== 'number' || typeof longitude !== 'number') return;
+      waypoints.push({
+        latitude,
+        longitude,
+        name: properties?.name,
+        description: properties?.description,
+        type: properties?.type,
+        elevation: typeof elevation === 'number' ? elevation : null
+      });
+      return;
+    }
+
+    const lines = geometryLines(geometry, coordinateTimes(properties));
+    if (lines.length === 0) return;
+    trackName = trackName || properties?.name || null;
+    description = description || properties?.description || null;
+
+    lines.forEach(({ coordinates, times }) => {
+      coordinates.forEach(([longitude, latitude, elevation], i) => {
+        if (typeof latitude !== 'number' || typeof longitude !== 'number') return;
+        const time = times?.[i];
+        trackPoints.push({
+          latitude,
+          longitude,
+          elevation: typeof elevation === 'number' ? elevation : null,
+          time: time ? new Date(time).toISOString() : null,
+          sequence: trackPoints.length
+        });
+      });
+    });
+  });
+
+  if (trackPoints.length === 0) {
+    throw new Error('No LineString or MultiLineString track found in GeoJSON file');
+  }
+
+  const points = trackPoints.length > 5000 ? simplifyTrackPoints(trackPoints, 5000) : trackPoints;
+
+  return {
+    metadata: {
+      name: (json.name || json.properties?.name || trackName || 'Imported Route').trim(),
+      time: points[0].time,
+      creator: 'GeoJSON',
+      description: description || undefined
+    },
+    trackPoints: points,
+    waypoints,
+    summary: calculateSummary(points)
+  };
+}
+
+// FeatureCollection for an export route: the track as a LineString with
+// [lon, lat, ele] coordinates and planned times, then waypoints and turn
+// cues as Point features
+export function routeToGeoJSON(route) {
+  const { name = 'Route', description, points = [], waypoints = [], cues = [] } = route;
+  const hasElevation = points.some(point => typeof point.elevation === 'number');
+  const hasTimes = points.every(point => point.time);
+
+  const coordinates = points.map(point => {
+    const coordinate = [point.longitude, point.latitude];
+    if (hasElevation) coordinate.push(typeof point.elevation === 'number' ? Math.round(point.elevation * 10) / 10 : null);
+    return coordinate;
+  });
+
+  const track = buildLineString(coordinates);
+  track.properties = {
+    name,
+    ...(description ? { description } : {}),
+    ...(hasTimes ? { coordinateProperties: { times: points.map(point => new Date(point.time).toISOString()) } } : {})
+  };
+
+  const pointFeature = (longitude, latitude, properties) => ({
+    type: 'Feature',
+    properties,
+    geometry: { type: 'Point', coordinates: [longitude, latitude] }
+  });
+
+  return {
+    type: 'FeatureCollection',
+    name,
+    features: [
+      track,
+      ...waypoints.map(waypoint => pointFeature(waypoint.longitude, waypoint.latitude, {
+        name: waypoint.name,
+        type: waypoint.type,
+        ...(waypoint.description ? { description: waypoint.description } : {})
+      })),
+      ...cues.filter(cue => points[cue.index]).map(cue => pointFeature(points[cue.index].longitude, points[cue.index].latitude, {
+        cue: true,
+        name: cue.instruction,
+        type: cue.type,
+        distanceKm: Math.round(cue.distanceKm * 100) / 100
+      }))
+    ]
+  };
+}
@@ -0,0 +1,65 @@
+import { parseGeoJSON, routeToGeoJSON } from './geojson';
+
+const route = {
+  name: 'Morning loop',
+  description: 'Out along the river & back',
+  points: [
+    { latitude: 45.0, longitude: 7.0, elevation: 240, time: '2024-06-01T08:00:00.000Z' },
+    { latitude: 45.001, longitude: 7.001, elevation: 245.5, time: '2024-06-01T08:00:20.000Z' },
+    { latitude: 45.002, longitude: 7.003, elevation: 251, time: '2024-06-01T08:00:45.000Z' }
+  ],
+  waypoints: [{ latitude: 45.001, longitude: 7.001, name: 'Café', type: 'food' }],
+  cues: [{ index: 1, type: 'right', instruction: 'Turn right', distanceKm: 0.14 }]
+};
+
+test('round-trips a route through GeoJSON', () => {
+  const parsed = parseGeoJSON(JSON.stringify(routeToGeoJSON(route)));
+
+  expect(parsed.metadata.name).toBe('Morning loop');
+  expect(parsed.metadata.description).toBe('Out along the river & back');
+  expect(parsed.trackPoints).toHaveLength(3);
+  parsed.trackPoints.forEach((point, i) => {
+    expect(point.latitude).toBeCloseTo(route.points[i].latitude, 7);
+    expect(point.longitude).toBeCloseTo(route.points[i].longitude, 7);
+    expect(point.elevation).toBe(route.points[i].elevation);
+    expect(point.time).toBe(route.points[i].time);
+  });
+  // Turn cues are derived on export, not read back as waypoints
+  expect(parsed.waypoints).toEqual([
+    { latitude: 45.001, longitude: 7.001, name: 'Café', type: 'food', description: undefined, elevation: null }
+  ]);
+});
+
+test('writes planned routes without times or elevation as plain coordinates', () => {
+  const geojson = routeToGeoJSON({
+    name: 'Flat',
+    points: route.points.map(({ latitude, longitude }) => ({ latitude, longitude, elevation: null, time: null }))
+  });
+
+  expect(geojson.features[0].geometry.coordinates[0]).toEqual([7.0, 45.0]);
+  expect(geojson.features[0].properties.coordinateProperties).toBeUndefined();
+});
+
+test('reads MultiLineString features with per-line times', () => {
+  const parsed = parseGeoJSON(JSON.stringify({
+    type: 'Feature',
+    properties: {
+      name: 'Two parts',
+      coordTimes: [['2024-06-01T08:00:00Z', '2024-06-01T08:01:00Z'], ['2024-06-01T09:00:00Z', '2024-06-01T09:01:00Z']]
+    },
+    geometry: {
+      type: 'MultiLineString',
+      coordinates: [[[7, 45], [7.01, 45]], [[7.01, 45.01], [7.02, 45.01, 300]]]
+    }
+  }));
+
+  expect(parsed.metadata.name).toBe('Two parts');
+  expect(parsed.trackPoints.map(point => point.sequence)).toEqual([0, 1, 2, 3]);
+  expect(parsed.trackPoints[2].time).toBe('2024-06-01T09:00:00.000Z');
+  expect(parsed.trackPoints[3].elevation).toBe(300);
+});
+
+test('rejects GeoJSON without a track', () => {
+  expect(() => parseGeoJSON(JSON.stringify({ type: 'Point', coordinates: [7, 45] }))).toThrow(/No LineString/);
+  expect(() => parseGeoJSON('not json')).toThrow('Invalid GeoJSON file');
+});
@@ -0,0 +1,343 @@
+// GPS track cleaning
+// Configurable pipeline run on uploaded tracks before insert: speed-based
+// outlier rejection, stationary-point collapse, position smoothing and
+// elevation spike removal, with a before/after report. Only outlier rejection
+// drops points; the other steps move positions and keep every sensor sample.
+
+import { haversineDistance } from './geo';
+
+export const DEFAULT_CLEANING_OPTIONS = {
+  enabled: true,
+  rejectOutliers: true,
+  maxSpeedKmh: 100, // faster than this between fixes is a GPS error
+  maxJumpM: 500, // same check for tracks without timestamps
+  maxExcursionPoints: 10, // longest away-and-back spike removed as one
+  collapseStationary: true,
+  stationaryRadiusM: 5,
+  stationaryMinSeconds: 10, // shorter than this within the radius is slow riding, not a stop
+  smoothing: 'kalman',
+  windowSize: 5,
+  kalmanAccuracyM: 5, // typical fix accuracy
+  kalmanProcessNoise: 3, // m/s² of acceleration the filter allows
+  removeElevationSpikes: true,
+  elevationSpikeM: 15
+};
+
+const distanceBetween = (a, b) => haversineDistance([a.longitude, a.latitude], [b.longitude, b.latitude]) * 1000;
+
+const timeOf = (point) => {
+  if (!point.time) return null;
+  const time = new Date(point.time).getTime();
+  return isNaN(time) ? null : time;
+};
+
+// Whether moving from a to b is faster than the rider could have gone
+function isImplausibleMove(a, b, options) {
+  const distance = distanceBetween(a, b);
+  const ta = timeOf(a);
+  const tb = timeOf(b);
+  if (ta !== null && tb !== null && tb > ta) {
+    return (distance / ((tb - ta) / 1000)) * 3.6 > options.maxSpeedKmh;
+  }
+  return distance > options.maxJumpM;
+}
+
+// Drop spikes: a fix that jumps away and comes back within a few points.
+// A jump the track doesn't come back from (e.g. after a paused transfer) is kept.
+function rejectOutliers(points, options) {
+  const kept = [points[0]];
+  let removed = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const anchor = kept[kept.length - 1];
+    if (!isImplausibleMove(anchor, points[i], options)) {
+      kept.push(points[i]);
+      continue;
+    }
+
+    // Look ahead for where the track returns to a plausible position
+    const limit = Math.min(points.length - 1, i + options.maxExcursionPoints);
+    let returnIndex = -1;
+    for (let j = i + 1; j <= limit; j++) {
+      if (!isImplausibleMove(anchor, points[j], options)) {
+        returnIndex = j;
+        break;
+      }
+    }
+
+    if (returnIndex === -1 && i === points.length - 1) {
+      // A final spike has nothing to return to
+      removed++;
+    } else if (returnIndex === -1) {
+      kept.push(points[i]);
+    } else {
+      removed += returnIndex - i;
+      i = returnIndex - 1;
+    }
+  }
+
+  return { points: kept, removed };
+}
+
+// Collapse stops: runs of fixes that stay within a small radius for at least
+// stationaryMinSeconds (at the lights, a coffee stop) are pinned to the run's
+// mean position, so GPS jitter adds no distance. The points and their times
+// and sensor samples are kept. Without timestamps a stop can't be told from
+// slow riding, so untimed tracks are left alone.
+function collapseStationary(points, options) {
+  const result = [...points];
+  let collapsed = 0;
+  let i = 0;
+
+  while (i < points.length) {
+    const anchor = points[i];
+    let j = i + 1;
+    while (j < points.length && distanceBetween(anchor, points[j]) <= options.stationaryRadiusM) j++;
+
+    const clusterEnd = j - 1;
+    const start = timeOf(anchor);
+    const end = timeOf(points[clusterEnd]);
+    const dwellSeconds = start !== null && end !== null ? (end - start) / 1000 : 0;
+
+    if (clusterEnd > i && dwellSeconds >= options.stationaryMinSeconds) {
+      let latSum = 0;
+      let lonSum = 0;
+      for (let k = i; k <= clusterEnd; k++) {
+        latSum += points[k].latitude;
+        lonSum += points[k].longitude;
+      }
+      const count = clusterEnd - i + 1;
+      for (let k = i; k <= clusterEnd; k++) {
+        result[k] = { ...points[k], latitude: latSum / count, longitude: lonSum / count };
+      }
+      collapsed += count;
+      i = clusterEnd + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return { points: result, collapsed };
+}
+
+// Metres per degree for the local flat projection used by the smoother
+const METERS_PER_DEGREE = 111320;
+
+// Kalman smoother with a constant-velocity model: a forward filter over
+// east/north positions in metres, then a backward (Rauch-Tung-Striebel) pass
+// so every point uses the fixes after it too. Unlike a constant-position
+// filter it doesn't lag behind a moving rider, including at the ends.
+function kalmanSmooth(points, options) {
+  const lat0 = points[0].latitude;
+  const lon0 = points[0].longitude;
+  const cosLat = Math.cos(lat0 * Math.PI / 180);
+  const r = options.kalmanAccuracyM * options.kalmanAccuracyM;
+  const q = options.kalmanProcessNoise * options.kalmanProcessNoise;
+
+  // Both axes share the covariance [[p00, p01], [p01, p11]]: same model, same noise
+  const filtered = [];
+  const predicted = [];
+  let x = { e: 0, n: 0, ve: 0, vn: 0 };
+  let P = { p00: r, p01: 0, p11: 100 }; // velocity unknown at the start (±10 m/s)
+  let lastTime = timeOf(points[0]);
+
+  points.forEach((point, index) => {
+    const e = (point.longitude - lon0) * METERS_PER_DEGREE * cosLat;
+    const n = (point.latitude - lat0) * METERS_PER_DEGREE;
+    const time = timeOf(point);
+    const dt = index === 0 ? 0 :
+      time !== null && lastTime !== null ? Math.max(0, (time - lastTime) / 1000) : 1;
+    lastTime = time ?? lastTime;
+
+    // Predict
+    const xp = { e: x.e + dt * x.ve, n: x.n + dt * x.vn, ve: x.ve, vn: x.vn };
+    const Pp = {
+      p00: P.p00 + 2 * dt * P.p01 + dt * dt * P.p11 + q * Math.pow(dt, 4) / 4,
+      p01: P.p01 + dt * P.p11 + q * Math.pow(dt, 3) / 2,
+      p11: P.p11 + q * dt * dt
+    };
+    predicted.push({ x: xp, P: Pp, dt });
+
+    // Update with the fix
+    const s = Pp.p00 + r;
+    const k0 = Pp.p00 / s;
+    const k1 = Pp.p01 / s;
+    x = {
+      e: xp.e + k0 * (e - xp.e),
+      n: xp.n + k0 * (n - xp.n),
+      ve: xp.ve + k1 * (e - xp.e),
+      vn: xp.vn + k1 * (n - xp.n)
+    };
+    P = {
+      p00: (1 - k0) * Pp.p00,
+      p01: (1 - k0) * Pp.p01,
+      p11: Pp.p11 - k1 * Pp.p01
+    };
+    filtered.push({ x, P });
+  });
+
+  // Backward pass: x_s[k] = x_f[k] + C (x_s[k+1] - x_p[k+1]), C = P_f[k] Fᵀ P_p[k+1]⁻¹
+  const smoothed = new Array(points.length);
+  smoothed[points.length - 1] = filtered[points.length - 1].x;
+  for (let k = points.length - 2; k >= 0; k--) {
+    const { x: xf, P: Pf } = filtered[k];
+    const { x: xp, P: Pp, dt } = predicted[k + 1];
+    // P_f Fᵀ
+    const a00 = Pf.p00 + dt * Pf.p01;
+    const a01 = Pf.p01;
+    const a10 = Pf.p01 + dt * Pf.p11;
+    const a11 = Pf.p11;
+    const det = Pp.p00 * Pp.p11 - Pp.p01 * Pp.p01;
+    if (det <= 0) {
+      smoothed[k] = xf;
+      continue;
+    }
+    const i00 = Pp.p11 / det;
+    const i01 = -Pp.p01 / det;
+    const i11 = Pp.p00 / det;
+    const c00 = a00 * i00 + a01 * i01;
+    const c01 = a00 * i01 + a01 * i11;
+    const c10 = a10 * i00 + a11 * i01;
+    const c11 = a10 * i01 + a11 * i11;
+    const next = smoothed[k + 1];
+    const de = next.e - xp.e;
+    const dve = next.ve - xp.ve;
+    const dn = next.n - xp.n;
+    const dvn = next.vn - xp.vn;
+    smoothed[k] = {
+      e: xf.e + c00 * de + c01 * dve,
+      n: xf.n + c00 * dn + c01 * dvn,
+      ve: xf.ve + c10 * de + c11 * dve,
+      vn: xf.vn + c10 * dn + c11 * dvn
+    };
+  }
+
+  return points.map((point, index) => ({
+    ...point,
+    latitude: lat0 + smoothed[index].n / METERS_PER_DEGREE,
+    longitude: lon0 + smoothed[index].e / (METERS_PER_DEGREE * cosLat)
+  }));
+}
+
+// Centered moving average of positions
+function windowSmooth(points, options) {
+  const half = Math.floor(options.windowSize / 2);
+  return points.map((point, index) => {
+    if (index === 0 || index === points.length - 1) return point;
+    const start = Math.max(0, index - half);
+    const end = Math.min(points.length - 1, index + half);
+    let latSum = 0;
+    let lonSum = 0;
+    for (let i = start; i <= end; i++) {
+      latSum += points[i].latitude;
+      lonSum += points[i].longitude;
+    }
+    const count = end - start + 1;
+    return { ...point, latitude: latSum / count, longitude: lonSum / count };
+  });
+}
+
+// Replace elevations that stand out from their neighbours' median
+function removeElevationSpikes(points, options) {
+  let adjusted = 0;
+  const result = points.map((point, index) => {
+    if (typeof point.elevation !== 'number') return point;
+    const neighbours = [];
+    for (let i = Math.max(0, index - 2); i <= Math.min(points.length - 1, index + 2); i++) {
+      if (i !== index && typeof points[i].elevation === 'number') neighbours.push(points[i].elevation);
+    }
+    if (neighbours.length < 2) return point;
+
+    neighbours.sort((a, b) => a - b);
+    const mid = Math.floor(neighbours.length / 2);
+    const median = neighbours.length % 2 ? neighbours[mid] : (neighbours[mid - 1] + neighbours[mid]) / 2;
+    if (Math.abs(point.elevation - median) <= options.elevationSpikeM) return point;
+
+    adjusted++;
+    return { ...point, elevation: median };
+  });
+
+  return { points: result, adjusted };
+}
+
+// Distance, climbing and speed figures for the report
+export function summarizeTrack(points) {
+  let distance = 0;
+  let elevationGain = 0;
+  let maxSpeedKmh = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const curr = points[i];
+    const step = distanceBetween(prev, curr);
+    distance += step;
+
+    if (typeof prev.elevation === 'number' && typeof curr.elevation === 'number' && curr.elevation > prev.elevation) {
+      elevationGain += curr.elevation - prev.elevation;
+    }
+
+    const tPrev = timeOf(prev);
+    const tCurr = timeOf(curr);
+    if (tPrev !== null && tCurr !== null && tCurr > tPrev) {
+      maxSpeedKmh = Math.max(maxSpeedKmh, (step / ((tCurr - tPrev) / 1000)) * 3.6);
+    }
+  }
+
+  return {
+    pointCount: points.length,
+    distanceKm: Math.round(distance / 10) / 100,
+    elevationGainM: Math.round(elevationGain),
+    maxSpeedKmh: Math.round(maxSpeedKmh * 10) / 10
+  };
+}
+
+// Run the pipeline. Returns the cleaned points (sequence renumbered) and a
+// report with before/after summaries and what each step changed.
+export function cleanTrack(points, options = {}) {
+  const settings = { ...DEFAULT_CLEANING_OPTIONS, ...options };
+  const located = (points || []).filter(point =>
+    typeof point?.latitude === 'number' && typeof point?.longitude === 'number'
+  );
+  const before = summarizeTrack(located);
+  const steps = [];
+  let current = located;
+
+  if (settings.enabled && current.length > 2) {
+    if (settings.rejectOutliers) {
+      const result = rejectOutliers(current, settings);
+      current = result.points;
+      steps.push({ id: 'outliers', label: 'GPS spikes removed', count: result.removed });
+    }
+
+    if (settings.collapseStationary) {
+      const result = collapseStationary(current, settings);
+      current = result.points;
+      steps.push({ id: 'stationary', label: 'stationary points collapsed', count: result.collapsed });
+    }
+
+    if (settings.smoothing === 'kalman') {
+      current = kalmanSmooth(current, settings);
+      steps.push({ id: 'smoothing', label: 'Kalman smoothing', count: current.length });
+    } else if (settings.smoothing === 'window') {
+      current = windowSmooth(current, settings);
+      steps.push({ id: 'smoothing', label: `Moving average (${settings.windowSize} points)`, count: current.length });
+    }
+
+    if (settings.removeElevationSpikes) {
+      const result = removeElevationSpikes(current, settings);
+      current = result.points;
+      steps.push({ id: 'elevation', label: 'elevation spikes fixed', count: result.adjusted });
+    }
+  }
+
+  const cleaned = current.map((point, index) => ({ ...point, sequence: index }));
+
+  return {
+    points: cleaned,
+    report: {
+      before,
+      after: summarizeTrack(cleaned),
+      steps
+    }
+  };
+}
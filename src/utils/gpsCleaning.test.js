@@ -0,0 +1,58 @@
+import { cleanTrack, summarizeTrack } from './gpsCleaning';
+import { ridePoints } from './testRides';
+
+// 1 Hz track heading east from (45, 7) following speedAt(second) in km/h,
+// with optional GPS noise and a heart rate sample on every point
+const track = (seconds, speedAt, noiseM = 0) => ridePoints(seconds, {
+  speedAt,
+  noiseM,
+  elevation: 200,
+  sample: t => ({ heartRate: 100 + (t % 50), sequence: t })
+});
+
+const stepCount = (report, id) => report.steps.find(step => step.id === id).count;
+
+test('keeps a slow rider moving at 5 km/h', () => {
+  const points = track(600, () => 5, 1);
+  const { points: cleaned, report } = cleanTrack(points);
+
+  expect(stepCount(report, 'stationary')).toBe(0);
+  expect(cleaned).toHaveLength(600);
+  expect(report.after.distanceKm).toBeGreaterThan(0.8);
+  expect(report.after.distanceKm).toBeLessThan(0.87);
+  expect(cleaned.map(point => point.heartRate)).toEqual(points.map(point => point.heartRate));
+});
+
+test('leaves a clean constant-speed track as it was', () => {
+  const points = track(480, () => 30);
+  const { report } = cleanTrack(points);
+
+  expect(report.after.pointCount).toBe(report.before.pointCount);
+  expect(report.after.distanceKm).toBeCloseTo(report.before.distanceKm, 2);
+  expect(report.after.maxSpeedKmh).toBeLessThan(30.5);
+});
+
+test('collapses a real stop without losing its sensor samples', () => {
+  // 2 minutes at 25 km/h, a 3 minute stop, then 2 more minutes riding
+  const speedAt = (t) => (t >= 120 && t < 300 ? 0 : 25);
+  const points = track(420, speedAt, 2);
+  const { points: cleaned, report } = cleanTrack(points);
+
+  expect(stepCount(report, 'stationary')).toBeGreaterThanOrEqual(170);
+  expect(cleaned).toHaveLength(points.length);
+  expect(cleaned.map(point => point.time)).toEqual(points.map(point => point.time));
+  expect(cleaned.map(point => point.heartRate)).toEqual(points.map(point => point.heartRate));
+
+  // Standing still adds no distance: only the riding counts (~1.67 km)
+  const stop = summarizeTrack(cleaned.slice(125, 295));
+  expect(stop.distanceKm).toBeLessThan(0.01);
+  expect(report.after.distanceKm).toBeGreaterThan(1.6);
+  expect(report.after.distanceKm).toBeLessThan(1.72);
+  expect(report.before.distanceKm).toBeGreaterThan(report.after.distanceKm);
+});
+
+test('does not collapse tracks without timestamps', () => {
+  const points = track(100, () => 3).map(({ time, ...point }) => point);
+  const { report } = cleanTrack(points);
+  expect(stepCount(report, 'stationary')).toBe(0);
+});
@@ -1,34 +1,155 @@
-// Utility to convert an array of [lon, lat] coordinates to a minimal GPX string
-export function pointsToGPX(points, { name = 'Route', creator = 'Cycling AI App' } = {}) {
-  const header = `<?xml version="1.0" encoding="UTF-8"?>\n` +
-    `<gpx version="1.1" creator="${creator}" xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">`;
-  const meta = `<metadata><name>${escapeXml(name)}</name><time>${new Date().toISOString()}</time></metadata>`;
-  const trkOpen = `<trk><name>${escapeXml(name)}</name><trkseg>`;
-  const seg = points.map(([lon, lat]) => `<trkpt lat="${lat}" lon="${lon}"><time>${new Date().toISOString()}</time></trkpt>`).join('');
-  const trkClose = `</trkseg></trk>`;
-  const footer = `</gpx>`;
-  return [header, meta, trkOpen, seg, trkClose, footer].join('\n');
+import { parseXML, findAll, findChild, findChildren, escapeXml } from './xml';
+import { haversineDistance } from './geo';
+import { analyzeMovement } from './movement';
+import { createProgress } from './progress';
+
+// GPX symbols for turn cues (see cueSheet.js) and waypoint types
+const GPX_SYMBOLS = {
+  left: 'Left',
+  right: 'Right',
+  'slight-left': 'Slight Left',
+  'slight-right': 'Slight Right',
+  'sharp-left': 'Sharp Left',
+  'sharp-right': 'Sharp Right',
+  'keep-left': 'Fork Left',
+  'keep-right': 'Fork Right',
+  'u-turn': 'U Turn',
+  straight: 'Straight',
+  roundabout: 'Roundabout',
+  start: 'Flag, Green',
+  finish: 'Flag, Red',
+  summit: 'Summit',
+  water: 'Drinking Water',
+  food: 'Restaurant',
+  danger: 'Danger Area',
+  poi: 'Waypoint'
+};
+
+const formatCoordinate = (value) => Number(value.toFixed(7));
+
+// Child elements of a wpt/rtept/trkpt, in the order the GPX schema requires
+function pointElements({ elevation, time, name, description, symbol, type }) {
+  return [
+    typeof elevation === 'number' && !isNaN(elevation) ? `<ele>${elevation.toFixed(1)}</ele>` : '',
+    time ? `<time>${new Date(time).toISOString()}</time>` : '',
+    name ? `<name>${escapeXml(name)}</name>` : '',
+    description ? `<desc>${escapeXml(description)}</desc>` : '',
+    symbol ? `<sym>${escapeXml(symbol)}</sym>` : '',
+    type ? `<type>${escapeXml(type)}</type>` : ''
+  ].join('');
 }
 
-function escapeXml(str) {
-  return str.replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c] || c));
+function gpxPoint(tag, point, extra = {}) {
+  return `<${tag} lat="${formatCoordinate(point.latitude)}" lon="${formatCoordinate(point.longitude)}">` +
+    `${pointElements({ elevation: point.elevation, time: point.time, ...extra })}</${tag}>`;
 }
 
-// Parse GPX file and extract route data
-export function parseGPX(gpxContent) {
+const cueElements = (cue) => ({ name: cue.instruction, symbol: GPX_SYMBOLS[cue.type], type: cue.type });
+
+// Index of the route point closest to a waypoint
+function nearestPointIndex(points, target) {
+  let nearest = 0;
+  let nearestDistance = Infinity;
+  points.forEach((point, index) => {
+    const distance = haversineDistance([point.longitude, point.latitude], [target.longitude, target.latitude]) * 1000;
+    if (distance < nearestDistance) {
+      nearest = index;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
+
+// Route points for a GPX rte: start, turn cues, the rider's own waypoints
+// (not the generated start/finish/summit markers) and finish, in route order.
+// Devices route between rtepts themselves, so the full track isn't written.
+function routeTurnPoints(points, waypoints, cues) {
+  if (points.length === 0) return [];
+
+  const last = points.length - 1;
+  const stops = [
+    { index: 0, elements: { name: 'Start', symbol: GPX_SYMBOLS.start, type: 'start' } },
+    ...cues
+      .filter(cue => cue.index > 0 && cue.index < last)
+      .map(cue => ({ index: cue.index, elements: cueElements(cue) })),
+    ...waypoints
+      .filter(waypoint => !['start', 'finish', 'summit'].includes(waypoint.type))
+      .map(waypoint => ({
+        index: nearestPointIndex(points, waypoint),
+        elements: {
+          name: waypoint.name,
+          description: waypoint.description,
+          symbol: GPX_SYMBOLS[waypoint.type] || GPX_SYMBOLS.poi,
+          type: waypoint.type
+        }
+      })),
+    { index: last, elements: { name: 'Finish', symbol: GPX_SYMBOLS.finish, type: 'finish' } }
+  ];
+
+  // Stable sort keeps a cue ahead of a waypoint on the same point
+  return stops
+    .sort((a, b) => a.index - b.index)
+    .map(stop => ({ point: points[stop.index], elements: stop.elements }));
+}
+
+// GPX 1.1 document for an export route (see routeExport.js). `type` picks a
+// track (trk) or a route (rte); points carry elevation and planned times,
+// waypoints become wpt, and turn cues become wpt (track). A route holds only
+// its turn points as rtept (see routeTurnPoints).
+export function routeToGPX(route, { type = 'trk', creator = 'Cycling AI App' } = {}) {
+  const { name = 'Route', description, points = [], waypoints = [], cues = [] } = route;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${escapeXml(creator)}" xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">`,
+    `  <metadata><name>${escapeXml(name)}</name>${description ? `<desc>${escapeXml(description)}</desc>` : ''}` +
+      `<time>${new Date(points[0]?.time || Date.now()).toISOString()}</time></metadata>`
+  ];
+
+  waypoints.forEach(waypoint => {
+    lines.push('  ' + gpxPoint('wpt', waypoint, {
+      name: waypoint.name,
+      description: waypoint.description,
+      symbol: GPX_SYMBOLS[waypoint.type] || GPX_SYMBOLS.poi,
+      type: waypoint.type
+    }));
+  });
+
+  if (type === 'rte') {
+    lines.push(`  <rte><name>${escapeXml(name)}</name>`);
+    routeTurnPoints(points, waypoints, cues).forEach(({ point, elements }) => {
+      lines.push('    ' + gpxPoint('rtept', point, elements));
+    });
+    lines.push('  </rte>');
+  } else {
+    cues.forEach(cue => {
+      const point = points[cue.index];
+      if (point) lines.push('  ' + gpxPoint('wpt', point, cueElements(cue)));
+    });
+    lines.push(`  <trk><name>${escapeXml(name)}</name><trkseg>`);
+    points.forEach(point => lines.push('    ' + gpxPoint('trkpt', point)));
+    lines.push('  </trkseg></trk>');
+  }
+
+  lines.push('</gpx>');
+  return lines.join('\n');
+}
+
+// Parse GPX file and extract route data. Runs without the DOM (in the parser
+// worker too); onProgress receives the share of trackpoints read (0-1).
+export function parseGPX(gpxContent, { onProgress } = {}) {
   try {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(gpxContent, 'application/xml');
-    
-    // Check for parsing errors
-    const parserError = doc.querySelector('parsererror');
-    if (parserError) {
+    let doc;
+    try {
+      doc = parseXML(gpxContent);
+    } catch (xmlError) {
       throw new Error('Invalid GPX file format');
     }
 
     const metadata = extractMetadata(doc);
-    const tracks = extractTracks(doc);
-    const routes = extractRoutes(doc);
+    const step = createProgress(onProgress, findAll(doc, 'trkpt').length + findAll(doc, 'rtept').length);
+    const tracks = extractTracks(doc, step);
+    const routes = extractRoutes(doc, step);
     const waypoints = extractWaypoints(doc);
 
     // Combine all track points
@@ -36,6 +157,9 @@ export function parseGPX(gpxContent) {
       point && typeof point.latitude === 'number' && typeof point.longitude === 'number'
     );
 
+    // Full recording for sensor metrics (power, heart rate), which need every sample
+    const sensorPoints = allTrackPoints;
+
     // Simplify large datasets to prevent database timeouts
     // Keep maximum 5000 points, using distance-based sampling for larger files
     if (allTrackPoints.length > 5000) {
@@ -49,6 +173,7 @@ export function parseGPX(gpxContent) {
     return {
       metadata: metadata || { name: 'Unnamed Route' },
       trackPoints: allTrackPoints,
+      sensorPoints,
       waypoints: waypoints || [],
       summary: calculateSummary(allTrackPoints)
     };
@@ -57,30 +182,38 @@ export function parseGPX(gpxContent) {
   }
 }
 
+// Number from a child element's text, or null
+function childNumber(node, localName) {
+  const child = findChild(node, localName);
+  return child ? parseFloat(child.textContent) : null;
+}
+
 function extractMetadata(doc) {
-  const metadata = doc.querySelector('metadata');
-  const name = doc.querySelector('metadata > name')?.textContent || 
-                doc.querySelector('trk > name')?.textContent || 
-                doc.querySelector('rte > name')?.textContent || 
+  const metadata = findAll(doc, 'metadata')[0];
+  const name = findChild(metadata, 'name')?.textContent || 
+                findChild(findAll(doc, 'trk')[0], 'name')?.textContent || 
+                findChild(findAll(doc, 'rte')[0], 'name')?.textContent || 
                 'Imported Route';
-  const time = doc.querySelector('metadata > time')?.textContent;
+  const time = findChild(metadata, 'time')?.textContent;
   const creator = doc.documentElement.getAttribute('creator') || 'Unknown';
   
   return {
     name: name.trim(),
     time,
     creator,
-    description: metadata?.querySelector('desc')?.textContent?.trim()
+    description: findAll(metadata, 'desc')[0]?.textContent?.trim()
   };
 }
 
-function extractTracks(doc) {
-  const tracks = doc.querySelectorAll('trk');
-  return Array.from(tracks).map(track => {
-    const segments = track.querySelectorAll('trkseg');
-    return Array.from(segments).map(segment => {
-      const points = segment.querySelectorAll('trkpt');
-      return Array.from(points).map((point, index) => {
+// step() is called once per point, for progress
+function extractTracks(doc, step) {
+  const tracks = findAll(doc, 'trk');
+  return tracks.map(track => {
+    const segments = findAll(track, 'trkseg');
+    return segments.map(segment => {
+      const points = findAll(segment, 'trkpt');
+      return points.map((point, index) => {
+        step();
         const lat = parseFloat(point.getAttribute('lat'));
         const lon = parseFloat(point.getAttribute('lon'));
         
@@ -91,20 +224,22 @@ function extractTracks(doc) {
         return {
           latitude: lat,
           longitude: lon,
-          elevation: point.querySelector('ele') ? parseFloat(point.querySelector('ele').textContent) : null,
-          time: point.querySelector('time')?.textContent,
-          sequence: index
+          elevation: childNumber(point, 'ele'),
+          time: findChild(point, 'time')?.textContent,
+          sequence: index,
+          ...extractSensorData(point)
         };
       }).filter(point => point !== null); // Remove null points
     }).flat();
   });
 }
 
-function extractRoutes(doc) {
-  const routes = doc.querySelectorAll('rte');
-  return Array.from(routes).map(route => {
-    const points = route.querySelectorAll('rtept');
-    return Array.from(points).map((point, index) => {
+function extractRoutes(doc, step) {
+  const routes = findAll(doc, 'rte');
+  return routes.map(route => {
+    const points = findAll(route, 'rtept');
+    return points.map((point, index) => {
+      step();
       const lat = parseFloat(point.getAttribute('lat'));
       const lon = parseFloat(point.getAttribute('lon'));
       
@@ -115,26 +250,65 @@ function extractRoutes(doc) {
       return {
         latitude: lat,
         longitude: lon,
-        elevation: point.querySelector('ele') ? parseFloat(point.querySelector('ele').textContent) : null,
-        time: point.querySelector('time')?.textContent,
-        sequence: index
+        elevation: childNumber(point, 'ele'),
+        time: findChild(point, 'time')?.textContent,
+        sequence: index,
+        ...extractSensorData(point)
       };
     }).filter(point => point !== null); // Remove null points
   });
 }
 
+// Sensor channels from point extensions. Garmin's gpxtpx:TrackPointExtension
+// carries hr/cad/atemp/speed; power is written as <power> (Strava, Wahoo) or
+// <PowerInWatts> (Cluetrust, Garmin power extension). Prefixes vary by exporter,
+// so match on local names only.
+const EXTENSION_FIELDS = {
+  heartRate: ['hr', 'heartrate'],
+  cadence: ['cad', 'cadence'],
+  temperature: ['atemp', 'temp', 'temperature'],
+  power: ['power', 'powerinwatts', 'watts'],
+  speed: ['speed']
+};
+
+function extractSensorData(point) {
+  const data = { heartRate: null, power: null, cadence: null, speed: null, temperature: null };
+  const extensions = findChild(point, 'extensions');
+  if (!extensions) return data;
+
+  findAll(extensions, '*').forEach(element => {
+    const localName = element.localName.toLowerCase();
+    const field = Object.keys(EXTENSION_FIELDS).find(key => EXTENSION_FIELDS[key].includes(localName));
+    if (!field || data[field] !== null || findChildren(element, '*').length > 0) return;
+
+    const value = parseFloat(element.textContent);
+    if (!isNaN(value)) {
+      data[field] = value;
+    }
+  });
+
+  // Extension speed is recorded in m/s; track points use km/h
+  if (data.speed !== null) {
+    data.speed = data.speed * 3.6;
+  }
+
+  return data;
+}
+
 function extractWaypoints(doc) {
-  const waypoints = doc.querySelectorAll('wpt');
-  return Array.from(waypoints).map(wpt => ({
+  const waypoints = findAll(doc, 'wpt');
+  return waypoints.map(wpt => ({
     latitude: parseFloat(wpt.getAttribute('lat')),
     longitude: parseFloat(wpt.getAttribute('lon')),
-    name: wpt.querySelector('name')?.textContent,
-    description: wpt.querySelector('desc')?.textContent,
-    elevation: wpt.querySelector('ele') ? parseFloat(wpt.querySelector('ele').textContent) : null
+    name: findChild(wpt, 'name')?.textContent,
+    description: findChild(wpt, 'desc')?.textContent,
+    elevation: childNumber(wpt, 'ele')
   }));
 }
 
-function calculateSummary(trackPoints) {
+// Distance, climbing and moving time for parsed track points (also used by
+// the GeoJSON and KML parsers)
+export function calculateSummary(trackPoints) {
   if (!trackPoints || trackPoints.length < 2) {
     return { 
       distance: 0, 
@@ -158,9 +332,9 @@ function calculateSummary(trackPoints) {
 
     // Calculate distance using Haversine formula
     const distance = haversineDistance(
-      prev.latitude, prev.longitude,
-      curr.latitude, curr.longitude
-    );
+      [prev.longitude, prev.latitude],
+      [curr.longitude, curr.latitude]
+    ) * 1000;
     totalDistance += distance;
 
     // Calculate elevation changes
@@ -181,29 +355,23 @@ function calculateSummary(trackPoints) {
     }
   }
 
+  // Moving time needs timestamps; planned routes have none
+  const movement = analyzeMovement(trackPoints);
+
   return {
     distance: totalDistance / 1000, // Convert to kilometers
     elevationGain: Math.round(elevationGain),
     elevationLoss: Math.round(elevationLoss),
     minElevation: minElevation ? Math.round(minElevation) : null,
     maxElevation: maxElevation ? Math.round(maxElevation) : null,
+    movingTime: movement ? movement.movingSeconds : null,
+    avgMovingSpeed: movement ? movement.avgMovingSpeedKmh : null,
     pointCount: trackPoints.length
   };
 }
 
-function haversineDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371000; // Earth's radius in meters
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-            Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
-
 // Simplify track points using distance-based sampling to reduce database payload
-function simplifyTrackPoints(points, maxPoints) {
+export function simplifyTrackPoints(points, maxPoints) {
   if (points.length <= maxPoints) {
     return points;
   }
@@ -0,0 +1,69 @@
+import { parseGPX, routeToGPX } from './gpx';
+import { ridePoints } from './testRides';
+
+// 1 Hz ride heading north with a power sample on every point
+function gpxRide(seconds) {
+  const samples = ridePoints(seconds, { heading: 'north', speedAt: () => 28, sample: t => ({ power: 200 + (t % 50) }) });
+  const points = samples.map(point => `
+      <trkpt lat="${point.latitude.toFixed(7)}" lon="${point.longitude.toFixed(7)}">
+        <ele>${point.elevation}</ele>
+        <time>${point.time}</time>
+        <extensions><power>${point.power}</power></extensions>
+      </trkpt>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk><name>Long ride</name><trkseg>${points}
+  </trkseg></trk>
+</gpx>`;
+}
+
+test('keeps every sample in sensorPoints when the stored track is simplified', () => {
+  const parsed = parseGPX(gpxRide(12000));
+
+  expect(parsed.trackPoints.length).toBeLessThan(12000);
+  expect(parsed.sensorPoints).toHaveLength(12000);
+  expect(parsed.sensorPoints.every(point => point.power >= 200)).toBe(true);
+});
+
+test('sensorPoints is the track itself for short rides', () => {
+  const parsed = parseGPX(gpxRide(100));
+
+  expect(parsed.sensorPoints).toBe(parsed.trackPoints);
+});
+
+test('reports progress per trackpoint in whole-percent steps', () => {
+  const progress = [];
+  parseGPX(gpxRide(250), { onProgress: share => progress.push(share) });
+
+  expect(progress).toHaveLength(100);
+  expect(progress[0]).toBe(0.01);
+  expect(progress[progress.length - 1]).toBe(1);
+  expect(progress.every((share, i) => i === 0 || share > progress[i - 1])).toBe(true);
+});
+
+describe('routeToGPX', () => {
+  // 11 points heading north with a right turn cue on point 4 and a water stop near point 7
+  const route = {
+    name: 'Loop',
+    points: Array.from({ length: 11 }, (_, i) => ({ latitude: 45 + i * 0.001, longitude: 7, elevation: 240, time: null })),
+    waypoints: [
+      { latitude: 45, longitude: 7, name: 'Start', type: 'start' },
+      { latitude: 45.005, longitude: 7, name: 'Col', type: 'summit' },
+      { latitude: 45.0071, longitude: 7.0001, name: 'Fountain', type: 'water' }
+    ],
+    cues: [{ index: 4, type: 'right', instruction: 'Turn right onto Via Roma' }]
+  };
+
+  test('writes a route with only its start, cues, waypoints and finish', () => {
+    const gpx = routeToGPX(route, { type: 'rte' });
+    const rteptNames = [...gpx.matchAll(/<rtept[^>]*>.*?<name>(.*?)<\/name>/g)].map(match => match[1]);
+
+    expect(rteptNames).toEqual(['Start', 'Turn right onto Via Roma', 'Fountain', 'Finish']);
+    expect(parseGPX(gpx).trackPoints.map(point => point.latitude)).toEqual([45, 45.004, 45.007, 45.01]);
+  });
+
+  test('keeps every point in a track', () => {
+    expect(parseGPX(routeToGPX(route)).trackPoints).toHaveLength(11);
+  });
+});
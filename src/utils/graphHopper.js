@@ -46,6 +46,12 @@ export async function getGraphHopperCyclingDirections(coordinates, options = {})
     optimize: 'false'
   });
 
+  // GraphHopper only supports alternative routes between two points
+  if (alternatives && coordinates.length === 2) {
+    params.set('algorithm', 'alternative_route');
+    params.set('alternative_route.max_paths', '3');
+  }
+
   const url = `${GRAPHHOPPER_BASE_URL}/route?${params}&point=${points.replace(/\|/g, '&point=')}`;
 
   try {
@@ -73,6 +79,20 @@ export async function getGraphHopperCyclingDirections(coordinates, options = {})
 
     const route = data.paths[0];
     
+    const alternativeRoutes = data.paths.slice(1).map(alternative => ({
+      coordinates: alternative.points.coordinates,
+      distance: alternative.distance,
+      duration: alternative.time, // milliseconds
+      elevation: {
+        ascent: alternative.ascent || 0,
+        descent: alternative.descent || 0
+      },
+      confidence: 0.85,
+      profile: profile,
+      source: 'graphhopper',
+      instructions: alternative.instructions || []
+    }));
+    
     return {
       coordinates: route.points.coordinates, // GeoJSON format
       distance: route.distance, // meters
@@ -85,7 +105,8 @@ export async function getGraphHopperCyclingDirections(coordinates, options = {})
       profile: profile,
       source: 'graphhopper',
       bbox: data.bbox,
-      instructions: route.instructions || []
+      instructions: route.instructions || [],
+      alternatives: alternativeRoutes
     };
 
   } catch (error) {
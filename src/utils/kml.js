@@ -0,0 +1,191 @@
+// KML and KMZ import and export
+// Reads LineString tracks (Google My Maps) and gx:Track recordings with
+// timestamps, with Point placemarks as waypoints; writes export routes (see
+// routeExport.js) as KML, or zipped as KMZ
+
+import JSZip from 'jszip';
+import { parseXML, findAll, findChild, findChildren, escapeXml } from './xml';
+import { calculateSummary, simplifyTrackPoints } from './gpx';
+import { createProgress } from './progress';
+
+const KML_NAMESPACES = 'xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2"';
+
+const numberOrNull = (value) => {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+// "lon,lat[,alt] lon,lat[,alt] ..." from a <coordinates> element
+function parseCoordinateList(text) {
+  return (text || '').trim().split(/\s+/).filter(Boolean).map(tuple => {
+    const [longitude, latitude, elevation] = tuple.split(',').map(numberOrNull);
+    return { latitude, longitude, elevation: elevation ?? null, time: null };
+  }).filter(point => point.latitude !== null && point.longitude !== null);
+}
+
+// gx:Track: <when> timestamps paired with "lon lat alt" <gx:coord> entries
+function parseTrack(track) {
+  const whens = findChildren(track, 'when');
+  const coords = findChildren(track, 'coord');
+  return coords.map((coord, i) => {
+    const [longitude, latitude, elevation] = coord.textContent.trim().split(/\s+/).map(numberOrNull);
+    const when = whens[i]?.textContent?.trim();
+    return {
+      latitude,
+      longitude,
+      elevation: elevation ?? null,
+      time: when && !isNaN(new Date(when)) ? new Date(when).toISOString() : null
+    };
+  }).filter(point => point.latitude !== null && point.longitude !== null);
+}
+
+// Parse KML text into the parsers' route data shape. Only the first line
+// (LineString or gx:Track) is imported: separate lines aren't one continuous
+// track, and joining them would add straight jumps between their ends; the
+// result's warnings say when others were left out.
+// onProgress receives the share of placemarks read (0-1).
+export function parseKML(text, { onProgress } = {}) {
+  let doc;
+  try {
+    doc = parseXML(text);
+  } catch (xmlError) {
+    throw new Error('Invalid KML file format');
+  }
+
+  const trackPoints = [];
+  const waypoints = [];
+  let trackName = null;
+  let description = null;
+  let skippedLines = 0;
+
+  const placemarks = findAll(doc, 'Placemark');
+  const step = createProgress(onProgress, placemarks.length);
+  placemarks.forEach(placemark => {
+    step();
+    const name = findChild(placemark, 'name')?.textContent?.trim();
+    const lines = [
+      ...findAll(placemark, 'Track').map(parseTrack),
+      ...findAll(placemark, 'LineString').map(line => parseCoordinateList(findChild(line, 'coordinates')?.textContent))
+    ].filter(line => line.length > 0);
+
+    if (lines.length > 0) {
+      if (trackPoints.length > 0) {
+        skippedLines += lines.length;
+        return;
+      }
+      trackName = name || null;
+      description = findChild(placemark, 'description')?.textContent?.trim() || null;
+      lines[0].forEach(point => trackPoints.push({ ...point, sequence: trackPoints.length }));
+      skippedLines += lines.length - 1;
+      return;
+    }
+
+    const point = findAll(placemark, 'Point')[0];
+    const [position] = parseCoordinateList(findChild(point, 'coordinates')?.textContent);
+    if (position) {
+      waypoints.push({
+        latitude: position.latitude,
+        longitude: position.longitude,
+        name,
+        description: findChild(placemark, 'description')?.textContent?.trim(),
+        type: findAll(placemark, 'Data').find(data => data.getAttribute('name') === 'type')?.textContent?.trim(),
+        elevation: position.elevation
+      });
+    }
+  });
+
+  if (trackPoints.length === 0) {
+    throw new Error('No LineString or gx:Track found in KML file');
+  }
+  const warnings = skippedLines > 0 ?
+    [`File has ${skippedLines + 1} separate lines; only the first was imported`] : [];
+
+  const points = trackPoints.length > 5000 ? simplifyTrackPoints(trackPoints, 5000) : trackPoints;
+  const documentName = findChild(findAll(doc, 'Document')[0], 'name')?.textContent?.trim();
+
+  return {
+    metadata: {
+      name: documentName || trackName || 'Imported Route',
+      time: points[0].time,
+      creator: 'KML',
+      description: description || undefined
+    },
+    trackPoints: points,
+    waypoints,
+    summary: calculateSummary(points),
+    warnings
+  };
+}
+
+// Parse a KMZ archive: its main KML document (doc.kml, or the first .kml)
+export async function parseKMZ(buffer, { onProgress } = {}) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new Error('Invalid KMZ file');
+  }
+
+  const kmlFiles = Object.values(zip.files).filter(entry => !entry.dir && /\.kml$/i.test(entry.name));
+  const main = kmlFiles.find(entry => entry.name.toLowerCase() === 'doc.kml') || kmlFiles[0];
+  if (!main) throw new Error('No KML document found in KMZ file');
+
+  return parseKML(await main.async('string'), { onProgress });
+}
+
+const formatCoordinate = (value) => Number(value.toFixed(7));
+const formatElevation = (value) => (typeof value === 'number' ? Math.round(value * 10) / 10 : 0);
+
+// KML document for an export route. The track is a LineString, which Google
+// My Maps imports; withTimes writes a gx:Track with the planned times instead.
+// Waypoints become Point placemarks.
+export function routeToKML(route, { withTimes = false } = {}) {
+  const { name = 'Route', description, points = [], waypoints = [] } = route;
+  const useTrack = withTimes && points.length > 0 && points.every(point => point.time);
+
+  const geometry = useTrack ? [
+    '      <gx:Track>',
+    '        <altitudeMode>absolute</altitudeMode>',
+    ...points.map(point => `        <when>${new Date(point.time).toISOString()}</when>`),
+    ...points.map(point => `        <gx:coord>${formatCoordinate(point.longitude)} ${formatCoordinate(point.latitude)} ${formatElevation(point.elevation)}</gx:coord>`),
+    '      </gx:Track>'
+  ] : [
+    '      <LineString>',
+    '        <tessellate>1</tessellate>',
+    `        <coordinates>${points.map(point =>
+      `${formatCoordinate(point.longitude)},${formatCoordinate(point.latitude)},${formatElevation(point.elevation)}`
+    ).join(' ')}</coordinates>`,
+    '      </LineString>'
+  ];
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<kml ${KML_NAMESPACES}>`,
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <Style id="route"><LineStyle><color>ffff6600</color><width>4</width></LineStyle></Style>',
+    '    <Placemark>',
+    `      <name>${escapeXml(name)}</name>`,
+    description ? `      <description>${escapeXml(description)}</description>` : null,
+    '      <styleUrl>#route</styleUrl>',
+    ...geometry,
+    '    </Placemark>',
+    ...waypoints.map(waypoint => [
+      '    <Placemark>',
+      `      <name>${escapeXml(waypoint.name || '')}</name>`,
+      waypoint.description ? `      <description>${escapeXml(waypoint.description)}</description>` : null,
+      waypoint.type ? `      <ExtendedData><Data name="type"><value>${escapeXml(waypoint.type)}</value></Data></ExtendedData>` : null,
+      `      <Point><coordinates>${formatCoordinate(waypoint.longitude)},${formatCoordinate(waypoint.latitude)}</coordinates></Point>`,
+      '    </Placemark>'
+    ].filter(line => line !== null).join('\n')),
+    '  </Document>',
+    '</kml>'
+  ].filter(line => line !== null).join('\n');
+}
+
+// KMZ archive (doc.kml zipped) for an export route. Resolves to the bytes.
+export async function routeToKMZ(route, options) {
+  const zip = new JSZip();
+  zip.file('doc.kml', routeToKML(route, options));
+  return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+}
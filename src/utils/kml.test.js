@@ -0,0 +1,90 @@
+import { parseKML, parseKMZ, routeToKML, routeToKMZ } from './kml';
+
+const route = {
+  name: 'Col & coffee',
+  description: 'Climb, then <espresso>',
+  points: [
+    { latitude: 45.0, longitude: 7.0, elevation: 240, time: '2024-06-01T08:00:00.000Z' },
+    { latitude: 45.001, longitude: 7.001, elevation: 245.5, time: '2024-06-01T08:00:20.000Z' },
+    { latitude: 45.002, longitude: 7.003, elevation: 251, time: '2024-06-01T08:00:45.000Z' }
+  ],
+  waypoints: [{ latitude: 45.002, longitude: 7.003, name: 'Summit', type: 'summit', description: 'Cat 4' }]
+};
+
+const expectSameTrack = (parsed, { withTimes }) => {
+  expect(parsed.trackPoints).toHaveLength(3);
+  parsed.trackPoints.forEach((point, i) => {
+    expect(point.latitude).toBeCloseTo(route.points[i].latitude, 7);
+    expect(point.longitude).toBeCloseTo(route.points[i].longitude, 7);
+    expect(point.elevation).toBe(route.points[i].elevation);
+    expect(point.time).toBe(withTimes ? route.points[i].time : null);
+  });
+};
+
+test('round-trips a route through KML as a LineString', () => {
+  const kml = routeToKML(route);
+  expect(kml).toContain('<LineString>');
+
+  const parsed = parseKML(kml);
+  expect(parsed.metadata.name).toBe('Col & coffee');
+  expect(parsed.metadata.description).toBe('Climb, then <espresso>');
+  expectSameTrack(parsed, { withTimes: false });
+  expect(parsed.waypoints).toEqual([
+    { latitude: 45.002, longitude: 7.003, name: 'Summit', type: 'summit', description: 'Cat 4', elevation: null }
+  ]);
+});
+
+test('round-trips planned times through a gx:Track', () => {
+  const kml = routeToKML(route, { withTimes: true });
+  expect(kml).toContain('<gx:Track>');
+  expectSameTrack(parseKML(kml), { withTimes: true });
+});
+
+test('round-trips a route through KMZ', async () => {
+  const kmz = await routeToKMZ(route, { withTimes: true });
+  const parsed = await parseKMZ(kmz);
+  expect(parsed.metadata.name).toBe('Col & coffee');
+  expectSameTrack(parsed, { withTimes: true });
+});
+
+test('reads Google My Maps exports with folders and coordinates over several lines', () => {
+  const parsed = parseKML(`<?xml version="1.0" encoding="UTF-8"?>
+    <kml xmlns="http://www.opengis.net/kml/2.2">
+      <Document>
+        <name>Club rides</name>
+        <Folder>
+          <Placemark><name>Saturday</name><LineString><coordinates>
+            7.0,45.0,0 7.01,45.0,0
+            7.02,45.01,0
+          </coordinates></LineString></Placemark>
+          <Placemark><name>Regroup</name><Point><coordinates>7.01,45.0,0</coordinates></Point></Placemark>
+        </Folder>
+      </Document>
+    </kml>`);
+
+  expect(parsed.metadata.name).toBe('Club rides');
+  expect(parsed.trackPoints).toHaveLength(3);
+  expect(parsed.waypoints.map(waypoint => waypoint.name)).toEqual(['Regroup']);
+});
+
+test('imports only the first of several line placemarks', () => {
+  const parsed = parseKML(`<?xml version="1.0" encoding="UTF-8"?>
+    <kml xmlns="http://www.opengis.net/kml/2.2">
+      <Document>
+        <Placemark><name>Morning loop</name><LineString><coordinates>
+          7.0,45.0,0 7.01,45.0,0 7.02,45.01,0
+        </coordinates></LineString></Placemark>
+        <Placemark><name>Afternoon loop</name><LineString><coordinates>
+          8.0,46.0,0 8.01,46.0,0
+        </coordinates></LineString></Placemark>
+      </Document>
+    </kml>`);
+
+  expect(parsed.metadata.name).toBe('Morning loop');
+  expect(parsed.trackPoints.map(point => point.longitude)).toEqual([7.0, 7.01, 7.02]);
+  expect(parsed.warnings).toEqual(['File has 2 separate lines; only the first was imported']);
+});
+
+test('rejects KML without a track', () => {
+  expect(() => parseKML('<kml><Document><name>Empty</name></Document></kml>')).toThrow(/No LineString/);
+});
@@ -0,0 +1,103 @@
+// Moving time and stop analysis
+// Splits a ride into moving and stopped time from its timestamps, detecting
+// auto-pause gaps and listing stops (coffee stops are the long ones mid-ride)
+
+import { haversineDistance } from './geo';
+
+const MOVING_SPEED_KMH = 3; // slower than walking pace counts as stopped
+const AUTO_PAUSE_GAP_SECONDS = 30; // a recording gap this long is an auto-pause
+const MIN_LISTED_STOP_SECONDS = 60; // shorter stops count as stopped time but aren't listed
+const COFFEE_STOP_SECONDS = 10 * 60;
+const COFFEE_STOP_MIN_DISTANCE_M = 500; // from the start and finish
+
+// Parser points (latitude/longitude/time) or track point rows (lat/lng/timestamp_utc)
+function toTimedPoint(point) {
+  const latitude = point.latitude ?? point.lat;
+  const longitude = point.longitude ?? point.lng;
+  const time = point.time ?? point.timestamp_utc;
+  if (latitude === undefined || latitude === null || longitude === undefined || longitude === null || !time) return null;
+  const t = new Date(time).getTime();
+  if (isNaN(t)) return null;
+  return { latitude: Number(latitude), longitude: Number(longitude), t };
+}
+
+// Moving time, stopped time and the stops of a ride. Returns null when the
+// track has no usable timestamps.
+export function analyzeMovement(points) {
+  const timed = (points || []).map(toTimedPoint).filter(Boolean);
+  if (timed.length < 2) return null;
+
+  let movingSeconds = 0;
+  let movingDistance = 0;
+  let totalDistance = 0;
+  const stops = [];
+  let currentStop = null;
+
+  for (let i = 1; i < timed.length; i++) {
+    const prev = timed[i - 1];
+    const curr = timed[i];
+    const seconds = (curr.t - prev.t) / 1000;
+    if (seconds <= 0) continue;
+
+    const distance = haversineDistance([prev.longitude, prev.latitude], [curr.longitude, curr.latitude]) * 1000;
+    const speedKmh = (distance / seconds) * 3.6;
+    // An auto-paused device records nothing while stopped, leaving a long,
+    // short-distance gap that shows up here as a slow segment
+    if (speedKmh < MOVING_SPEED_KMH) {
+      if (!currentStop) {
+        currentStop = {
+          latitude: prev.latitude,
+          longitude: prev.longitude,
+          startTime: new Date(prev.t).toISOString(),
+          durationSeconds: 0,
+          distanceKm: totalDistance / 1000,
+          autoPaused: false
+        };
+        stops.push(currentStop);
+      }
+      currentStop.durationSeconds += seconds;
+      if (seconds >= AUTO_PAUSE_GAP_SECONDS) currentStop.autoPaused = true;
+    } else {
+      movingSeconds += seconds;
+      movingDistance += distance;
+      currentStop = null;
+    }
+    totalDistance += distance;
+  }
+
+  const start = timed[0];
+  const finish = timed[timed.length - 1];
+  const elapsedSeconds = (finish.t - start.t) / 1000;
+
+  const listedStops = stops
+    .filter(stop => stop.durationSeconds >= MIN_LISTED_STOP_SECONDS)
+    .map(stop => {
+      const awayFromEnds =
+        haversineDistance([stop.longitude, stop.latitude], [start.longitude, start.latitude]) * 1000 > COFFEE_STOP_MIN_DISTANCE_M &&
+        haversineDistance([stop.longitude, stop.latitude], [finish.longitude, finish.latitude]) * 1000 > COFFEE_STOP_MIN_DISTANCE_M;
+      return {
+        ...stop,
+        durationSeconds: Math.round(stop.durationSeconds),
+        distanceKm: Math.round(stop.distanceKm * 100) / 100,
+        isCoffeeStop: awayFromEnds && stop.durationSeconds >= COFFEE_STOP_SECONDS
+      };
+    });
+
+  return {
+    elapsedSeconds: Math.round(elapsedSeconds),
+    movingSeconds: Math.round(movingSeconds),
+    stoppedSeconds: Math.round(elapsedSeconds - movingSeconds),
+    avgMovingSpeedKmh: movingSeconds > 0 ? Math.round((movingDistance / 1000) / (movingSeconds / 3600) * 10) / 10 : 0,
+    stops: listedStops,
+    coffeeStops: listedStops.filter(stop => stop.isCoffeeStop).length
+  };
+}
+
+// Movement results as routes table columns
+export function toRouteMovementColumns(movement) {
+  return {
+    moving_time_seconds: movement.movingSeconds,
+    avg_moving_speed_kmh: movement.avgMovingSpeedKmh,
+    stops: movement.stops
+  };
+}
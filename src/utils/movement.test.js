@@ -0,0 +1,51 @@
+import { analyzeMovement } from './movement';
+import { ridePoints } from './testRides';
+
+// Riding at 25 km/h except while stopped in one of the [from, to) windows
+function rideWithStops(seconds, stops) {
+  const stoppedAt = (t) => stops.some(([from, to]) => t > from && t <= to);
+  return ridePoints(seconds, { speedAt: t => (stoppedAt(t) ? 0 : 25) });
+}
+
+describe('analyzeMovement', () => {
+  test('splits moving and stopped time and lists the stops', () => {
+    // Two minutes at a junction, then a quarter of an hour at a café
+    const movement = analyzeMovement(rideWithStops(3601, [[600, 720], [1500, 2400]]));
+
+    expect(movement.elapsedSeconds).toBe(3600);
+    expect(movement.movingSeconds).toBe(2580);
+    expect(movement.stoppedSeconds).toBe(1020);
+    expect(movement.avgMovingSpeedKmh).toBe(25);
+    expect(movement.stops.map(stop => stop.durationSeconds)).toEqual([120, 900]);
+    // 600 s at 25 km/h
+    expect(movement.stops[0].distanceKm).toBeCloseTo(4.17, 1);
+    expect(movement.stops.map(stop => stop.isCoffeeStop)).toEqual([false, true]);
+    expect(movement.coffeeStops).toBe(1);
+  });
+
+  test('treats an auto-pause gap as a stop', () => {
+    const points = rideWithStops(3601, [[1500, 2400]]).filter((_, t) => t <= 1500 || t >= 2400);
+
+    const movement = analyzeMovement(points);
+
+    expect(movement.stops).toHaveLength(1);
+    expect(movement.stops[0]).toMatchObject({ durationSeconds: 900, autoPaused: true, isCoffeeStop: true });
+    expect(movement.movingSeconds).toBe(2700);
+  });
+
+  test('does not count waiting at the start or short pauses as coffee stops', () => {
+    const movement = analyzeMovement(rideWithStops(3001, [[0, 900], [1500, 1530]]));
+
+    expect(movement.stops).toHaveLength(1);
+    expect(movement.stops[0]).toMatchObject({ durationSeconds: 900, isCoffeeStop: false });
+    // The 30 s pause counts as stopped time but isn't listed
+    expect(movement.stoppedSeconds).toBe(930);
+    expect(movement.coffeeStops).toBe(0);
+  });
+
+  test('needs timestamps', () => {
+    const untimed = rideWithStops(100, []).map(({ time, ...point }) => point);
+
+    expect(analyzeMovement(untimed)).toBeNull();
+  });
+});
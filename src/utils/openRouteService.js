@@ -83,6 +83,21 @@ export async function getORSCyclingDirections(coordinates, options = {}) {
     const route = data.routes[0];
     const summary = route.summary;
     
+    // Alternative routes are only computed for requests with two coordinates
+    const alternativeRoutes = data.routes.slice(1).map(alternative => ({
+      coordinates: alternative.geometry.coordinates,
+      distance: alternative.summary.distance,
+      duration: alternative.summary.duration,
+      elevation: {
+        ascent: alternative.segments?.[0]?.ascent || 0,
+        descent: alternative.segments?.[0]?.descent || 0
+      },
+      confidence: 0.85,
+      profile: profile,
+      source: 'openrouteservice',
+      instructions: (alternative.segments || []).flatMap(segment => segment.steps || [])
+    }));
+    
     return {
       coordinates: route.geometry.coordinates,
       distance: summary.distance, // meters
@@ -95,7 +110,10 @@ export async function getORSCyclingDirections(coordinates, options = {}) {
       profile: profile,
       source: 'openrouteservice',
       bbox: data.bbox,
-      warnings: data.warnings || []
+      warnings: data.warnings || [],
+      // Steps of every segment; their way_points index into the whole geometry
+      instructions: (route.segments || []).flatMap(segment => segment.steps || []),
+      alternatives: alternativeRoutes
     };
 
   } catch (error) {
@@ -0,0 +1,97 @@
+// Pool of activity parser workers
+// Files parse in parallel off the main thread, each reporting real progress.
+// Falls back to parsing on the main thread where workers aren't available.
+
+import { parseActivityBuffer } from './activityParsing';
+import { createParserWorker } from '../workers/createParserWorker';
+
+// Leave a core for the UI
+const POOL_SIZE = Math.max(1, Math.min(4, ((typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2) - 1));
+
+const idleWorkers = [];
+const waitingForWorker = [];
+const tasks = new Map();
+let workerCount = 0;
+let nextTaskId = 1;
+
+function createWorker() {
+  const worker = createParserWorker();
+  workerCount++;
+
+  worker.onmessage = (event) => {
+    const { id, type } = event.data;
+    const task = tasks.get(id);
+    if (!task) return;
+
+    if (type === 'progress') {
+      if (task.onProgress) task.onProgress(event.data.progress);
+      return;
+    }
+
+    tasks.delete(id);
+    releaseWorker(worker);
+    if (type === 'result') {
+      task.resolve(event.data.routeData);
+    } else {
+      task.reject(new Error(event.data.message));
+    }
+  };
+
+  // A crashed worker fails its task and is replaced on the next request
+  worker.onerror = (event) => {
+    if (event.preventDefault) event.preventDefault();
+    console.error('Parser worker failed:', event.message);
+    worker.terminate();
+    workerCount--;
+
+    tasks.forEach((task, id) => {
+      if (task.worker !== worker) return;
+      tasks.delete(id);
+      task.reject(new Error(event.message || 'Parser worker failed'));
+    });
+
+    const waiting = waitingForWorker.shift();
+    if (waiting) waiting(createWorker());
+  };
+
+  return worker;
+}
+
+function acquireWorker() {
+  if (idleWorkers.length > 0) return Promise.resolve(idleWorkers.pop());
+  if (workerCount < POOL_SIZE) return Promise.resolve(createWorker());
+  return new Promise(resolve => waitingForWorker.push(resolve));
+}
+
+function releaseWorker(worker) {
+  const waiting = waitingForWorker.shift();
+  if (waiting) {
+    waiting(worker);
+  } else {
+    idleWorkers.push(worker);
+  }
+}
+
+// Parse an activity File. onProgress receives the share parsed (0-1).
+export async function parseActivityFile(file, { onProgress } = {}) {
+  const buffer = await file.arrayBuffer();
+
+  if (typeof Worker === 'undefined') {
+    return parseActivityBuffer(file.name, buffer, { onProgress });
+  }
+
+  let worker;
+  try {
+    worker = await acquireWorker();
+  } catch (error) {
+    console.warn('Parser worker unavailable, parsing on the main thread:', error);
+    return parseActivityBuffer(file.name, buffer, { onProgress });
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextTaskId++;
+    tasks.set(id, { worker, resolve, reject, onProgress });
+    // Transfer the buffer rather than copying it
+    worker.postMessage({ id, name: file.name, buffer }, [buffer]);
+  });
+}
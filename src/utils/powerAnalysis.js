@@ -0,0 +1,190 @@
+// Power analysis for rides with power meter data
+// Normalized power, intensity factor, TSS and mean-maximal power curves
+
+// Fallback FTP (watts) when the rider has not set one
+export const DEFAULT_FTP = 200;
+
+// Durations (seconds) for the mean-maximal power curve, 1s to 60min
+export const POWER_CURVE_DURATIONS = [1, 5, 10, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600];
+
+// Gaps longer than this are treated as auto-pause and not filled
+const MAX_FILL_GAP_SECONDS = 10;
+
+// Rolling window used by normalized power
+const NP_WINDOW_SECONDS = 30;
+
+// Resample { time, power } samples to a 1 Hz series.
+// Short recording gaps hold the previous value; longer gaps (auto-pause,
+// dropouts) are skipped so they don't count as zero-power riding.
+export function buildPowerSeries(samples) {
+  const timed = (samples || [])
+    .filter(sample => sample && sample.time && sample.power !== null && sample.power !== undefined && !isNaN(sample.power))
+    .map(sample => ({ t: new Date(sample.time).getTime() / 1000, power: Math.max(0, Number(sample.power)) }))
+    .filter(sample => !isNaN(sample.t))
+    .sort((a, b) => a.t - b.t);
+
+  if (timed.length === 0) return [];
+
+  const series = [timed[0].power];
+  for (let i = 1; i < timed.length; i++) {
+    const gap = Math.round(timed[i].t - timed[i - 1].t);
+    if (gap <= 0) continue; // duplicate timestamp
+
+    if (gap <= MAX_FILL_GAP_SECONDS) {
+      for (let s = 1; s < gap; s++) {
+        series.push(timed[i - 1].power);
+      }
+    }
+    series.push(timed[i].power);
+  }
+
+  return series;
+}
+
+export function calculateAveragePower(series) {
+  if (!series || series.length === 0) return 0;
+  return series.reduce((sum, watts) => sum + watts, 0) / series.length;
+}
+
+// Coggan normalized power: 30s rolling average, raised to the 4th power,
+// averaged, then the 4th root. Needs at least one full window.
+export function calculateNormalizedPower(series) {
+  if (!series || series.length < NP_WINDOW_SECONDS) return null;
+
+  let windowSum = 0;
+  let fourthPowerSum = 0;
+  let count = 0;
+
+  for (let i = 0; i < series.length; i++) {
+    windowSum += series[i];
+    if (i >= NP_WINDOW_SECONDS) {
+      windowSum -= series[i - NP_WINDOW_SECONDS];
+    }
+    if (i >= NP_WINDOW_SECONDS - 1) {
+      fourthPowerSum += Math.pow(windowSum / NP_WINDOW_SECONDS, 4);
+      count++;
+    }
+  }
+
+  return Math.pow(fourthPowerSum / count, 0.25);
+}
+
+export function calculateIntensityFactor(normalizedPower, ftp) {
+  if (!normalizedPower || !ftp) return null;
+  return normalizedPower / ftp;
+}
+
+// Training stress score: (seconds x NP x IF) / (FTP x 3600) x 100
+export function calculateTSS(durationSeconds, normalizedPower, ftp) {
+  if (!durationSeconds || !normalizedPower || !ftp) return null;
+  const intensityFactor = normalizedPower / ftp;
+  return (durationSeconds * normalizedPower * intensityFactor) / (ftp * 3600) * 100;
+}
+
+// Best average power for each duration, using prefix sums over the 1 Hz series
+export function calculatePowerCurve(series, durations = POWER_CURVE_DURATIONS) {
+  if (!series || series.length === 0) return [];
+
+  const prefix = new Float64Array(series.length + 1);
+  for (let i = 0; i < series.length; i++) {
+    prefix[i + 1] = prefix[i] + series[i];
+  }
+
+  return durations
+    .filter(duration => duration <= series.length)
+    .map(duration => {
+      let best = 0;
+      for (let end = duration; end <= series.length; end++) {
+        const sum = prefix[end] - prefix[end - duration];
+        if (sum > best) best = sum;
+      }
+      return { duration, watts: Math.round(best / duration) };
+    });
+}
+
+// Full power analysis for a ride. Samples are { time, power } objects.
+// Returns null when the ride has no usable power data.
+export function analyzePower(samples, { ftp = DEFAULT_FTP } = {}) {
+  const series = buildPowerSeries(samples);
+  if (series.length === 0 || series.every(watts => watts === 0)) {
+    return null;
+  }
+
+  const avgPower = calculateAveragePower(series);
+  const normalizedPower = calculateNormalizedPower(series);
+  const intensityFactor = calculateIntensityFactor(normalizedPower, ftp);
+  const tss = calculateTSS(series.length, normalizedPower, ftp);
+
+  return {
+    ftp,
+    durationSeconds: series.length,
+    avgPower: Math.round(avgPower),
+    maxPower: Math.max(...series),
+    normalizedPower: normalizedPower !== null ? Math.round(normalizedPower) : null,
+    variabilityIndex: normalizedPower !== null && avgPower > 0 ?
+      Math.round((normalizedPower / avgPower) * 100) / 100 : null,
+    intensityFactor: intensityFactor !== null ? Math.round(intensityFactor * 1000) / 1000 : null,
+    tss: tss !== null ? Math.round(tss * 10) / 10 : null,
+    powerCurve: calculatePowerCurve(series)
+  };
+}
+
+// Map an analysis result onto the routes table columns
+export function toRoutePowerColumns(analysis) {
+  return {
+    avg_power_w: analysis.avgPower,
+    normalized_power_w: analysis.normalizedPower,
+    intensity_factor: analysis.intensityFactor,
+    tss: analysis.tss,
+    power_curve: analysis.powerCurve
+  };
+}
+
+// Analysis stored on a routes row (see toRoutePowerColumns), in analyzePower's
+// shape; null when the ride has no stored power. Max power is the curve's 1s
+// best and FTP is recovered from NP / IF.
+export function fromRoutePowerColumns(route, { ftp = DEFAULT_FTP } = {}) {
+  if (!route || route.normalized_power_w === null || route.normalized_power_w === undefined) return null;
+
+  const normalizedPower = Number(route.normalized_power_w);
+  const intensityFactor = route.intensity_factor !== null && route.intensity_factor !== undefined ?
+    Number(route.intensity_factor) : null;
+  const avgPower = route.avg_power_w !== null && route.avg_power_w !== undefined ? Number(route.avg_power_w) : null;
+  const powerCurve = route.power_curve || [];
+
+  return {
+    ftp: intensityFactor ? Math.round(normalizedPower / intensityFactor) : ftp,
+    durationSeconds: route.duration_seconds ?? null,
+    avgPower,
+    maxPower: powerCurve.find(point => point.duration === 1)?.watts ?? null,
+    normalizedPower,
+    variabilityIndex: avgPower ? Math.round((normalizedPower / avgPower) * 100) / 100 : null,
+    intensityFactor,
+    tss: route.tss !== null && route.tss !== undefined ? Number(route.tss) : null,
+    powerCurve
+  };
+}
+
+// Combine several ride curves into a best-of curve (e.g. a season best)
+export function mergeBestPowerCurves(curves) {
+  const best = {};
+  (curves || []).forEach(curve => {
+    (curve || []).forEach(({ duration, watts }) => {
+      if (!best[duration] || watts > best[duration]) {
+        best[duration] = watts;
+      }
+    });
+  });
+
+  return Object.keys(best)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(duration => ({ duration, watts: best[duration] }));
+}
+
+// Short label for a curve duration: 5s, 2m, 1h
+export function formatCurveDuration(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+  return `${Math.round(seconds / 3600)}h`;
+}
@@ -0,0 +1,86 @@
+import { analyzePower, buildPowerSeries, toRoutePowerColumns, fromRoutePowerColumns } from './powerAnalysis';
+import { rideTime } from './testRides';
+
+// 1 Hz { time, power } samples following wattsAt(second)
+function samples(seconds, wattsAt) {
+  return Array.from({ length: seconds }, (_, t) => ({
+    time: rideTime(t),
+    power: wattsAt(t)
+  }));
+}
+
+describe('analyzePower', () => {
+  test('rates an hour at a steady 200 W against a 250 W FTP', () => {
+    const analysis = analyzePower(samples(3600, () => 200), { ftp: 250 });
+
+    // Every 30s window averages 200 W, so NP = 200 and IF = 200 / 250
+    expect(analysis.durationSeconds).toBe(3600);
+    expect(analysis.avgPower).toBe(200);
+    expect(analysis.maxPower).toBe(200);
+    expect(analysis.normalizedPower).toBe(200);
+    expect(analysis.variabilityIndex).toBe(1);
+    expect(analysis.intensityFactor).toBe(0.8);
+    // 3600 s x 200 W x 0.8 / (250 W x 3600) x 100
+    expect(analysis.tss).toBe(64);
+    expect(analysis.powerCurve).toHaveLength(12);
+    expect(analysis.powerCurve.every(point => point.watts === 200)).toBe(true);
+  });
+
+  test('weights the hard half of a 10 min / 10 min interval ride', () => {
+    const analysis = analyzePower(samples(1200, t => (t < 600 ? 100 : 300)), { ftp: 250 });
+
+    // 1171 rolling windows: 571 at 100 W, 571 at 300 W and 29 across the step
+    // averaging 100 + 200k/30 W (k = 1..29), whose 4th powers sum to 6.856e10.
+    // NP = ((571 x 100^4 + 571 x 300^4 + 6.856e10) / 1171)^(1/4) = 252.4 W
+    expect(analysis.avgPower).toBe(200);
+    expect(analysis.maxPower).toBe(300);
+    expect(analysis.normalizedPower).toBe(252);
+    expect(analysis.variabilityIndex).toBe(1.26);
+    expect(analysis.intensityFactor).toBe(1.01);
+    // 1200 s x 252.4 W x 1.0095 / (250 W x 3600) x 100
+    expect(analysis.tss).toBe(34);
+    // Anything up to 10 min fits inside the 300 W block; 20 min is the whole ride
+    expect(analysis.powerCurve).toEqual([
+      { duration: 1, watts: 300 },
+      { duration: 5, watts: 300 },
+      { duration: 10, watts: 300 },
+      { duration: 15, watts: 300 },
+      { duration: 30, watts: 300 },
+      { duration: 60, watts: 300 },
+      { duration: 120, watts: 300 },
+      { duration: 300, watts: 300 },
+      { duration: 600, watts: 300 },
+      { duration: 1200, watts: 200 }
+    ]);
+  });
+
+  test('returns null without power', () => {
+    expect(analyzePower([])).toBeNull();
+    expect(analyzePower(samples(60, () => 0))).toBeNull();
+  });
+});
+
+describe('buildPowerSeries', () => {
+  test('holds short dropouts and skips auto-pause gaps', () => {
+    const series = buildPowerSeries([
+      { time: rideTime(0), power: 150 },
+      { time: rideTime(3), power: 250 },
+      { time: rideTime(63), power: 350 }
+    ]);
+
+    expect(series).toEqual([150, 150, 150, 250, 350]);
+  });
+});
+
+describe('fromRoutePowerColumns', () => {
+  test('reads back the stored analysis and its FTP', () => {
+    const analysis = analyzePower(samples(3600, () => 200), { ftp: 250 });
+    const stored = fromRoutePowerColumns({ ...toRoutePowerColumns(analysis), duration_seconds: 3600 });
+
+    expect(stored).toEqual(analysis);
+  });
+
+  test('returns null for rides without stored power', () => {
+    expect(fromRoutePowerColumns({ normalized_power_w: null })).toBeNull();
+  });
+});
@@ -0,0 +1,19 @@
+// Parse progress for the activity file parsers
+// Counts processed items (trackpoints, records, placemarks) against a known
+// total and reports the share done (0-1) in whole-percent steps, so the
+// parser worker posts at most ~100 progress messages per file.
+
+export function createProgress(onProgress, total) {
+  let done = 0;
+  let reported = 0;
+
+  return () => {
+    done++;
+    if (!onProgress || !total) return;
+    const percent = Math.min(100, Math.floor((done * 100) / total));
+    if (percent > reported) {
+      reported = percent;
+      onProgress(percent / 100);
+    }
+  };
+}
@@ -42,7 +42,7 @@ export function analyzeRidingPatterns(pastRides) {
     preferredDistances: [],
     preferredDirections: [],
     elevationPreference: 'moderate',
-    averageSpeed: 23, // km/h
+    averageSpeed: 23, // km/h, replaced by the observed speed when rides have durations
     frequentAreas: [],
     timePreferences: {},
     distanceDistribution: {},
@@ -61,6 +61,16 @@ export function analyzeRidingPatterns(pastRides) {
     patterns.distanceDistribution = getDistanceDistribution(distances);
   }
 
+  // Observed average speed from rides with a recorded duration (seconds)
+  const speeds = pastRides
+    .filter(ride => ride.summary?.distance > 0 && ride.summary?.duration > 0)
+    .map(ride => ride.summary.distance / (ride.summary.duration / 3600))
+    .filter(speed => speed > 5 && speed < 60); // drop GPS glitches and non-rides
+
+  if (speeds.length > 0) {
+    patterns.averageSpeed = Math.round(speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length * 10) / 10;
+  }
+
   // Analyze elevation preferences
   const elevationGains = pastRides
     .map(ride => ride.summary?.elevation_gain)
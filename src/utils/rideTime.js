@@ -0,0 +1,179 @@
+// Physics-based ride time estimation
+// Walks an elevation profile segment by segment and solves the cycling power
+// equation (gravity + rolling resistance + aerodynamic drag) for speed
+
+import { DEFAULT_RIDER_PROFILE } from './trainingZones';
+import { haversineDistance, bearingBetween } from './geo';
+
+const GRAVITY = 9.81;
+
+export const DEFAULT_PHYSICS = {
+  bikeWeightKg: 9,
+  cda: 0.32, // m², hoods position on a road bike
+  crr: 0.005, // good road tyres on asphalt
+  airDensity: 1.225, // kg/m³ at sea level, 15°C
+  drivetrainEfficiency: 0.97,
+  maxSpeedKmh: 60, // braking limit on descents
+  minSpeedKmh: 4 // below this the rider is walking / track stands
+};
+
+// Share of FTP a rider typically holds for each training goal
+const GOAL_INTENSITY = {
+  recovery: 0.5,
+  endurance: 0.65,
+  intervals: 0.7, // averaged over work and rest
+  hills: 0.72
+};
+
+// Rider options from a rider profile: sustained power and system mass
+export function getRiderPhysics(profile = DEFAULT_RIDER_PROFILE, trainingGoal = 'endurance') {
+  const ftp = profile?.ftp_watts || DEFAULT_RIDER_PROFILE.ftp_watts;
+  return {
+    powerWatts: Math.round(ftp * (GOAL_INTENSITY[trainingGoal] || GOAL_INTENSITY.endurance)),
+    riderWeightKg: Number(profile?.weight_kg) || DEFAULT_RIDER_PROFILE.weight_kg
+  };
+}
+
+function getCoordinate(point) {
+  if (Array.isArray(point.coordinate)) return point.coordinate;
+  const lat = point.lat ?? point.latitude;
+  const lon = point.lng ?? point.lon ?? point.longitude;
+  return lat !== undefined && lon !== undefined ? [lon, lat] : null;
+}
+
+// Resistive power (W) needed to hold speed v (m/s) on a gradient (fraction)
+// into a headwind (m/s, negative for tailwind)
+function requiredPower(v, gradient, headwind, massKg, physics) {
+  const angle = Math.atan(gradient);
+  const gravity = massKg * GRAVITY * Math.sin(angle);
+  const rolling = massKg * GRAVITY * physics.crr * Math.cos(angle);
+  const airSpeed = v + headwind;
+  const drag = 0.5 * physics.airDensity * physics.cda * airSpeed * Math.abs(airSpeed);
+  return (gravity + rolling + drag) * v;
+}
+
+// Steady-state speed (km/h) for a power output on a gradient. Bisection on
+// the power equation, clamped to the braking and walking limits.
+export function solveSpeed(powerWatts, gradient, options = {}) {
+  const physics = { ...DEFAULT_PHYSICS, ...options };
+  const massKg = (options.riderWeightKg || DEFAULT_RIDER_PROFILE.weight_kg) + physics.bikeWeightKg;
+  const headwind = options.headwindMs || 0;
+  const available = powerWatts * physics.drivetrainEfficiency;
+
+  const maxV = physics.maxSpeedKmh / 3.6;
+  const minV = physics.minSpeedKmh / 3.6;
+
+  if (requiredPower(maxV, gradient, headwind, massKg, physics) <= available) return physics.maxSpeedKmh;
+  if (requiredPower(minV, gradient, headwind, massKg, physics) >= available) return physics.minSpeedKmh;
+
+  let low = minV;
+  let high = maxV;
+  for (let i = 0; i < 40; i++) {
+    const mid = (low + high) / 2;
+    if (requiredPower(mid, gradient, headwind, massKg, physics) > available) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+
+  return ((low + high) / 2) * 3.6;
+}
+
+// Headwind component (m/s) for a travel bearing. Wind direction is where the
+// wind blows from, as reported by getWeatherData (speed in km/h).
+function headwindFor(bearing, wind) {
+  if (!wind || !wind.windSpeed || wind.windDegrees === undefined || wind.windDegrees === null) return 0;
+  const relative = (wind.windDegrees - bearing) * Math.PI / 180;
+  return (wind.windSpeed / 3.6) * Math.cos(relative);
+}
+
+// Estimate ride time over an elevation profile. Points can be builder profile
+// entries ({ coordinate, elevation, distance }) or track points with lat/lng.
+// Options: powerWatts, riderWeightKg, bikeWeightKg, cda, crr and an optional
+// weather object ({ windSpeed, windDegrees }) from getWeatherData.
+export function estimateRideTime(points, options = {}) {
+  const { weather, powerWatts = getRiderPhysics().powerWatts, ...physics } = options;
+  if (!Array.isArray(points) || points.length < 2) return null;
+
+  const segments = [];
+  let totalSeconds = 0;
+  let totalDistance = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const curr = points[i];
+    if (!prev || !curr) continue;
+
+    const a = getCoordinate(prev);
+    const b = getCoordinate(curr);
+    let distance;
+    if (a && b) {
+      distance = haversineDistance(a, b) * 1000;
+    } else if (typeof curr.distance === 'number' && typeof prev.distance === 'number') {
+      distance = curr.distance - prev.distance;
+    } else {
+      continue;
+    }
+    if (!(distance > 0)) continue;
+
+    const rise = (typeof curr.elevation === 'number' && typeof prev.elevation === 'number') ?
+      curr.elevation - prev.elevation : 0;
+    // Clamp to realistic road gradients so elevation noise doesn't dominate
+    const gradient = Math.max(-0.25, Math.min(0.25, rise / distance));
+    const headwindMs = a && b ? headwindFor(bearingBetween(a, b), weather) : 0;
+
+    const speedKmh = solveSpeed(powerWatts, gradient, { ...physics, headwindMs });
+    const seconds = distance / (speedKmh / 3.6);
+
+    segments.push({
+      endIndex: i,
+      startDistance: totalDistance,
+      distance,
+      gradient: gradient * 100,
+      headwindKmh: headwindMs * 3.6,
+      speedKmh,
+      seconds
+    });
+    totalSeconds += seconds;
+    totalDistance += distance;
+  }
+
+  if (totalDistance === 0) return null;
+
+  return {
+    totalSeconds: Math.round(totalSeconds),
+    distanceKm: totalDistance / 1000,
+    averageSpeedKmh: (totalDistance / 1000) / (totalSeconds / 3600),
+    powerWatts,
+    segments
+  };
+}
+
+// Estimate from summary stats only (no profile): the climbing is spread at
+// an assumed 5% gradient, matched by equal descending, the rest is flat.
+export function estimateRideTimeFromStats(distanceKm, elevationGainM, options = {}) {
+  const { weather, powerWatts = getRiderPhysics().powerWatts, ...physics } = options;
+  if (!distanceKm) return null;
+
+  const distanceM = distanceKm * 1000;
+  const climbM = Math.min(distanceM / 2, (elevationGainM || 0) / 0.05);
+  const gradient = climbM > 0 ? (elevationGainM || 0) / climbM : 0;
+  const flatM = distanceM - 2 * climbM;
+  // Without a route bearing, assume half the ride into the wind
+  const headwindMs = weather?.windSpeed ? (weather.windSpeed / 3.6) * 0.5 : 0;
+
+  const climbSpeed = solveSpeed(powerWatts, gradient, { ...physics, headwindMs });
+  const descentSpeed = solveSpeed(powerWatts, -gradient, { ...physics, headwindMs });
+  const flatSpeed = solveSpeed(powerWatts, 0, { ...physics, headwindMs });
+
+  const totalSeconds = climbM / (climbSpeed / 3.6) + climbM / (descentSpeed / 3.6) + flatM / (flatSpeed / 3.6);
+
+  return {
+    totalSeconds: Math.round(totalSeconds),
+    distanceKm,
+    averageSpeedKmh: distanceKm / (totalSeconds / 3600),
+    powerWatts,
+    segments: []
+  };
+}
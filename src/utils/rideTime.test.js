@@ -0,0 +1,67 @@
+import { solveSpeed, estimateRideTime, getRiderPhysics } from './rideTime';
+
+const RIDER = { riderWeightKg: 75 };
+
+// Profile of { distance, elevation } points every 100 m climbing at gradient
+function profile(distanceM, gradient) {
+  return Array.from({ length: distanceM / 100 + 1 }, (_, i) => ({
+    distance: i * 100,
+    elevation: 100 + i * 100 * gradient
+  }));
+}
+
+describe('solveSpeed', () => {
+  test('holds 36 km/h on the flat at the power the equation asks for', () => {
+    // At 10 m/s with 84 kg: rolling 84 x 9.81 x 0.005 x 10 = 41.2 W,
+    // drag 0.5 x 1.225 x 0.32 x 10^3 = 196 W; 237.2 W / 0.97 at the pedals
+    const watts = (84 * 9.81 * 0.005 * 10 + 0.5 * 1.225 * 0.32 * 1000) / 0.97;
+
+    expect(solveSpeed(watts, 0, RIDER)).toBeCloseTo(36, 2);
+  });
+
+  test('slows on climbs and into a headwind', () => {
+    const flat = solveSpeed(200, 0, RIDER);
+
+    expect(solveSpeed(200, 0.04, RIDER)).toBeLessThan(flat * 0.7);
+    expect(solveSpeed(200, 0.08, RIDER)).toBeLessThan(solveSpeed(200, 0.04, RIDER));
+    expect(solveSpeed(200, 0, { ...RIDER, headwindMs: 5 })).toBeLessThan(flat);
+    expect(solveSpeed(200, 0.04, { riderWeightKg: 90 })).toBeLessThan(solveSpeed(200, 0.04, RIDER));
+  });
+
+  test('caps descents at the braking limit and steep climbs at walking pace', () => {
+    expect(solveSpeed(200, -0.1, RIDER)).toBe(60);
+    expect(solveSpeed(200, -0.1, { ...RIDER, maxSpeedKmh: 50 })).toBe(50);
+    expect(solveSpeed(50, 0.25, RIDER)).toBe(4);
+  });
+});
+
+describe('estimateRideTime', () => {
+  test('rides 10 km of flat at the solved speed', () => {
+    const watts = (84 * 9.81 * 0.005 * 10 + 0.5 * 1.225 * 0.32 * 1000) / 0.97;
+    const estimate = estimateRideTime(profile(10000, 0), { ...RIDER, powerWatts: watts });
+
+    expect(estimate.distanceKm).toBe(10);
+    expect(estimate.totalSeconds).toBe(1000);
+    expect(estimate.segments).toHaveLength(100);
+  });
+
+  test('takes longer over the same distance uphill and less downhill', () => {
+    const options = { ...RIDER, powerWatts: 200 };
+    const flat = estimateRideTime(profile(5000, 0), options).totalSeconds;
+
+    expect(estimateRideTime(profile(5000, 0.06), options).totalSeconds).toBeGreaterThan(flat * 2);
+    // 5 km at the 60 km/h cap
+    expect(estimateRideTime(profile(5000, -0.08), options).totalSeconds).toBe(300);
+  });
+
+  test('needs at least two points', () => {
+    expect(estimateRideTime([{ distance: 0, elevation: 0 }])).toBeNull();
+  });
+});
+
+describe('getRiderPhysics', () => {
+  test('scales FTP by the training goal intensity', () => {
+    expect(getRiderPhysics({ ftp_watts: 300, weight_kg: 70 }, 'recovery')).toEqual({ powerWatts: 150, riderWeightKg: 70 });
+    expect(getRiderPhysics({ ftp_watts: 300, weight_kg: 70 }).powerWatts).toBe(195);
+  });
+});
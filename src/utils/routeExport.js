@@ -0,0 +1,185 @@
+// Route export
+// Builds one export model from built, saved and AI-generated routes: points
+// with elevation and planned times, named waypoints and turn cues. The format
+// writers (gpx.js, fitCourse.js, geojson.js, kml.js) take this model.
+
+import { deriveTurnCues } from './cueSheet';
+import { detectClimbs } from './climbs';
+import { estimateRideTime } from './rideTime';
+import { haversineDistance } from './geo';
+
+const coordinateDistance = (a, b) => haversineDistance(a, b) * 1000;
+
+function cumulativeDistances(coordinates) {
+  const distances = [0];
+  for (let i = 1; i < coordinates.length; i++) {
+    distances.push(distances[i - 1] + coordinateDistance(coordinates[i - 1], coordinates[i]));
+  }
+  return distances;
+}
+
+// Per-coordinate elevations from a sampled elevation profile
+// ({ coordinate, elevation } entries taken along the route, as
+// fetchElevationProfile returns), interpolated by distance along the route
+export function elevationsAlongRoute(coordinates, elevationProfile) {
+  const profile = (elevationProfile || []).filter(entry =>
+    Array.isArray(entry.coordinate) && typeof entry.elevation === 'number'
+  );
+  if (!coordinates?.length || profile.length === 0) return null;
+
+  const distances = cumulativeDistances(coordinates);
+
+  // Match each profile entry to the nearest route coordinate, searching
+  // forward a little past where it is expected so loops don't jump to the end
+  const window = Math.ceil(coordinates.length / profile.length) * 2 + 10;
+  const anchors = [];
+  let from = 0;
+  profile.forEach(entry => {
+    let best = from;
+    let bestDistance = Infinity;
+    for (let i = from; i < Math.min(coordinates.length, from + window); i++) {
+      const distance = coordinateDistance(coordinates[i], entry.coordinate);
+      if (distance < bestDistance) {
+        best = i;
+        bestDistance = distance;
+      }
+    }
+    anchors.push({ distance: distances[best], elevation: entry.elevation });
+    from = best;
+  });
+
+  let k = 0;
+  return coordinates.map((_, i) => {
+    if (anchors.length === 1) return anchors[0].elevation;
+    while (k < anchors.length - 2 && anchors[k + 1].distance <= distances[i]) k++;
+    const a = anchors[k];
+    const b = anchors[k + 1];
+    const t = b.distance > a.distance ?
+      Math.max(0, Math.min(1, (distances[i] - a.distance) / (b.distance - a.distance))) : 0;
+    return a.elevation + t * (b.elevation - a.elevation);
+  });
+}
+
+// Planned time at each coordinate for a departure, from the physics-based
+// ride time estimate (rider power and weight in `physics`)
+export function plannedTimesAlongRoute(coordinates, elevations, departureTime, physics = {}) {
+  const start = new Date(departureTime).getTime();
+  if (!coordinates?.length || isNaN(start)) return null;
+
+  const estimate = estimateRideTime(
+    coordinates.map((coordinate, i) => ({ coordinate, elevation: elevations?.[i] ?? null })),
+    physics
+  );
+  const times = [new Date(start).toISOString()];
+  let elapsed = 0;
+  let s = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    while (estimate && s < estimate.segments.length && estimate.segments[s].endIndex <= i) {
+      elapsed += estimate.segments[s].seconds;
+      s++;
+    }
+    times.push(new Date(start + elapsed * 1000).toISOString());
+  }
+  return times;
+}
+
+// The next whole hour, used as the planned departure when none is given
+export function defaultDepartureTime() {
+  const next = new Date();
+  next.setHours(next.getHours() + 1, 0, 0, 0);
+  return next.toISOString();
+}
+
+// Start and finish markers plus climb summits as named waypoints
+function defaultWaypoints(coordinates, elevationProfile) {
+  const first = coordinates[0];
+  const last = coordinates[coordinates.length - 1];
+  const waypoints = [{ coordinate: first, name: 'Start', type: 'start' }];
+  const isLoop = coordinateDistance(first, last) < 50;
+  if (!isLoop) waypoints.push({ coordinate: last, name: 'Finish', type: 'finish' });
+
+  detectClimbs(elevationProfile || [])
+    .filter(climb => climb.summitCoordinate)
+    .forEach(climb => waypoints.push({
+      coordinate: climb.summitCoordinate,
+      name: `${climb.label} summit`,
+      description: `${(climb.length / 1000).toFixed(1)} km at ${climb.avgGradient}%`,
+      type: 'summit'
+    }));
+
+  return waypoints;
+}
+
+// Export model for a route. Input: name, description, [lon, lat] coordinates,
+// and optionally elevations (per coordinate) or an elevationProfile, named
+// waypoints ({ coordinate, name, type, description }) added to the start,
+// finish and climb summits, cues, a departureTime and rider physics for the
+// planned times.
+export function buildExportRoute({
+  name = 'Route',
+  description,
+  coordinates = [],
+  elevations,
+  elevationProfile,
+  waypoints = [],
+  cues,
+  departureTime = defaultDepartureTime(),
+  physics
+}) {
+  const pointElevations = elevations || elevationsAlongRoute(coordinates, elevationProfile);
+  const times = departureTime ? plannedTimesAlongRoute(coordinates, pointElevations, departureTime, physics) : null;
+
+  const points = coordinates.map(([longitude, latitude], i) => ({
+    latitude,
+    longitude,
+    elevation: pointElevations?.[i] ?? null,
+    time: times?.[i] ?? null
+  }));
+
+  return {
+    name,
+    description,
+    points,
+    waypoints: [...(coordinates.length ? defaultWaypoints(coordinates, elevationProfile) : []), ...waypoints]
+      .map(({ coordinate, ...waypoint }) => ({ latitude: coordinate[1], longitude: coordinate[0], ...waypoint })),
+    cues: cues || deriveTurnCues(coordinates)
+  };
+}
+
+// Export input for a saved route (routes with track_points JSON and metadata)
+export function fromSavedRoute(route) {
+  const trackPoints = route.track_points || [];
+  const hasElevation = trackPoints.length > 0 && trackPoints.every(point => typeof point.elevation === 'number');
+  return {
+    name: route.metadata?.name || route.name || 'Route',
+    coordinates: trackPoints.map(point => [point.longitude, point.latitude]),
+    elevations: hasElevation ? trackPoints.map(point => point.elevation) : undefined,
+    elevationProfile: route.elevation_profile
+  };
+}
+
+// Export input for an AI-generated route
+export function fromGeneratedRoute(route) {
+  return {
+    name: route.name,
+    description: route.description,
+    coordinates: route.coordinates || [],
+    elevationProfile: route.elevationProfile
+  };
+}
+
+// File name for a route export
+export function exportFileName(name, extension) {
+  return `${(name || 'route').trim().replace(/[^\w-]+/g, '_') || 'route'}.${extension}`;
+}
+
+// Download text or binary content as a file
+export function downloadFile(content, fileName, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,139 @@
+// Weather timeline along a route
+// Samples the forecast at the rider's estimated position every N minutes,
+// using the physics ride time model to place the rider along the route
+
+import { getForecastAt, isWindFavorable } from './weather';
+import { estimateRideTime, getRiderPhysics } from './rideTime';
+import { isDaylightAt } from './solar';
+import { haversineDistance, bearingBetween } from './geo';
+
+export const DEFAULT_TIMELINE_INTERVAL = 15; // minutes
+
+// Upper bound on samples so a long ride at a short interval stays readable
+const MAX_TIMELINE_SAMPLES = 96;
+
+// Read [lon, lat] from profile entries, track points or raw coordinates
+function getCoordinate(point) {
+  if (!point) return null;
+  if (Array.isArray(point)) return point;
+  if (Array.isArray(point.coordinate)) return point.coordinate;
+  const lat = point.lat ?? point.latitude;
+  const lon = point.lng ?? point.lon ?? point.longitude;
+  return lat !== undefined && lon !== undefined ? [lon, lat] : null;
+}
+
+// Points with coordinates, cumulative distance (m) and elevation when known
+function buildTrack(points) {
+  const track = [];
+  let distance = 0;
+
+  points.forEach(point => {
+    const coordinate = getCoordinate(point);
+    if (!coordinate) return;
+
+    const previous = track[track.length - 1];
+    if (previous) {
+      distance += haversineDistance(previous.coordinate, coordinate) * 1000;
+    }
+    track.push({ coordinate, distance, elevation: typeof point.elevation === 'number' ? point.elevation : undefined });
+  });
+
+  return track;
+}
+
+// Position and heading at a distance along the track
+function locateOnTrack(track, distance) {
+  let i = 1;
+  while (i < track.length - 1 && track[i].distance < distance) i++;
+
+  const a = track[i - 1];
+  const b = track[i];
+  const span = b.distance - a.distance;
+  const t = span > 0 ? Math.max(0, Math.min(1, (distance - a.distance) / span)) : 0;
+
+  return {
+    coordinate: [
+      a.coordinate[0] + (b.coordinate[0] - a.coordinate[0]) * t,
+      a.coordinate[1] + (b.coordinate[1] - a.coordinate[1]) * t
+    ],
+    bearing: bearingBetween(a.coordinate, b.coordinate)
+  };
+}
+
+// Distance covered after a number of seconds, walking the ride time segments
+function distanceAtTime(segments, seconds) {
+  let elapsed = 0;
+  for (const segment of segments) {
+    if (elapsed + segment.seconds >= seconds) {
+      return segment.startDistance + segment.distance * ((seconds - elapsed) / segment.seconds);
+    }
+    elapsed += segment.seconds;
+  }
+  const last = segments[segments.length - 1];
+  return last ? last.startDistance + last.distance : 0;
+}
+
+// Build the weather timeline for a route. Points can be elevation profile
+// entries, track points or [lon, lat] coordinates. Options:
+// - departureTime: ms timestamp, defaults to now
+// - intervalMinutes: sampling interval
+// - riderPhysics: options for estimateRideTime (powerWatts, riderWeightKg, ...)
+// - totalSeconds: the caller's own ride time estimate, to keep both in step
+export function buildWeatherTimeline(points, forecast, options = {}) {
+  const {
+    departureTime = Date.now(),
+    intervalMinutes = DEFAULT_TIMELINE_INTERVAL,
+    riderPhysics = getRiderPhysics(),
+    totalSeconds: callerSeconds = null
+  } = options;
+
+  if (!Array.isArray(points) || !forecast?.length) return [];
+
+  const track = buildTrack(points);
+  if (track.length < 2 || track[track.length - 1].distance === 0) return [];
+
+  const estimate = estimateRideTime(track, riderPhysics);
+  if (!estimate || estimate.segments.length === 0) return [];
+
+  // Stretch the physics segments to the caller's duration when one is given
+  const scale = callerSeconds > 0 ? callerSeconds / estimate.totalSeconds : 1;
+  const segments = estimate.segments.map(segment => ({ ...segment, seconds: segment.seconds * scale }));
+  const totalSeconds = estimate.totalSeconds * scale;
+
+  const step = Math.max(intervalMinutes * 60, totalSeconds / MAX_TIMELINE_SAMPLES);
+  const sampleTimes = [];
+  for (let seconds = 0; seconds < totalSeconds; seconds += step) sampleTimes.push(seconds);
+  sampleTimes.push(totalSeconds);
+
+  return sampleTimes.map(seconds => {
+    const distance = distanceAtTime(segments, seconds);
+    const { coordinate, bearing } = locateOnTrack(track, distance);
+    const time = departureTime + seconds * 1000;
+    const weather = getForecastAt(forecast, time);
+
+    const windSpeed = weather?.windSpeed || 0;
+    const windDegrees = weather?.windDegrees ?? null;
+    const relativeAngle = windDegrees === null ? 0 : (windDegrees - bearing) * Math.PI / 180;
+
+    return {
+      minutes: Math.round(seconds / 60),
+      time,
+      distanceKm: distance / 1000,
+      coordinate,
+      bearing,
+      temperature: weather?.temperature ?? null,
+      windSpeed,
+      windDegrees,
+      windDirection: weather?.windDirection || null,
+      // + into the rider's face, - from behind
+      headwindKmh: windSpeed * Math.cos(relativeAngle),
+      crosswindKmh: Math.abs(windSpeed * Math.sin(relativeAngle)),
+      relativeWind: isWindFavorable(bearing, windDegrees, windSpeed),
+      precipitationChance: weather?.precipitationChance ?? null,
+      description: weather?.description || null,
+      conditions: weather?.conditions || null,
+      // Solar position at the rider's location, not the forecast's day/night flag
+      isDaylight: isDaylightAt(time, coordinate[1], coordinate[0])
+    };
+  });
+}
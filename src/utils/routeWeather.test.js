@@ -0,0 +1,57 @@
+import { buildWeatherTimeline } from './routeWeather';
+
+const DEPARTURE = Date.UTC(2026, 5, 1, 8, 0, 0);
+const HOUR = 3600 * 1000;
+
+// Straight route due north from (45, 7), one point per ~1 km
+const route = Array.from({ length: 21 }, (_, i) => [7, 45 + i * 0.009]);
+
+// Warming from 10°C to 20°C over the hour under a steady 20 km/h northerly
+const forecast = [
+  { time: DEPARTURE, temperature: 10, windSpeed: 20, windDegrees: 0, precipitationChance: 0 },
+  { time: DEPARTURE + HOUR, temperature: 20, windSpeed: 20, windDegrees: 0, precipitationChance: 40 }
+];
+
+describe('buildWeatherTimeline', () => {
+  test('samples the forecast where and when the rider is', () => {
+    const timeline = buildWeatherTimeline(route, forecast, { departureTime: DEPARTURE, totalSeconds: 3600 });
+
+    expect(timeline.map(sample => sample.minutes)).toEqual([0, 15, 30, 45, 60]);
+    expect(timeline.map(sample => sample.time - DEPARTURE)).toEqual([0, 0.25, 0.5, 0.75, 1].map(t => t * HOUR));
+    // Flat route, so the rider covers it at an even pace
+    timeline.forEach((sample, i) => {
+      expect(sample.distanceKm).toBeCloseTo(i * 5, 0);
+      expect(sample.coordinate[1]).toBeCloseTo(45 + i * 0.045, 3);
+    });
+    expect(timeline.map(sample => sample.temperature)).toEqual([10, 13, 15, 18, 20]);
+  });
+
+  test('resolves the wind against the direction of travel', () => {
+    const [sample] = buildWeatherTimeline(route, forecast, { departureTime: DEPARTURE, totalSeconds: 3600 });
+
+    expect(sample.bearing).toBeCloseTo(0, 5);
+    expect(sample.headwindKmh).toBeCloseTo(20, 5);
+    expect(sample.crosswindKmh).toBeCloseTo(0, 5);
+    expect(sample.relativeWind).toBe('headwind');
+    expect(sample.isDaylight).toBe(true);
+  });
+
+  test('follows the physics estimate without a caller duration', () => {
+    const timeline = buildWeatherTimeline(route, forecast, {
+      departureTime: DEPARTURE,
+      intervalMinutes: 10,
+      riderPhysics: { powerWatts: 150, riderWeightKg: 75 }
+    });
+    const last = timeline[timeline.length - 1];
+
+    expect(last.distanceKm).toBeCloseTo(20, 1);
+    expect(timeline[1].minutes).toBe(10);
+    // 150 W holds about 30 km/h on the flat
+    expect(last.minutes).toBe(40);
+  });
+
+  test('returns nothing without a route or forecast', () => {
+    expect(buildWeatherTimeline([route[0]], forecast)).toEqual([]);
+    expect(buildWeatherTimeline(route, [])).toEqual([]);
+  });
+});
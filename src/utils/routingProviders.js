@@ -0,0 +1,354 @@
+// Routing provider registry with an ordered fallback chain
+// Wraps Mapbox, OpenRouteService and GraphHopper behind one interface and
+// normalizes their results. A local stand-in provider allows offline use.
+//
+// Normalized route shape:
+// {
+//   coordinates: [[lon, lat], ...],
+//   distance: meters,
+//   duration: seconds,
+//   elevation: { ascent, descent } | null,
+//   confidence: 0..1,
+//   profile: provider-specific profile name,
+//   source: provider name,
+//   cues: turn cues (see cueSheet.js), from providers that give instructions,
+//   alternatives: [normalized route, ...] (only when requested)
+// }
+
+import { getCyclingDirections, mapMatchRoute } from './directions';
+import { getORSCyclingDirections, selectCyclingProfile, validateORSService } from './openRouteService';
+import { getGraphHopperCyclingDirections, selectGraphHopperProfile, validateGraphHopperService } from './graphHopper';
+import { normalizeGraphHopperInstructions, normalizeORSSteps } from './cueSheet';
+import { polylineDistance, haversineDistance } from './geo';
+
+// Default priority when REACT_APP_ROUTING_PROVIDERS is not set
+const DEFAULT_PROVIDER_ORDER = ['mapbox', 'graphhopper', 'ors'];
+
+// How long a health check result is trusted
+const HEALTH_TTL_MS = 5 * 60 * 1000;
+
+const providers = {};
+const healthCache = {};
+let providerOrder = null;
+
+// Register (or replace) a provider. A provider is
+// { name, label, isConfigured(), route(waypoints, options), matchRoute?(waypoints, options), checkHealth?() }
+// where route/matchRoute resolve to a normalized route or null. route()
+// receives { trainingGoal, alternatives } and may ignore alternatives.
+export function registerRoutingProvider(provider) {
+  if (!provider?.name || typeof provider.route !== 'function') {
+    throw new Error('Routing provider needs a name and a route() function');
+  }
+  providers[provider.name] = provider;
+  delete healthCache[provider.name];
+}
+
+export function getRoutingProvider(name) {
+  return providers[name] || null;
+}
+
+export function getProviderLabel(name) {
+  return providers[name]?.label || name;
+}
+
+// Priority order: explicit setter, then REACT_APP_ROUTING_PROVIDERS
+// (comma separated, e.g. "ors,mapbox,local"), then the default
+export function getRoutingProviderOrder() {
+  if (providerOrder) return providerOrder;
+
+  const configured = process.env.REACT_APP_ROUTING_PROVIDERS;
+  if (configured) {
+    return configured.split(',').map(name => name.trim()).filter(Boolean);
+  }
+  return DEFAULT_PROVIDER_ORDER;
+}
+
+// Pass null to go back to the environment/default order
+export function setRoutingProviderOrder(order) {
+  providerOrder = order ? [...order] : null;
+}
+
+// Providers in priority order that exist and have credentials
+export function getConfiguredProviders() {
+  return getRoutingProviderOrder()
+    .map(name => providers[name])
+    .filter(provider => provider && provider.isConfigured());
+}
+
+export function hasRoutingProvider() {
+  return getConfiguredProviders().length > 0;
+}
+
+// Cached health check: { available, error?, checkedAt }
+export async function checkProviderHealth(name, { force = false } = {}) {
+  const provider = providers[name];
+  if (!provider) return { available: false, error: 'Unknown provider' };
+  if (!provider.isConfigured()) return { available: false, error: 'Not configured' };
+
+  const cached = healthCache[name];
+  if (!force && cached && Date.now() - cached.checkedAt < HEALTH_TTL_MS) {
+    return cached;
+  }
+
+  let result;
+  try {
+    result = provider.checkHealth ? await provider.checkHealth() : { available: true };
+  } catch (error) {
+    result = { available: false, error: error.message };
+  }
+
+  healthCache[name] = { ...result, checkedAt: Date.now() };
+  return healthCache[name];
+}
+
+// Health of every provider in the chain, for settings/debug screens
+export async function getProviderHealthReport({ force = false } = {}) {
+  const names = getRoutingProviderOrder();
+  const results = await Promise.all(names.map(name => checkProviderHealth(name, { force })));
+  return names.map((name, index) => ({ name, label: getProviderLabel(name), ...results[index] }));
+}
+
+// Record a runtime failure so the provider is skipped until the TTL expires
+function markUnhealthy(name, error) {
+  healthCache[name] = { available: false, error, checkedAt: Date.now() };
+}
+
+function isUsableRoute(route) {
+  return !!route && Array.isArray(route.coordinates) && route.coordinates.length >= 2 && route.distance > 0;
+}
+
+// Try each healthy provider in order until one returns a usable route.
+// Options: trainingGoal, providers (override order), method ('route' | 'matchRoute').
+async function runWithFallback(waypoints, options = {}) {
+  const { providers: order, method = 'route', ...routeOptions } = options;
+  if (!waypoints || waypoints.length < 2) return null;
+
+  const candidates = (order || getRoutingProviderOrder())
+    .map(name => providers[name])
+    .filter(provider => provider && provider.isConfigured());
+
+  for (const provider of candidates) {
+    const health = await checkProviderHealth(provider.name);
+    if (!health.available) {
+      console.log(`Skipping routing provider ${provider.name}: ${health.error || 'unavailable'}`);
+      continue;
+    }
+
+    const run = method === 'matchRoute' && provider.matchRoute ? provider.matchRoute : provider.route;
+    try {
+      const route = await run(waypoints, routeOptions);
+      if (isUsableRoute(route)) {
+        return route;
+      }
+      console.warn(`Routing provider ${provider.name} returned no usable route`);
+    } catch (error) {
+      console.warn(`Routing provider ${provider.name} failed:`, error);
+      markUnhealthy(provider.name, error.message);
+    }
+  }
+
+  return null;
+}
+
+// Directions through waypoints ([lon, lat]) using the fallback chain
+export async function routeWithFallback(waypoints, options = {}) {
+  return runWithFallback(waypoints, { ...options, method: 'route' });
+}
+
+// Snap hand-drawn waypoints to the network: map matching where the provider
+// supports it, directions otherwise
+export async function matchWithFallback(waypoints, options = {}) {
+  return runWithFallback(waypoints, { ...options, method: 'matchRoute' });
+}
+
+// Distinct routes between waypoints, primary first. Providers only offer
+// alternatives between two points, so with intermediate waypoints each leg
+// is routed separately and the leg alternatives are combined.
+export async function routeAlternativesWithFallback(waypoints, options = {}) {
+  const { maxAlternatives = 3, ...routeOptions } = options;
+  if (!waypoints || waypoints.length < 2) return [];
+
+  const legs = [];
+  for (let i = 1; i < waypoints.length; i++) {
+    const leg = await runWithFallback([waypoints[i - 1], waypoints[i]], { ...routeOptions, alternatives: true });
+    if (!leg) return [];
+    legs.push([leg, ...(leg.alternatives || []).filter(isUsableRoute)]);
+  }
+
+  // Vary one leg at a time so every combination stays close to the primary
+  const combinations = [legs.map(() => 0)];
+  legs.forEach((legOptions, legIndex) => {
+    for (let alt = 1; alt < legOptions.length; alt++) {
+      combinations.push(legs.map((_, i) => (i === legIndex ? alt : 0)));
+    }
+  });
+
+  return combinations
+    .slice(0, maxAlternatives)
+    .map(combination => joinLegs(combination.map((alt, legIndex) => legs[legIndex][alt])));
+}
+
+// Concatenate consecutive leg routes into one normalized route
+function joinLegs(legRoutes) {
+  if (legRoutes.length === 1) {
+    const { alternatives, ...route } = legRoutes[0];
+    return route;
+  }
+
+  const coordinates = [];
+  const cues = [];
+  legRoutes.forEach((leg, index) => {
+    // Later legs drop their first coordinate, the previous leg's last
+    const offset = index === 0 ? 0 : coordinates.length - 1;
+    const distanceOffsetKm = index === 0 ? 0 : polylineDistance(coordinates);
+    (leg.cues || []).forEach(cue => cues.push({
+      ...cue,
+      index: cue.index + offset,
+      distanceKm: cue.distanceKm + distanceOffsetKm
+    }));
+    coordinates.push(...(index === 0 ? leg.coordinates : leg.coordinates.slice(1)));
+  });
+
+  const hasElevation = legRoutes.every(leg => leg.elevation);
+  return {
+    coordinates,
+    distance: legRoutes.reduce((sum, leg) => sum + leg.distance, 0),
+    duration: legRoutes.reduce((sum, leg) => sum + (leg.duration || 0), 0),
+    elevation: hasElevation ? {
+      ascent: legRoutes.reduce((sum, leg) => sum + (leg.elevation.ascent || 0), 0),
+      descent: legRoutes.reduce((sum, leg) => sum + (leg.elevation.descent || 0), 0)
+    } : null,
+    confidence: Math.min(...legRoutes.map(leg => leg.confidence || 0)),
+    profile: legRoutes[0].profile,
+    source: legRoutes[0].source,
+    ...(legRoutes.every(leg => leg.cues) ? { cues } : {})
+  };
+}
+
+// ====================
+// BUILT-IN PROVIDERS
+// ====================
+
+const getMapboxToken = () => process.env.REACT_APP_MAPBOX_TOKEN;
+
+// getCyclingDirections/mapMatchRoute return the input waypoints with zero
+// distance on failure; treat that as no route
+function normalizeMapboxRoute(result) {
+  if (!result || !result.distance) return null;
+  return {
+    coordinates: result.coordinates,
+    distance: result.distance,
+    duration: result.duration || 0,
+    elevation: null,
+    confidence: result.confidence || 0,
+    profile: result.profile || 'cycling',
+    source: 'mapbox',
+    alternatives: (result.alternatives || []).map(normalizeMapboxRoute).filter(Boolean)
+  };
+}
+
+export const mapboxProvider = {
+  name: 'mapbox',
+  label: 'Mapbox',
+  isConfigured: () => !!getMapboxToken(),
+  route: async (waypoints, { alternatives = false } = {}) =>
+    normalizeMapboxRoute(await getCyclingDirections(waypoints, getMapboxToken(), { profile: 'cycling', alternatives })),
+  matchRoute: async (waypoints) =>
+    normalizeMapboxRoute(await mapMatchRoute(waypoints, getMapboxToken(), { profile: 'cycling' }))
+};
+
+// ORS and GraphHopper results share a shape apart from the duration unit and
+// their instructions, which toCues turns into cues
+function normalizeServiceRoute(result, source, durationScale, toCues) {
+  if (!result) return null;
+  return {
+    coordinates: result.coordinates,
+    distance: result.distance,
+    duration: result.duration * durationScale,
+    elevation: result.elevation || null,
+    confidence: result.confidence,
+    profile: result.profile,
+    source,
+    cues: toCues(result.instructions, result.coordinates),
+    alternatives: (result.alternatives || []).map(alternative => normalizeServiceRoute(alternative, source, durationScale, toCues))
+  };
+}
+
+export const orsProvider = {
+  name: 'ors',
+  label: 'OpenRouteService',
+  isConfigured: () => !!(process.env.REACT_APP_ORS_API_KEY || process.env.REACT_APP_OPENROUTE_API_KEY),
+  route: async (waypoints, { trainingGoal, alternatives = false } = {}) => {
+    const result = await getORSCyclingDirections(waypoints, { profile: selectCyclingProfile(trainingGoal), alternatives, instructions: true });
+    return normalizeServiceRoute(result, 'ors', 1, normalizeORSSteps); // already seconds
+  },
+  checkHealth: validateORSService
+};
+
+export const graphHopperProvider = {
+  name: 'graphhopper',
+  label: 'GraphHopper',
+  isConfigured: () => !!process.env.REACT_APP_GRAPHHOPPER_API_KEY,
+  route: async (waypoints, { trainingGoal, alternatives = false } = {}) => {
+    const result = await getGraphHopperCyclingDirections(waypoints, { profile: selectGraphHopperProfile(trainingGoal), alternatives, instructions: true });
+    return normalizeServiceRoute(result, 'graphhopper', 1 / 1000, normalizeGraphHopperInstructions); // GraphHopper reports milliseconds
+  },
+  checkHealth: validateGraphHopperService
+};
+
+// Offline stand-in: densifies the straight lines between waypoints with a
+// small deterministic wiggle so the output looks like a road to the
+// generator's validity checks. Not for real navigation.
+export function createLocalProvider({ speedKmh = 22, stepMeters = 150, wiggleMeters = 25 } = {}) {
+  return {
+    name: 'local',
+    label: 'Local (offline)',
+    isConfigured: () => true,
+    route: async (waypoints) => {
+      const coordinates = [waypoints[0]];
+      let distance = 0;
+
+      for (let i = 1; i < waypoints.length; i++) {
+        const [lon1, lat1] = waypoints[i - 1];
+        const [lon2, lat2] = waypoints[i];
+        const legLength = haversineDistance([lon1, lat1], [lon2, lat2]) * 1000;
+        const steps = Math.max(1, Math.round(legLength / stepMeters));
+
+        // Unit perpendicular in degrees, scaled to the wiggle size
+        const metersPerDegLat = 111320;
+        const metersPerDegLon = 111320 * Math.cos(lat1 * Math.PI / 180);
+        const dx = (lon2 - lon1) * metersPerDegLon;
+        const dy = (lat2 - lat1) * metersPerDegLat;
+        const norm = Math.hypot(dx, dy) || 1;
+
+        for (let s = 1; s <= steps; s++) {
+          const t = s / steps;
+          const offset = s === steps ? 0 : (s % 2 === 0 ? 1 : -1) * wiggleMeters;
+          coordinates.push([
+            lon1 + (lon2 - lon1) * t + (-dy / norm) * offset / metersPerDegLon,
+            lat1 + (lat2 - lat1) * t + (dx / norm) * offset / metersPerDegLat
+          ]);
+        }
+      }
+
+      for (let i = 1; i < coordinates.length; i++) {
+        distance += haversineDistance(coordinates[i - 1], coordinates[i]) * 1000;
+      }
+
+      return {
+        coordinates,
+        distance,
+        duration: distance / (speedKmh / 3.6),
+        elevation: null,
+        confidence: 0.6,
+        profile: 'straight-line',
+        source: 'local'
+      };
+    }
+  };
+}
+
+registerRoutingProvider(mapboxProvider);
+registerRoutingProvider(orsProvider);
+registerRoutingProvider(graphHopperProvider);
+registerRoutingProvider(createLocalProvider());
@@ -0,0 +1,153 @@
+import {
+  registerRoutingProvider,
+  routeWithFallback,
+  routeAlternativesWithFallback,
+  checkProviderHealth,
+  createLocalProvider
+} from './routingProviders';
+import { getGraphHopperCyclingDirections, validateGraphHopperService } from './graphHopper';
+
+jest.mock('./graphHopper', () => ({
+  getGraphHopperCyclingDirections: jest.fn(),
+  selectGraphHopperProfile: () => 'bike',
+  validateGraphHopperService: jest.fn()
+}));
+
+const A = [7.0, 45.0];
+const B = [7.02, 45.0];
+const C = [7.02, 45.02];
+
+// Test provider answering with a straight line (or the given route/error),
+// recording its calls
+function testProvider(name, { route, error, alternatives = [] } = {}) {
+  const provider = {
+    name,
+    label: name,
+    calls: 0,
+    isConfigured: () => true,
+    route: async (waypoints) => {
+      provider.calls++;
+      if (error) throw new Error(error);
+      if (route !== undefined) return route;
+      return {
+        coordinates: waypoints,
+        distance: 1000,
+        duration: 200,
+        elevation: { ascent: 10, descent: 5 },
+        confidence: 0.9,
+        profile: 'bike',
+        source: name,
+        cues: [{ index: 1, distanceKm: 1, type: 'right', instruction: `${name} right` }],
+        alternatives
+      };
+    }
+  };
+  registerRoutingProvider(provider);
+  return provider;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('routeWithFallback', () => {
+  test('uses the first provider in order that returns a usable route', async () => {
+    const empty = testProvider('empty', { route: null });
+    const first = testProvider('first');
+    const second = testProvider('second');
+
+    const route = await routeWithFallback([A, B], { providers: ['empty', 'first', 'second'] });
+
+    expect(route.source).toBe('first');
+    expect([empty.calls, first.calls, second.calls]).toEqual([1, 1, 0]);
+  });
+
+  test('marks a failing provider unhealthy and skips it afterwards', async () => {
+    const broken = testProvider('broken', { error: 'HTTP 503' });
+    testProvider('backup');
+
+    expect((await routeWithFallback([A, B], { providers: ['broken', 'backup'] })).source).toBe('backup');
+    expect(await checkProviderHealth('broken')).toMatchObject({ available: false, error: 'HTTP 503' });
+
+    expect((await routeWithFallback([A, B], { providers: ['broken', 'backup'] })).source).toBe('backup');
+    expect(broken.calls).toBe(1);
+  });
+
+  test('returns null when no provider has a route', async () => {
+    testProvider('nothing', { route: null });
+    await expect(routeWithFallback([A, B], { providers: ['nothing', 'unknown'] })).resolves.toBeNull();
+  });
+
+  test('reports GraphHopper durations in seconds', async () => {
+    process.env.REACT_APP_GRAPHHOPPER_API_KEY = 'test';
+    validateGraphHopperService.mockResolvedValue({ available: true });
+    getGraphHopperCyclingDirections.mockResolvedValue({
+      coordinates: [A, B],
+      distance: 1575,
+      duration: 270000, // milliseconds
+      elevation: null,
+      confidence: 0.8,
+      profile: 'bike',
+      instructions: []
+    });
+
+    const route = await routeWithFallback([A, B], { providers: ['graphhopper'] });
+
+    expect(route).toMatchObject({ source: 'graphhopper', distance: 1575, duration: 270 });
+    delete process.env.REACT_APP_GRAPHHOPPER_API_KEY;
+  });
+});
+
+describe('routeAlternativesWithFallback', () => {
+  test('joins the legs between waypoints into one route', async () => {
+    testProvider('legs');
+
+    const [route] = await routeAlternativesWithFallback([A, B, C], { providers: ['legs'] });
+
+    expect(route.coordinates).toEqual([A, B, C]);
+    expect(route.distance).toBe(2000);
+    expect(route.duration).toBe(400);
+    expect(route.elevation).toEqual({ ascent: 20, descent: 10 });
+    // The second leg's cue moves along by the first leg's points and length
+    expect(route.cues.map(cue => cue.index)).toEqual([1, 2]);
+    expect(route.cues[1].distanceKm).toBeCloseTo(1 + 1.575, 2);
+    expect(route.alternatives).toBeUndefined();
+  });
+
+  test('varies one leg at a time with the provider alternatives', async () => {
+    const detour = {
+      coordinates: [A, [7.01, 44.99], B],
+      distance: 1800,
+      duration: 360,
+      elevation: null,
+      confidence: 0.7,
+      profile: 'bike',
+      source: 'alts'
+    };
+    testProvider('alts', { alternatives: [detour] });
+
+    const routes = await routeAlternativesWithFallback([A, B, C], { providers: ['alts'], maxAlternatives: 5 });
+
+    // Primary, then the detour on each leg
+    expect(routes).toHaveLength(3);
+    expect(routes.map(route => route.distance)).toEqual([2000, 2800, 2800]);
+    expect(routes[1].coordinates).toHaveLength(4);
+    expect(routes[1].elevation).toBeNull();
+  });
+});
+
+describe('createLocalProvider', () => {
+  test('routes offline along the straight line between waypoints', async () => {
+    const route = await createLocalProvider({ stepMeters: 100 }).route([A, B]);
+
+    expect(route.coordinates[0]).toEqual(A);
+    expect(route.coordinates[route.coordinates.length - 1]).toEqual(B);
+    // 1.58 km straight; zigzagging ±25 m every 100 m adds about 12%
+    expect(route.distance).toBeGreaterThan(1575 * 1.1);
+    expect(route.distance).toBeLessThan(1575 * 1.15);
+    expect(route.source).toBe('local');
+  });
+});
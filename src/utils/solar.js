@@ -0,0 +1,117 @@
+// Local solar position calculations (no network)
+// Sunrise, sunset and civil twilight from the sunrise equation, accurate to
+// a minute or two at mid latitudes: https://en.wikipedia.org/wiki/Sunrise_equation
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J2000 = 2451545.0; // Julian date of 2000-01-01 12:00 UTC
+
+// Sun altitudes for the events we care about
+const SUNRISE_ALTITUDE = -0.833; // upper limb on the horizon, with refraction
+const CIVIL_ALTITUDE = -6; // civil dawn/dusk: riding without lights ends here
+
+const toJulian = (ms) => ms / DAY_MS + 2440587.5;
+const fromJulian = (julian) => Math.round((julian - 2440587.5) * DAY_MS);
+
+// Hour angle (degrees) at which the sun reaches an altitude, or a marker
+// when it never does that day
+function hourAngle(altitude, latitude, declination) {
+  const cosOmega = (Math.sin(altitude * RAD) - Math.sin(latitude * RAD) * Math.sin(declination)) /
+    (Math.cos(latitude * RAD) * Math.cos(declination));
+  if (cosOmega > 1) return 'below';
+  if (cosOmega < -1) return 'above';
+  return Math.acos(cosOmega) / RAD;
+}
+
+// Sun times (ms timestamps) for the solar day whose noon is nearest `time`.
+// polar is 'day' or 'night' when the sun never crosses the civil twilight
+// altitude, in which case dawn/dusk are null.
+export function getSunTimes(time, latitude, longitude) {
+  const ms = time instanceof Date ? time.getTime() : time;
+  const n = Math.round(toJulian(ms) - J2000 - 0.0009 + longitude / 360);
+  const meanNoon = n + 0.0009 - longitude / 360;
+
+  const M = ((357.5291 + 0.98560028 * meanNoon) % 360) * RAD;
+  const C = 1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M);
+  const lambda = ((M / RAD + C + 180 + 102.9372) % 360) * RAD;
+  const transit = J2000 + meanNoon + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * lambda);
+  const declination = Math.asin(Math.sin(lambda) * Math.sin(23.4397 * RAD));
+
+  const events = (altitude) => {
+    const omega = hourAngle(altitude, latitude, declination);
+    if (typeof omega === 'string') return { rise: null, set: null, polar: omega === 'above' ? 'day' : 'night' };
+    return { rise: fromJulian(transit - omega / 360), set: fromJulian(transit + omega / 360), polar: null };
+  };
+
+  const sun = events(SUNRISE_ALTITUDE);
+  const civil = events(CIVIL_ALTITUDE);
+
+  return {
+    solarNoon: fromJulian(transit),
+    sunrise: sun.rise,
+    sunset: sun.set,
+    civilDawn: civil.rise,
+    civilDusk: civil.set,
+    polar: civil.polar
+  };
+}
+
+// Whether it's light enough to ride without lights (civil twilight counts)
+export function isDaylightAt(time, latitude, longitude) {
+  const sun = getSunTimes(time, latitude, longitude);
+  if (sun.polar) return sun.polar === 'day';
+  return time >= sun.civilDawn && time <= sun.civilDusk;
+}
+
+// Daylight check for a ride: flags a start before civil dawn or a finish
+// after civil dusk and how much of the ride is in the dark
+export function assessRideDaylight(departureTime, durationSeconds, latitude, longitude) {
+  const finishTime = departureTime + (durationSeconds || 0) * 1000;
+  const stepMs = 5 * 60000;
+
+  let samples = 0;
+  let darkSamples = 0;
+  for (let time = departureTime; time <= finishTime; time += stepMs) {
+    samples++;
+    if (!isDaylightAt(time, latitude, longitude)) darkSamples++;
+  }
+
+  const startSun = getSunTimes(departureTime, latitude, longitude);
+  const finishSun = getSunTimes(finishTime, latitude, longitude);
+  const startsBeforeDawn = !isDaylightAt(departureTime, latitude, longitude) &&
+    (startSun.polar === 'night' || departureTime < startSun.solarNoon);
+  const endsAfterDusk = !isDaylightAt(finishTime, latitude, longitude) &&
+    (finishSun.polar === 'night' || finishTime > finishSun.solarNoon);
+
+  return {
+    departureTime,
+    finishTime,
+    civilDawn: startSun.civilDawn,
+    civilDusk: finishSun.civilDusk,
+    startsBeforeDawn,
+    endsAfterDusk,
+    darkMinutes: Math.round(darkSamples * stepMs / 60000),
+    darkFraction: samples > 0 ? darkSamples / samples : 0
+  };
+}
+
+// Index ranges of a point series ridden in the dark, from the ms time at
+// which the rider reaches each point
+export function getDarkStretches(times, latitude, longitude) {
+  const stretches = [];
+  let current = null;
+
+  times.forEach((time, index) => {
+    const dark = time !== null && !isDaylightAt(time, latitude, longitude);
+    if (dark && !current) {
+      current = { startIndex: index, endIndex: index };
+      stretches.push(current);
+    } else if (dark) {
+      current.endIndex = index;
+    } else {
+      current = null;
+    }
+  });
+
+  return stretches;
+}
@@ -0,0 +1,62 @@
+import { getSunTimes, isDaylightAt, assessRideDaylight, getDarkStretches } from './solar';
+
+// Royal Observatory, Greenwich
+const LAT = 51.4769;
+const LON = -0.0005;
+const MINUTE = 60000;
+
+// Published Greenwich times (UTC), within a few minutes
+const expectNear = (time, expected) => {
+  expect(Math.abs(time - expected)).toBeLessThan(3 * MINUTE);
+};
+
+describe('getSunTimes', () => {
+  test('matches the published sunrise and sunset at the solstices', () => {
+    const summer = getSunTimes(Date.UTC(2026, 5, 21, 12), LAT, LON);
+    expectNear(summer.sunrise, Date.UTC(2026, 5, 21, 3, 43));
+    expectNear(summer.sunset, Date.UTC(2026, 5, 21, 20, 21));
+    expectNear(summer.solarNoon, Date.UTC(2026, 5, 21, 12, 2));
+
+    const winter = getSunTimes(Date.UTC(2026, 11, 21, 12), LAT, LON);
+    expectNear(winter.sunrise, Date.UTC(2026, 11, 21, 8, 4));
+    expectNear(winter.sunset, Date.UTC(2026, 11, 21, 15, 53));
+    expect(winter.civilDusk - winter.sunset).toBeGreaterThan(35 * MINUTE);
+    expect(winter.polar).toBeNull();
+  });
+
+  test('flags polar day and night', () => {
+    expect(getSunTimes(Date.UTC(2026, 5, 21, 12), 78.2, 15.6).polar).toBe('day');
+    expect(getSunTimes(Date.UTC(2026, 11, 21, 12), 78.2, 15.6)).toMatchObject({ polar: 'night', sunrise: null });
+    expect(isDaylightAt(Date.UTC(2026, 5, 21, 0), 78.2, 15.6)).toBe(true);
+  });
+});
+
+describe('ride daylight', () => {
+  // Two hours from 15:00 UTC on the winter solstice; civil dusk is about 16:34
+  const departure = Date.UTC(2026, 11, 21, 15, 0);
+  const times = Array.from({ length: 13 }, (_, i) => departure + i * 10 * MINUTE);
+
+  test('finds the stretch ridden after dusk', () => {
+    expect(getDarkStretches(times, LAT, LON)).toEqual([{ startIndex: 10, endIndex: 12 }]);
+  });
+
+  test('splits dark stretches at points without a time', () => {
+    const gappy = [...times];
+    gappy[11] = null;
+
+    expect(getDarkStretches(gappy, LAT, LON)).toEqual([
+      { startIndex: 10, endIndex: 10 },
+      { startIndex: 12, endIndex: 12 }
+    ]);
+  });
+
+  test('reports a ride finishing after dusk', () => {
+    const daylight = assessRideDaylight(departure, 2 * 3600, LAT, LON);
+
+    expect(daylight.startsBeforeDawn).toBe(false);
+    expect(daylight.endsAfterDusk).toBe(true);
+    expect(daylight.darkMinutes).toBeGreaterThan(20);
+    expect(daylight.darkMinutes).toBeLessThan(35);
+    expect(assessRideDaylight(Date.UTC(2026, 11, 21, 10), 3600, LAT, LON).darkMinutes).toBe(0);
+  });
+});
@@ -0,0 +1,272 @@
+// Garmin Training Center (TCX) parsing
+// Handles activity exports (Garmin, Polar, Wahoo) and TCX course files
+import { simplifyTrackPoints } from './gpx';
+import { parseXML, findAll, findChild, findChildren } from './xml';
+import { analyzeMovement } from './movement';
+import { haversineDistance } from './geo';
+import { createProgress } from './progress';
+
+// Parse TCX file and convert to our standard format. Runs without the DOM (in
+// the parser worker too); onProgress receives the share of trackpoints read (0-1).
+export function parseTCX(tcxContent, { onProgress } = {}) {
+  try {
+    let doc;
+    try {
+      doc = parseXML(tcxContent);
+    } catch (xmlError) {
+      throw new Error('Invalid TCX file format');
+    }
+
+    const containers = [...findAll(doc, 'Activity'), ...findAll(doc, 'Course')];
+    if (containers.length === 0) {
+      throw new Error('No activities or courses found in TCX file');
+    }
+
+    const metadata = extractTCXMetadata(doc, containers[0]);
+    const laps = containers.flatMap(container => extractLaps(container));
+
+    const step = createProgress(onProgress, findAll(doc, 'Trackpoint').length);
+    let trackPoints = containers
+      .flatMap(container => extractTrackPoints(container, step))
+      .map((point, index) => ({ ...point, sequence: index }));
+
+    if (trackPoints.length === 0) {
+      throw new Error('No valid track data found in TCX file');
+    }
+
+    // Summary is calculated on the full track so distance and time stay accurate
+    const summary = calculateTCXSummary(trackPoints, laps);
+
+    // Simplify large datasets to prevent database timeouts (same limit as GPX);
+    // sensor metrics use the full recording
+    const sensorPoints = trackPoints;
+    if (trackPoints.length > 5000) {
+      trackPoints = simplifyTrackPoints(trackPoints, 5000);
+    }
+
+    return {
+      metadata,
+      trackPoints,
+      sensorPoints,
+      laps,
+      summary
+    };
+  } catch (error) {
+    throw new Error(`Failed to parse TCX: ${error.message}`);
+  }
+}
+
+// TCX elements live in the TrainingCenterDatabase namespace and extension
+// elements carry prefixes (ns3:TPX, ax:Watts), so findAll/findChild match on
+// local names only
+
+function childText(node, localName) {
+  const child = findChild(node, localName);
+  const text = child?.textContent?.trim();
+  return text ? text : null;
+}
+
+function childNumber(node, localName) {
+  const text = childText(node, localName);
+  if (text === null) return null;
+  const value = parseFloat(text);
+  return isNaN(value) ? null : value;
+}
+
+// Heart rate values are wrapped: <HeartRateBpm><Value>142</Value></HeartRateBpm>
+function childValue(node, localName) {
+  return childNumber(findChild(node, localName), 'Value');
+}
+
+// Read a numeric value from the activity extensions (TPX on trackpoints, LX on laps)
+function extensionNumber(node, localName) {
+  const extensions = findChild(node, 'Extensions');
+  if (!extensions) return null;
+  const element = findAll(extensions, localName)[0];
+  if (!element) return null;
+  const value = parseFloat(element.textContent);
+  return isNaN(value) ? null : value;
+}
+
+function extractTCXMetadata(doc, container) {
+  const isCourse = container.localName === 'Course';
+  const sport = container.getAttribute('Sport') || 'Biking';
+  const creator = childText(findChild(container, 'Creator'), 'Name') ||
+                  childText(findChild(doc.documentElement, 'Author'), 'Name') ||
+                  'Unknown';
+
+  let time = childText(container, 'Id');
+  const firstLap = findChild(container, 'Lap');
+  if (firstLap?.getAttribute('StartTime')) {
+    time = firstLap.getAttribute('StartTime');
+  }
+  if (isCourse || !time || isNaN(Date.parse(time))) {
+    time = findAll(container, 'Time')[0]?.textContent?.trim() || null;
+  }
+
+  const name = childText(container, 'Name') ||
+               (isCourse ? 'TCX Course' : `${sport} Activity`);
+
+  return {
+    name,
+    time,
+    creator,
+    description: childText(container, 'Notes') || `${sport} activity from TCX file`,
+    sport: sport.toLowerCase() === 'biking' ? 'cycling' : sport.toLowerCase()
+  };
+}
+
+function extractLaps(container) {
+  return findChildren(container, 'Lap')
+    .map((lap, index) => {
+      const distanceMeters = childNumber(lap, 'DistanceMeters');
+      const maxSpeed = childNumber(lap, 'MaximumSpeed');
+
+      return {
+        index,
+        startTime: lap.getAttribute('StartTime'),
+        totalTime: childNumber(lap, 'TotalTimeSeconds') || 0, // seconds
+        distance: distanceMeters !== null ? distanceMeters / 1000 : 0, // km
+        maxSpeed: maxSpeed !== null ? Math.round(maxSpeed * 3.6 * 10) / 10 : null, // km/h
+        calories: childNumber(lap, 'Calories'),
+        avgHeartRate: childValue(lap, 'AverageHeartRateBpm'),
+        maxHeartRate: childValue(lap, 'MaximumHeartRateBpm'),
+        avgCadence: childNumber(lap, 'Cadence'),
+        avgPower: extensionNumber(lap, 'AvgWatts'),
+        maxPower: extensionNumber(lap, 'MaxWatts'),
+        intensity: childText(lap, 'Intensity'),
+        trigger: childText(lap, 'TriggerMethod')
+      };
+    });
+}
+
+// step() is called once per trackpoint, for progress
+function extractTrackPoints(container, step) {
+  return findAll(container, 'Trackpoint').map(trackpoint => {
+    step();
+    const position = findChild(trackpoint, 'Position');
+    const latitude = childNumber(position, 'LatitudeDegrees');
+    const longitude = childNumber(position, 'LongitudeDegrees');
+
+    // Indoor or paused trackpoints have no position
+    if (latitude === null || longitude === null) {
+      return null;
+    }
+
+    const speed = extensionNumber(trackpoint, 'Speed'); // m/s
+
+    return {
+      latitude,
+      longitude,
+      elevation: childNumber(trackpoint, 'AltitudeMeters'),
+      time: childText(trackpoint, 'Time'),
+      distanceMeters: childNumber(trackpoint, 'DistanceMeters'),
+      heartRate: childValue(trackpoint, 'HeartRateBpm'),
+      power: extensionNumber(trackpoint, 'Watts'),
+      cadence: childNumber(trackpoint, 'Cadence') ?? extensionNumber(trackpoint, 'RunCadence'),
+      speed: speed !== null ? speed * 3.6 : null, // km/h
+      temperature: null
+    };
+  }).filter(point => point !== null);
+}
+
+function calculateTCXSummary(trackPoints, laps) {
+  if (!trackPoints || trackPoints.length < 2) {
+    return {
+      distance: 0,
+      elevationGain: 0,
+      elevationLoss: 0,
+      minElevation: null,
+      maxElevation: null,
+      duration: 0,
+      maxSpeed: 0,
+      avgHeartRate: 0,
+      maxHeartRate: 0,
+      avgPower: 0,
+      maxPower: 0,
+      avgCadence: 0,
+      lapCount: laps.length,
+      pointCount: trackPoints ? trackPoints.length : 0
+    };
+  }
+
+  let haversineTotal = 0;
+  let elevationGain = 0;
+  let elevationLoss = 0;
+  let minElevation = null;
+  let maxElevation = null;
+  let maxSpeed = 0;
+  const heartRates = [];
+  const powers = [];
+  const cadences = [];
+
+  trackPoints.forEach((curr, i) => {
+    if (curr.heartRate) heartRates.push(curr.heartRate);
+    if (curr.power !== null) powers.push(curr.power);
+    if (curr.cadence) cadences.push(curr.cadence);
+    if (curr.speed && curr.speed > maxSpeed) maxSpeed = curr.speed;
+
+    if (curr.elevation !== null) {
+      if (minElevation === null || curr.elevation < minElevation) minElevation = curr.elevation;
+      if (maxElevation === null || curr.elevation > maxElevation) maxElevation = curr.elevation;
+    }
+
+    if (i === 0) return;
+    const prev = trackPoints[i - 1];
+
+    haversineTotal += haversineDistance([prev.longitude, prev.latitude], [curr.longitude, curr.latitude]) * 1000;
+
+    if (prev.elevation !== null && curr.elevation !== null) {
+      const elevDiff = curr.elevation - prev.elevation;
+      if (elevDiff > 0) {
+        elevationGain += elevDiff;
+      } else {
+        elevationLoss += Math.abs(elevDiff);
+      }
+    }
+  });
+
+  // Prefer the device-recorded DistanceMeters (wheel sensor / device odometer)
+  const recordedDistances = trackPoints
+    .map(point => point.distanceMeters)
+    .filter(distance => distance !== null);
+  const lapDistance = laps.reduce((sum, lap) => sum + lap.distance * 1000, 0);
+  let totalDistance = haversineTotal;
+  if (recordedDistances.length > 0) {
+    totalDistance = Math.max(...recordedDistances) - Math.min(...recordedDistances);
+  } else if (lapDistance > 0) {
+    totalDistance = lapDistance;
+  }
+
+  // Elapsed duration from timestamps, falling back to lap timers
+  let duration = laps.reduce((sum, lap) => sum + lap.totalTime, 0);
+  const firstPoint = trackPoints[0];
+  const lastPoint = trackPoints[trackPoints.length - 1];
+  if (firstPoint.time && lastPoint.time) {
+    duration = (new Date(lastPoint.time) - new Date(firstPoint.time)) / 1000;
+  }
+
+  const movement = analyzeMovement(trackPoints);
+
+  const average = values => values.length > 0 ?
+    values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+  return {
+    distance: totalDistance / 1000, // Convert to kilometers
+    elevationGain: Math.round(elevationGain),
+    elevationLoss: Math.round(elevationLoss),
+    minElevation: minElevation !== null ? Math.round(minElevation) : null,
+    maxElevation: maxElevation !== null ? Math.round(maxElevation) : null,
+    duration: Math.round(duration),
+    movingTime: movement ? movement.movingSeconds : null,
+    avgMovingSpeed: movement ? movement.avgMovingSpeedKmh : null,
+    maxSpeed: Math.round(maxSpeed * 10) / 10,
+    avgHeartRate: Math.round(average(heartRates)),
+    maxHeartRate: heartRates.length > 0 ? Math.max(...heartRates) : 0,
+    avgPower: Math.round(average(powers)),
+    maxPower: powers.length > 0 ? Math.max(...powers) : 0,
+    avgCadence: Math.round(average(cadences)),
+    lapCount: laps.length,
+    pointCount: trackPoints.length
+  };
+}
@@ -0,0 +1,44 @@
+import { parseTCX } from './tcx';
+import { ridePoints, rideTime } from './testRides';
+
+// 1 Hz activity heading north with heart rate and power on every trackpoint
+function tcxRide(seconds) {
+  const samples = ridePoints(seconds, {
+    heading: 'north',
+    speedAt: () => 28,
+    sample: t => ({ heartRate: 130 + (t % 20), power: 200 + (t % 50) })
+  });
+  const trackpoints = samples.map(point => `
+          <Trackpoint>
+            <Time>${point.time}</Time>
+            <Position>
+              <LatitudeDegrees>${point.latitude.toFixed(7)}</LatitudeDegrees>
+              <LongitudeDegrees>${point.longitude.toFixed(7)}</LongitudeDegrees>
+            </Position>
+            <AltitudeMeters>${point.elevation}</AltitudeMeters>
+            <HeartRateBpm><Value>${point.heartRate}</Value></HeartRateBpm>
+            <Extensions><ns3:TPX><ns3:Watts>${point.power}</ns3:Watts></ns3:TPX></Extensions>
+          </Trackpoint>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"
+  xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+  <Activities>
+    <Activity Sport="Biking">
+      <Id>${rideTime(0)}</Id>
+      <Lap StartTime="${rideTime(0)}">
+        <Track>${trackpoints}
+        </Track>
+      </Lap>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>`;
+}
+
+test('keeps every sample in sensorPoints when the stored track is simplified', () => {
+  const parsed = parseTCX(tcxRide(12000));
+
+  expect(parsed.trackPoints.length).toBeLessThan(12000);
+  expect(parsed.sensorPoints).toHaveLength(12000);
+  expect(parsed.sensorPoints.every(point => point.power >= 200 && point.heartRate >= 130)).toBe(true);
+});
@@ -0,0 +1,122 @@
+// Terrain elevation lookup
+// Elevations decoded from Mapbox Terrain-RGB tiles, cached per tile and per
+// point. A local DEM grid can stand in for the tiles (tests, offline work).
+
+const TERRAIN_ZOOM = 14; // ~10 m per pixel
+const MAX_CACHED_TILES = 64;
+const MAX_CACHED_POINTS = 20000;
+
+const tileCache = new Map(); // "z/x/y" -> Promise of ImageData (or null)
+const pointCache = new Map(); // rounded "lat,lon" -> elevation
+let localDEM = null;
+
+// Keep a Map under a size limit, dropping the oldest entries
+function trimCache(cache, limit) {
+  while (cache.size > limit) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+// A DEM lookup over a regular grid: rows run north to south from `north`,
+// columns west to east from `west`, `cellSize` degrees apart. Elevations are
+// bilinearly interpolated; outside the grid the lookup returns null.
+export function createLocalDEM({ north, west, cellSize, elevations }) {
+  const rows = elevations.length;
+  const cols = elevations[0]?.length || 0;
+
+  return (lat, lon) => {
+    const rawY = (north - lat) / cellSize;
+    const rawX = (lon - west) / cellSize;
+    const epsilon = 1e-6; // points on the grid edge, up to rounding
+    if (rawY < -epsilon || rawX < -epsilon || rawY > rows - 1 + epsilon || rawX > cols - 1 + epsilon) return null;
+    const y = Math.max(0, Math.min(rows - 1, rawY));
+    const x = Math.max(0, Math.min(cols - 1, rawX));
+
+    const y0 = Math.floor(y);
+    const x0 = Math.floor(x);
+    const y1 = Math.min(rows - 1, y0 + 1);
+    const x1 = Math.min(cols - 1, x0 + 1);
+    const fy = y - y0;
+    const fx = x - x0;
+    const top = elevations[y0][x0] * (1 - fx) + elevations[y0][x1] * fx;
+    const bottom = elevations[y1][x0] * (1 - fx) + elevations[y1][x1] * fx;
+    return top * (1 - fy) + bottom * fy;
+  };
+}
+
+// Use a local DEM instead of the terrain tiles (null to go back to tiles)
+export function setTerrainDEM(dem) {
+  localDEM = dem;
+  pointCache.clear();
+}
+
+export function clearTerrainCache() {
+  tileCache.clear();
+  pointCache.clear();
+}
+
+// Tile and pixel position of a coordinate (Web Mercator)
+function tilePosition(lat, lon, zoom) {
+  const scale = Math.pow(2, zoom);
+  const latRad = lat * Math.PI / 180;
+  const x = (lon + 180) / 360 * scale;
+  const y = (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale;
+  const tileX = Math.floor(x);
+  const tileY = Math.floor(y);
+  return { tileX, tileY, offsetX: x - tileX, offsetY: y - tileY };
+}
+
+// Fetch a Terrain-RGB tile and read its pixels (ImageData)
+async function loadTile(zoom, x, y, accessToken) {
+  const url = `https://api.mapbox.com/v4/mapbox.terrain-rgb/${zoom}/${x}/${y}.pngraw?access_token=${accessToken}`;
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Terrain tile ${zoom}/${x}/${y} failed: ${response.status}`);
+
+  const bitmap = await createImageBitmap(await response.blob());
+  const canvas = typeof OffscreenCanvas !== 'undefined' ?
+    new OffscreenCanvas(bitmap.width, bitmap.height) :
+    Object.assign(document.createElement('canvas'), { width: bitmap.width, height: bitmap.height });
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0);
+  return context.getImageData(0, 0, bitmap.width, bitmap.height);
+}
+
+function getTile(zoom, x, y, accessToken) {
+  const key = `${zoom}/${x}/${y}`;
+  if (!tileCache.has(key)) {
+    tileCache.set(key, loadTile(zoom, x, y, accessToken).catch(error => {
+      console.warn('Terrain tile unavailable:', error);
+      return null;
+    }));
+    trimCache(tileCache, MAX_CACHED_TILES);
+  }
+  return tileCache.get(key);
+}
+
+// Terrain elevation (m) at a coordinate, or null when no terrain data is
+// available (no DEM loaded and no access token, or the tile failed)
+export async function getTerrainElevation(lat, lon, accessToken) {
+  const key = `${lat.toFixed(5)},${lon.toFixed(5)}`;
+  if (pointCache.has(key)) return pointCache.get(key);
+
+  let elevation = null;
+  if (localDEM) {
+    elevation = localDEM(lat, lon);
+  } else if (accessToken && typeof createImageBitmap !== 'undefined') {
+    const { tileX, tileY, offsetX, offsetY } = tilePosition(lat, lon, TERRAIN_ZOOM);
+    const tile = await getTile(TERRAIN_ZOOM, tileX, tileY, accessToken);
+    if (tile) {
+      const pixelX = Math.min(tile.width - 1, Math.floor(offsetX * tile.width));
+      const pixelY = Math.min(tile.height - 1, Math.floor(offsetY * tile.height));
+      const i = (pixelY * tile.width + pixelX) * 4;
+      // Terrain-RGB encoding: height = -10000 + (R * 256² + G * 256 + B) * 0.1
+      elevation = -10000 + (tile.data[i] * 65536 + tile.data[i + 1] * 256 + tile.data[i + 2]) * 0.1;
+    }
+  }
+
+  if (elevation !== null) {
+    pointCache.set(key, elevation);
+    trimCache(pointCache, MAX_CACHED_POINTS);
+  }
+  return elevation;
+}
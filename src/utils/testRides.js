@@ -0,0 +1,53 @@
+// Synthetic rides shared by the parser, cleaning and analysis tests
+// Not used by the app
+
+const START = Date.UTC(2024, 5, 1, 8, 0, 0);
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+// ISO timestamp a number of seconds into the ride
+export const rideTime = (seconds) => new Date(START + seconds * 1000).toISOString();
+
+// Deterministic pseudo-random jitter in metres (-1..1 times the amplitude)
+function jitter(seed, amplitude) {
+  const x = Math.sin(seed * 12.9898) * 43758.5453;
+  return (x - Math.floor(x) - 0.5) * 2 * amplitude;
+}
+
+// 1 Hz ride of parser points ({ latitude, longitude, elevation, time }) from
+// (lat, 7), heading 'east' or 'north' at speedAt(second) km/h. Options:
+// - offsetM: shifts the whole ride sideways (a second device's GPS)
+// - startDelay: seconds after START the recording begins
+// - noiseM: GPS noise amplitude
+// - sample(second): extra fields for each point (heart rate, power, ...)
+export function ridePoints(seconds, {
+  heading = 'east',
+  speedAt = () => 25,
+  lat = 45,
+  offsetM = 0,
+  startDelay = 0,
+  noiseM = 0,
+  elevation = 240,
+  sample = () => ({})
+} = {}) {
+  const metersPerDegreeLon = METERS_PER_DEGREE_LAT * Math.cos(lat * Math.PI / 180);
+  const points = [];
+  let along = 0;
+
+  for (let t = 0; t < seconds; t++) {
+    if (t > 0) along += speedAt(t) / 3.6;
+    const across = offsetM + jitter(t, noiseM);
+    const east = heading === 'east' ? along + jitter(t + 0.5, noiseM) : across;
+    const north = heading === 'east' ? across : along + jitter(t + 0.5, noiseM);
+
+    points.push({
+      latitude: lat + north / METERS_PER_DEGREE_LAT,
+      longitude: 7 + east / metersPerDegreeLon,
+      elevation,
+      time: rideTime(startDelay + t),
+      ...sample(t)
+    });
+  }
+
+  return points;
+}
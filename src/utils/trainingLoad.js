@@ -0,0 +1,145 @@
+// Training load (performance management) model
+// Daily training stress per ride, chronic/acute load (CTL/ATL) and form (TSB)
+
+import dayjs from 'dayjs';
+
+// Exponential time constants (days) for fitness and fatigue
+export const CTL_DAYS = 42;
+export const ATL_DAYS = 7;
+
+// Fallback heart rate thresholds until the rider sets their own
+export const DEFAULT_THRESHOLD_HR = 165;
+export const DEFAULT_RESTING_HR = 60;
+
+// Assumed average speed (km/h) when a ride has no recorded duration
+const ESTIMATE_SPEED_KMH = 23;
+
+// Summarize heart rate samples into the routes table columns
+export function summarizeHeartRate(points) {
+  const samples = (points || [])
+    .map(point => point.heartRate ?? point.heart_rate)
+    .filter(hr => hr !== null && hr !== undefined && !isNaN(hr) && hr > 0);
+
+  if (samples.length === 0) return null;
+
+  return {
+    avg_heart_rate: Math.round(samples.reduce((sum, hr) => sum + hr, 0) / samples.length),
+    max_heart_rate: Math.max(...samples)
+  };
+}
+
+// Heart-rate based TSS: hours x IF^2 x 100, with IF taken from the
+// heart rate reserve between resting and threshold HR
+export function calculateHrTSS(durationSeconds, avgHeartRate, { thresholdHr = DEFAULT_THRESHOLD_HR, restingHr = DEFAULT_RESTING_HR } = {}) {
+  if (!durationSeconds || !avgHeartRate || thresholdHr <= restingHr) return null;
+
+  const intensity = Math.max(0, (avgHeartRate - restingHr) / (thresholdHr - restingHr));
+  return (durationSeconds / 3600) * intensity * intensity * 100;
+}
+
+// Rough TSS for rides without power or heart rate: endurance intensity,
+// nudged up by climbing density (metres gained per km)
+export function estimateTSS(distanceKm, elevationGainM, durationSeconds) {
+  if (!distanceKm) return null;
+
+  const hours = durationSeconds ? durationSeconds / 3600 : distanceKm / ESTIMATE_SPEED_KMH;
+  const climbingPerKm = (elevationGainM || 0) / distanceKm;
+  const intensity = 0.65 + Math.min(0.2, climbingPerKm / 100);
+
+  return hours * intensity * intensity * 100;
+}
+
+// Best available stress score for a route: power TSS, then hrTSS, then estimate
+export function getRouteStress(route, heartRateOptions) {
+  if (route.tss !== null && route.tss !== undefined) {
+    return { tss: Number(route.tss), source: 'power' };
+  }
+
+  const hrTss = calculateHrTSS(route.duration_seconds, route.avg_heart_rate, heartRateOptions);
+  if (hrTss !== null) {
+    return { tss: hrTss, source: 'heart_rate' };
+  }
+
+  const estimate = estimateTSS(route.distance_km, route.elevation_gain_m, route.duration_seconds);
+  if (estimate !== null) {
+    return { tss: estimate, source: 'estimate' };
+  }
+
+  return { tss: 0, source: 'none' };
+}
+
+// Routes saved from the builder or the AI generator are plans, not rides
+export const isPlannedRoute = (route) => route.source === 'builder' || route.source === 'ai';
+
+// Sum ridden (uploaded) route stress per calendar day: { 'YYYY-MM-DD': tss }
+export function buildDailyStress(routes, heartRateOptions) {
+  const daily = {};
+  (routes || []).filter(route => route.source === 'upload').forEach(route => {
+    const day = dayjs(route.created_at).format('YYYY-MM-DD');
+    const { tss } = getRouteStress(route, heartRateOptions);
+    daily[day] = (daily[day] || 0) + tss;
+  });
+  return daily;
+}
+
+// Daily CTL/ATL/TSB series from the first ride through today, optionally
+// continued with planned rides ([{ date, tss }]) for a forward projection.
+// TSB for a day is the form going into it (yesterday's CTL - ATL).
+export function buildTrainingLoadSeries(dailyStress, { plannedRides = [], endDate = dayjs() } = {}) {
+  const days = Object.keys(dailyStress).sort();
+  if (days.length === 0) return [];
+
+  const planned = {};
+  plannedRides.forEach(ride => {
+    const day = dayjs(ride.date).format('YYYY-MM-DD');
+    planned[day] = (planned[day] || 0) + (ride.tss || 0);
+  });
+
+  const today = dayjs(endDate).startOf('day');
+  const plannedDays = Object.keys(planned).sort();
+  const lastPlanned = plannedDays.length ? dayjs(plannedDays[plannedDays.length - 1]) : today;
+  const last = lastPlanned.isAfter(today) ? lastPlanned : today;
+
+  const series = [];
+  let ctl = 0;
+  let atl = 0;
+
+  for (let day = dayjs(days[0]); !day.isAfter(last); day = day.add(1, 'day')) {
+    const key = day.format('YYYY-MM-DD');
+    const projected = day.isAfter(today);
+    const tss = projected ? (planned[key] || 0) : (dailyStress[key] || 0);
+    const tsb = ctl - atl;
+
+    ctl += (tss - ctl) / CTL_DAYS;
+    atl += (tss - atl) / ATL_DAYS;
+
+    series.push({
+      date: key,
+      tss: Math.round(tss),
+      ctl: Math.round(ctl * 10) / 10,
+      atl: Math.round(atl * 10) / 10,
+      tsb: Math.round(tsb * 10) / 10,
+      projected
+    });
+  }
+
+  return series;
+}
+
+// Schedule saved planned routes over the coming weeks: ridesPerWeek rides a
+// week on evenly spaced days, cycling through the routes in order.
+// Returns [{ date, tss, name }] for buildTrainingLoadSeries.
+export function schedulePlannedRoutes(plannedRoutes, { ridesPerWeek, weeks, startDate = dayjs(), heartRateOptions } = {}) {
+  if (!plannedRoutes?.length || !ridesPerWeek || !weeks) return [];
+
+  const start = dayjs(startDate).startOf('day');
+  const spacing = 7 / ridesPerWeek;
+  return Array.from({ length: ridesPerWeek * weeks }, (_, i) => {
+    const route = plannedRoutes[i % plannedRoutes.length];
+    return {
+      date: start.add(Math.floor(i * spacing) + 1, 'day').format('YYYY-MM-DD'),
+      tss: getRouteStress(route, heartRateOptions).tss,
+      name: route.name
+    };
+  });
+}
@@ -0,0 +1,32 @@
+import { buildDailyStress, schedulePlannedRoutes, isPlannedRoute } from './trainingLoad';
+
+const upload = { id: 'u1', source: 'upload', created_at: '2026-03-02T08:00:00Z', tss: 80 };
+const builder = { id: 'b1', name: 'Hill loop', source: 'builder', created_at: '2026-03-02T09:00:00Z', distance_km: 46, elevation_gain_m: 900 };
+const ai = { id: 'a1', name: 'Coast ride', source: 'ai', created_at: '2026-03-03T09:00:00Z', distance_km: 23, elevation_gain_m: 0 };
+
+describe('buildDailyStress', () => {
+  test('counts only uploaded rides', () => {
+    expect(buildDailyStress([upload, builder, ai])).toEqual({ '2026-03-02': 80 });
+  });
+});
+
+describe('schedulePlannedRoutes', () => {
+  test('spreads the chosen routes over the projection, cycling through them', () => {
+    const rides = schedulePlannedRoutes([builder, ai], { ridesPerWeek: 2, weeks: 2, startDate: '2026-03-10' });
+
+    expect(rides.map(ride => ride.date)).toEqual(['2026-03-11', '2026-03-14', '2026-03-18', '2026-03-21']);
+    expect(rides.map(ride => ride.name)).toEqual(['Hill loop', 'Coast ride', 'Hill loop', 'Coast ride']);
+    // 23 km of flat riding is about an hour at endurance intensity
+    expect(rides[1].tss).toBeCloseTo(42.25, 1);
+    expect(rides[0].tss).toBeGreaterThan(rides[1].tss * 2);
+  });
+
+  test('plans nothing without routes or a projection', () => {
+    expect(schedulePlannedRoutes([], { ridesPerWeek: 3, weeks: 2 })).toEqual([]);
+    expect(schedulePlannedRoutes([builder], { ridesPerWeek: 3, weeks: 0 })).toEqual([]);
+  });
+
+  test('treats builder and AI routes as plans', () => {
+    expect([upload, builder, ai].map(isPlannedRoute)).toEqual([false, true, true]);
+  });
+});
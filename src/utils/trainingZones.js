@@ -0,0 +1,91 @@
+// Rider profile defaults and training zone calculations
+// Power zones are fractions of FTP, heart rate zones fractions of max HR
+
+import dayjs from 'dayjs';
+import { DEFAULT_FTP } from './powerAnalysis';
+import { DEFAULT_RESTING_HR } from './trainingLoad';
+
+export const DEFAULT_RIDER_PROFILE = {
+  ftp_watts: DEFAULT_FTP,
+  weight_kg: 75,
+  max_hr: 185,
+  resting_hr: DEFAULT_RESTING_HR,
+  power_zones: null, // null = use DEFAULT_POWER_ZONES
+  hr_zones: null // null = use DEFAULT_HR_ZONES
+};
+
+// Coggan power zones: upper bound of each zone as a fraction of FTP.
+// The last zone is open-ended.
+export const DEFAULT_POWER_ZONES = [
+  { name: 'Active Recovery', max: 0.55 },
+  { name: 'Endurance', max: 0.75 },
+  { name: 'Tempo', max: 0.90 },
+  { name: 'Threshold', max: 1.05 },
+  { name: 'VO2 Max', max: 1.20 },
+  { name: 'Anaerobic', max: 1.50 },
+  { name: 'Neuromuscular', max: null }
+];
+
+// Five heart rate zones: upper bound of each zone as a fraction of max HR
+export const DEFAULT_HR_ZONES = [
+  { name: 'Recovery', max: 0.60 },
+  { name: 'Endurance', max: 0.70 },
+  { name: 'Tempo', max: 0.80 },
+  { name: 'Threshold', max: 0.90 },
+  { name: 'Maximum', max: null }
+];
+
+// Turn fractional zone boundaries into absolute { name, min, max } ranges
+function buildZones(reference, zones) {
+  let min = 0;
+  return zones.map((zone, index) => {
+    const max = zone.max !== null ? Math.round(reference * zone.max) : null;
+    const result = { zone: index + 1, name: zone.name, min, max };
+    if (max !== null) min = max + 1;
+    return result;
+  });
+}
+
+export function getPowerZones(ftp, zones = DEFAULT_POWER_ZONES) {
+  if (!ftp) return [];
+  return buildZones(ftp, zones || DEFAULT_POWER_ZONES);
+}
+
+export function getHeartRateZones(maxHr, zones = DEFAULT_HR_ZONES) {
+  if (!maxHr) return [];
+  return buildZones(maxHr, zones || DEFAULT_HR_ZONES);
+}
+
+// Zone number (1-based) a value falls into, or null
+export function findZone(zones, value) {
+  if (value === null || value === undefined || zones.length === 0) return null;
+  const match = zones.find(zone => zone.max === null || value <= zone.max);
+  return match ? match.zone : null;
+}
+
+// Lactate threshold heart rate estimate (~90% of max HR) for hrTSS
+export function estimateThresholdHr(maxHr) {
+  return maxHr ? Math.round(maxHr * 0.9) : null;
+}
+
+// FTP in effect on a given date: the latest history entry on or before it.
+// History entries are { ftp_watts, effective_date }.
+export function getFtpOnDate(history, date, fallbackFtp) {
+  const day = dayjs(date).format('YYYY-MM-DD');
+  const applicable = (history || [])
+    .filter(entry => entry.effective_date <= day)
+    .sort((a, b) => (a.effective_date < b.effective_date ? 1 : -1));
+
+  return applicable.length > 0 ? applicable[0].ftp_watts : fallbackFtp;
+}
+
+// Check zone boundaries are increasing fractions with an open last zone
+export function validateZones(zones) {
+  if (!Array.isArray(zones) || zones.length < 2) return false;
+  for (let i = 0; i < zones.length - 1; i++) {
+    const max = zones[i].max;
+    if (typeof max !== 'number' || max <= 0) return false;
+    if (i > 0 && max <= zones[i - 1].max) return false;
+  }
+  return zones[zones.length - 1].max === null;
+}
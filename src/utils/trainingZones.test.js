@@ -0,0 +1,64 @@
+import {
+  getFtpOnDate, validateZones, getPowerZones, getHeartRateZones, findZone, DEFAULT_POWER_ZONES, DEFAULT_HR_ZONES
+} from './trainingZones';
+
+const history = [
+  { ftp_watts: 240, effective_date: '2026-01-10' },
+  { ftp_watts: 265, effective_date: '2026-04-01' },
+  { ftp_watts: 250, effective_date: '2026-02-15' }
+];
+
+describe('getFtpOnDate', () => {
+  test('uses the latest entry on or before the date', () => {
+    expect(getFtpOnDate(history, '2026-02-14', 200)).toBe(240);
+    expect(getFtpOnDate(history, '2026-02-15', 200)).toBe(250);
+    expect(getFtpOnDate(history, '2026-03-20T12:00:00', 200)).toBe(250);
+    expect(getFtpOnDate(history, '2026-06-01', 200)).toBe(265);
+  });
+
+  test('falls back before the first entry or without history', () => {
+    expect(getFtpOnDate(history, '2025-12-31', 200)).toBe(200);
+    expect(getFtpOnDate(null, '2026-03-01', 200)).toBe(200);
+  });
+});
+
+describe('validateZones', () => {
+  test('accepts the default zones', () => {
+    expect(validateZones(DEFAULT_POWER_ZONES)).toBe(true);
+    expect(validateZones(DEFAULT_HR_ZONES)).toBe(true);
+  });
+
+  test('rejects overlapping or out-of-order boundaries', () => {
+    const overlapping = [{ name: 'Easy', max: 0.75 }, { name: 'Tempo', max: 0.75 }, { name: 'Hard', max: null }];
+    const outOfOrder = [{ name: 'Easy', max: 0.9 }, { name: 'Tempo', max: 0.75 }, { name: 'Hard', max: null }];
+
+    expect(validateZones(overlapping)).toBe(false);
+    expect(validateZones(outOfOrder)).toBe(false);
+  });
+
+  test('needs positive bounds and an open last zone', () => {
+    expect(validateZones([{ name: 'Easy', max: 0 }, { name: 'Hard', max: null }])).toBe(false);
+    expect(validateZones([{ name: 'Easy', max: 0.75 }, { name: 'Hard', max: 1.2 }])).toBe(false);
+    expect(validateZones([{ name: 'Only', max: null }])).toBe(false);
+  });
+});
+
+describe('getPowerZones', () => {
+  test('turns fractions of FTP into contiguous watt ranges', () => {
+    const zones = getPowerZones(200);
+
+    expect(zones.slice(0, 2)).toEqual([
+      { zone: 1, name: 'Active Recovery', min: 0, max: 110 },
+      { zone: 2, name: 'Endurance', min: 111, max: 150 }
+    ]);
+    expect(zones[6]).toEqual({ zone: 7, name: 'Neuromuscular', min: 301, max: null });
+    expect(findZone(zones, 150)).toBe(2);
+    expect(findZone(zones, 151)).toBe(3);
+    expect(findZone(zones, 900)).toBe(7);
+  });
+
+  test('builds heart rate zones from max HR', () => {
+    expect(getHeartRateZones(180)[3]).toEqual({ zone: 4, name: 'Threshold', min: 145, max: 162 });
+    expect(getHeartRateZones(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,142 @@
+// Undo/redo history for the route builder's waypoints
+// Every edit is a command applied to the current waypoints; the history keeps
+// the waypoints before each command (past) and after each undone one (future).
+//
+// Waypoint shape: { id, coordinate: [lon, lat], name: string | null }
+// Commands:
+//   { type: 'add', coordinate }            append at the end
+//   { type: 'insert', coordinate }         into the nearest segment (insertWaypointInRoute)
+//   { type: 'move', index, coordinate }
+//   { type: 'delete', index }
+//   { type: 'rename', index, name }
+//   { type: 'reorder', from, to }
+//   { type: 'reverse' }
+//   { type: 'clear' }
+
+import { insertWaypointInRoute } from './routeUtils';
+
+const MAX_HISTORY = 100;
+
+let nextWaypointId = 1;
+
+export function createWaypoint(coordinate, name = null) {
+  return { id: nextWaypointId++, coordinate, name };
+}
+
+// Display name: the waypoint's own name, else Start/Finish or its number
+export function waypointLabel(waypoint, index, count) {
+  if (waypoint?.name) return waypoint.name;
+  if (index === 0) return 'Start';
+  if (index === count - 1 && count > 1) return 'Finish';
+  return `Waypoint ${index + 1}`;
+}
+
+export function createHistory(waypoints = []) {
+  return { past: [], present: waypoints, future: [] };
+}
+
+// Waypoints after a command; the same array when the command changes nothing
+export function applyCommand(waypoints, command) {
+  const inRange = (index) => index >= 0 && index < waypoints.length;
+
+  switch (command.type) {
+    case 'add':
+      return [...waypoints, createWaypoint(command.coordinate)];
+
+    case 'insert': {
+      // insertWaypointInRoute works on coordinates; find where it put the new one
+      const coordinates = insertWaypointInRoute(waypoints.map(w => w.coordinate), command.coordinate);
+      const index = coordinates.indexOf(command.coordinate);
+      const result = [...waypoints];
+      result.splice(index, 0, createWaypoint(command.coordinate));
+      return result;
+    }
+
+    case 'move':
+      if (!inRange(command.index)) return waypoints;
+      return waypoints.map((waypoint, i) =>
+        i === command.index ? { ...waypoint, coordinate: command.coordinate } : waypoint
+      );
+
+    case 'delete':
+      if (!inRange(command.index)) return waypoints;
+      return waypoints.filter((_, i) => i !== command.index);
+
+    case 'rename': {
+      if (!inRange(command.index)) return waypoints;
+      const name = command.name?.trim() || null;
+      if (waypoints[command.index].name === name) return waypoints;
+      return waypoints.map((waypoint, i) => (i === command.index ? { ...waypoint, name } : waypoint));
+    }
+
+    case 'reorder': {
+      const { from, to } = command;
+      if (!inRange(from) || !inRange(to) || from === to) return waypoints;
+      const result = [...waypoints];
+      const [moved] = result.splice(from, 1);
+      result.splice(to, 0, moved);
+      return result;
+    }
+
+    case 'reverse':
+      return waypoints.length < 2 ? waypoints : [...waypoints].reverse();
+
+    case 'clear':
+      return waypoints.length === 0 ? waypoints : [];
+
+    default:
+      console.warn(`Unknown waypoint command: ${command.type}`);
+      return waypoints;
+  }
+}
+
+// Apply a command and record it; redo is no longer possible afterwards
+export function executeCommand(history, command) {
+  const present = applyCommand(history.present, command);
+  if (present === history.present) return history;
+
+  return {
+    past: [...history.past, { command, waypoints: history.present }].slice(-MAX_HISTORY),
+    present,
+    future: []
+  };
+}
+
+export function undo(history) {
+  if (history.past.length === 0) return history;
+  const entry = history.past[history.past.length - 1];
+  return {
+    past: history.past.slice(0, -1),
+    present: entry.waypoints,
+    future: [{ command: entry.command, waypoints: history.present }, ...history.future]
+  };
+}
+
+export function redo(history) {
+  if (history.future.length === 0) return history;
+  const [entry, ...future] = history.future;
+  return {
+    past: [...history.past, { command: entry.command, waypoints: history.present }],
+    present: entry.waypoints,
+    future
+  };
+}
+
+// Short label for a command, e.g. for "Undo move waypoint 3"
+export function describeCommand(command) {
+  if (!command) return '';
+  switch (command.type) {
+    case 'add': return 'add waypoint';
+    case 'insert': return 'insert waypoint';
+    case 'move': return `move waypoint ${command.index + 1}`;
+    case 'delete': return `delete waypoint ${command.index + 1}`;
+    case 'rename': return `rename waypoint ${command.index + 1}`;
+    case 'reorder': return `reorder waypoint ${command.from + 1}`;
+    case 'reverse': return 'reverse route';
+    case 'clear': return 'clear waypoints';
+    default: return command.type;
+  }
+}
+
+export const lastCommand = (history) => history.past[history.past.length - 1]?.command || null;
+export const nextCommand = (history) => history.future[0]?.command || null;
@@ -0,0 +1,92 @@
+import {
+  createHistory, createWaypoint, executeCommand, undo, redo,
+  applyCommand, describeCommand, lastCommand, nextCommand
+} from './waypointHistory';
+import { insertWaypointInRoute } from './routeUtils';
+
+// routeUtils pulls in @turf, which jest can't load; the nearest-segment search
+// is routeUtils' concern, these tests only need to say where it inserts
+jest.mock('./routeUtils', () => ({
+  insertWaypointInRoute: jest.fn()
+}));
+
+const coordinates = (history) => history.present.map(waypoint => waypoint.coordinate);
+
+function historyOf(...points) {
+  return createHistory(points.map(point => createWaypoint(point)));
+}
+
+describe('executeCommand', () => {
+  test('undoes and redoes edits in order', () => {
+    let history = historyOf([0, 0], [1, 0]);
+    history = executeCommand(history, { type: 'add', coordinate: [2, 0] });
+    history = executeCommand(history, { type: 'move', index: 0, coordinate: [0, 1] });
+
+    expect(coordinates(history)).toEqual([[0, 1], [1, 0], [2, 0]]);
+    expect(describeCommand(lastCommand(history))).toBe('move waypoint 1');
+
+    history = undo(history);
+    expect(coordinates(history)).toEqual([[0, 0], [1, 0], [2, 0]]);
+    expect(describeCommand(nextCommand(history))).toBe('move waypoint 1');
+
+    history = undo(history);
+    expect(coordinates(history)).toEqual([[0, 0], [1, 0]]);
+
+    history = redo(redo(history));
+    expect(coordinates(history)).toEqual([[0, 1], [1, 0], [2, 0]]);
+    expect(history.future).toEqual([]);
+  });
+
+  test('clears redo after a new edit', () => {
+    let history = historyOf([0, 0], [1, 0], [2, 0]);
+    history = executeCommand(history, { type: 'delete', index: 1 });
+    history = undo(history);
+    expect(history.future).toHaveLength(1);
+
+    history = executeCommand(history, { type: 'reverse' });
+
+    expect(history.future).toEqual([]);
+    expect(redo(history)).toBe(history);
+    expect(coordinates(history)).toEqual([[2, 0], [1, 0], [0, 0]]);
+  });
+
+  test('records nothing for edits that change nothing', () => {
+    const history = historyOf([0, 0], [1, 0]);
+
+    expect(executeCommand(history, { type: 'delete', index: 5 })).toBe(history);
+    expect(executeCommand(history, { type: 'reorder', from: 1, to: 1 })).toBe(history);
+    expect(executeCommand(history, { type: 'rename', index: 0, name: '  ' })).toBe(history);
+    expect(undo(history)).toBe(history);
+  });
+});
+
+describe('applyCommand', () => {
+  test('inserts a waypoint at the index routeUtils picks', () => {
+    insertWaypointInRoute.mockImplementation((points, coordinate) => [points[0], coordinate, ...points.slice(1)]);
+    const waypoints = historyOf([0, 0], [2, 0], [4, 0]).present;
+
+    const result = applyCommand(waypoints, { type: 'insert', coordinate: [1, 0.01] });
+
+    expect(result.map(waypoint => waypoint.coordinate)).toEqual([[0, 0], [1, 0.01], [2, 0], [4, 0]]);
+    // The existing waypoints keep their ids; the inserted one gets a new id
+    expect(result[0]).toBe(waypoints[0]);
+    expect(result[2]).toBe(waypoints[1]);
+    expect(new Set(result.map(waypoint => waypoint.id)).size).toBe(4);
+  });
+
+  test('moves a waypoint to a new position', () => {
+    const waypoints = historyOf([0, 0], [1, 0], [2, 0]).present;
+
+    const result = applyCommand(waypoints, { type: 'reorder', from: 0, to: 2 });
+
+    expect(result.map(waypoint => waypoint.coordinate)).toEqual([[1, 0], [2, 0], [0, 0]]);
+  });
+
+  test('trims names and clears blank ones', () => {
+    const [named] = applyCommand(historyOf([0, 0]).present, { type: 'rename', index: 0, name: ' Café ' });
+    expect(named.name).toBe('Café');
+
+    const [cleared] = applyCommand([named], { type: 'rename', index: 0, name: '' });
+    expect(cleared.name).toBeNull();
+  });
+});
@@ -39,6 +39,132 @@ export async function getWeatherData(latitude, longitude) {
   }
 }
 
+// Get the hourly wind/weather forecast for a location from OpenWeatherMap.
+// The free forecast comes in 3-hour steps; getForecastAt interpolates
+// between them. Most callers should go through getForecastProvider().
+export async function getHourlyForecast(latitude, longitude) {
+  const API_KEY = process.env.REACT_APP_WEATHER_API_KEY;
+  
+  if (!API_KEY) {
+    console.warn('Weather API key not configured');
+    return null;
+  }
+
+  try {
+    const response = await fetch(
+      `https://api.openweathermap.org/data/2.5/forecast?lat=${latitude}&lon=${longitude}&appid=${API_KEY}&units=metric`
+    );
+
+    if (!response.ok) {
+      throw new Error(`Forecast API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    return (data.list || []).map(entry => ({
+      time: entry.dt * 1000,
+      temperature: Math.round(entry.main.temp),
+      windSpeed: Math.round(entry.wind.speed * 3.6), // Convert m/s to km/h
+      windDirection: getWindDirection(entry.wind.deg),
+      windDegrees: entry.wind.deg,
+      description: entry.weather[0].description,
+      conditions: entry.weather[0].main.toLowerCase(),
+      precipitationChance: entry.pop || 0,
+      isDaylight: entry.sys?.pod === 'd' // part of day reported by the API
+    }));
+  } catch (error) {
+    console.error('Forecast fetch failed:', error);
+    return null;
+  }
+}
+
+// ====================
+// FORECAST PROVIDERS
+// ====================
+// A forecast provider is { name, label, isConfigured(), getHourlyForecast(lat, lon, { startTime }) }
+// resolving to time-sorted entries shaped like getHourlyForecast's, or null.
+
+export const openWeatherMapForecastProvider = {
+  name: 'openweathermap',
+  label: 'OpenWeatherMap',
+  isConfigured: () => !!process.env.REACT_APP_WEATHER_API_KEY,
+  getHourlyForecast: (latitude, longitude) => getHourlyForecast(latitude, longitude)
+};
+
+// Offline stand-in built on getMockWeatherData
+export const mockForecastProvider = {
+  name: 'mock',
+  label: 'Offline (mock)',
+  isConfigured: () => true,
+  getHourlyForecast: async (latitude, longitude, { startTime = Date.now() } = {}) =>
+    getMockHourlyForecast(startTime - 3600000, 48)
+};
+
+let forecastProviderOverride = null;
+
+// Pass null to go back to the default (OpenWeatherMap when configured, else mock)
+export function setForecastProvider(provider) {
+  forecastProviderOverride = provider;
+}
+
+export function getForecastProvider() {
+  if (forecastProviderOverride) return forecastProviderOverride;
+  return openWeatherMapForecastProvider.isConfigured() ? openWeatherMapForecastProvider : mockForecastProvider;
+}
+
+// Forecast from the active provider, falling back to the mock provider when
+// it returns nothing. Resolves to { forecast, source }.
+export async function fetchForecast(latitude, longitude, options = {}) {
+  const provider = getForecastProvider();
+  let forecast = null;
+  try {
+    forecast = await provider.getHourlyForecast(latitude, longitude, options);
+  } catch (error) {
+    console.warn(`Forecast provider ${provider.name} failed:`, error);
+  }
+
+  if (forecast?.length) return { forecast, source: provider.name };
+  if (provider === mockForecastProvider) return { forecast: [], source: provider.name };
+
+  console.warn(`No forecast from ${provider.name}, using mock forecast`);
+  return { forecast: await mockForecastProvider.getHourlyForecast(latitude, longitude, options), source: mockForecastProvider.name };
+}
+
+// Single-entry forecast from a current observation, so callers can treat
+// "no forecast" as steady conditions
+export function forecastFromObservation(weatherData, time = Date.now()) {
+  if (!weatherData) return null;
+  return [{ ...weatherData, time, precipitationChance: weatherData.precipitationChance || 0 }];
+}
+
+// Forecast conditions at a time (ms), interpolating wind between entries.
+// Times outside the forecast use the nearest entry.
+export function getForecastAt(forecast, time) {
+  if (!forecast || forecast.length === 0) return null;
+
+  const after = forecast.findIndex(entry => entry.time >= time);
+  if (after === 0) return forecast[0];
+  if (after === -1) return forecast[forecast.length - 1];
+
+  const a = forecast[after - 1];
+  const b = forecast[after];
+  const t = (time - a.time) / (b.time - a.time);
+
+  // Turn the shorter way round the compass
+  const turn = ((((b.windDegrees ?? 0) - (a.windDegrees ?? 0)) % 360) + 540) % 360 - 180;
+  const windDegrees = Math.round(((a.windDegrees ?? 0) + turn * t + 360) % 360);
+  const nearest = t < 0.5 ? a : b;
+
+  return {
+    ...nearest,
+    time,
+    temperature: Math.round(a.temperature + (b.temperature - a.temperature) * t),
+    windSpeed: Math.round(a.windSpeed + (b.windSpeed - a.windSpeed) * t),
+    windDegrees,
+    windDirection: getWindDirection(windDegrees)
+  };
+}
+
 // Convert wind degrees to cardinal direction
 function getWindDirection(degrees) {
   if (degrees === undefined || degrees === null) return 'Unknown';
@@ -56,7 +182,7 @@ function getWindDirection(degrees) {
 
 // Calculate if wind is favorable for a given bearing
 export function isWindFavorable(routeBearing, windDegrees, windSpeed) {
-  if (!windDegrees || !windSpeed || windSpeed < 5) {
+  if (windDegrees === undefined || windDegrees === null || !windSpeed || windSpeed < 5) {
     return 'neutral'; // Light wind doesn't matter much
   }
 
@@ -159,6 +285,28 @@ export function getOptimalTrainingConditions(weatherData, trainingGoal) {
   };
 }
 
+// Mock hourly forecast for development/fallback: the mock wind veering and
+// building through the day
+export function getMockHourlyForecast(startTime = Date.now(), hours = 24) {
+  const base = getMockWeatherData();
+  const firstHour = Math.floor(startTime / 3600000) * 3600000;
+
+  return Array.from({ length: hours }, (_, hour) => {
+    const windDegrees = (base.windDegrees + hour * 5) % 360;
+    const time = firstHour + hour * 3600000;
+    const localHour = new Date(time).getHours();
+    return {
+      ...base,
+      time,
+      windSpeed: Math.round(base.windSpeed + 6 * Math.sin(hour / 4)),
+      windDegrees,
+      windDirection: getWindDirection(windDegrees),
+      precipitationChance: 0.1,
+      isDaylight: localHour >= 6 && localHour < 20
+    };
+  });
+}
+
 // Mock weather data for development/fallback
 export function getMockWeatherData() {
   return {
@@ -0,0 +1,152 @@
+// Wind analysis along a route using an hourly forecast
+// Simulates where the rider will be over time so each part of the route is
+// matched with the wind forecast for when the rider gets there
+
+import { getForecastAt, getWindFactor, isWindFavorable } from './weather';
+import { haversineDistance, bearingBetween } from './geo';
+
+// Legs the route is split into for the head/tail/crosswind breakdown
+export const DEFAULT_WIND_LEGS = 4;
+
+function createLeg(index) {
+  return {
+    index,
+    startKm: null,
+    endKm: 0,
+    startTime: null,
+    endTime: null,
+    headwindKm: 0,
+    tailwindKm: 0,
+    crosswindKm: 0,
+    calmKm: 0,
+    headwindSum: 0, // distance-weighted headwind component, km/h x m
+    windSpeedSum: 0,
+    distance: 0
+  };
+}
+
+// Headline numbers for a leg once all its segments are in
+function summarizeLeg(leg, forecast) {
+  const midTime = leg.startTime + (leg.endTime - leg.startTime) / 2;
+  const wind = getForecastAt(forecast, midTime);
+  const shares = {
+    headwind: leg.headwindKm,
+    tailwind: leg.tailwindKm,
+    crosswind: leg.crosswindKm,
+    calm: leg.calmKm
+  };
+  const dominant = Object.keys(shares).reduce((best, key) => (shares[key] > shares[best] ? key : best), 'calm');
+  const distanceKm = leg.distance / 1000;
+
+  return {
+    index: leg.index,
+    startKm: leg.startKm,
+    endKm: leg.endKm,
+    startTime: leg.startTime,
+    endTime: leg.endTime,
+    windSpeed: wind?.windSpeed ?? 0,
+    windDegrees: wind?.windDegrees ?? null,
+    windDirection: wind?.windDirection || null,
+    // Average wind component along the direction of travel, + is headwind
+    avgHeadwindKmh: leg.distance > 0 ? leg.headwindSum / leg.distance : 0,
+    headwindShare: distanceKm > 0 ? leg.headwindKm / distanceKm : 0,
+    tailwindShare: distanceKm > 0 ? leg.tailwindKm / distanceKm : 0,
+    crosswindShare: distanceKm > 0 ? leg.crosswindKm / distanceKm : 0,
+    dominant
+  };
+}
+
+// Walk the route at a steady speed from the departure time, looking up the
+// forecast wind at each point. Returns per-leg breakdowns plus:
+// - windFactor: 0-1 average of getWindFactor (higher is better)
+// - headwindEarlyKmh / headwindLateKmh: average headwind component in each half
+// - strategyScore: 0-1, high when the headwind comes early and the tailwind late
+export function analyzeRouteWind(coordinates, forecast, options = {}) {
+  const {
+    departureTime = Date.now(),
+    averageSpeedKmh = 25,
+    legCount = DEFAULT_WIND_LEGS
+  } = options;
+
+  if (!coordinates || coordinates.length < 2 || !forecast || forecast.length === 0) return null;
+
+  const segmentLengths = [];
+  let totalDistance = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    const length = haversineDistance(coordinates[i - 1], coordinates[i]) * 1000;
+    segmentLengths.push(length);
+    totalDistance += length;
+  }
+  if (totalDistance === 0) return null;
+
+  const metersPerMs = (averageSpeedKmh / 3.6) / 1000;
+  const legs = Array.from({ length: legCount }, (_, index) => createLeg(index));
+  let covered = 0;
+  let windFactorSum = 0;
+  let earlyHeadwind = 0;
+  let lateHeadwind = 0;
+  let windSpeedSum = 0;
+
+  for (let i = 0; i < segmentLengths.length; i++) {
+    const length = segmentLengths[i];
+    if (length === 0) continue;
+
+    const midDistance = covered + length / 2;
+    const time = departureTime + midDistance / metersPerMs;
+    const wind = getForecastAt(forecast, time);
+    const bearing = bearingBetween(coordinates[i], coordinates[i + 1]);
+    const windSpeed = wind?.windSpeed || 0;
+    const windDegrees = wind?.windDegrees ?? 0;
+
+    const headwind = windSpeed * Math.cos((windDegrees - bearing) * Math.PI / 180);
+    const kind = isWindFavorable(bearing, windDegrees, windSpeed);
+
+    const leg = legs[Math.min(legCount - 1, Math.floor(midDistance / totalDistance * legCount))];
+    if (leg.startKm === null) {
+      leg.startKm = covered / 1000;
+      leg.startTime = departureTime + covered / metersPerMs;
+    }
+    leg.endKm = (covered + length) / 1000;
+    leg.endTime = departureTime + (covered + length) / metersPerMs;
+    leg.distance += length;
+    leg.headwindSum += headwind * length;
+    if (kind === 'headwind') leg.headwindKm += length / 1000;
+    else if (kind === 'tailwind') leg.tailwindKm += length / 1000;
+    else if (kind === 'crosswind') leg.crosswindKm += length / 1000;
+    else leg.calmKm += length / 1000;
+
+    windFactorSum += getWindFactor(bearing, windDegrees, windSpeed) * length;
+    windSpeedSum += windSpeed * length;
+    if (midDistance < totalDistance / 2) earlyHeadwind += headwind * length;
+    else lateHeadwind += headwind * length;
+
+    covered += length;
+  }
+
+  const half = totalDistance / 2;
+  const headwindEarlyKmh = earlyHeadwind / half;
+  const headwindLateKmh = lateHeadwind / half;
+  const averageWindKmh = windSpeedSum / totalDistance;
+
+  // Light wind barely matters which way round the loop goes
+  const strategyScore = averageWindKmh < 5 ? 0.5 :
+    Math.max(0, Math.min(1, 0.5 + (headwindEarlyKmh - headwindLateKmh) / (4 * averageWindKmh)));
+
+  return {
+    departureTime,
+    averageSpeedKmh,
+    averageWindKmh,
+    windFactor: windFactorSum / totalDistance,
+    headwindEarlyKmh,
+    headwindLateKmh,
+    strategyScore,
+    legs: legs.filter(leg => leg.distance > 0).map(leg => summarizeLeg(leg, forecast))
+  };
+}
+
+// Loop pattern bearing whose first waypoint heads upwind. Loop generators
+// place the first waypoint 90° round from the pattern bearing.
+export function getUpwindLoopBearing(wind) {
+  if (!wind || !wind.windSpeed || wind.windDegrees === undefined || wind.windDegrees === null) return null;
+  return (wind.windDegrees - 90 + 360) % 360;
+}
@@ -0,0 +1,81 @@
+import { analyzeRouteWind, getUpwindLoopBearing } from './windAnalysis';
+
+const DEPARTURE = Date.UTC(2026, 5, 1, 8, 0, 0);
+const HOUR = 3600 * 1000;
+
+// Straight route due north from (45, 7), one point per ~1 km
+function northbound(km) {
+  return Array.from({ length: km + 1 }, (_, i) => [7, 45 + i * 0.009]);
+}
+
+// Hourly forecast with the same wind for the next few hours
+function steadyWind(windSpeed, windDegrees) {
+  return [0, 1, 2, 3].map(hour => ({ time: DEPARTURE + hour * HOUR, temperature: 15, windSpeed, windDegrees }));
+}
+
+describe('analyzeRouteWind', () => {
+  const route = northbound(20);
+  const options = { departureTime: DEPARTURE, averageSpeedKmh: 20 };
+
+  test('reads a wind from ahead as a full headwind', () => {
+    const analysis = analyzeRouteWind(route, steadyWind(20, 0), options);
+
+    expect(analysis.headwindEarlyKmh).toBeCloseTo(20, 1);
+    expect(analysis.headwindLateKmh).toBeCloseTo(20, 1);
+    expect(analysis.legs).toHaveLength(4);
+    analysis.legs.forEach(leg => {
+      expect(leg.dominant).toBe('headwind');
+      expect(leg.avgHeadwindKmh).toBeCloseTo(20, 1);
+      expect(leg.headwindShare).toBeCloseTo(1, 5);
+    });
+  });
+
+  test('reads a wind from the side as crosswind with no head component', () => {
+    const analysis = analyzeRouteWind(route, steadyWind(20, 90), options);
+
+    expect(analysis.headwindEarlyKmh).toBeCloseTo(0, 0);
+    analysis.legs.forEach(leg => {
+      expect(leg.dominant).toBe('crosswind');
+      expect(Math.abs(leg.avgHeadwindKmh)).toBeLessThan(0.5);
+    });
+  });
+
+  test('reads a wind from behind as a tailwind', () => {
+    const analysis = analyzeRouteWind(route, steadyWind(20, 180), options);
+
+    expect(analysis.headwindEarlyKmh).toBeCloseTo(-20, 1);
+    expect(analysis.legs.every(leg => leg.dominant === 'tailwind')).toBe(true);
+    expect(analysis.windFactor).toBeGreaterThan(analyzeRouteWind(route, steadyWind(20, 0), options).windFactor);
+  });
+
+  test('matches each leg with the forecast for when the rider gets there', () => {
+    // Calm for the first hour, then a 20 km/h northerly; 20 km at 20 km/h
+    const forecast = [
+      { time: DEPARTURE, temperature: 15, windSpeed: 0, windDegrees: 0 },
+      { time: DEPARTURE + 0.5 * HOUR, temperature: 15, windSpeed: 0, windDegrees: 0 },
+      { time: DEPARTURE + 0.5 * HOUR + 1, temperature: 15, windSpeed: 20, windDegrees: 0 },
+      { time: DEPARTURE + 2 * HOUR, temperature: 15, windSpeed: 20, windDegrees: 0 }
+    ];
+    const analysis = analyzeRouteWind(route, forecast, options);
+
+    expect(analysis.legs.map(leg => leg.dominant)).toEqual(['calm', 'calm', 'headwind', 'headwind']);
+    expect(analysis.legs[1].endTime - DEPARTURE).toBeCloseTo(0.5 * HOUR, -4);
+    expect(analysis.headwindEarlyKmh).toBeLessThan(1);
+    expect(analysis.headwindLateKmh).toBeCloseTo(20, 1);
+    // Headwind saved for the way home is the wrong way round
+    expect(analysis.strategyScore).toBeLessThan(0.5);
+  });
+
+  test('needs a route and a forecast', () => {
+    expect(analyzeRouteWind([[7, 45]], steadyWind(20, 0), options)).toBeNull();
+    expect(analyzeRouteWind(route, [], options)).toBeNull();
+  });
+});
+
+describe('getUpwindLoopBearing', () => {
+  test('turns the loop so its first waypoint heads into the wind', () => {
+    expect(getUpwindLoopBearing({ windSpeed: 20, windDegrees: 0 })).toBe(270);
+    expect(getUpwindLoopBearing({ windSpeed: 20, windDegrees: 180 })).toBe(90);
+    expect(getUpwindLoopBearing({ windSpeed: 0, windDegrees: 180 })).toBeNull();
+  });
+});
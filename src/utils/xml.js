@@ -0,0 +1,54 @@
+// XML parsing for the GPX, TCX and KML parsers
+// Uses the browser's DOMParser on the main thread. DOMParser isn't available
+// in Web Workers, so the parser worker falls back to @xmldom/xmldom, which
+// implements the same DOM interface.
+
+import { DOMParser as XmlDomParser } from '@xmldom/xmldom';
+
+// Escape text for use in XML content or attribute values
+export function escapeXml(str) {
+  return String(str).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c] || c));
+}
+
+// Parse XML text into a DOM document
+export function parseXML(text) {
+  let doc;
+  if (typeof DOMParser !== 'undefined') {
+    doc = new DOMParser().parseFromString(text, 'application/xml');
+    const parserError = doc.getElementsByTagName('parsererror')[0];
+    if (parserError) {
+      throw new Error(parserError.textContent || 'Invalid XML');
+    }
+  } else {
+    doc = new XmlDomParser({
+      onError: (level, message) => {
+        if (level !== 'warning') throw new Error(message);
+      }
+    }).parseFromString(text, 'application/xml');
+  }
+
+  if (!doc?.documentElement) {
+    throw new Error('No root element');
+  }
+  return doc;
+}
+
+// Descendant elements by local name ('*' for all), in document order,
+// whatever their namespace prefix
+export function findAll(node, localName) {
+  if (!node) return [];
+  return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+// Direct child elements by local name ('*' for all)
+export function findChildren(node, localName) {
+  if (!node) return [];
+  return Array.from(node.childNodes).filter(child =>
+    child.nodeType === 1 && (localName === '*' || child.localName === localName)
+  );
+}
+
+// First direct child with a local name
+export function findChild(node, localName) {
+  return findChildren(node, localName)[0] || null;
+}
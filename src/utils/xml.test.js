@@ -0,0 +1,52 @@
+import { parseXML, findAll, findChild, findChildren } from './xml';
+import { parseGPX } from './gpx';
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Ride &gt; Recorder" xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">
+  <metadata><name>Evening <![CDATA[spin & chat]]></name></metadata>
+  <trk><trkseg>
+    <trkpt lat="45.0" lon="7.0"><ele>240</ele><time>2024-06-01T18:00:00Z</time>
+      <extensions><gpxtpx:TrackPointExtension><gpxtpx:hr>120</gpxtpx:hr></gpxtpx:TrackPointExtension></extensions>
+    </trkpt>
+    <trkpt lat="45.001" lon="7.001" note="a > b"><ele>241</ele><time>2024-06-01T18:00:10Z</time></trkpt>
+  </trkseg></trk>
+</gpx>`;
+
+// Run each case with the browser DOMParser (jsdom here) and with the
+// @xmldom/xmldom fallback the parser worker uses
+describe.each([
+  ['DOMParser', () => {}],
+  ['@xmldom/xmldom', () => {
+    const { DOMParser } = global;
+    delete global.DOMParser;
+    return () => { global.DOMParser = DOMParser; };
+  }]
+])('parseXML with %s', (_, setup) => {
+  let restore;
+  beforeEach(() => { restore = setup(); });
+  afterEach(() => { if (restore) restore(); });
+
+  test('reads namespaced elements, attributes and CDATA', () => {
+    const doc = parseXML(GPX);
+    expect(doc.documentElement.getAttribute('creator')).toBe('Ride > Recorder');
+
+    const points = findAll(doc, 'trkpt');
+    expect(points).toHaveLength(2);
+    expect(points[1].getAttribute('note')).toBe('a > b');
+    expect(findAll(points[0], 'hr')[0].textContent).toBe('120');
+    expect(findChildren(points[0], '*').map(child => child.localName)).toEqual(['ele', 'time', 'extensions']);
+    expect(findChild(findAll(doc, 'metadata')[0], 'name').textContent).toBe('Evening spin & chat');
+  });
+
+  test('parses a GPX file end to end', () => {
+    const parsed = parseGPX(GPX);
+    expect(parsed.metadata.name).toBe('Evening spin & chat');
+    expect(parsed.trackPoints).toHaveLength(2);
+    expect(parsed.trackPoints[0].heartRate).toBe(120);
+  });
+
+  test('rejects malformed XML', () => {
+    expect(() => parseXML('<gpx><trk></gpx>')).toThrow();
+  });
+});
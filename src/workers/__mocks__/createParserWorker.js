@@ -0,0 +1,6 @@
+// Test stand-in for the parser worker factory: no workers under jest, so
+// parserWorkers.js parses on the main thread
+
+export function createParserWorker() {
+  throw new Error('Parser workers are not available in tests');
+}
@@ -0,0 +1,19 @@
+// Activity parser worker
+// Parses activity and route files (GPX/TCX/FIT, GeoJSON, KML/KMZ) off the main
+// thread so long rides don't freeze the UI. Receives { id, name, buffer } and
+// posts progress events, then the result.
+
+import { parseActivityBuffer } from '../utils/activityParsing';
+
+self.onmessage = async (event) => {
+  const { id, name, buffer } = event.data;
+
+  try {
+    const routeData = await parseActivityBuffer(name, buffer, {
+      onProgress: (progress) => self.postMessage({ id, type: 'progress', progress })
+    });
+    self.postMessage({ id, type: 'result', routeData });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,7 @@
+// Activity parser worker factory
+// Kept in its own module because jest can't parse import.meta; tests map it to
+// the stand-in in __mocks__ (see the jest config in package.json)
+
+export function createParserWorker() {
+  return new Worker(new URL('./activityParser.worker.js', import.meta.url));
+}